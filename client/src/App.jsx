@@ -28,6 +28,8 @@ import NotFound from "./pages/NotFound";
 import Home from "./pages/Home";
 import Messages from "./pages/Messages.jsx";
 import Subscription from "./pages/Subscription";
+import VerifyEmail from "./pages/VerifyEmail";
+import ResetPassword from "./pages/ResetPassword";
 
 // Import your footer component
 import AppFooter from "./components/AppFooter.jsx"
@@ -47,6 +49,8 @@ function App() {
                         <Route path="/" element={<Home />} />
                         <Route path="/login" element={<Login />} />
                         <Route path="/register" element={<Register />} />
+                        <Route path="/verify-email" element={<VerifyEmail />} />
+                        <Route path="/reset-password" element={<ResetPassword />} />
                         <Route
                           path="/dashboard"
                           element={
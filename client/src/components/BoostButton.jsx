@@ -0,0 +1,165 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { FaBolt } from "react-icons/fa";
+import { toast } from "react-toastify";
+import boostService from "../services/boostService.jsx";
+import socketService from "../services/socketService.jsx";
+import { useChat } from "../context";
+
+/**
+ * Formats the time left on a boost as "m:ss".
+ *
+ * @param {number} ms - Milliseconds remaining.
+ * @returns {string}
+ */
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * BoostButton lets the user put their profile at the top of discovery for a while.
+ *
+ * Premium users get one free boost a month; anyone can buy more. While a boost is
+ * running the button shows a countdown and live stats, and the report sent by the
+ * server when it ends ("boostReport" socket event) is shown as a toast.
+ */
+const BoostButton = () => {
+  const { socketConnected } = useChat();
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await boostService.getStatus();
+      if (response.success) setStatus(response.data);
+    } catch {
+      // Keep the last known status; the button stays usable
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // Tick the countdown and refresh live stats while a boost is running
+  const activeEndsAt = status?.active ? new Date(status.active.endsAt).getTime() : null;
+  useEffect(() => {
+    if (!activeEndsAt) return undefined;
+    const tick = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= activeEndsAt) fetchStatus();
+    }, 1000);
+    const refresh = setInterval(fetchStatus, 60000);
+    return () => {
+      clearInterval(tick);
+      clearInterval(refresh);
+    };
+  }, [activeEndsAt, fetchStatus]);
+
+  // Listen again whenever the socket (re)connects
+  useEffect(() => {
+    const handleReport = (report) => {
+      toast.info(
+        `Boost finished: ${report.views} profile views and ${report.likes} likes` +
+          (report.extraLikes ? ` (${report.extraLikes} more than usual)` : "")
+      );
+      fetchStatus();
+    };
+    const handler = socketService.on("boostReport", handleReport);
+    return () => socketService.off("boostReport", handler);
+  }, [fetchStatus, socketConnected]);
+
+  const handleActivate = async () => {
+    setBusy(true);
+    try {
+      await boostService.activate();
+      await fetchStatus();
+    } catch {
+      // boostService already shows the error
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePurchase = async () => {
+    setBusy(true);
+    try {
+      await boostService.purchase(1);
+    } catch {
+      setBusy(false);
+    }
+  };
+
+  if (!status) return null;
+
+  const { active, credits, freeBoostAvailable, price } = status;
+  const canActivate = freeBoostAvailable || credits > 0;
+  const priceLabel = `$${(price.amount / 100).toFixed(2)}`;
+
+  let button;
+  if (active) {
+    button = (
+      <button
+        className="btn btn-primary boost-btn active"
+        title={`${active.views} views, ${active.likes} likes so far`}
+        disabled
+      >
+        <FaBolt className="me-1" /> Boosted {formatRemaining(new Date(active.endsAt).getTime() - now)}
+      </button>
+    );
+  } else if (canActivate) {
+    button = (
+      <button
+        className="btn btn-primary boost-btn"
+        onClick={handleActivate}
+        disabled={busy}
+        title={freeBoostAvailable ? "Use your free monthly boost" : `${credits} boost${credits === 1 ? "" : "s"} left`}
+      >
+        <FaBolt className="me-1" />
+        <span className="d-none d-md-inline">{freeBoostAvailable ? "Free Boost" : `Boost (${credits})`}</span>
+      </button>
+    );
+  } else {
+    button = (
+      <button
+        className="btn btn-outline boost-btn"
+        onClick={handlePurchase}
+        disabled={busy}
+        title={`Put your profile at the top of discovery for ${status.durationMinutes} minutes`}
+      >
+        <FaBolt className="me-1" />
+        <span className="d-none d-md-inline">Boost {priceLabel}</span>
+      </button>
+    );
+  }
+
+  return (
+    <div className="boost-control">
+      {button}
+      <style>
+        {`
+          .boost-control {
+            display: flex;
+            align-items: center;
+          }
+          .boost-btn {
+            display: flex;
+            align-items: center;
+            white-space: nowrap;
+          }
+          .boost-btn.active {
+            opacity: 1;
+            font-variant-numeric: tabular-nums;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default BoostButton;
@@ -0,0 +1,179 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { FaCheck, FaLink, FaTimes, FaUnlink } from "react-icons/fa";
+import { toast } from "react-toastify";
+import settingsService from "../services/settingsService.jsx";
+import socketService from "../services/socketService.jsx";
+import { useChat } from "../context";
+
+/**
+ * CoupleLink lets a couple profile link a second real account.
+ *
+ * The couple profile invites its partner by email or nickname; once the partner
+ * accepts, both accounts share the profile and inbox. Either of them can unlink.
+ * Accounts that aren't couple profiles only see invites they received.
+ */
+const CoupleLink = () => {
+  const { socketConnected } = useChat();
+  const [status, setStatus] = useState(null);
+  const [identifier, setIdentifier] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(() => {
+    settingsService
+      .getCouple()
+      .then(setStatus)
+      .catch(() => setStatus(null));
+  }, []);
+
+  // Re-run on (re)connect: the socket may not exist on the first render
+  useEffect(() => {
+    loadStatus();
+
+    const events = ["coupleInvite", "coupleLinked", "coupleUnlinked"];
+    const handlers = events.map((event) => socketService.on(event, loadStatus));
+    return () => events.forEach((event, i) => socketService.off(event, handlers[i]));
+  }, [loadStatus, socketConnected]);
+
+  // Run an action, then reload the status
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+      loadStatus();
+    } catch (error) {
+      toast.error(error.error || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!identifier.trim()) return;
+    run(() => settingsService.inviteCouplePartner(identifier.trim()), "Invite sent").then(() => setIdentifier(""));
+  };
+
+  const handleUnlink = () => {
+    if (!window.confirm("Unlink your accounts? You'll no longer share a profile and inbox.")) return;
+    run(() => settingsService.unlinkCouple());
+  };
+
+  if (!status) return null;
+  const { isCouple, partner, role, sentInvite, receivedInvites } = status;
+  if (!partner && !isCouple && receivedInvites.length === 0) return null;
+
+  return (
+    <div className="couple-link">
+      <h3>Partner Account</h3>
+
+      {partner ? (
+        <>
+          <p>
+            <FaLink /> Linked with <strong>{partner.nickname}</strong>
+            {role === "partner" ? " — you're using their couple profile and inbox." : " — they share your profile and inbox."}
+          </p>
+          <button className="btn btn-outline" onClick={handleUnlink} disabled={busy}>
+            <FaUnlink /> Unlink accounts
+          </button>
+        </>
+      ) : (
+        <>
+          {receivedInvites.map((invite) => (
+            <div key={invite._id} className="couple-invite">
+              <span>
+                <strong>{invite.from.nickname}</strong> invited you to link your account with their couple profile
+              </span>
+              <button
+                className="btn btn-primary"
+                onClick={() => run(() => settingsService.acceptCoupleInvite(invite._id))}
+                disabled={busy}
+              >
+                <FaCheck /> Accept
+              </button>
+              <button
+                className="btn btn-outline"
+                onClick={() => run(() => settingsService.declineCoupleInvite(invite._id), "Invite declined")}
+                disabled={busy}
+              >
+                <FaTimes /> Decline
+              </button>
+            </div>
+          ))}
+
+          {isCouple &&
+            (sentInvite ? (
+              <div className="couple-invite">
+                <span>
+                  Waiting for <strong>{sentInvite.to.nickname}</strong> to accept (until{" "}
+                  {new Date(sentInvite.expiresAt).toLocaleDateString()})
+                </span>
+                <button
+                  className="btn btn-outline"
+                  onClick={() => run(() => settingsService.cancelCoupleInvite(sentInvite._id), "Invite cancelled")}
+                  disabled={busy}
+                >
+                  Cancel invite
+                </button>
+              </div>
+            ) : (
+              <form className="couple-invite-form" onSubmit={handleInvite}>
+                <p className="couple-hint">
+                  Invite your partner&apos;s account so you can both use this profile and inbox. Messages show
+                  which of you wrote them.
+                </p>
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Partner's email or nickname"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                />
+                <button type="submit" className="btn btn-primary" disabled={busy || !identifier.trim()}>
+                  <FaLink /> Send invite
+                </button>
+              </form>
+            ))}
+        </>
+      )}
+
+      <style>
+        {`
+          .couple-link {
+            margin: 20px 0;
+            padding: 16px;
+            border: 1px solid var(--border-color, #ddd);
+            border-radius: 8px;
+          }
+          .couple-link h3 {
+            margin-bottom: 8px;
+          }
+          .couple-invite,
+          .couple-invite-form {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+          }
+          .couple-invite span {
+            flex: 1;
+          }
+          .couple-invite-form input {
+            flex: 1;
+            min-width: 200px;
+          }
+          .couple-hint {
+            width: 100%;
+            color: var(--text-secondary, #666);
+            font-size: 0.9rem;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default CoupleLink;
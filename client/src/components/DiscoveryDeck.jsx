@@ -0,0 +1,263 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { FaCheckCircle, FaHeart, FaMapMarkerAlt, FaTimes, FaUndo, FaUserCircle } from "react-icons/fa";
+import { useAuth, useUser } from "../context";
+import deckService from "../services/deckService.jsx";
+
+// Fetch the next batch when this few cards are left
+const REFILL_AT = 3;
+
+/**
+ * DiscoveryDeck shows discovery candidates one card at a time, best matches first.
+ *
+ * Liking or passing moves on to the next card. Passed profiles stay out of the deck
+ * until the pass expires on the server; premium tiers can rewind the last pass.
+ *
+ * @param {Object} props
+ * @param {Function} props.onOpenProfile - Called with a user ID to open their profile.
+ */
+const DiscoveryDeck = ({ onOpenProfile }) => {
+  const { user } = useAuth();
+  const { likeUser } = useUser();
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  // Passes made here that can still be rewound
+  const [passCount, setPassCount] = useState(0);
+  const fetchingRef = useRef(false);
+
+  const canRewind = Boolean(user?.accountTier) && user.accountTier !== "FREE";
+
+  // Add the next batch to the end of the deck, skipping cards already in it
+  const loadMore = useCallback(async () => {
+    if (fetchingRef.current) return;
+    fetchingRef.current = true;
+    try {
+      const response = await deckService.getDeck({ limit: 20 });
+      if (response.success) {
+        setCards((prev) => {
+          const ids = new Set(prev.map((card) => card._id));
+          return [...prev, ...response.data.filter((card) => !ids.has(card._id))];
+        });
+      }
+    } catch {
+      // Keep the cards we have; the empty state offers a reload
+    } finally {
+      fetchingRef.current = false;
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMore();
+  }, [loadMore]);
+
+  useEffect(() => {
+    if (!loading && cards.length > 0 && cards.length <= REFILL_AT) loadMore();
+  }, [cards.length, loading, loadMore]);
+
+  const current = cards[0];
+  const removeCurrent = () => setCards((prev) => prev.slice(1));
+
+  const handlePass = async () => {
+    if (!current || busy) return;
+    setBusy(true);
+    try {
+      await deckService.pass(current._id);
+      removeCurrent();
+      setPassCount((count) => count + 1);
+    } catch {
+      // deckService already shows the error
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLike = async () => {
+    if (!current || busy) return;
+    setBusy(true);
+    try {
+      if (await likeUser(current._id, current.nickname)) removeCurrent();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRewind = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const response = await deckService.rewind();
+      const rewound = response.data;
+      if (rewound) {
+        setCards((prev) => [rewound, ...prev.filter((card) => card._id !== rewound._id)]);
+      }
+      setPassCount((count) => count - 1);
+    } catch {
+      // deckService already shows the error
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReload = () => {
+    setLoading(true);
+    loadMore();
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner spinner-dark"></div>
+        <p className="loading-text">Loading your deck...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="discovery-deck">
+      {current ? (
+        <div className="deck-card" onClick={() => onOpenProfile(current._id)}>
+          <div className="deck-card-photo">
+            {current.photos?.length > 0 ? (
+              <img src={current.photos[0].url || "/placeholder.svg"} alt={current.nickname} />
+            ) : (
+              <FaUserCircle className="deck-card-placeholder" />
+            )}
+          </div>
+          <div className="deck-card-info">
+            <h3>
+              {current.nickname}, {current.details?.age || "?"}
+              {current.photoVerified && (
+                <FaCheckCircle className="verified-icon" title="Photo verified" aria-label="Photo verified" />
+              )}
+            </h3>
+            <p className="location">
+              <FaMapMarkerAlt className="location-icon" />
+              {current.details?.location || "Unknown location"}
+              {current.distance != null && ` · ${current.distance} km away`}
+            </p>
+            {current.compatibility && (
+              <p className="match-reason">
+                {current.compatibility.score}% match
+                {current.compatibility.reasons[0] && ` · ${current.compatibility.reasons[0]}`}
+              </p>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="no-results">
+          <h3>You&apos;re all caught up</h3>
+          <p>Check back later, or widen your discovery preferences to see more people</p>
+          <button className="btn btn-primary mt-3" onClick={handleReload}>
+            Reload
+          </button>
+        </div>
+      )}
+
+      <div className="deck-actions">
+        <button
+          className="deck-action-button rewind"
+          onClick={handleRewind}
+          disabled={busy || !canRewind || passCount === 0}
+          title={canRewind ? "Rewind your last pass" : "Upgrade to rewind passes"}
+          aria-label="Rewind last pass"
+        >
+          <FaUndo />
+        </button>
+        <button
+          className="deck-action-button pass"
+          onClick={handlePass}
+          disabled={busy || !current}
+          aria-label={current ? `Pass on ${current.nickname}` : "Pass"}
+        >
+          <FaTimes />
+        </button>
+        <button
+          className="deck-action-button like"
+          onClick={handleLike}
+          disabled={busy || !current}
+          aria-label={current ? `Like ${current.nickname}` : "Like"}
+        >
+          <FaHeart />
+        </button>
+      </div>
+
+      <style>
+        {`
+          .discovery-deck {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 16px;
+          }
+          .deck-card {
+            width: 100%;
+            max-width: 380px;
+            border-radius: 16px;
+            overflow: hidden;
+            background: var(--bg-card, #fff);
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.12);
+            cursor: pointer;
+          }
+          .deck-card-photo {
+            height: 420px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: var(--bg-secondary, #f2f2f2);
+          }
+          .deck-card-photo img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+          }
+          .deck-card-placeholder {
+            font-size: 96px;
+            color: var(--text-secondary, #999);
+          }
+          .deck-card-info {
+            padding: 12px 16px;
+          }
+          .deck-actions {
+            display: flex;
+            gap: 20px;
+          }
+          .deck-action-button {
+            width: 56px;
+            height: 56px;
+            border-radius: 50%;
+            border: none;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 22px;
+            background: var(--bg-card, #fff);
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+            cursor: pointer;
+          }
+          .deck-action-button:disabled {
+            opacity: 0.4;
+            cursor: default;
+          }
+          .deck-action-button.rewind {
+            width: 44px;
+            height: 44px;
+            font-size: 16px;
+            align-self: center;
+            color: #f0a500;
+          }
+          .deck-action-button.pass {
+            color: #e74c3c;
+          }
+          .deck-action-button.like {
+            color: #ff3366;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default DiscoveryDeck;
@@ -20,6 +20,7 @@ import {
   FaCrown,
   FaLock,
   FaPhoneSlash,
+  FaPen,
 } from "react-icons/fa"
 import { useAuth, useChat } from "../context"
 import { toast } from "react-toastify"
@@ -27,6 +28,11 @@ import { useNavigate } from "react-router-dom"
 import axios from "axios"
 import socketService from "@services/socketService.jsx"
 import VideoCall from "./VideoCall"
+import ResponsiveImage from "./ResponsiveImage"
+import VoicePlayer from "./VoicePlayer"
+import VoiceRecorder from "./VoiceRecorder"
+import MessageEditHistory from "./MessageEditHistory"
+import { canEditMessage } from "../utils/index.js"
 
 /**
  * EmbeddedChat component
@@ -47,15 +53,20 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
     error: messageError,
     clearError,
     sendFileMessage,
+    sendVoiceMessage,
+    editMessage,
     incomingCall: contextIncomingCall,
     activeCall: contextActiveCall,
     callStatus: contextCallStatus,
     endCall,
     remotePeerId,
+    inboxUserId,
   } = useChat()
 
   // Local state
   const [newMessage, setNewMessage] = useState("")
+  // Own text message being edited in the input, if any
+  const [editingMessage, setEditingMessage] = useState(null)
   const [showEmojis, setShowEmojis] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
   const [attachment, setAttachment] = useState(null)
@@ -132,6 +143,11 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
     }
   }, [recipient, isOpen, user, getMessages])
 
+  // An edit in progress belongs to the previous conversation
+  useEffect(() => {
+    setEditingMessage(null)
+  }, [recipient?._id])
+
   // Update messagesData if context messages change
   useEffect(() => {
     if (Array.isArray(messages)) {
@@ -449,9 +465,35 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
     }
   }
 
+  const handleStartEdit = (message) => {
+    setAttachment(null)
+    setEditingMessage(message)
+    setNewMessage(message.content)
+    chatInputRef.current?.focus()
+  }
+
+  const handleCancelEdit = () => {
+    setEditingMessage(null)
+    setNewMessage("")
+  }
+
+  const handleSaveEdit = async () => {
+    const content = newMessage.trim()
+    if (!content || sendingMessage) return
+
+    if (content !== editingMessage.content && !(await editMessage(editingMessage._id, content))) {
+      return
+    }
+    handleCancelEdit()
+  }
+
   const handleSendMessage = async (e) => {
     e.preventDefault()
 
+    if (editingMessage) {
+      return handleSaveEdit()
+    }
+
     // If there's an attachment, send that instead
     if (attachment) {
       return handleSendAttachment()
@@ -496,6 +538,19 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
     }
   }
 
+  const handleVoiceRecorded = async (blob, measurements) => {
+    if (!recipient) return
+
+    setIsUploading(true)
+    try {
+      const sent = await sendVoiceMessage(recipient._id, blob, measurements, (progress) => setUploadProgress(progress))
+      if (!sent) toast.error("Failed to send voice message")
+    } finally {
+      setIsUploading(false)
+      setUploadProgress(0)
+    }
+  }
+
   const handleSendWink = async () => {
     if (sendingMessage || !recipient) return
 
@@ -511,6 +566,8 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
       return toast.error("Free accounts cannot send files. Upgrade to send files.")
     }
 
+    if (editingMessage) handleCancelEdit()
+
     if (fileInputRef.current) {
       fileInputRef.current.click()
     }
@@ -650,7 +707,7 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
       return <p className="message-content">Attachment unavailable</p>
     }
 
-    const isImage = metadata.fileType?.startsWith("image/")
+    const isImage = (metadata.fileType || metadata.mimeType)?.startsWith("image/")
 
     if (message.type === "system") {
       return (
@@ -664,7 +721,9 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
     return (
       <div className="file-message">
         {isImage ? (
-          <img
+          <ResponsiveImage
+            variants={metadata.variants}
+            size="card"
             src={metadata.fileUrl || "/placeholder.svg"}
             alt={metadata.fileName || "Image"}
             className="image-attachment"
@@ -823,17 +882,29 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
                 <div
                   key={message._id}
                   className={`message ${
-                    message.sender === user?._id ? "sent" : "received"
+                    message.sender === inboxUserId ? "sent" : "received"
                   } ${message.type === "system" ? "system-message" : ""} ${
                     message.error ? "error" : ""
                   } ${message.pending ? "pending" : ""}`}
                 >
+                  {message.sentByName && <span className="message-author">{message.sentByName}</span>}
                   {message.type === "text" && (
                     <>
                       <p className="message-content">{message.content}</p>
+                      <MessageEditHistory message={message} formatTime={formatMessageTime} />
                       <span className="message-time">
                         {formatMessageTime(message.createdAt)}
-                        {message.sender === user?._id && (
+                        {message.sender === inboxUserId && canEditMessage(message, user?._id) && editingMessage?._id !== message._id && (
+                          <button
+                            type="button"
+                            className="message-edit-button"
+                            onClick={() => handleStartEdit(message)}
+                            aria-label="Edit message"
+                          >
+                            <FaPen />
+                          </button>
+                        )}
+                        {message.sender === inboxUserId && (
                           message.pending ? (
                             <span className="pending-indicator">●</span>
                           ) : message.error ? (
@@ -865,6 +936,21 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
 
                   {message.type === "file" && renderFileMessage(message)}
 
+                  {message.type === "audio" && (
+                    <div className="voice-message">
+                      {message.attachment?.url ? (
+                        <VoicePlayer
+                          src={message.attachment.url}
+                          duration={message.attachment.metadata?.duration}
+                          peaks={message.attachment.metadata?.peaks}
+                        />
+                      ) : (
+                        <p className="message-content">{message.content}</p>
+                      )}
+                      <span className="message-time">{formatMessageTime(message.createdAt)}</span>
+                    </div>
+                  )}
+
                   {message.type === "system" && (
                     <div className="system-message-content">
                       <p>{message.content}</p>
@@ -925,6 +1011,16 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
         </div>
       )}
 
+      {editingMessage && (
+        <div className="editing-message-bar">
+          <FaPen />
+          <span className="editing-message-text">Editing: {editingMessage.content}</span>
+          <button type="button" onClick={handleCancelEdit} aria-label="Cancel editing">
+            <FaTimes />
+          </button>
+        </div>
+      )}
+
       <form className="message-input" onSubmit={handleSendMessage}>
         <button
           type="button"
@@ -991,6 +1087,12 @@ const EmbeddedChat = ({ recipient, isOpen, onClose, embedded = true }) => {
           accept="image/*,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,audio/mpeg,audio/wav,video/mp4,video/quicktime"
         />
 
+        <VoiceRecorder
+          onRecorded={handleVoiceRecorded}
+          disabled={sendingMessage || isUploading || user?.accountTier === "FREE"}
+          title={user?.accountTier === "FREE" ? "Upgrade to send voice messages" : "Hold to record a voice message"}
+        />
+
         <button
           type="button"
           className="input-wink"
@@ -128,6 +128,8 @@ export const Navbar = () => {
         return "sent you a message";
       case "like":
         return "liked your profile";
+      case "visit":
+        return "viewed your profile";
       case "photoRequest":
         return "requested access to your photo";
       case "photoResponse":
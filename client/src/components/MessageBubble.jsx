@@ -1,32 +1,96 @@
 "use client";
 
-import React from "react";
+import React, { useState } from "react";
 import {
   FaCheck,
   FaCheckDouble,
   FaFile,
   FaVideo,
   FaRegSmileBeam,
+  FaPen,
 } from "react-icons/fa";
+import VoicePlayer from "./VoicePlayer.jsx";
+import MessageEditHistory from "./MessageEditHistory.jsx";
+import { canEditMessage } from "../utils/index.js";
 
 /**
  * MessageBubble component
  *
  * Renders a single message bubble with content and time.
- * Supports different message types: text, wink, video, file, and system.
+ * Supports different message types: text, wink, video, file, audio (voice messages), and system.
  *
  * Props:
  * - message: The message object containing type, content, metadata, createdAt, read, etc.
- * - isOwn: Boolean indicating if the message was sent by the current user.
+ * - isOwn: Boolean indicating if the message was sent by the current user's inbox.
+ * - userId: ID of the logged-in account, which for a linked couple is one of the partners.
+ * - onEdit: Optional (messageId, content) => Promise; lets the sender edit their recent
+ *   text messages in place.
+ *
+ * Messages from a linked couple carry sentByName, the partner who wrote them. Edited
+ * messages are labelled, and either user can open their previous versions.
  */
-const MessageBubble = ({ message, isOwn }) => {
+const MessageBubble = ({ message, isOwn, userId, onEdit }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = () => {
+    setDraft(message.content);
+    setEditing(true);
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    const content = draft.trim();
+    if (!content || saving) return;
+    if (content === message.content) {
+      setEditing(false);
+      return;
+    }
+
+    setSaving(true);
+    const edited = await onEdit(message._id, content);
+    setSaving(false);
+    if (edited) setEditing(false);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setEditing(false);
+    } else if (e.key === "Enter" && !e.shiftKey) {
+      saveEdit(e);
+    }
+  };
+
   /**
    * Renders the content of the message based on its type.
    */
   const renderMessageContent = () => {
     switch (message.type) {
       case "text":
-        return <p className="message-content">{message.content}</p>;
+        return editing ? (
+          <form className="message-edit-form" onSubmit={saveEdit}>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleEditKeyDown}
+              maxLength={2000}
+              rows={2}
+              autoFocus
+              aria-label="Edit message"
+            />
+            <div className="message-edit-actions">
+              <button type="button" onClick={() => setEditing(false)} disabled={saving}>
+                Cancel
+              </button>
+              <button type="submit" disabled={saving || !draft.trim()}>
+                {saving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className="message-content">{message.content}</p>
+        );
       case "wink":
         return <p className="message-content">😉</p>;
       case "video":
@@ -45,6 +109,16 @@ const MessageBubble = ({ message, isOwn }) => {
             </span>
           </div>
         );
+      case "audio":
+        return message.attachment?.url ? (
+          <VoicePlayer
+            src={message.attachment.url}
+            duration={message.attachment.metadata?.duration}
+            peaks={message.attachment.metadata?.peaks}
+          />
+        ) : (
+          <p className="message-content">{message.content}</p>
+        );
       case "system":
         return <p className="system-message">{message.content}</p>;
       default:
@@ -62,9 +136,16 @@ const MessageBubble = ({ message, isOwn }) => {
 
   return (
     <div className={`message-bubble ${isOwn ? "own" : "received"}`}>
+      {message.sentByName && <span className="message-author">{message.sentByName}</span>}
       {renderMessageContent()}
+      <MessageEditHistory message={message} formatTime={formatTime} />
       <div className="message-info">
         <span className="message-time">{formatTime(message.createdAt)}</span>
+        {isOwn && onEdit && !editing && canEditMessage(message, userId) && (
+          <button type="button" className="message-edit-button" onClick={startEditing} aria-label="Edit message">
+            <FaPen />
+          </button>
+        )}
         {isOwn && (
           <span className="read-status">
             {message.read ? <FaCheckDouble /> : <FaCheck />}
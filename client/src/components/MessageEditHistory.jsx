@@ -0,0 +1,45 @@
+"use client";
+
+import { useState } from "react";
+
+/**
+ * MessageEditHistory shows the "edited" label of an edited message. Clicking it lists
+ * the previous versions, oldest first, with the time each one was replaced.
+ *
+ * Props:
+ * - message: The message, with isEdited and editHistory ([{ content, editedAt }]).
+ * - formatTime: Formats a timestamp for display.
+ */
+const MessageEditHistory = ({ message, formatTime }) => {
+  const [open, setOpen] = useState(false);
+
+  if (!message.isEdited) return null;
+  const versions = message.editHistory || [];
+
+  return (
+    <div className="message-edit-history">
+      <button
+        type="button"
+        className="message-edited"
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={versions.length === 0}
+        aria-expanded={open}
+        title={open ? "Hide previous versions" : "Show previous versions"}
+      >
+        edited
+      </button>
+      {open && (
+        <ol className="message-versions">
+          {versions.map((version, index) => (
+            <li key={version._id || index}>
+              <p>{version.content}</p>
+              <span className="message-version-time">Replaced {formatTime(version.editedAt)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default MessageEditHistory;
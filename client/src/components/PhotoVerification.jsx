@@ -0,0 +1,165 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { FaCamera, FaCheckCircle, FaHourglassHalf } from "react-icons/fa";
+import { toast } from "react-toastify";
+import settingsService from "../services/settingsService.jsx";
+import socketService from "../services/socketService.jsx";
+import { useChat } from "../context";
+
+/**
+ * PhotoVerification walks the user through getting the "Photo verified" badge.
+ *
+ * The server picks a random pose; the user takes a selfie doing it before the
+ * challenge expires, and a moderator compares it with their profile photos.
+ * Review results arrive live over the socket.
+ */
+const PhotoVerification = () => {
+  const { socketConnected } = useChat();
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Runs again once the socket connects, to attach the listener and catch up on a missed review
+  useEffect(() => {
+    settingsService
+      .getVerification()
+      .then(setStatus)
+      .catch(() => setStatus({ photoVerified: false, request: null }));
+
+    const handler = socketService.on("photoVerification", (request) => {
+      setStatus((prev) => ({ ...prev, photoVerified: request.status === "approved", request }));
+    });
+    return () => socketService.off("photoVerification", handler);
+  }, [socketConnected]);
+
+  const handleStart = async () => {
+    setBusy(true);
+    try {
+      const request = await settingsService.startVerification();
+      setStatus((prev) => ({ ...prev, request }));
+    } catch (error) {
+      toast.error(error.error || "Couldn't start verification");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSelfie = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setBusy(true);
+    try {
+      const request = await settingsService.submitVerificationSelfie(file);
+      setStatus((prev) => ({ ...prev, request }));
+      toast.success("Selfie sent for review");
+    } catch (error) {
+      toast.error(error.error || "Couldn't upload your selfie");
+      // The challenge may have expired meanwhile
+      settingsService.getVerification().then(setStatus).catch(() => {});
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status) return null;
+  const { photoVerified, request } = status;
+
+  let body;
+  if (photoVerified) {
+    body = (
+      <p className="verification-state verified">
+        <FaCheckCircle /> Your profile is photo verified
+      </p>
+    );
+  } else if (request?.status === "pending") {
+    body = (
+      <p className="verification-state">
+        <FaHourglassHalf /> Your selfie is waiting for a moderator. We&apos;ll let you know when it&apos;s reviewed.
+      </p>
+    );
+  } else if (request?.status === "challenged") {
+    body = (
+      <>
+        <p className="verification-pose">{request.pose}</p>
+        <p className="verification-hint">
+          Take a selfie doing this before {new Date(request.challengeExpiresAt).toLocaleTimeString()}. Make sure
+          your face is clearly visible.
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          capture="user"
+          className="d-none"
+          onChange={handleSelfie}
+        />
+        <button className="btn btn-primary" onClick={() => fileInputRef.current?.click()} disabled={busy}>
+          <FaCamera /> {busy ? "Uploading..." : "Upload selfie"}
+        </button>
+      </>
+    );
+  } else {
+    body = (
+      <>
+        {request?.status === "rejected" && (
+          <p className="verification-state rejected">
+            Your last selfie wasn&apos;t approved{request.rejectionReason ? `: ${request.rejectionReason}` : "."}
+          </p>
+        )}
+        <p className="verification-hint">
+          Verified profiles get a badge and show up for people who only want to see verified members. We&apos;ll
+          ask you to copy a pose in a selfie, which only our moderators see.
+        </p>
+        <button className="btn btn-primary" onClick={handleStart} disabled={busy}>
+          <FaCamera /> {request?.status === "rejected" ? "Try again" : "Verify my photos"}
+        </button>
+      </>
+    );
+  }
+
+  return (
+    <div className="photo-verification">
+      <h3>Photo Verification</h3>
+      {body}
+
+      <style>
+        {`
+          .photo-verification {
+            margin: 20px 0;
+            padding: 16px;
+            border: 1px solid var(--border-color, #ddd);
+            border-radius: 8px;
+          }
+          .photo-verification h3 {
+            margin-bottom: 8px;
+          }
+          .verification-state {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+          }
+          .verification-state.verified {
+            color: #1d9bf0;
+            font-weight: 600;
+          }
+          .verification-state.rejected {
+            color: var(--danger-color, #e74c3c);
+          }
+          .verification-pose {
+            font-size: 1.1rem;
+            font-weight: 600;
+          }
+          .verification-hint {
+            color: var(--text-secondary, #666);
+            font-size: 0.9rem;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default PhotoVerification;
@@ -0,0 +1,141 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { FaEye, FaLock } from "react-icons/fa";
+import visitorService from "../services/visitorService.jsx";
+import socketService from "../services/socketService.jsx";
+import { useChat } from "../context";
+import UserAvatar from "./UserAvatar.jsx";
+
+/**
+ * ProfileVisitors shows who viewed the user's profile recently.
+ *
+ * Premium tiers see the visitors; free accounts see how many there were, blurred,
+ * with a link to upgrade. New visits arrive over the socket and refresh the list.
+ */
+const ProfileVisitors = () => {
+  const { socketConnected } = useChat();
+  const [visitors, setVisitors] = useState(null);
+  const navigate = useNavigate();
+
+  const fetchVisitors = useCallback(async () => {
+    try {
+      setVisitors(await visitorService.getVisitors({ limit: 12 }));
+    } catch {
+      // Keep the last known list
+    }
+  }, []);
+
+  // socketConnected: attach the listener once the socket exists, and refresh after reconnecting
+  useEffect(() => {
+    fetchVisitors();
+    const handler = socketService.on("profileVisit", fetchVisitors);
+    return () => socketService.off("profileVisit", handler);
+  }, [fetchVisitors, socketConnected]);
+
+  if (!visitors) return null;
+  const { locked, total, data } = visitors;
+
+  return (
+    <div className="profile-visitors">
+      <h3>
+        <FaEye /> Who Viewed Me
+      </h3>
+
+      {total === 0 ? (
+        <p className="visitors-hint">No one has visited your profile lately.</p>
+      ) : locked ? (
+        <div className="visitors-locked">
+          <span className="visitors-count blurred">{total}</span>
+          <p className="visitors-hint">
+            <FaLock /> {total === 1 ? "Someone has" : "People have"} viewed your profile. Upgrade to see who.
+          </p>
+          <button className="btn btn-primary" onClick={() => navigate("/subscription")}>
+            Upgrade
+          </button>
+        </div>
+      ) : (
+        <ul className="visitors-list">
+          {data.map(({ user, visitedAt, visits }) => (
+            <li key={user._id} onClick={() => navigate(`/user/${user._id}`)}>
+              <UserAvatar
+                userId={user._id}
+                name={user.nickname}
+                photo={user.photos?.[0]}
+                size={48}
+                showStatus
+                isOnline={user.isOnline}
+              />
+              <div className="visitor-info">
+                <strong>{user.nickname}</strong>
+                <span>
+                  {visitedAt ? new Date(visitedAt).toLocaleDateString() : ""}
+                  {visits > 1 ? ` · ${visits} visits` : ""}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style>
+        {`
+          .profile-visitors {
+            margin: 20px 0;
+            padding: 16px;
+            border: 1px solid var(--border-color, #ddd);
+            border-radius: 8px;
+          }
+          .profile-visitors h3 {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+          }
+          .visitors-locked {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 12px;
+          }
+          .visitors-count.blurred {
+            font-size: 1.8rem;
+            font-weight: 700;
+            filter: blur(6px);
+            user-select: none;
+          }
+          .visitors-hint {
+            color: var(--text-secondary, #666);
+            font-size: 0.9rem;
+            margin: 0;
+          }
+          .visitors-list {
+            list-style: none;
+            padding: 0;
+            margin: 0;
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+            gap: 10px;
+          }
+          .visitors-list li {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            cursor: pointer;
+          }
+          .visitor-info {
+            display: flex;
+            flex-direction: column;
+            font-size: 0.85rem;
+          }
+          .visitor-info span {
+            color: var(--text-secondary, #666);
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default ProfileVisitors;
@@ -0,0 +1,39 @@
+"use client";
+
+import PropTypes from "prop-types";
+import { getMediaVariantUrl } from "../utils/index.js";
+
+/**
+ * ResponsiveImage renders an uploaded image at one of the sizes the server generated,
+ * as AVIF where the browser supports it and WebP otherwise. Images uploaded before
+ * sizes were generated fall back to `src`.
+ *
+ * Any other props go to the <img>, which is laid out as if there were no <picture>
+ * around it.
+ *
+ * @param {object} props
+ * @param {object} [props.variants] - Sized copies: { thumb, card, full } of { webp, avif }.
+ * @param {string} [props.size="full"] - Size to show: "thumb", "card" or "full".
+ * @param {string} props.src - Original image URL.
+ * @param {string} [props.alt=""] - Alternative text.
+ */
+const ResponsiveImage = ({ variants, size = "full", src, alt = "", ...imgProps }) => {
+  const avif = getMediaVariantUrl(variants, size, "avif");
+  const webp = getMediaVariantUrl(variants, size, "webp");
+
+  return (
+    <picture style={{ display: "contents" }}>
+      {avif && <source type="image/avif" srcSet={avif} />}
+      <img src={webp || src} alt={alt} {...imgProps} />
+    </picture>
+  );
+};
+
+ResponsiveImage.propTypes = {
+  variants: PropTypes.object,
+  size: PropTypes.oneOf(["thumb", "card", "full"]),
+  src: PropTypes.string,
+  alt: PropTypes.string,
+};
+
+export default ResponsiveImage;
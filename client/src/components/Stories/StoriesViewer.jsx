@@ -4,6 +4,7 @@ import { useState, useEffect, useRef, useCallback } from "react"
 import { useStories, useUser, useAuth } from "../../context"
 import { FaHeart, FaRegHeart, FaComment, FaShare, FaPlay, FaPause, FaVolumeUp, FaVolumeMute } from "react-icons/fa"
 import { toast } from "react-toastify"
+import ResponsiveImage from "../ResponsiveImage"
 import "../../styles/stories.css"
 
 const StoriesViewer = ({ storyId, userId, onClose }) => {
@@ -606,7 +607,9 @@ const StoriesViewer = ({ storyId, userId, onClose }) => {
           <div className="story-user-overlay">
             <span className="story-nickname">{getUserDisplayName()}</span>
           </div>
-          <img
+          <ResponsiveImage
+            variants={currentStory.mediaMetadata?.variants}
+            size="full"
             src={mediaUrl || "/placeholder.svg"}
             alt="Story"
             className="stories-media"
@@ -642,6 +645,7 @@ const StoriesViewer = ({ storyId, userId, onClose }) => {
           <video
             ref={videoRef}
             src={mediaUrl}
+            poster={currentStory.mediaMetadata?.poster}
             className="stories-media"
             autoPlay
             muted={muted}
@@ -1,27 +1,50 @@
 "use client";
 
-import { FaCrown, FaHeart, FaImage, FaInfoCircle } from "react-icons/fa";
+import { useEffect, useState } from "react";
+import { FaCrown, FaHeart, FaImage, FaInfoCircle, FaExclamationTriangle } from "react-icons/fa";
 import { useNavigate } from "react-router-dom";
-import { useAuth } from "../context";
+import { useAuth, useChat } from "../context";
+import socketService from "../services/socketService.jsx";
 
 /**
  * Production-ready SubscriptionStatus component with fixed image loading
  * and proper fallback handling.
  *
+ * Subscription changes pushed by the server (renewals, grace period, expiry)
+ * are applied live through the "subscriptionStatus" socket event.
+ *
  * @param {object} props
  * @param {boolean} [props.compact=false] - If true, renders a compact badge.
  */
 const SubscriptionStatus = ({ compact = false }) => {
   const { user } = useAuth();
+  const { socketConnected } = useChat();
   const navigate = useNavigate();
+  const [liveStatus, setLiveStatus] = useState(null);
+
+  // Registered again once the socket connects: it may not exist yet on the first render
+  useEffect(() => {
+    const handleStatus = (status) => setLiveStatus(status);
+    const handler = socketService.on("subscriptionStatus", handleStatus);
+    return () => socketService.off("subscriptionStatus", handler);
+  }, [socketConnected]);
 
   if (!user) return null;
 
+  // Latest pushed status wins over the user loaded at login
+  const accountTier = liveStatus?.accountTier ?? user.accountTier;
+  const subscription = liveStatus ?? {
+    ...user.subscription,
+    subscriptionExpiry: user.subscriptionExpiry,
+  };
+
   // Determine account tier status
-  const isFree = user.accountTier === "FREE";
-  const isPaid = user.accountTier === "PAID";
-  const isFemale = user.accountTier === "FEMALE";
-  const isCouple = user.accountTier === "COUPLE";
+  const isFree = accountTier === "FREE";
+  const isPaid = accountTier === "PAID";
+  const isFemale = accountTier === "FEMALE";
+  const isCouple = accountTier === "COUPLE";
+  const inGracePeriod = isPaid && subscription?.status === "grace";
+  const endsAt = isPaid && subscription?.cancelAtPeriodEnd ? subscription.subscriptionExpiry : null;
 
   // Calculate story cooldown for free accounts
   let storyCooldown = null;
@@ -151,6 +174,19 @@ const SubscriptionStatus = ({ compact = false }) => {
           </>
         ) : (
           <div className="premium-features">
+            {inGracePeriod && (
+              <p style={{ color: "var(--danger)", cursor: "pointer" }} onClick={() => navigate("/subscription")}>
+                <FaExclamationTriangle className="me-2" />
+                We couldn't renew your membership. Premium ends on{" "}
+                {new Date(subscription.graceEndsAt).toLocaleDateString()} unless payment goes through.
+              </p>
+            )}
+            {!inGracePeriod && endsAt && (
+              <p style={{ color: "var(--text-muted)" }}>
+                <FaInfoCircle className="me-2" />
+                Premium ends on {new Date(endsAt).toLocaleDateString()}.
+              </p>
+            )}
             <p>
               <FaInfoCircle className="me-2" />
               You have full access to all premium features:
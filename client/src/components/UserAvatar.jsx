@@ -3,6 +3,7 @@
 import { useState, useEffect } from "react";
 import PropTypes from "prop-types";
 import { normalizePhotoUrl } from "../utils/index.js";
+import ResponsiveImage from "./ResponsiveImage.jsx";
 
 /**
  * Production-ready UserAvatar component with fixed image loading
@@ -15,6 +16,7 @@ import { normalizePhotoUrl } from "../utils/index.js";
  * @param {string} [props.className=""] - Additional CSS classes.
  * @param {string} [props.alt="User Avatar"] - Alternative text for the image.
  * @param {string|null} [props.src=null] - Image source URL; if not provided, falls back to an API endpoint.
+ * @param {object|null} [props.photo=null] - User photo ({ url, metadata }); its thumb or card size is used instead of src.
  * @param {function|null} [props.onClick=null] - Optional click handler.
  * @param {boolean} [props.showStatus=false] - Whether to display an online status indicator.
  * @param {boolean} [props.isOnline=false] - Whether the user is online.
@@ -26,6 +28,7 @@ const UserAvatar = ({
   className = "",
   alt = "User Avatar",
   src = null,
+  photo = null,
   onClick = null,
   showStatus = false,
   isOnline = false,
@@ -88,10 +91,13 @@ const UserAvatar = ({
   // Reset image error state when src or userId changes.
   useEffect(() => {
     setImageError(false);
-  }, [src, userId]);
+  }, [src, photo, userId]);
 
-  // Use provided src if available, otherwise fall back to an avatar API endpoint.
-  const avatarUrl = src || (userId ? `/api/avatar/${userId}` : "/placeholder.svg");
+  // Use the photo or provided src if available, otherwise fall back to an avatar API endpoint.
+  const photoUrl = photo?.url ? normalizePhotoUrl(photo.url) : null;
+  const avatarUrl = photoUrl || src || (userId ? `/api/avatar/${userId}` : "/placeholder.svg");
+  // Thumbs are 160px; larger avatars need the card size to stay sharp on high-density screens
+  const variantSize = typeof size === "number" ? (size > 80 ? "card" : "thumb") : size === "xl" ? "card" : "thumb";
   const sizeStyle = typeof size === "number" ? { width: `${size}px`, height: `${size}px` } : {};
   const sizeClass = typeof size === "string" ? getSizeClass() : "";
 
@@ -102,7 +108,9 @@ const UserAvatar = ({
         style={sizeStyle}
       >
         {!imageError ? (
-          <img
+          <ResponsiveImage
+            variants={photo?.metadata?.variants}
+            size={variantSize}
             src={avatarUrl}
             alt={`${name}'s avatar`}
             className="w-full h-full object-cover rounded-full"
@@ -143,6 +151,7 @@ UserAvatar.propTypes = {
   className: PropTypes.string,
   alt: PropTypes.string,
   src: PropTypes.string,
+  photo: PropTypes.object,
   onClick: PropTypes.func,
   showStatus: PropTypes.bool,
   isOnline: PropTypes.bool,
@@ -7,10 +7,11 @@ import {
   ChatBubbleLeftIcon,
   UserIcon,
 } from "@heroicons/react/24/outline";
-import { HeartIcon as HeartIconSolid } from "@heroicons/react/24/solid";
+import { HeartIcon as HeartIconSolid, CheckBadgeIcon } from "@heroicons/react/24/solid";
 
 // Import the normalizePhotoUrl utility
 import { normalizePhotoUrl } from "../utils/index.js";
+import ResponsiveImage from "./ResponsiveImage.jsx";
 
 /**
  * Enhanced UserCard component with proper server integration.
@@ -81,6 +82,7 @@ const UserCard = ({ user, onLike, viewMode = "grid", onMessage }) => {
     const parts = [];
     if (user.details?.age) parts.push(`${user.details.age}`);
     if (user.details?.location) parts.push(user.details.location);
+    if (user.distance != null) parts.push(`${user.distance} km away`);
     if (user.details?.iAm) parts.push(`I am a ${user.details.iAm}`);
     return parts.join(" • ");
   };
@@ -102,7 +104,9 @@ const UserCard = ({ user, onLike, viewMode = "grid", onMessage }) => {
             </div>
           )}
           {!imageError ? (
-            <img
+            <ResponsiveImage
+              variants={user.photos?.[0]?.metadata?.variants}
+              size="card"
               src={getProfilePhotoUrl() || "/placeholder.svg"}
               alt={`${user.nickname || "User"}'s profile`}
               className="w-full h-full object-cover transition-all duration-500"
@@ -139,6 +143,13 @@ const UserCard = ({ user, onLike, viewMode = "grid", onMessage }) => {
               <h3 className="font-medium text-gray-900 dark:text-white text-lg tracking-tight">
                 {user.nickname || user.firstName}
                 {user.details?.age ? `, ${user.details.age}` : ""}
+                {user.photoVerified && (
+                  <CheckBadgeIcon
+                    className="inline-block h-5 w-5 ml-1 align-text-bottom text-blue-500"
+                    title="Photo verified"
+                    aria-label="Photo verified"
+                  />
+                )}
               </h3>
               <p className="text-sm text-gray-500 dark:text-gray-400 flex items-center">
                 {getSubtitle()}
@@ -200,7 +211,9 @@ const UserCard = ({ user, onLike, viewMode = "grid", onMessage }) => {
             </div>
           )}
           {!imageError ? (
-            <img
+            <ResponsiveImage
+              variants={user.photos?.[0]?.metadata?.variants}
+              size="card"
               src={getProfilePhotoUrl() || "/placeholder.svg"}
               alt={`${user.nickname || "User"}'s profile`}
               className="w-full h-full object-cover transition-all duration-500"
@@ -235,6 +248,13 @@ const UserCard = ({ user, onLike, viewMode = "grid", onMessage }) => {
               <h3 className="font-medium text-gray-900 dark:text-white text-lg">
                 {user.nickname || user.firstName}
                 {user.details?.age ? `, ${user.details.age}` : ""}
+                {user.photoVerified && (
+                  <CheckBadgeIcon
+                    className="inline-block h-5 w-5 ml-1 align-text-bottom text-blue-500"
+                    title="Photo verified"
+                    aria-label="Photo verified"
+                  />
+                )}
               </h3>
               <p className="text-sm text-gray-500 dark:text-gray-400">{getSubtitle()}</p>
             </div>
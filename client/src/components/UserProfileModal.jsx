@@ -22,6 +22,7 @@ import {
   FaTimes,
   FaEye,
   FaTimesCircle,
+  FaCheckCircle,
 } from "react-icons/fa"
 import { useParams, useNavigate } from "react-router-dom"
 import { useUser, useChat, useAuth, useStories } from "../context"
@@ -697,6 +698,11 @@ const UserProfileModal = ({ userId, isOpen, onClose }) => {
                   <h1>
                     {profileUser.nickname}, {profileUser.details?.age || "?"}
                   </h1>
+                  {profileUser.photoVerified && (
+                    <div className="verified-badge" title="This person's selfie was checked by our moderators">
+                      <FaCheckCircle /> Photo verified
+                    </div>
+                  )}
                   {profileUser.role === "premium" && (
                     <div className="premium-badge">
                       <FaTrophy /> Premium
@@ -0,0 +1,185 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { FaPause, FaPlay } from "react-icons/fa";
+
+const SPEEDS = [1, 1.5, 2];
+// Bars drawn when a message has no stored waveform
+const FLAT_WAVEFORM = Array(32).fill(0.3);
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * VoicePlayer plays a voice message inline.
+ *
+ * Props:
+ * - src: URL of the recording.
+ * - duration: Length in seconds, as measured by the server (the browser can't always
+ *   tell for streamed webm).
+ * - peaks: Waveform bars between 0 and 1; click or drag on them to seek.
+ */
+const VoicePlayer = ({ src, duration = 0, peaks }) => {
+  const audioRef = useRef(null);
+  const waveformRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [scrubbing, setScrubbing] = useState(false);
+
+  const bars = peaks?.length ? peaks : FLAT_WAVEFORM;
+  const progress = duration > 0 ? Math.min(currentTime / duration, 1) : 0;
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = speed;
+  }, [speed]);
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch(() => setPlaying(false));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const cycleSpeed = () => {
+    setSpeed((current) => SPEEDS[(SPEEDS.indexOf(current) + 1) % SPEEDS.length]);
+  };
+
+  // Seek to the position of a pointer over the waveform
+  const seekTo = (clientX) => {
+    const audio = audioRef.current;
+    const rect = waveformRef.current?.getBoundingClientRect();
+    if (!audio || !rect || !duration) return;
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    audio.currentTime = ratio * duration;
+    setCurrentTime(audio.currentTime);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setScrubbing(true);
+    seekTo(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (scrubbing) seekTo(e.clientX);
+  };
+
+  const handlePointerUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setScrubbing(false);
+  };
+
+  return (
+    <div className="voice-player">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => {
+          setPlaying(false);
+          setCurrentTime(0);
+        }}
+        onTimeUpdate={(e) => {
+          if (!scrubbing) setCurrentTime(e.currentTarget.currentTime);
+        }}
+      />
+
+      <button type="button" className="voice-play" onClick={togglePlay} aria-label={playing ? "Pause" : "Play"}>
+        {playing ? <FaPause /> : <FaPlay />}
+      </button>
+
+      <div
+        ref={waveformRef}
+        className="voice-waveform"
+        role="slider"
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration)}
+        aria-valuenow={Math.round(currentTime)}
+        tabIndex={0}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {bars.map((peak, i) => (
+          <span
+            key={i}
+            className={`voice-bar ${i / bars.length < progress ? "played" : ""}`}
+            style={{ height: `${Math.max(peak, 0.08) * 100}%` }}
+          />
+        ))}
+      </div>
+
+      <span className="voice-time">{formatDuration(playing || currentTime ? currentTime : duration)}</span>
+
+      <button type="button" className="voice-speed" onClick={cycleSpeed} aria-label="Playback speed">
+        {speed}x
+      </button>
+
+      <style>
+        {`
+          .voice-player {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            min-width: 220px;
+          }
+          .voice-play,
+          .voice-speed {
+            background: none;
+            border: none;
+            color: inherit;
+            cursor: pointer;
+            padding: 4px;
+          }
+          .voice-speed {
+            font-size: 0.75rem;
+            font-weight: 600;
+            min-width: 32px;
+            border-radius: 10px;
+            background: rgba(0, 0, 0, 0.08);
+          }
+          .voice-waveform {
+            flex: 1;
+            display: flex;
+            align-items: center;
+            gap: 2px;
+            height: 28px;
+            cursor: pointer;
+            touch-action: none;
+          }
+          .voice-bar {
+            flex: 1;
+            min-width: 2px;
+            border-radius: 1px;
+            background: currentColor;
+            opacity: 0.35;
+          }
+          .voice-bar.played {
+            opacity: 1;
+          }
+          .voice-time {
+            font-size: 0.75rem;
+            font-variant-numeric: tabular-nums;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default VoicePlayer;
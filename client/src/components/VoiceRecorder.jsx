@@ -0,0 +1,242 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { FaMicrophone } from "react-icons/fa";
+import { toast } from "react-toastify";
+import { formatDuration } from "./VoicePlayer.jsx";
+
+// Keep in sync with the server's VOICE_MESSAGE_MAX_SECONDS
+const MAX_SECONDS = 120;
+const MIN_SECONDS = 0.5;
+const WAVEFORM_PEAKS = 64;
+// First container the browser can record to (Safari only records mp4)
+const RECORDING_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/webm", "audio/mp4"];
+
+/**
+ * Measure a recording in the browser: its duration and waveform peaks.
+ * The server measures again when it can; this is what it falls back to.
+ * @param {Blob} blob
+ * @param {number} elapsed - Seconds the button was held, used if decoding fails
+ * @returns {Promise<{duration: number, peaks: number[]}>}
+ */
+const analyzeRecording = async (blob, elapsed) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return { duration: elapsed, peaks: [] };
+
+  const context = new AudioContextClass();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const samples = buffer.getChannelData(0);
+    const sliceSize = Math.max(1, Math.floor(samples.length / WAVEFORM_PEAKS));
+    const peaks = [];
+    for (let start = 0; start < samples.length && peaks.length < WAVEFORM_PEAKS; start += sliceSize) {
+      let peak = 0;
+      for (let i = start; i < Math.min(start + sliceSize, samples.length); i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      peaks.push(peak);
+    }
+    const loudest = Math.max(...peaks, 0);
+    return {
+      duration: buffer.duration,
+      peaks: peaks.map((peak) => (loudest ? Math.round((peak / loudest) * 100) / 100 : 0)),
+    };
+  } catch {
+    return { duration: elapsed, peaks: [] };
+  } finally {
+    context.close();
+  }
+};
+
+/**
+ * VoiceRecorder is a hold-to-record microphone button.
+ *
+ * Hold the button to record, release to send, or slide off the button before
+ * releasing to cancel. Recordings stop on their own after MAX_SECONDS.
+ *
+ * Props:
+ * - onRecorded(blob, { duration, peaks }): Called with a finished recording.
+ * - disabled: Disables the button (e.g. for free accounts or while sending).
+ * - title: Tooltip for the button.
+ */
+const VoiceRecorder = ({ onRecorded, disabled = false, title = "Hold to record a voice message" }) => {
+  const [recording, setRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const timerRef = useRef(null);
+  // Whether the recording should be sent once it stops, and whether the button is still held
+  const sendRef = useRef(false);
+  const holdingRef = useRef(false);
+  // The recording finishes asynchronously; send it with the latest handler
+  const onRecordedRef = useRef(onRecorded);
+  onRecordedRef.current = onRecorded;
+
+  const releaseMicrophone = () => {
+    clearInterval(timerRef.current);
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    recorderRef.current = null;
+    setRecording(false);
+    setElapsed(0);
+  };
+
+  useEffect(() => {
+    return () => {
+      sendRef.current = false;
+      if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+      releaseMicrophone();
+    };
+  }, []);
+
+  const stopRecording = (send) => {
+    sendRef.current = send;
+    if (recorderRef.current?.state === "recording") {
+      recorderRef.current.stop();
+    }
+  };
+
+  const startRecording = async () => {
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") {
+      toast.error("Voice messages aren't supported in this browser");
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+      toast.error("Allow microphone access to record voice messages");
+      return;
+    }
+    // Released while the browser was asking for the microphone
+    if (!holdingRef.current) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    chunksRef.current = [];
+    sendRef.current = false;
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunksRef.current.push(e.data);
+    };
+    recorder.onstop = async () => {
+      const seconds = (Date.now() - startedAtRef.current) / 1000;
+      const blob = new Blob(chunksRef.current, { type: recorder.mimeType || mimeType || "audio/webm" });
+      const send = sendRef.current;
+      releaseMicrophone();
+      if (!send) return;
+      if (seconds < MIN_SECONDS) {
+        toast.info("Hold the button to record a voice message");
+        return;
+      }
+      onRecordedRef.current(blob, await analyzeRecording(blob, seconds));
+    };
+
+    streamRef.current = stream;
+    recorderRef.current = recorder;
+    startedAtRef.current = Date.now();
+    recorder.start();
+    setRecording(true);
+
+    timerRef.current = setInterval(() => {
+      const seconds = (Date.now() - startedAtRef.current) / 1000;
+      setElapsed(seconds);
+      if (seconds >= MAX_SECONDS) stopRecording(true);
+    }, 200);
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || recording) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    holdingRef.current = true;
+    startRecording();
+  };
+
+  const handlePointerUp = (e) => {
+    if (!holdingRef.current) return;
+    holdingRef.current = false;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const onButton =
+      e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+    stopRecording(onButton);
+  };
+
+  const handlePointerCancel = () => {
+    holdingRef.current = false;
+    stopRecording(false);
+  };
+
+  return (
+    <div className={`voice-recorder ${recording ? "recording" : ""}`}>
+      {recording && (
+        <span className="voice-recorder-status">
+          <span className="voice-recorder-dot" /> {formatDuration(elapsed)} · release to send, slide off to cancel
+        </span>
+      )}
+      <button
+        type="button"
+        className="input-voice"
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onContextMenu={(e) => e.preventDefault()}
+        disabled={disabled}
+        title={title}
+        aria-label="Hold to record a voice message"
+      >
+        <FaMicrophone />
+      </button>
+
+      <style>
+        {`
+          .voice-recorder {
+            position: relative;
+            display: flex;
+            align-items: center;
+          }
+          .voice-recorder .input-voice {
+            background: none;
+            border: none;
+            cursor: pointer;
+            font-size: 1.2rem;
+            padding: 6px;
+            touch-action: none;
+            user-select: none;
+          }
+          .voice-recorder.recording .input-voice {
+            color: #e53935;
+            transform: scale(1.2);
+          }
+          .voice-recorder-status {
+            position: absolute;
+            bottom: 100%;
+            right: 0;
+            margin-bottom: 6px;
+            padding: 4px 8px;
+            border-radius: 12px;
+            background: rgba(0, 0, 0, 0.75);
+            color: #fff;
+            font-size: 0.75rem;
+            white-space: nowrap;
+          }
+          .voice-recorder-dot {
+            display: inline-block;
+            width: 8px;
+            height: 8px;
+            border-radius: 50%;
+            background: #e53935;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default VoiceRecorder;
@@ -211,6 +211,25 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * resendVerification: Sends a new verification email to the logged-in user.
+   */
+  const resendVerification = useCallback(async () => {
+    try {
+      const response = await apiService.post("/auth/resend-verification");
+      if (response.success) {
+        toast.success(response.message || "Verification email sent");
+        return response;
+      } else {
+        throw new Error(response.error || "Could not send verification email");
+      }
+    } catch (err) {
+      const errorMessage = err.error || err.message || "Could not send verification email";
+      toast.error(errorMessage);
+      throw err;
+    }
+  }, []);
+
   /**
    * login: Authenticates the user with provided credentials.
    */
@@ -254,6 +273,9 @@ export const AuthProvider = ({ children }) => {
               toast.success("Welcome back!");
             }
           }
+          if (response.restored) {
+            toast.info(response.message || "Your account deletion has been cancelled.");
+          }
           setIsAuthenticated(true);
           return response;
         } else {
@@ -470,6 +492,7 @@ export const AuthProvider = ({ children }) => {
     authChecked,
     register,
     verifyEmail,
+    resendVerification,
     login,
     logout,
     refreshToken,
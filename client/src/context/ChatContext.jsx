@@ -18,7 +18,10 @@ export const useChat = () => useContext(ChatContext)
  * typing indicators, and integration with socket and API services.
  */
 export const ChatProvider = ({ children }) => {
-  const { user, isAuthenticated } = useAuth()
+  const { user, isAuthenticated, getCurrentUser } = useAuth()
+
+  // A linked couple partner reads and writes in the couple profile's shared inbox
+  const inboxUserId = user?.couple?.role === "partner" && user.couple.partner ? user.couple.partner : user?._id
 
   // State variables
   const [messages, setMessages] = useState([])
@@ -69,7 +72,7 @@ export const ChatProvider = ({ children }) => {
         return
       }
 
-      const otherUserId = message.sender === user._id ? message.recipient : message.sender
+      const otherUserId = message.sender === inboxUserId ? message.recipient : message.sender
 
       if (!isValidObjectId(otherUserId)) {
         console.error(`Invalid otherUserId: ${otherUserId}`)
@@ -122,9 +125,22 @@ export const ChatProvider = ({ children }) => {
         }
       })
     },
-    [user, isValidObjectId]
+    [user, inboxUserId, isValidObjectId]
   )
 
+  /**
+   * Applies an edit to a message in state, and to the conversation it is the last message of.
+   */
+  const applyMessageEdit = useCallback((messageId, { content, isEdited, editHistory }) => {
+    const edited = (msg) => (msg && msg._id === messageId ? { ...msg, content, isEdited, editHistory } : msg)
+    setMessages((prev) => prev.map(edited))
+    setConversations((prev) =>
+      prev.map((conv) =>
+        conv.lastMessage?._id === messageId ? { ...conv, lastMessage: edited(conv.lastMessage) } : conv
+      )
+    )
+  }, [])
+
   /**
    * Marks messages as read locally and on the server.
    */
@@ -146,7 +162,7 @@ export const ChatProvider = ({ children }) => {
 
       // Notify socket that messages have been read
       socketService.socket?.emit("messageRead", {
-        reader: user._id,
+        reader: inboxUserId,
         sender: senderId,
         messageIds,
       })
@@ -161,7 +177,7 @@ export const ChatProvider = ({ children }) => {
       // Update unread counts
       setUnreadCounts((prev) => ({ ...prev, [senderId]: 0 }))
     },
-    [user, isValidObjectId]
+    [user, inboxUserId, isValidObjectId]
   )
 
   // -------------------------------------------------------------------------
@@ -194,6 +210,19 @@ export const ChatProvider = ({ children }) => {
     }
   }, [isAuthenticated, user])
 
+  // Follow connection changes as they happen, so components that depend on socketConnected
+  // (to register their own listeners once the socket exists) don't wait for the next check
+  useEffect(() => {
+    const handleConnected = () => setSocketConnected(true)
+    const handleDisconnected = () => setSocketConnected(false)
+    window.addEventListener("socketConnected", handleConnected)
+    window.addEventListener("socketDisconnected", handleDisconnected)
+    return () => {
+      window.removeEventListener("socketConnected", handleConnected)
+      window.removeEventListener("socketDisconnected", handleDisconnected)
+    }
+  }, [])
+
   // Initialize socket connection when authenticated
   useEffect(() => {
     if (!isAuthenticated || !user || !user._id) return
@@ -253,15 +282,15 @@ export const ChatProvider = ({ children }) => {
       })
 
       // Update unread count if the message is from someone else
-      if (message.sender !== user._id) {
+      if (message.sender !== inboxUserId) {
         setUnreadCounts((prev) => ({
           ...prev,
           [message.sender]: (prev[message.sender] || 0) + 1,
         }))
-
-        // Update conversations list
-        updateConversationsList(message)
       }
+
+      // Update conversations list (own messages arrive here when a linked partner wrote them)
+      updateConversationsList(message)
     }
 
     // Handle typing indicator
@@ -317,10 +346,10 @@ export const ChatProvider = ({ children }) => {
       }
 
       // Only update if someone else read your messages
-      if (data.reader !== user._id) {
+      if (data.reader !== inboxUserId) {
         setMessages((prev) =>
           prev.map((msg) =>
-            data.messageIds.includes(msg._id) && msg.sender === user._id
+            data.messageIds.includes(msg._id) && msg.sender === inboxUserId
               ? { ...msg, read: true }
               : msg
           )
@@ -328,6 +357,16 @@ export const ChatProvider = ({ children }) => {
       }
     }
 
+    // Handle edits, from either user of a conversation
+    const handleMessageEdited = (data) => {
+      if (!data || !data.messageId || typeof data.content !== "string") {
+        console.error("Invalid message edit data:", data)
+        return
+      }
+
+      applyMessageEdit(data.messageId, data)
+    }
+
     // Handle incoming call
     const handleIncomingCall = (callData) => {
       if (!callData || !callData.caller) {
@@ -401,16 +440,47 @@ export const ChatProvider = ({ children }) => {
       window.dispatchEvent(new CustomEvent("callRejected", { detail: data }))
     }
 
+    // Handle a new match
+    const handleMatch = (data) => {
+      if (!data || !data.user) return
+      toast.success(`It's a match with ${data.user.nickname || "someone"}!`)
+    }
+
+    // Handle the other user ending a match: their conversation disappears
+    const handleUnmatch = (data) => {
+      if (!data || !data.userId) return
+      setConversations((prev) => prev.filter((conv) => conv.user._id !== data.userId))
+      setUnreadCounts((prev) => {
+        const { [data.userId]: _removed, ...rest } = prev
+        return rest
+      })
+    }
+
+    // Linking or unlinking a partner account changes whose inbox this is;
+    // reload the user and reconnect so the server puts the socket in the right rooms
+    const handleCoupleChange = (message) => () => {
+      toast.info(message)
+      getCurrentUser()
+      socketService.reconnect()
+    }
+    const handleCoupleLinked = handleCoupleChange("Your accounts are now linked")
+    const handleCoupleUnlinked = handleCoupleChange("Your accounts have been unlinked")
+
     // Register event handlers with socket service
     eventHandlersRef.current.newMessage = socketService.on("newMessage", handleNewMessage)
     eventHandlersRef.current.userTyping = socketService.on("userTyping", handleUserTyping)
     eventHandlersRef.current.userOnline = socketService.on("userOnline", handleUserOnline)
     eventHandlersRef.current.userOffline = socketService.on("userOffline", handleUserOffline)
     eventHandlersRef.current.messagesRead = socketService.on("messagesRead", handleMessagesRead)
+    eventHandlersRef.current.messageEdited = socketService.on("messageEdited", handleMessageEdited)
     eventHandlersRef.current.incomingCall = socketService.on("incomingCall", handleIncomingCall)
     eventHandlersRef.current.callAnswered = socketService.on("callAnswered", handleCallAnswered)
     eventHandlersRef.current.callEnded = socketService.on("callEnded", handleCallEnded)
     eventHandlersRef.current.callRejected = socketService.on("callRejected", handleCallRejected)
+    eventHandlersRef.current.match = socketService.on("match", handleMatch)
+    eventHandlersRef.current.unmatch = socketService.on("unmatch", handleUnmatch)
+    eventHandlersRef.current.coupleLinked = socketService.on("coupleLinked", handleCoupleLinked)
+    eventHandlersRef.current.coupleUnlinked = socketService.on("coupleUnlinked", handleCoupleUnlinked)
 
     // Cleanup when component unmounts or deps change
     return () => {
@@ -419,7 +489,7 @@ export const ChatProvider = ({ children }) => {
         if (handler) socketService.off(event, handler)
       })
     }
-  }, [isAuthenticated, user, updateConversationsList, isValidObjectId])
+  }, [isAuthenticated, user, inboxUserId, getCurrentUser, updateConversationsList, applyMessageEdit, isValidObjectId])
 
   // -------------------------------------------------------------------------
   // Chat Functions
@@ -456,7 +526,7 @@ export const ChatProvider = ({ children }) => {
 
           // Find unread messages received by current user
           const unread = sorted.filter(
-            (msg) => msg.recipient === user._id && !msg.read
+            (msg) => msg.recipient === inboxUserId && !msg.read
           )
 
           // Mark unread messages as read
@@ -482,7 +552,7 @@ export const ChatProvider = ({ children }) => {
         setLoading(false)
       }
     },
-    [user, markMessagesAsRead, isValidObjectId]
+    [user, inboxUserId, markMessagesAsRead, isValidObjectId]
   )
 
   /**
@@ -562,10 +632,14 @@ export const ChatProvider = ({ children }) => {
         "image/jpeg", "image/jpg", "image/png", "image/gif",
         "application/pdf", "application/msword",
         "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-        "text/plain", "audio/mpeg", "audio/wav", "video/mp4", "video/quicktime",
+        "text/plain", "audio/mpeg", "audio/wav", "audio/webm", "audio/ogg", "audio/mp4",
+        "video/mp4", "video/quicktime",
       ]
 
-      if (!allowedTypes.includes(file.type)) {
+      // Recordings report codecs too, e.g. "audio/webm;codecs=opus"
+      const fileType = file.type.split(";")[0]
+
+      if (!allowedTypes.includes(fileType)) {
         const errMsg = "File type not supported."
         setError(errMsg)
         console.error(errMsg)
@@ -653,7 +727,7 @@ export const ChatProvider = ({ children }) => {
         // Create a temporary message object for optimistic UI update
         const tempMessage = {
           _id: clientMessageId,
-          sender: user._id,
+          sender: inboxUserId,
           recipient: recipientId,
           type,
           content,
@@ -736,7 +810,7 @@ export const ChatProvider = ({ children }) => {
         setSending(false)
       }
     },
-    [user, updateConversationsList, isValidObjectId]
+    [user, inboxUserId, updateConversationsList, isValidObjectId]
   )
 
   /**
@@ -776,6 +850,98 @@ export const ChatProvider = ({ children }) => {
     [user, uploadFile, sendMessage]
   )
 
+  /**
+   * Sends a recorded voice message. The server validates and transcodes the
+   * recording, stores the message and delivers it to the recipient.
+   */
+  const sendVoiceMessage = useCallback(
+    async (recipientId, blob, { duration, peaks } = {}, onProgress = null) => {
+      if (!user || !recipientId || !blob) {
+        setError("Cannot send voice message: Missing user, recipient, or recording")
+        return null
+      }
+
+      if (!isValidObjectId(recipientId)) {
+        const errMsg = `Invalid recipient ID format: ${recipientId}`
+        setError(errMsg)
+        console.error(errMsg)
+        return null
+      }
+
+      setUploading(true)
+      setError(null)
+
+      try {
+        const extension = blob.type.includes("mp4") ? "m4a" : blob.type.includes("ogg") ? "ogg" : "webm"
+        const formData = new FormData()
+        formData.append("file", blob, `voice-message.${extension}`)
+        formData.append("recipient", recipientId)
+        if (duration) formData.append("duration", String(duration))
+        if (peaks?.length) formData.append("peaks", JSON.stringify(peaks))
+
+        const response = await apiService.upload("/messages/voice", formData, onProgress)
+        if (!response.success) {
+          throw new Error(response.error || "Failed to send voice message")
+        }
+
+        const newMsg = response.data
+        setMessages((prev) => {
+          if (prev.some((m) => m._id === newMsg._id)) return prev
+          return [...prev, newMsg].sort((a, b) =>
+            new Date(a.createdAt) - new Date(b.createdAt)
+          )
+        })
+        updateConversationsList(newMsg)
+        return newMsg
+      } catch (err) {
+        const errMsg = err.error || err.message || "Failed to send voice message"
+        setError(errMsg)
+        console.error("Send voice message error:", err)
+        return null
+      } finally {
+        setUploading(false)
+      }
+    },
+    [user, updateConversationsList, isValidObjectId]
+  )
+
+  /**
+   * Edits one of your text messages. The server only accepts edits for a short
+   * while after sending, keeps the previous versions and tells both users.
+   * @param {string} messageId - ID of a stored message
+   * @param {string} content - New text
+   * @returns {Promise<object|null>} The edited message, or null on failure
+   */
+  const editMessage = useCallback(
+    async (messageId, content) => {
+      if (!isValidObjectId(messageId)) {
+        setError("This message can't be edited yet")
+        return null
+      }
+
+      if (!content || content.trim().length === 0) {
+        setError("Message content is required")
+        return null
+      }
+
+      try {
+        const response = await apiService.put(`/messages/${messageId}`, { content })
+        if (!response.success) {
+          throw new Error(response.error || "Failed to edit message")
+        }
+
+        applyMessageEdit(messageId, response.data)
+        return response.data
+      } catch (err) {
+        const errMsg = err.error || err.message || "Failed to edit message"
+        setError(errMsg)
+        toast.error(errMsg)
+        return null
+      }
+    },
+    [applyMessageEdit, isValidObjectId]
+  )
+
   /**
    * Sends a typing indicator.
    */
@@ -903,6 +1069,41 @@ export const ChatProvider = ({ children }) => {
     [user, setError, isValidObjectId]
   )
 
+  /**
+   * Ends the match with a user and removes the conversation with them.
+   * @param {string} userId - The matched user's ID
+   * @returns {Promise<boolean>} Whether the unmatch succeeded
+   */
+  const unmatchUser = useCallback(
+    async (userId) => {
+      if (!isValidObjectId(userId)) {
+        setError("Invalid user ID")
+        return false
+      }
+
+      try {
+        const response = await apiService.delete(`/users/${userId}/match`)
+        if (!response.success) {
+          throw new Error(response.error || "Failed to unmatch")
+        }
+
+        setConversations((prev) => prev.filter((conv) => conv.user._id !== userId))
+        setUnreadCounts((prev) => {
+          const { [userId]: _removed, ...rest } = prev
+          return rest
+        })
+        setMessages((prev) => prev.filter((m) => m.sender !== userId && m.recipient !== userId))
+        return true
+      } catch (err) {
+        const errMsg = err.error || err.message || "Failed to unmatch"
+        setError(errMsg)
+        toast.error(errMsg)
+        return false
+      }
+    },
+    [isValidObjectId]
+  )
+
   /**
    * Gets the total number of unread messages.
    */
@@ -953,6 +1154,8 @@ export const ChatProvider = ({ children }) => {
     getConversations,
     sendMessage,
     sendFileMessage,
+    sendVoiceMessage,
+    editMessage,
     uploadFile,
     sendTyping,
     markMessagesAsRead,
@@ -964,6 +1167,8 @@ export const ChatProvider = ({ children }) => {
     activeCall,
     callStatus,
     endCall,
+    unmatchUser,
+    inboxUserId,
     localPeerId,
     remotePeerId,
   }
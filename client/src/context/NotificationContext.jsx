@@ -74,6 +74,7 @@ export const NotificationProvider = ({ children }) => {
             socket.off("photo_permission_request")
             socket.off("photo_permission_response")
             socket.off("new_comment")
+            socket.off("profileVisit")
             socket.off("notification")
           }
         }
@@ -119,11 +119,16 @@ export const UserProvider = ({ children }) => {
   // Ref to store the debounce timeout ID for getUsers
   const debounceTimeoutRef = useRef(null);
 
+  // Query params (e.g. { radius }) of the last getUsers call, reused by plain refreshes
+  const usersParamsRef = useRef({});
+
   // getUsers function: fetches all users and updates state
-  const getUsers = useCallback(async () => {
+  // Called without params it repeats the last query, so refreshes keep the active filters.
+  const getUsers = useCallback(async (params) => {
+    if (params) usersParamsRef.current = params;
     dispatch({ type: "SET_LOADING", payload: true });
     try {
-      const data = await apiService.get("/users");
+      const data = await apiService.get("/users", usersParamsRef.current);
       if (data.success) {
         dispatch({ type: "GET_USERS", payload: data.data });
         return data.data;
@@ -131,6 +136,8 @@ export const UserProvider = ({ children }) => {
         throw new Error(data.error || "Failed to fetch users");
       }
     } catch (err) {
+      // A distance search needs a location on the profile; fall back to everyone
+      if (err.code === "LOCATION_REQUIRED") usersParamsRef.current = {};
       const errorMsg = err.error || err.message || "Failed to fetch users";
       dispatch({ type: "USER_ERROR", payload: errorMsg });
       return [];
@@ -1,7 +1,7 @@
 "use client";
 
-import React, { useState, useEffect, useCallback, useMemo } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import {
   FaSearch,
   FaHeart,
@@ -10,8 +10,12 @@ import {
   FaComments,
   FaThLarge,
   FaList,
+  FaClone,
+  FaTimes,
   FaFilter,
   FaPlus,
+  FaInfoCircle,
+  FaCheckCircle,
 } from "react-icons/fa";
 import { toast } from "react-toastify";
 import { useAuth, useUser, useChat, useStories } from "../context";
@@ -21,10 +25,57 @@ import StoriesCarousel from "../components/Stories/StoriesCarousel";
 import StoriesViewer from "../components/Stories/StoriesViewer";
 import StoryCreator from "../components/Stories/StoryCreator";
 import UserProfileModal from "../components/UserProfileModal";
+import BoostButton from "../components/BoostButton";
+import DiscoveryDeck from "../components/DiscoveryDeck";
+import settingsService from "../services/settingsService.jsx";
+import deckService from "../services/deckService.jsx";
+import savedSearchService from "../services/savedSearchService.jsx";
+
+// Largest radius on the distance slider; the end of the slider means "any distance".
+const MAX_DISTANCE_KM = 200;
+
+// Filters before the user's discovery preferences have loaded (or when they have none).
+const DEFAULT_FILTERS = {
+  ageMin: 18,
+  ageMax: 99,
+  distance: null, // km; null = any distance
+  online: false,
+  verified: false,
+  withPhotos: false,
+  interests: [],
+};
+
+// Starting filters from the user's partner preferences (Settings > Discovery).
+const filtersFromPreferences = (preferences) => ({
+  ...DEFAULT_FILTERS,
+  ageMin: Math.min(preferences.ageMin ?? DEFAULT_FILTERS.ageMin, DEFAULT_FILTERS.ageMax),
+  ageMax: Math.min(preferences.ageMax ?? DEFAULT_FILTERS.ageMax, DEFAULT_FILTERS.ageMax),
+  distance: preferences.maxDistanceKm ?? null,
+  withPhotos: Boolean(preferences.photosOnly),
+});
+
+// Labels for the compatibility breakdown returned with each discovered user.
+const SCORE_FACTOR_LABELS = {
+  orientation: "Looking for each other",
+  tags: "Shared tags",
+  age: "Age",
+  distance: "Distance",
+  activity: "Activity",
+};
+
+// Tooltip explaining a compatibility score ("why you're seeing this").
+const describeCompatibility = ({ score, breakdown, reasons }) =>
+  [
+    `Why you're seeing this (${score}% match):`,
+    ...reasons.map((reason) => `• ${reason}`),
+    "",
+    ...Object.entries(breakdown).map(([factor, points]) => `${SCORE_FACTOR_LABELS[factor] || factor}: ${points} pts`),
+  ].join("\n");
 
 // Production–ready Dashboard page component.
 const Dashboard = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user } = useAuth();
   const { users, getUsers, loading } = useUser();
   const { unreadMessages } = useChat();
@@ -34,18 +85,13 @@ const Dashboard = () => {
   // Local state for filters, view toggles and modals.
   const [activeTab, setActiveTab] = useState("discover");
   const [showFilters, setShowFilters] = useState(false);
-  const [filterValues, setFilterValues] = useState({
-    ageMin: 18,
-    ageMax: 99,
-    distance: 100,
-    online: false,
-    verified: false,
-    withPhotos: false,
-    interests: [],
-  });
+  const [filterValues, setFilterValues] = useState(DEFAULT_FILTERS);
+  const [preferenceFilters, setPreferenceFilters] = useState(DEFAULT_FILTERS);
   const [chatUser, setChatUser] = useState(null);
   const [showChat, setShowChat] = useState(false);
-  const [viewMode, setViewMode] = useState("grid"); // "grid" or "list"
+  const [viewMode, setViewMode] = useState("grid"); // "grid", "list" or "deck"
+  const [passedIds, setPassedIds] = useState([]);
+  const [sortMode, setSortMode] = useState("recommended"); // "recommended" or "active"
   const [imageLoadErrors, setImageLoadErrors] = useState({});
   const [showStoryCreator, setShowStoryCreator] = useState(false);
   const [viewingStoryId, setViewingStoryId] = useState(null);
@@ -68,10 +114,50 @@ const Dashboard = () => {
     "Art",
   ];
 
-  // Fetch users on mount and set up refresh interval when page is visible.
+  // Start the filters from the user's discovery preferences.
+  useEffect(() => {
+    settingsService
+      .getPreferences()
+      .then((preferences) => {
+        const filters = filtersFromPreferences(preferences);
+        setPreferenceFilters(filters);
+        setFilterValues(filters);
+      })
+      .catch(() => {
+        // The server still applies the preferences; the filters just start empty
+      });
+  }, []);
+
+  // The server applies the preferences by default; age and distance are only sent
+  // once the user moves them away from the preferences.
+  const { ageMin, ageMax, distance, verified } = filterValues;
+  const filtersChanged =
+    ageMin !== preferenceFilters.ageMin ||
+    ageMax !== preferenceFilters.ageMax ||
+    distance !== preferenceFilters.distance;
+  const discoveryParams = JSON.stringify({
+    sort: sortMode,
+    ...(verified ? { verified: true } : {}),
+    ...(filtersChanged
+      ? {
+          minAge: ageMin,
+          ...(ageMax < DEFAULT_FILTERS.ageMax ? { maxAge: ageMax } : {}),
+          radius: distance ?? "any",
+        }
+      : {}),
+  });
+
+  // Fetch users when the sort or server-side filters change, waiting for the sliders to settle.
+  const isFirstFetch = useRef(true);
   useEffect(() => {
-    getUsers();
+    const delay = isFirstFetch.current ? 0 : 400;
+    isFirstFetch.current = false;
+    const timeout = setTimeout(() => getUsers(JSON.parse(discoveryParams)), delay);
+    return () => clearTimeout(timeout);
+  }, [discoveryParams, getUsers]);
 
+  // Set up refresh interval when page is visible.
+  useEffect(() => {
     const refreshInterval = setInterval(() => {
       if (document.visibilityState === "visible") {
         getUsers();
@@ -94,10 +180,24 @@ const Dashboard = () => {
     };
   }, [getUsers]);
 
+  // Handle the return from the boost checkout page.
+  useEffect(() => {
+    const boostResult = searchParams.get("boost");
+    if (!boostResult) return;
+
+    if (boostResult === "purchased") {
+      toast.success("Payment received - your boost is ready to use!");
+    } else if (boostResult === "canceled") {
+      toast.info("Checkout canceled. You have not been charged.");
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
   // Filter users based on filter values.
   const filteredUsers = useMemo(() => {
     return users.filter((u) => {
       if (u._id === user?._id) return false;
+      if (passedIds.includes(u._id)) return false;
       const userAge = u.details?.age || 25;
       if (userAge < filterValues.ageMin || userAge > filterValues.ageMax) return false;
       if (filterValues.online && !u.isOnline) return false;
@@ -109,16 +209,21 @@ const Dashboard = () => {
       }
       return true;
     });
-  }, [users, user, filterValues]);
+  }, [users, user, filterValues, passedIds]);
 
-  // Sort filtered users: online first, then by last active.
+  // Sort filtered users: boosted profiles first, then online, then by last active.
+  // Recommended results keep the server's ranking.
   const sortedUsers = useMemo(() => {
+    if (sortMode === "recommended") return filteredUsers;
+    const now = Date.now();
+    const isBoosted = (u) => Boolean(u.boostedUntil) && new Date(u.boostedUntil).getTime() > now;
     return [...filteredUsers].sort((a, b) => {
+      if (isBoosted(a) !== isBoosted(b)) return isBoosted(a) ? -1 : 1;
       if (a.isOnline && !b.isOnline) return -1;
       if (!a.isOnline && b.isOnline) return 1;
       return new Date(b.lastActive) - new Date(a.lastActive);
     });
-  }, [filteredUsers]);
+  }, [filteredUsers, sortMode]);
 
   // Toggle an interest in the filter.
   const toggleInterest = useCallback((interest) => {
@@ -179,18 +284,29 @@ const Dashboard = () => {
     [createStory, creatingStory]
   );
 
-  // Reset filter values.
+  // Reset filter values to the user's discovery preferences.
   const resetFilters = useCallback(() => {
-    setFilterValues({
-      ageMin: 18,
-      ageMax: 99,
-      distance: 100,
-      online: false,
-      verified: false,
-      withPhotos: false,
-      interests: [],
-    });
-  }, []);
+    setFilterValues(preferenceFilters);
+  }, [preferenceFilters]);
+
+  // Save the current filters as a search with daily alerts for new matching profiles.
+  const handleSaveSearch = useCallback(async () => {
+    const name = window.prompt("Name this search", "My search");
+    if (!name?.trim()) return;
+    const filters = {
+      minAge: filterValues.ageMin,
+      ...(filterValues.ageMax < DEFAULT_FILTERS.ageMax ? { maxAge: filterValues.ageMax } : {}),
+      radius: filterValues.distance ?? "any",
+      online: filterValues.online,
+      verified: filterValues.verified,
+      interests: filterValues.interests,
+    };
+    try {
+      await savedSearchService.create({ name: name.trim(), filters, alertFrequency: "daily" });
+    } catch {
+      // savedSearchService already shows the error
+    }
+  }, [filterValues]);
 
   // Like or unlike a user.
   const handleLikeUser = useCallback(
@@ -205,6 +321,17 @@ const Dashboard = () => {
     [isUserLiked, likeUser, unlikeUser]
   );
 
+  // Pass on a user: hide them here; the server keeps them out of discovery until the pass expires.
+  const handlePassUser = useCallback((e, passedUser) => {
+    e.stopPropagation();
+    deckService
+      .pass(passedUser._id)
+      .then(() => setPassedIds((prev) => [...prev, passedUser._id]))
+      .catch(() => {
+        // deckService already shows the error
+      });
+  }, []);
+
   // Helpers to check unread messages from a user.
   const hasUnreadMessagesFrom = useCallback(
     (userId) =>
@@ -255,6 +382,16 @@ const Dashboard = () => {
               {activeTab === "discover" ? "Discover People" : "Your Matches"}
             </h1>
             <div className="content-actions d-flex align-items-center gap-2">
+              <BoostButton />
+              <select
+                className="sort-select"
+                value={sortMode}
+                onChange={(e) => setSortMode(e.target.value)}
+                aria-label="Sort people"
+              >
+                <option value="recommended">Recommended</option>
+                <option value="active">Recently active</option>
+              </select>
               <div className="view-toggle d-none d-md-flex">
                 <button
                   className={`view-toggle-btn ${viewMode === "grid" ? "active" : ""}`}
@@ -272,6 +409,14 @@ const Dashboard = () => {
                 >
                   <FaList />
                 </button>
+                <button
+                  className={`view-toggle-btn ${viewMode === "deck" ? "active" : ""}`}
+                  onClick={() => setViewMode("deck")}
+                  title="Deck View"
+                  aria-label="Deck view"
+                >
+                  <FaClone />
+                </button>
               </div>
               <div
                 className={`filter-button d-flex ${showFilters ? "active" : ""}`}
@@ -335,22 +480,30 @@ const Dashboard = () => {
                 <div className="filter-options">
                   <div className="range-slider">
                     <div className="range-value">
-                      <span>{filterValues.distance} km</span>
+                      <span>{filterValues.distance ? `${filterValues.distance} km` : "Any distance"}</span>
                     </div>
                     <input
                       type="range"
                       min="5"
-                      max="100"
-                      value={filterValues.distance}
-                      onChange={(e) =>
+                      max={MAX_DISTANCE_KM}
+                      step="5"
+                      value={filterValues.distance ?? MAX_DISTANCE_KM}
+                      onChange={(e) => {
+                        const distance = Number.parseInt(e.target.value, 10);
                         setFilterValues({
                           ...filterValues,
-                          distance: Number.parseInt(e.target.value, 10),
-                        })
-                      }
+                          distance: distance >= MAX_DISTANCE_KM ? null : distance,
+                        });
+                      }}
                       className="range-input"
                       aria-label="Maximum distance"
+                      disabled={!user?.details?.location}
                     />
+                    {!user?.details?.location && (
+                      <small className="text-muted d-block mt-1">
+                        Add your city to your profile to filter by distance
+                      </small>
+                    )}
                   </div>
                 </div>
               </div>
@@ -421,6 +574,14 @@ const Dashboard = () => {
                 </div>
               </div>
 
+              <small className="text-muted d-block">
+                Filters start from your{" "}
+                <button className="btn btn-link p-0 align-baseline" onClick={() => navigate("/settings")}>
+                  discovery preferences
+                </button>
+                ; Reset goes back to them.
+              </small>
+
               <div className="filter-actions">
                 <button
                   className="btn btn-outline"
@@ -429,6 +590,14 @@ const Dashboard = () => {
                 >
                   Reset
                 </button>
+                <button
+                  className="btn btn-outline"
+                  onClick={handleSaveSearch}
+                  title="Get alerts when new people match these filters"
+                  aria-label="Save search"
+                >
+                  Save Search
+                </button>
                 <button
                   className="btn btn-primary"
                   onClick={() => setShowFilters(false)}
@@ -441,127 +610,152 @@ const Dashboard = () => {
           )}
 
           {/* Users Grid/List */}
-          <div className={`users-${viewMode} mt-4 animate-fade-in`}>
-            {loading ? (
-              <div className="loading-container">
-                <div className="spinner spinner-dark"></div>
-                <p className="loading-text">Loading users...</p>
-              </div>
-            ) : sortedUsers.length > 0 ? (
-              sortedUsers.map((matchedUser) => (
-                <div
-                  key={matchedUser._id}
-                  className="user-card"
-                  onClick={() => handleUserCardClick(matchedUser._id)}
-                >
-                  <div className="user-card-photo">
-                    {matchedUser.photos && matchedUser.photos.length > 0 ? (
-                      <>
-                        <img
-                          src={matchedUser.photos[0].url || "/placeholder.svg"}
-                          alt={matchedUser.nickname}
-                          onError={() => setImageLoadErrors((prev) => ({
-                            ...prev,
-                            [matchedUser._id]: true,
-                          }))}
-                          style={{
-                            display: imageLoadErrors[matchedUser._id]
-                              ? "none"
-                              : "block",
-                          }}
-                        />
-                        {imageLoadErrors[matchedUser._id] && (
-                          <div className="avatar-placeholder">
-                            <FaUserCircle />
-                          </div>
-                        )}
-                      </>
-                    ) : (
-                      <div className="avatar-placeholder">
-                        <FaUserCircle />
-                      </div>
-                    )}
-                    {matchedUser.isOnline && (
-                      <div className="online-indicator"></div>
-                    )}
-                  </div>
-                  <div className="user-card-info">
-                    <div className="d-flex justify-content-between align-items-center">
-                      <h3>
-                        {matchedUser.nickname}, {matchedUser.details?.age || "?"}
-                      </h3>
-                      {unreadMessages &&
-                        unreadMessages.some((msg) => msg.sender === matchedUser._id) && (
-                          <span className="unread-badge">
-                            {unreadMessages.filter((msg) => msg.sender === matchedUser._id).length}
-                          </span>
-                        )}
+          {viewMode === "deck" ? (
+            <div className="mt-4 animate-fade-in">
+              <DiscoveryDeck onOpenProfile={handleUserCardClick} />
+            </div>
+          ) : (
+            <div className={`users-${viewMode} mt-4 animate-fade-in`}>
+              {loading ? (
+                <div className="loading-container">
+                  <div className="spinner spinner-dark"></div>
+                  <p className="loading-text">Loading users...</p>
+                </div>
+              ) : sortedUsers.length > 0 ? (
+                sortedUsers.map((matchedUser) => (
+                  <div
+                    key={matchedUser._id}
+                    className="user-card"
+                    onClick={() => handleUserCardClick(matchedUser._id)}
+                  >
+                    <div className="user-card-photo">
+                      {matchedUser.photos && matchedUser.photos.length > 0 ? (
+                        <>
+                          <img
+                            src={matchedUser.photos[0].url || "/placeholder.svg"}
+                            alt={matchedUser.nickname}
+                            onError={() => setImageLoadErrors((prev) => ({
+                              ...prev,
+                              [matchedUser._id]: true,
+                            }))}
+                            style={{
+                              display: imageLoadErrors[matchedUser._id]
+                                ? "none"
+                                : "block",
+                            }}
+                          />
+                          {imageLoadErrors[matchedUser._id] && (
+                            <div className="avatar-placeholder">
+                              <FaUserCircle />
+                            </div>
+                          )}
+                        </>
+                      ) : (
+                        <div className="avatar-placeholder">
+                          <FaUserCircle />
+                        </div>
+                      )}
+                      {matchedUser.isOnline && (
+                        <div className="online-indicator"></div>
+                      )}
                     </div>
-                    <p className="location">
-                      <FaMapMarkerAlt className="location-icon" />
-                      {matchedUser.details?.location || "Unknown location"}
-                    </p>
-                    {matchedUser.details?.interests &&
-                      matchedUser.details.interests.length > 0 && (
-                        <div className="user-interests">
-                          {matchedUser.details.interests.slice(0, 3).map((interest, idx) => (
-                            <span key={idx} className="interest-tag">
-                              {interest}
-                            </span>
-                          ))}
-                          {matchedUser.details.interests.length > 3 && (
-                            <span className="interest-more">
-                              +{matchedUser.details.interests.length - 3}
+                    <div className="user-card-info">
+                      <div className="d-flex justify-content-between align-items-center">
+                        <h3>
+                          {matchedUser.nickname}, {matchedUser.details?.age || "?"}
+                          {matchedUser.photoVerified && (
+                            <FaCheckCircle className="verified-icon" title="Photo verified" aria-label="Photo verified" />
+                          )}
+                        </h3>
+                        {unreadMessages &&
+                          unreadMessages.some((msg) => msg.sender === matchedUser._id) && (
+                            <span className="unread-badge">
+                              {unreadMessages.filter((msg) => msg.sender === matchedUser._id).length}
                             </span>
                           )}
-                        </div>
+                      </div>
+                      <p className="location">
+                        <FaMapMarkerAlt className="location-icon" />
+                        {matchedUser.details?.location || "Unknown location"}
+                        {matchedUser.distance != null && ` · ${matchedUser.distance} km away`}
+                      </p>
+                      {matchedUser.compatibility && (
+                        <p className="match-reason" title={describeCompatibility(matchedUser.compatibility)}>
+                          <FaInfoCircle className="match-reason-icon" />
+                          {matchedUser.compatibility.score}% match
+                          {matchedUser.compatibility.reasons[0] && ` · ${matchedUser.compatibility.reasons[0]}`}
+                        </p>
                       )}
-                    <div className="user-actions">
-                      <button
-                        className={`card-action-button like ${
-                          isUserLiked(matchedUser._id) ? "active" : ""
-                        }`}
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleLikeUser(e, matchedUser);
-                        }}
-                        aria-label={`${
-                          isUserLiked(matchedUser._id) ? "Unlike" : "Like"
-                        } ${matchedUser.nickname}`}
-                      >
-                        <FaHeart />
-                      </button>
-                      <button
-                        className="card-action-button message"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          if (!showChat) handleMessageUser(e, matchedUser);
-                        }}
-                        aria-label={`Message ${matchedUser.nickname}`}
-                      >
-                        <FaComments />
-                      </button>
+                      {matchedUser.details?.interests &&
+                        matchedUser.details.interests.length > 0 && (
+                          <div className="user-interests">
+                            {matchedUser.details.interests.slice(0, 3).map((interest, idx) => (
+                              <span key={idx} className="interest-tag">
+                                {interest}
+                              </span>
+                            ))}
+                            {matchedUser.details.interests.length > 3 && (
+                              <span className="interest-more">
+                                +{matchedUser.details.interests.length - 3}
+                              </span>
+                            )}
+                          </div>
+                        )}
+                      <div className="user-actions">
+                        <button
+                          className="card-action-button pass"
+                          onClick={(e) => handlePassUser(e, matchedUser)}
+                          aria-label={`Pass on ${matchedUser.nickname}`}
+                          title="Not interested"
+                        >
+                          <FaTimes />
+                        </button>
+                        <button
+                          className={`card-action-button like ${
+                            isUserLiked(matchedUser._id) ? "active" : ""
+                          }`}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleLikeUser(e, matchedUser);
+                          }}
+                          aria-label={`${
+                            isUserLiked(matchedUser._id) ? "Unlike" : "Like"
+                          } ${matchedUser.nickname}`}
+                        >
+                          <FaHeart />
+                        </button>
+                        <button
+                          className="card-action-button message"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            if (!showChat) handleMessageUser(e, matchedUser);
+                          }}
+                          aria-label={`Message ${matchedUser.nickname}`}
+                        >
+                          <FaComments />
+                        </button>
+                      </div>
                     </div>
                   </div>
+                ))
+              ) : (
+                <div className="no-results">
+                  <div className="no-results-icon">
+                    <FaSearch />
+                  </div>
+                  <h3>No matches found</h3>
+                  <p>Try adjusting your filters to see more people</p>
+                  <button
+                    className="btn btn-primary mt-3"
+                    onClick={resetFilters}
+                    aria-label="Reset filters"
+                  >
+                    Reset Filters
+                  </button>
                 </div>
-              ))
-            ) : (
-              <div className="no-results">
-                <div className="no-results-icon">
-                  <FaSearch />
-                </div>
-                <h3>No matches found</h3>
-                <p>Try adjusting your filters to see more people</p>
-                <button
-                  className="btn btn-primary mt-3"
-                  onClick={resetFilters}
-                  aria-label="Reset filters"
-                >
-                  Reset Filters
-                </button>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
+          )}
         </div>
       </main>
 
@@ -21,10 +21,12 @@ import {
   FaHeart,
   FaVideo,
   FaPhoneSlash,
+  FaHeartBroken,
 } from "react-icons/fa";
 import { useAuth } from "../context/AuthContext";
 import { useChat } from "../context/ChatContext";
 import MessageBubble from "../components/MessageBubble";
+import VoiceRecorder from "../components/VoiceRecorder";
 import UserAvatar from "../components/UserAvatar";
 import VideoCall from "../components/VideoCall"; // Ensure this exists
 import socketService from "@services/socketService.jsx";
@@ -63,7 +65,7 @@ const ConversationList = ({
             onClick={() => onSelect(convUser._id)}
           >
             <div className="conversation-avatar">
-              <UserAvatar user={convUser} size="md" />
+              <UserAvatar userId={convUser._id} name={convUser.nickname} photo={convUser.photos?.[0]} size="md" />
               {convUser.isOnline && <span className="online-indicator"></span>}
             </div>
             <div className="conversation-details">
@@ -127,9 +129,13 @@ const MessagesPage = () => {
     getConversations,
     sendMessage,
     sendFileMessage,
+    sendVoiceMessage,
+    editMessage,
     sendTyping,
     markMessagesAsRead,
     setActiveConversation,
+    unmatchUser,
+    inboxUserId,
   } = useChat();
 
   const [messageText, setMessageText] = useState("");
@@ -242,6 +248,18 @@ const MessagesPage = () => {
     [activeConversation, setActiveConversation]
   );
 
+  // End the match with the open conversation's user.
+  const handleUnmatch = async () => {
+    if (!activeConversation || !activeUser) return;
+    if (!window.confirm(`Unmatch ${activeUser.nickname || "this user"}? Your conversation will be removed.`)) {
+      return;
+    }
+    if (await unmatchUser(activeConversation)) {
+      setActiveConversation(null);
+      toast.info(`You unmatched ${activeUser.nickname || "this user"}`);
+    }
+  };
+
   // Send text message.
   const handleSendMessage = async (e) => {
     e.preventDefault();
@@ -287,6 +305,13 @@ const MessagesPage = () => {
     }
   };
 
+  // Send a recorded voice message.
+  const handleVoiceRecorded = async (blob, measurements) => {
+    if (!activeConversation) return;
+    const sent = await sendVoiceMessage(activeConversation, blob, measurements);
+    if (!sent) toast.error("Failed to send voice message");
+  };
+
   // Cancel file upload.
   const handleCancelFileUpload = () => {
     setSelectedFile(null);
@@ -333,13 +358,21 @@ const MessagesPage = () => {
           <>
             <div className="messages-header">
               <div className="user-avatar">
-                <UserAvatar user={activeUser} size="md" />
+                <UserAvatar userId={activeUser._id} name={activeUser.nickname} photo={activeUser.photos?.[0]} size="md" />
                 {activeUser.isOnline && <span className="online-indicator"></span>}
               </div>
               <div className="user-info">
                 <h3>{activeUser.nickname || "User"}</h3>
                 {isUserTyping && <p className="typing-status">typing...</p>}
               </div>
+              <button
+                className="unmatch-button"
+                onClick={handleUnmatch}
+                title="Unmatch"
+                aria-label={`Unmatch ${activeUser.nickname || "user"}`}
+              >
+                <FaHeartBroken />
+              </button>
             </div>
 
             <div className="messages-container">
@@ -360,7 +393,9 @@ const MessagesPage = () => {
                       <MessageBubble
                         key={msg._id}
                         message={msg}
-                        isOwn={msg.sender === user?._id}
+                        isOwn={msg.sender === inboxUserId}
+                        userId={user?._id}
+                        onEdit={editMessage}
                       />
                     ))}
                   </React.Fragment>
@@ -421,6 +456,15 @@ const MessagesPage = () => {
                   ref={chatInputRef}
                   disabled={sending || uploading || (user?.accountTier === "FREE" && messageText.trim() !== "😉")}
                 />
+                <VoiceRecorder
+                  onRecorded={handleVoiceRecorded}
+                  disabled={sending || uploading || user?.accountTier === "FREE"}
+                  title={
+                    user?.accountTier === "FREE"
+                      ? "Upgrade to send voice messages"
+                      : "Hold to record a voice message"
+                  }
+                />
                 <button
                   type="button"
                   className="wink-button"
@@ -510,6 +554,14 @@ const MessagesPage = () => {
           padding: 10px;
           border-bottom: 1px solid #ddd;
         }
+        .unmatch-button {
+          margin-left: auto;
+          background: none;
+          border: none;
+          color: #e74c3c;
+          cursor: pointer;
+          font-size: 1.2rem;
+        }
         .user-avatar {
           position: relative;
         }
@@ -19,6 +19,7 @@ import {
   FaExclamationTriangle,
 } from "react-icons/fa"
 import { ThemeToggle } from "../components/theme-toggle.tsx"
+import ProfileVisitors from "../components/ProfileVisitors.jsx"
 
 // Import the normalizePhotoUrl utility
 import { normalizePhotoUrl } from "../utils/index.js"
@@ -1092,6 +1093,8 @@ const Profile = () => {
                 </div>
               )}
 
+              <ProfileVisitors />
+
               {/* Profile Information Section - Now with better responsive layout */}
               <div className="profile-info">
                 <div className="profile-header d-flex justify-content-between align-items-center flex-wrap">
@@ -0,0 +1,172 @@
+// client/src/pages/ResetPassword.jsx
+import { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import { FaLock, FaEye, FaEyeSlash, FaArrowRight } from "react-icons/fa"
+import { useAuth } from "../context"
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token")
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" })
+  const [showPassword, setShowPassword] = useState(false)
+  const [formErrors, setFormErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const { resetPassword } = useAuth()
+  const navigate = useNavigate()
+
+  const validateForm = () => {
+    const errors = {}
+    // Mirrors the server's passwordValidator in authRoutes.js
+    if (!formData.password) {
+      errors.password = "Password is required"
+    } else if (formData.password.length < 8) {
+      errors.password = "Password must be at least 8 characters"
+    } else if (!/[A-Z]/.test(formData.password) || !/[a-z]/.test(formData.password) || !/\d/.test(formData.password)) {
+      errors.password = "Password must include uppercase, lowercase and a number"
+    } else if (!/[@$!%*?&]/.test(formData.password)) {
+      errors.password = "Password must include at least one special character (@$!%*?&)"
+    }
+    if (formData.confirmPassword !== formData.password) {
+      errors.confirmPassword = "Passwords do not match"
+    }
+    return errors
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData({ ...formData, [name]: value })
+    if (formErrors[name]) {
+      setFormErrors({ ...formErrors, [name]: "" })
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const errors = validateForm()
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors)
+      return
+    }
+    setFormErrors({})
+    setIsSubmitting(true)
+    try {
+      await resetPassword(token, formData.password)
+      navigate("/login")
+    } catch (err) {
+      setFormErrors({ general: err.error || err.message || "Password reset failed" })
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="auth-page d-flex">
+      <div className="auth-container d-flex flex-column justify-content-center w-100">
+        <div className="container" style={{ maxWidth: "500px" }}>
+          <div className="card">
+            <div className="card-header text-center">
+              <Link to="/" className="logo">
+                Mandarin
+              </Link>
+              <h2 className="mb-1">Reset Password</h2>
+              <p className="text-light">Choose a new password for your account</p>
+            </div>
+            <div className="card-body">
+              {!token ? (
+                <div className="alert alert-danger">
+                  <p>This reset link is missing its token. Please request a new one.</p>
+                </div>
+              ) : (
+                <>
+                  {formErrors.general && (
+                    <div className="alert alert-danger">
+                      <p>{formErrors.general}</p>
+                    </div>
+                  )}
+                  <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                      <label className="form-label" htmlFor="password">
+                        New Password
+                      </label>
+                      <div className="input-with-icon">
+                        <FaLock className="field-icon" />
+                        <input
+                          type={showPassword ? "text" : "password"}
+                          id="password"
+                          name="password"
+                          className="form-control"
+                          placeholder="Enter a new password"
+                          value={formData.password}
+                          onChange={handleChange}
+                          disabled={isSubmitting}
+                        />
+                        <button
+                          type="button"
+                          className="toggle-password"
+                          onClick={() => setShowPassword(!showPassword)}
+                          tabIndex={-1}
+                        >
+                          {showPassword ? <FaEyeSlash /> : <FaEye />}
+                        </button>
+                      </div>
+                      {formErrors.password && <p className="error-message">{formErrors.password}</p>}
+                    </div>
+
+                    <div className="form-group">
+                      <label className="form-label" htmlFor="confirmPassword">
+                        Confirm Password
+                      </label>
+                      <div className="input-with-icon">
+                        <FaLock className="field-icon" />
+                        <input
+                          type={showPassword ? "text" : "password"}
+                          id="confirmPassword"
+                          name="confirmPassword"
+                          className="form-control"
+                          placeholder="Repeat the new password"
+                          value={formData.confirmPassword}
+                          onChange={handleChange}
+                          disabled={isSubmitting}
+                        />
+                      </div>
+                      {formErrors.confirmPassword && <p className="error-message">{formErrors.confirmPassword}</p>}
+                    </div>
+
+                    <button
+                      type="submit"
+                      className={`btn btn-primary w-100 ${isSubmitting ? "loading" : ""}`}
+                      disabled={isSubmitting}
+                    >
+                      {isSubmitting ? (
+                        <>
+                          <span className="spinner spinner-dark"></span>
+                          <span style={{ marginLeft: "8px" }}>Saving...</span>
+                        </>
+                      ) : (
+                        <>
+                          <span>Reset Password</span>
+                          <FaArrowRight />
+                        </>
+                      )}
+                    </button>
+                  </form>
+                </>
+              )}
+
+              <div className="auth-footer text-center mt-4">
+                <p className="mb-0">
+                  Remembered it?{" "}
+                  <Link to="/login" className="text-primary">
+                    Sign In
+                  </Link>
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
@@ -2,15 +2,70 @@
 
 import { useState, useEffect } from "react"
 import { useNavigate } from "react-router-dom"
-import { FaBell, FaLock, FaPalette, FaSignOutAlt, FaTrash, FaUser, FaShieldAlt, FaSave, FaTimes } from "react-icons/fa"
+import {
+  FaBan,
+  FaBell,
+  FaLock,
+  FaPalette,
+  FaSignOutAlt,
+  FaSlidersH,
+  FaTrash,
+  FaUser,
+  FaShieldAlt,
+  FaSave,
+  FaSearch,
+  FaTimes,
+} from "react-icons/fa"
 import { toast } from "react-toastify"
 import { useAuth, useTheme, useUser } from "../context"
-import { settingsService } from "../services"
+import { settingsService, savedSearchService } from "../services"
 import { ThemeToggle } from "../components/theme-toggle.tsx"
+import PhotoVerification from "../components/PhotoVerification"
+import CoupleLink from "../components/CoupleLink"
+
+// Largest radius on the distance slider; the end of the slider means "any distance"
+const MAX_DISTANCE_KM = 200
+
+const ALERT_FREQUENCY_OPTIONS = [
+  { value: "off", label: "No alerts" },
+  { value: "hourly", label: "Hourly" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+]
+
+// Short summary of a saved search's filters
+const describeSearchFilters = (filters = {}) => {
+  const parts = []
+  if (filters.nickname) parts.push(`"${filters.nickname}"`)
+  if (filters.gender) parts.push(filters.gender)
+  if (filters.minAge || filters.maxAge) parts.push(`ages ${filters.minAge || 18}-${filters.maxAge || "99+"}`)
+  if (filters.location) parts.push(`in ${filters.location}`)
+  if (filters.radius) parts.push(filters.radius === "any" ? "any distance" : `within ${filters.radius} km`)
+  if (filters.interests?.length) parts.push(filters.interests.join(", "))
+  if (filters.online) parts.push("online now")
+  if (filters.verified) parts.push("verified only")
+  return parts.length ? parts.join(" · ") : "Everyone matching your discovery preferences"
+}
+
+const IAM_OPTIONS = [
+  { value: "woman", label: "Women" },
+  { value: "man", label: "Men" },
+  { value: "couple", label: "Couples" },
+]
+
+const DEFAULT_PREFERENCES = {
+  ageMin: null,
+  ageMax: null,
+  iAm: [],
+  maxDistanceKm: null,
+  mustHaveTags: [],
+  photosOnly: false,
+  mutual: false,
+}
 
 const Settings = () => {
   const navigate = useNavigate()
-  const { user, logout } = useAuth()
+  const { user, logout, resendVerification } = useAuth()
   const { theme, setTheme } = useTheme()
   const { currentUser, updateProfile } = useUser()
 
@@ -27,6 +82,8 @@ const Settings = () => {
       showOnlineStatus: true,
       showReadReceipts: true,
       showLastSeen: true,
+      messagesFromMatchesOnly: false,
+      incognito: false,
       allowStoryReplies: "everyone", // 'everyone', 'friends', 'none'
     },
   })
@@ -38,6 +95,13 @@ const Settings = () => {
   const [deletePassword, setDeletePassword] = useState("")
   const [deleteError, setDeleteError] = useState("")
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
+  const [blockedUsers, setBlockedUsers] = useState([])
+  const [loadingBlocked, setLoadingBlocked] = useState(false)
+  const [savedSearches, setSavedSearches] = useState([])
+  const [loadingSearches, setLoadingSearches] = useState(false)
+  const [preferences, setPreferences] = useState(null)
+  const [tagsInput, setTagsInput] = useState("")
+  const [hasUnsavedPreferences, setHasUnsavedPreferences] = useState(false)
 
   // Load user settings on component mount
   useEffect(() => {
@@ -57,12 +121,107 @@ const Settings = () => {
           showOnlineStatus: userSettings.privacy?.showOnlineStatus ?? true,
           showReadReceipts: userSettings.privacy?.showReadReceipts ?? true,
           showLastSeen: userSettings.privacy?.showLastSeen ?? true,
+          messagesFromMatchesOnly: userSettings.privacy?.messagesFromMatchesOnly ?? false,
+          incognito: userSettings.privacy?.incognito ?? false,
           allowStoryReplies: userSettings.privacy?.allowStoryReplies ?? "everyone",
         },
       })
     }
   }, [currentUser])
 
+  // Load blocked users when the blocked tab is opened
+  useEffect(() => {
+    if (activeTab !== "blocked") return
+
+    const loadBlockedUsers = async () => {
+      try {
+        setLoadingBlocked(true)
+        setBlockedUsers(await settingsService.getBlockedUsers())
+      } catch (error) {
+        console.error("Error loading blocked users:", error)
+        toast.error("Failed to load blocked users")
+      } finally {
+        setLoadingBlocked(false)
+      }
+    }
+
+    loadBlockedUsers()
+  }, [activeTab])
+
+  // Load saved searches when the searches tab is opened
+  useEffect(() => {
+    if (activeTab !== "searches") return
+
+    const loadSavedSearches = async () => {
+      try {
+        setLoadingSearches(true)
+        setSavedSearches(await savedSearchService.getSavedSearches())
+      } catch (error) {
+        console.error("Error loading saved searches:", error)
+        toast.error("Failed to load saved searches")
+      } finally {
+        setLoadingSearches(false)
+      }
+    }
+
+    loadSavedSearches()
+  }, [activeTab])
+
+  // Load partner preferences the first time the discovery tab is opened
+  useEffect(() => {
+    if (activeTab !== "discovery" || preferences) return
+
+    const loadPreferences = async () => {
+      try {
+        const loaded = { ...DEFAULT_PREFERENCES, ...(await settingsService.getPreferences()) }
+        setPreferences(loaded)
+        setTagsInput(loaded.mustHaveTags.join(", "))
+      } catch (error) {
+        console.error("Error loading preferences:", error)
+        toast.error("Failed to load discovery preferences")
+      }
+    }
+
+    loadPreferences()
+  }, [activeTab, preferences])
+
+  // Unblock a user and remove them from the list
+  const handleUnblockUser = async (userId) => {
+    try {
+      const response = await settingsService.unblockUser(userId)
+      if (response.success) {
+        setBlockedUsers((prev) => prev.filter((blocked) => blocked._id !== userId))
+        toast.success(response.message || "User unblocked")
+      } else {
+        toast.error(response.error || "Failed to unblock user")
+      }
+    } catch (error) {
+      console.error("Error unblocking user:", error)
+      toast.error(error.error || "Failed to unblock user")
+    }
+  }
+
+  // Change how often a saved search sends alerts
+  const handleAlertFrequencyChange = async (searchId, alertFrequency) => {
+    try {
+      const updated = await savedSearchService.update(searchId, { alertFrequency })
+      setSavedSearches((prev) => prev.map((search) => (search._id === searchId ? updated : search)))
+    } catch {
+      // savedSearchService already shows the error
+    }
+  }
+
+  // Delete a saved search and remove it from the list
+  const handleDeleteSavedSearch = async (searchId) => {
+    try {
+      await savedSearchService.remove(searchId)
+      setSavedSearches((prev) => prev.filter((search) => search._id !== searchId))
+      toast.success("Saved search deleted")
+    } catch {
+      // savedSearchService already shows the error
+    }
+  }
+
   // Handle toggle change for boolean settings
   const handleToggleChange = (section, setting) => {
     setSettings((prev) => ({
@@ -87,6 +246,20 @@ const Settings = () => {
     setHasUnsavedChanges(true)
   }
 
+  // Update one partner preference field
+  const handlePreferenceChange = (field, value) => {
+    setPreferences((prev) => ({ ...prev, [field]: value }))
+    setHasUnsavedPreferences(true)
+  }
+
+  // Add or remove an iAm type from the preferred types
+  const togglePreferredType = (type) => {
+    const types = preferences.iAm.includes(type)
+      ? preferences.iAm.filter((current) => current !== type)
+      : [...preferences.iAm, type]
+    handlePreferenceChange("iAm", types)
+  }
+
   // Handle theme change
   const handleThemeChange = (newTheme) => {
     setTheme(newTheme)
@@ -115,9 +288,32 @@ const Settings = () => {
     }
   }
 
+  // Save partner preferences to backend
+  const handleSavePreferences = async () => {
+    try {
+      setSaving(true)
+
+      const mustHaveTags = tagsInput
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+      const saved = await settingsService.updatePreferences({ ...preferences, mustHaveTags })
+
+      setPreferences({ ...DEFAULT_PREFERENCES, ...saved })
+      setTagsInput((saved?.mustHaveTags || mustHaveTags).join(", "))
+      toast.success("Discovery preferences saved")
+      setHasUnsavedPreferences(false)
+    } catch (error) {
+      console.error("Error saving preferences:", error)
+      toast.error(error.error || "Failed to save preferences. Please try again.")
+    } finally {
+      setSaving(false)
+    }
+  }
+
   // Handle user logout
   const handleLogout = () => {
-    if (hasUnsavedChanges) {
+    if (hasUnsavedChanges || hasUnsavedPreferences) {
       if (window.confirm("You have unsaved changes. Are you sure you want to log out?")) {
         logout()
         navigate("/login")
@@ -143,10 +339,10 @@ const Settings = () => {
         return
       }
 
-      const response = await settingsService.deleteAccount({ password: deletePassword })
+      const response = await settingsService.deleteAccount(deletePassword)
 
       if (response.success) {
-        toast.success("Account deleted successfully")
+        toast.success(response.message || "Account deleted successfully")
         logout()
         navigate("/login")
       } else {
@@ -296,6 +492,41 @@ const Settings = () => {
               </label>
             </div>
 
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Messages from Matches Only</h3>
+                <p>Only people you&apos;ve matched with can message you</p>
+              </div>
+              <label className="toggle-switch">
+                <input
+                  type="checkbox"
+                  checked={settings.privacy.messagesFromMatchesOnly}
+                  onChange={() => handleToggleChange("privacy", "messagesFromMatchesOnly")}
+                />
+                <span className="toggle-slider"></span>
+              </label>
+            </div>
+
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Incognito Mode</h3>
+                <p>
+                  {user?.accountTier === "FREE"
+                    ? "Upgrade to premium to browse without being seen"
+                    : "Only people you've liked can see you in discovery, and your story views and profile visits stay private"}
+                </p>
+              </div>
+              <label className="toggle-switch">
+                <input
+                  type="checkbox"
+                  checked={settings.privacy.incognito}
+                  disabled={user?.accountTier === "FREE" && !settings.privacy.incognito}
+                  onChange={() => handleToggleChange("privacy", "incognito")}
+                />
+                <span className="toggle-slider"></span>
+              </label>
+            </div>
+
             <div className="settings-option">
               <div className="option-text">
                 <h3>Story Replies</h3>
@@ -337,6 +568,134 @@ const Settings = () => {
           </div>
         )
 
+      case "discovery":
+        if (!preferences) {
+          return (
+            <div className="settings-content">
+              <p className="settings-empty">Loading discovery preferences...</p>
+            </div>
+          )
+        }
+        return (
+          <div className="settings-content">
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Age Range</h3>
+                <p>Only show people in this age range</p>
+              </div>
+              <div className="preference-range">
+                <input
+                  type="number"
+                  min="18"
+                  max="120"
+                  placeholder="18"
+                  aria-label="Minimum age"
+                  value={preferences.ageMin ?? ""}
+                  onChange={(e) => handlePreferenceChange("ageMin", e.target.value ? Number(e.target.value) : null)}
+                />
+                <span>to</span>
+                <input
+                  type="number"
+                  min="18"
+                  max="120"
+                  placeholder="Any"
+                  aria-label="Maximum age"
+                  value={preferences.ageMax ?? ""}
+                  onChange={(e) => handlePreferenceChange("ageMax", e.target.value ? Number(e.target.value) : null)}
+                />
+              </div>
+            </div>
+
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Show Me</h3>
+                <p>Leave all unchecked to see everyone</p>
+              </div>
+              <div className="radio-options">
+                {IAM_OPTIONS.map(({ value, label }) => (
+                  <label key={value} className="radio-option">
+                    <input
+                      type="checkbox"
+                      checked={preferences.iAm.includes(value)}
+                      onChange={() => togglePreferredType(value)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Maximum Distance</h3>
+                <p>
+                  {preferences.maxDistanceKm ? `Within ${preferences.maxDistanceKm} km` : "Any distance"}
+                  {!currentUser?.details?.location && " (add your city to your profile to use this)"}
+                </p>
+              </div>
+              <input
+                type="range"
+                min="5"
+                max={MAX_DISTANCE_KM}
+                step="5"
+                aria-label="Maximum distance"
+                value={Math.min(preferences.maxDistanceKm ?? MAX_DISTANCE_KM, MAX_DISTANCE_KM)}
+                onChange={(e) => {
+                  const distance = Number(e.target.value)
+                  handlePreferenceChange("maxDistanceKm", distance >= MAX_DISTANCE_KM ? null : distance)
+                }}
+              />
+            </div>
+
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Must-have Tags</h3>
+                <p>Only show profiles with all of these interests, "into" tags or turn-ons (comma separated)</p>
+              </div>
+              <input
+                type="text"
+                className="preference-tags"
+                placeholder="e.g. Travel, Music"
+                value={tagsInput}
+                onChange={(e) => {
+                  setTagsInput(e.target.value)
+                  setHasUnsavedPreferences(true)
+                }}
+              />
+            </div>
+
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Photos Only</h3>
+                <p>Only show profiles with at least one photo</p>
+              </div>
+              <label className="toggle-switch">
+                <input
+                  type="checkbox"
+                  checked={preferences.photosOnly}
+                  onChange={() => handlePreferenceChange("photosOnly", !preferences.photosOnly)}
+                />
+                <span className="toggle-slider"></span>
+              </label>
+            </div>
+
+            <div className="settings-option">
+              <div className="option-text">
+                <h3>Mutual Matching</h3>
+                <p>Only show me to people who match my preferences</p>
+              </div>
+              <label className="toggle-switch">
+                <input
+                  type="checkbox"
+                  checked={preferences.mutual}
+                  onChange={() => handlePreferenceChange("mutual", !preferences.mutual)}
+                />
+                <span className="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+        )
+
       case "appearance":
         return (
           <div className="settings-content">
@@ -380,6 +739,79 @@ const Settings = () => {
           </div>
         )
 
+      case "searches":
+        return (
+          <div className="settings-content">
+            {loadingSearches ? (
+              <p className="settings-empty">Loading saved searches...</p>
+            ) : savedSearches.length === 0 ? (
+              <p className="settings-empty">
+                You haven't saved any searches. Use &quot;Save Search&quot; in the discovery filters to get alerts
+                about new people.
+              </p>
+            ) : (
+              <div className="saved-searches-list">
+                {savedSearches.map((search) => (
+                  <div key={search._id} className="settings-option">
+                    <div className="option-text">
+                      <h3>{search.name}</h3>
+                      <p>{describeSearchFilters(search.filters)}</p>
+                    </div>
+                    <div className="saved-search-actions">
+                      <select
+                        className="saved-search-frequency"
+                        value={search.alertFrequency}
+                        onChange={(e) => handleAlertFrequencyChange(search._id, e.target.value)}
+                        aria-label={`Alerts for ${search.name}`}
+                      >
+                        {ALERT_FREQUENCY_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        className="settings-action-button delete"
+                        onClick={() => handleDeleteSavedSearch(search._id)}
+                        aria-label={`Delete ${search.name}`}
+                      >
+                        <FaTrash />
+                        <span>Delete</span>
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )
+
+      case "blocked":
+        return (
+          <div className="settings-content">
+            {loadingBlocked ? (
+              <p className="settings-empty">Loading blocked users...</p>
+            ) : blockedUsers.length === 0 ? (
+              <p className="settings-empty">You haven't blocked anyone.</p>
+            ) : (
+              <div className="blocked-users-list">
+                {blockedUsers.map((blocked) => (
+                  <div key={blocked._id} className="settings-option">
+                    <div className="option-text">
+                      <h3>{blocked.nickname}</h3>
+                      {blocked.details?.location && <p>{blocked.details.location}</p>}
+                    </div>
+                    <button className="settings-action-button" onClick={() => handleUnblockUser(blocked._id)}>
+                      <FaBan />
+                      <span>Unblock</span>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )
+
       case "account":
         return (
           <div className="settings-content">
@@ -389,6 +821,15 @@ const Settings = () => {
               </div>
               <div className="account-detail">
                 <strong>Email:</strong> {user?.email || "Not available"}
+                {user && !user.isVerified && (
+                  <>
+                    {" "}
+                    (not verified){" "}
+                    <button className="link-button" onClick={() => resendVerification().catch(() => {})}>
+                      Resend verification email
+                    </button>
+                  </>
+                )}
               </div>
               <div className="account-detail">
                 <strong>Member since:</strong>{" "}
@@ -399,6 +840,10 @@ const Settings = () => {
               </div>
             </div>
 
+            <PhotoVerification />
+
+            <CoupleLink />
+
             <div className="account-actions">
               <button className="settings-action-button edit" onClick={() => navigate("/profile")}>
                 <FaUser />
@@ -446,6 +891,22 @@ const Settings = () => {
             <span>Privacy</span>
           </button>
 
+          <button
+            className={`settings-nav-item ${activeTab === "discovery" ? "active" : ""}`}
+            onClick={() => setActiveTab("discovery")}
+          >
+            <FaSlidersH className="settings-icon" />
+            <span>Discovery</span>
+          </button>
+
+          <button
+            className={`settings-nav-item ${activeTab === "searches" ? "active" : ""}`}
+            onClick={() => setActiveTab("searches")}
+          >
+            <FaSearch className="settings-icon" />
+            <span>Saved Searches</span>
+          </button>
+
           <button
             className={`settings-nav-item ${activeTab === "appearance" ? "active" : ""}`}
             onClick={() => setActiveTab("appearance")}
@@ -454,6 +915,14 @@ const Settings = () => {
             <span>Appearance</span>
           </button>
 
+          <button
+            className={`settings-nav-item ${activeTab === "blocked" ? "active" : ""}`}
+            onClick={() => setActiveTab("blocked")}
+          >
+            <FaBan className="settings-icon" />
+            <span>Blocked</span>
+          </button>
+
           <button
             className={`settings-nav-item ${activeTab === "account" ? "active" : ""}`}
             onClick={() => setActiveTab("account")}
@@ -468,13 +937,19 @@ const Settings = () => {
           <div className="settings-header">
             {activeTab === "notifications" && <FaBell className="settings-header-icon" />}
             {activeTab === "privacy" && <FaLock className="settings-header-icon" />}
+            {activeTab === "discovery" && <FaSlidersH className="settings-header-icon" />}
+            {activeTab === "searches" && <FaSearch className="settings-header-icon" />}
             {activeTab === "appearance" && <FaPalette className="settings-header-icon" />}
+            {activeTab === "blocked" && <FaBan className="settings-header-icon" />}
             {activeTab === "account" && <FaUser className="settings-header-icon" />}
 
             <h2 className="settings-section-title">
               {activeTab === "notifications" && "Notification Settings"}
               {activeTab === "privacy" && "Privacy Settings"}
+              {activeTab === "discovery" && "Discovery Preferences"}
+              {activeTab === "searches" && "Saved Searches"}
               {activeTab === "appearance" && "Appearance Settings"}
+              {activeTab === "blocked" && "Blocked Users"}
               {activeTab === "account" && "Account Settings"}
             </h2>
           </div>
@@ -494,6 +969,18 @@ const Settings = () => {
               </button>
             </div>
           )}
+          {activeTab === "discovery" && preferences && (
+            <div className="settings-save">
+              <button
+                className={`btn btn-primary save-button ${hasUnsavedPreferences ? "has-changes" : ""}`}
+                onClick={handleSavePreferences}
+                disabled={saving || !hasUnsavedPreferences}
+              >
+                <FaSave />
+                {saving ? "Saving..." : "Save Changes"}
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -514,7 +1001,8 @@ const Settings = () => {
               <div className="warning-message">
                 <FaShieldAlt className="warning-icon" />
                 <p>
-                  This action <strong>cannot be undone</strong>. All your data will be permanently deleted, including:
+                  Your account will be deactivated immediately and <strong>permanently deleted after a grace period</strong>.
+                  Logging in again before then restores it. After that, all your data will be deleted, including:
                 </p>
                 <ul>
                   <li>Your profile information</li>
@@ -1,19 +1,28 @@
 "use client"
 
 import { useState, useEffect } from "react"
-import { useNavigate } from "react-router-dom"
-import { FaCheck, FaTimes, FaCrown, FaHeart, FaImage, FaComment, FaUserCircle } from "react-icons/fa"
-import { useAuth } from "../context"
+import { useNavigate, useSearchParams } from "react-router-dom"
+import { FaCheck, FaTimes, FaCrown, FaHeart, FaImage, FaComment, FaUserCircle, FaDownload } from "react-icons/fa"
+import { useAuth, useChat } from "../context"
 import { toast } from "react-toastify"
 import { ThemeToggle } from "../components/theme-toggle.tsx"
 import subscriptionService from "../services/subscriptionService.jsx"
+import socketService from "../services/socketService.jsx"
 
 const Subscription = () => {
   const { user, getCurrentUser } = useAuth() // Add getCurrentUser from auth context
+  const { socketConnected } = useChat()
   const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
   const [selectedPlan, setSelectedPlan] = useState("monthly")
   const [loading, setLoading] = useState(false)
   const [subscriptionData, setSubscriptionData] = useState(null)
+  const [updatingRenewal, setUpdatingRenewal] = useState(false)
+  const [invoices, setInvoices] = useState([])
+  const [invoicePage, setInvoicePage] = useState(1)
+  const [invoicePages, setInvoicePages] = useState(1)
+  const [promoCode, setPromoCode] = useState("")
+  const [redeeming, setRedeeming] = useState(false)
 
   // Redirect if user is not logged in
   useEffect(() => {
@@ -22,9 +31,39 @@ const Subscription = () => {
     } else {
       // Fetch subscription data when component mounts
       fetchSubscriptionStatus()
+      fetchInvoices(1)
     }
   }, [user, navigate])
 
+  // Handle the return from the payment provider's checkout page
+  useEffect(() => {
+    const checkoutResult = searchParams.get("checkout")
+    if (!checkoutResult) return
+
+    if (checkoutResult === "success") {
+      toast.success("Payment received - welcome to Premium!")
+      getCurrentUser()
+      fetchSubscriptionStatus()
+      fetchInvoices(1)
+    } else if (checkoutResult === "canceled") {
+      toast.info("Checkout canceled. You have not been charged.")
+    }
+    setSearchParams({}, { replace: true })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams])
+
+  // Refresh when the server reports a subscription change (renewal, grace period, expiry);
+  // registered again once the socket connects
+  useEffect(() => {
+    const handleStatus = () => {
+      fetchSubscriptionStatus()
+      fetchInvoices(1)
+    }
+    const handler = socketService.on("subscriptionStatus", handleStatus)
+    return () => socketService.off("subscriptionStatus", handler)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socketConnected])
+
   // Fetch subscription status
   const fetchSubscriptionStatus = async () => {
     try {
@@ -38,9 +77,14 @@ const Subscription = () => {
     }
   }
 
+  // Trial users are on the PAID tier but can still subscribe
+  const trial = subscriptionData?.trial
+  const discount = subscriptionData?.discount
+
   // Check if user already has premium access
   const hasPremium =
-    user?.isPaid ||
+    !trial &&
+    (user?.isPaid ||
     user?.accountTier === "PAID" ||
     user?.accountTier === "FEMALE" ||
     user?.accountTier === "COUPLE" ||
@@ -48,30 +92,89 @@ const Subscription = () => {
       (subscriptionData.isPaid ||
         subscriptionData.accountTier === "PAID" ||
         subscriptionData.accountTier === "FEMALE" ||
-        subscriptionData.accountTier === "COUPLE"))
+        subscriptionData.accountTier === "COUPLE")))
+
+  // Fetch a page of billing history; later pages are appended
+  const fetchInvoices = async (page) => {
+    try {
+      const response = await subscriptionService.getInvoices(page)
+      if (response.success) {
+        setInvoices((prev) => (page === 1 ? response.data : [...prev, ...response.data]))
+        setInvoicePage(response.page)
+        setInvoicePages(response.pages)
+      }
+    } catch (error) {
+      console.error("Error fetching billing history:", error)
+    }
+  }
+
+  // Users with a billed subscription (as opposed to FEMALE/COUPLE tiers) can manage renewal
+  const hasBilledSubscription = subscriptionData?.isPaid && subscriptionData?.status !== "none"
 
   const handleSubscribe = async (plan) => {
     setLoading(true)
     try {
-      // Call the subscription service to upgrade
+      // Start checkout; payment happens on the provider's page, which returns to
+      // /subscription?checkout=success or ?checkout=canceled
       const response = await subscriptionService.upgradeSubscription(plan)
+      window.location.assign(response.data.url)
+    } catch (error) {
+      console.error("Subscription error:", error)
+      setLoading(false)
+    }
+  }
 
-      if (response.success) {
-        // Refresh user data to reflect the new subscription status
-        await getCurrentUser()
+  const handleToggleRenewal = async () => {
+    setUpdatingRenewal(true)
+    try {
+      if (subscriptionData.cancelAtPeriodEnd) {
+        await subscriptionService.resumeSubscription()
+      } else {
+        await subscriptionService.cancelSubscription()
+      }
+      await fetchSubscriptionStatus()
+    } catch (error) {
+      console.error("Error updating auto-renew:", error)
+    } finally {
+      setUpdatingRenewal(false)
+    }
+  }
 
-        // Redirect to dashboard after successful subscription
-        toast.success(`Successfully subscribed to ${plan} plan!`)
-        navigate("/dashboard")
+  const handleRedeem = async (e) => {
+    e.preventDefault()
+    if (!promoCode.trim()) return
+    setRedeeming(true)
+    try {
+      const response = await subscriptionService.redeemPromoCode(promoCode.trim())
+      setPromoCode("")
+      if (response.data.type === "free_days") {
+        await getCurrentUser()
       }
+      await fetchSubscriptionStatus()
     } catch (error) {
-      console.error("Subscription error:", error)
-      toast.error(error.message || "Failed to process subscription. Please try again.")
+      console.error("Error redeeming promo code:", error)
     } finally {
-      setLoading(false)
+      setRedeeming(false)
     }
   }
 
+  // Price after a promo code discount on the first payment, in dollars
+  const discounted = (amount) => (discount ? (amount * (100 - discount.percentOff)) / 100 : amount).toFixed(2)
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "")
+
+  const formatAmount = (invoice) => {
+    const amount = (invoice.type === "refund" ? -invoice.amount : invoice.amount) / 100
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: invoice.currency.toUpperCase() }).format(amount)
+  }
+
+  const invoiceDescription = (invoice) => {
+    const plan = invoice.plan === "yearly" ? "Yearly" : "Monthly"
+    if (invoice.type === "refund") return `Refund${invoice.refundOf ? ` of ${invoice.refundOf.number}` : ""}`
+    if (invoice.type === "purchase") return `Profile Boost${invoice.quantity > 1 ? ` × ${invoice.quantity}` : ""}`
+    return `${plan} plan${invoice.type === "renewal" ? " renewal" : ""}`
+  }
+
   return (
     <div className="modern-dashboard">
       {/* Header */}
@@ -118,6 +221,30 @@ const Subscription = () => {
                 <div className="alert alert-success text-center">
                   <h3>You already have premium access!</h3>
                   <p>Enjoy all the premium features of Mandarin.</p>
+                  {hasBilledSubscription && (
+                    <div className="billing-summary mt-3">
+                      <p>
+                        <strong>{subscriptionData.plan === "yearly" ? "Yearly" : "Monthly"} plan</strong>
+                        {subscriptionData.status === "past_due" && (
+                          <span className="billing-warning"> - payment failed, please update your payment method</span>
+                        )}
+                        {subscriptionData.status === "grace" && (
+                          <span className="billing-warning">
+                            {" "}
+                            - renewal overdue, Premium ends on {formatDate(subscriptionData.graceEndsAt)}
+                          </span>
+                        )}
+                      </p>
+                      <p>
+                        {subscriptionData.cancelAtPeriodEnd
+                          ? `Your subscription ends on ${formatDate(subscriptionData.currentPeriodEnd)}.`
+                          : `Renews automatically on ${formatDate(subscriptionData.currentPeriodEnd)}.`}
+                      </p>
+                      <button className="btn btn-outline" onClick={handleToggleRenewal} disabled={updatingRenewal}>
+                        {subscriptionData.cancelAtPeriodEnd ? "Resume auto-renew" : "Cancel auto-renew"}
+                      </button>
+                    </div>
+                  )}
                   <button className="btn btn-primary mt-3" onClick={() => navigate("/dashboard")}>
                     Return to Dashboard
                   </button>
@@ -128,6 +255,12 @@ const Subscription = () => {
                 <div className="subscription-intro text-center mb-5">
                   <h2>Unlock All Features</h2>
                   <p className="lead">Upgrade your experience and connect with more people</p>
+                  {trial && (
+                    <div className="alert alert-info mt-3">
+                      You're on a free Premium trial until {formatDate(trial.endsAt)}. Subscribe to keep Premium
+                      afterwards.
+                    </div>
+                  )}
                 </div>
 
                 <div className="plan-toggle mb-5">
@@ -196,6 +329,11 @@ const Subscription = () => {
                           <h3>Premium</h3>
                           <p className="price">${selectedPlan === "monthly" ? "14.99" : "11.99"}</p>
                           <p className="period">per {selectedPlan === "monthly" ? "month" : "month, billed yearly"}</p>
+                          {discount && (
+                            <p className="discount-note">
+                              {discount.percentOff}% off your first payment with {discount.code}
+                            </p>
+                          )}
                         </div>
                         <div className="card-body">
                           <ul className="feature-list">
@@ -235,7 +373,7 @@ const Subscription = () => {
                                 <span style={{ marginLeft: "8px" }}>Processing...</span>
                               </>
                             ) : (
-                              `Subscribe ${selectedPlan === "monthly" ? "$14.99/month" : "$143.88/year"}`
+                              `Subscribe ${selectedPlan === "monthly" ? `$${discounted(14.99)}/month` : `$${discounted(143.88)}/year`}`
                             )}
                           </button>
                         </div>
@@ -243,8 +381,72 @@ const Subscription = () => {
                     </div>
                   </div>
                 </div>
+
+                <form className="promo-form" onSubmit={handleRedeem}>
+                  <label htmlFor="promo-code">Have a promo code?</label>
+                  <div className="d-flex">
+                    <input
+                      id="promo-code"
+                      type="text"
+                      className="form-control"
+                      placeholder="Enter code"
+                      value={promoCode}
+                      onChange={(e) => setPromoCode(e.target.value.toUpperCase())}
+                      maxLength={32}
+                    />
+                    <button type="submit" className="btn btn-outline" disabled={redeeming || !promoCode.trim()}>
+                      {redeeming ? "Applying..." : "Apply"}
+                    </button>
+                  </div>
+                </form>
               </>
             )}
+
+            {invoices.length > 0 && (
+              <section className="billing-history mt-5">
+                <h3 className="mb-3">Billing History</h3>
+                <table className="billing-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Description</th>
+                      <th>Amount</th>
+                      <th>Status</th>
+                      <th aria-label="Receipt"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invoices.map((invoice) => (
+                      <tr key={invoice._id}>
+                        <td>{formatDate(invoice.createdAt)}</td>
+                        <td>
+                          {invoiceDescription(invoice)}
+                          <div className="invoice-number">{invoice.number}</div>
+                        </td>
+                        <td>{formatAmount(invoice)}</td>
+                        <td className={`invoice-status ${invoice.status}`}>{invoice.status.replace("_", " ")}</td>
+                        <td>
+                          <button
+                            className="btn btn-outline btn-sm"
+                            onClick={() => subscriptionService.downloadReceipt(invoice).catch(() => {})}
+                            title="Download receipt"
+                          >
+                            <FaDownload />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {invoicePage < invoicePages && (
+                  <div className="text-center mt-3">
+                    <button className="btn btn-outline" onClick={() => fetchInvoices(invoicePage + 1)}>
+                      Show more
+                    </button>
+                  </div>
+                )}
+              </section>
+            )}
           </div>
         </div>
       </main>
@@ -390,6 +592,66 @@ const Subscription = () => {
           max-width: 600px;
           margin: 0 auto;
         }
+
+        .billing-summary p {
+          margin-bottom: 8px;
+        }
+
+        .billing-warning {
+          color: var(--danger);
+        }
+
+        .discount-note {
+          color: var(--success);
+          font-size: 14px;
+          margin: 8px 0 0;
+        }
+
+        .promo-form {
+          max-width: 400px;
+          margin: 10px auto 0;
+        }
+
+        .promo-form label {
+          display: block;
+          margin-bottom: 8px;
+          opacity: 0.8;
+        }
+
+        .promo-form .form-control {
+          margin-right: 8px;
+        }
+
+        .billing-history {
+          max-width: 800px;
+          margin: 0 auto;
+        }
+
+        .billing-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .billing-table th,
+        .billing-table td {
+          padding: 12px 8px;
+          text-align: left;
+          border-bottom: 1px solid rgba(0,0,0,0.1);
+        }
+
+        .invoice-number {
+          font-size: 12px;
+          opacity: 0.7;
+        }
+
+        .invoice-status {
+          text-transform: capitalize;
+        }
+
+        .invoice-status.refunded,
+        .invoice-status.partially_refunded {
+          color: var(--danger);
+        }
         `}
       </style>
     </div>
@@ -0,0 +1,76 @@
+// client/src/pages/VerifyEmail.jsx
+import { useState, useEffect, useRef } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import { FaCheckCircle, FaExclamationTriangle } from "react-icons/fa"
+import { useAuth } from "../context"
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token")
+  const [status, setStatus] = useState(token ? "verifying" : "error")
+  const [message, setMessage] = useState(token ? "" : "This verification link is missing its token.")
+
+  const { verifyEmail, isAuthenticated } = useAuth()
+  // Tokens are single-use, so guard against StrictMode running the effect twice
+  const attemptedRef = useRef(false)
+
+  useEffect(() => {
+    if (!token || attemptedRef.current) return
+    attemptedRef.current = true
+    verifyEmail(token)
+      .then(() => setStatus("success"))
+      .catch((err) => {
+        setStatus("error")
+        setMessage(err.error || err.message || "Email verification failed")
+      })
+  }, [token, verifyEmail])
+
+  return (
+    <div className="auth-page d-flex">
+      <div className="auth-container d-flex flex-column justify-content-center w-100">
+        <div className="container" style={{ maxWidth: "500px" }}>
+          <div className="card">
+            <div className="card-header text-center">
+              <Link to="/" className="logo">
+                Mandarin
+              </Link>
+              <h2 className="mb-1">Email Verification</h2>
+            </div>
+            <div className="card-body text-center">
+              {status === "verifying" && (
+                <div className="d-flex align-items-center justify-content-center">
+                  <span className="spinner spinner-dark"></span>
+                  <span style={{ marginLeft: "8px" }}>Verifying your email...</span>
+                </div>
+              )}
+              {status === "success" && (
+                <>
+                  <FaCheckCircle className="text-success" style={{ fontSize: "3rem", marginBottom: "16px" }} />
+                  <p>Your email address has been verified.</p>
+                </>
+              )}
+              {status === "error" && (
+                <>
+                  <FaExclamationTriangle className="text-danger" style={{ fontSize: "3rem", marginBottom: "16px" }} />
+                  <div className="alert alert-danger">
+                    <p>{message}</p>
+                  </div>
+                  <p className="text-light">
+                    You can request a new link from your settings once you're signed in.
+                  </p>
+                </>
+              )}
+              {status !== "verifying" && (
+                <Link to={isAuthenticated ? "/dashboard" : "/login"} className="btn btn-primary w-100 mt-4">
+                  {isAuthenticated ? "Go to Dashboard" : "Sign In"}
+                </Link>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
@@ -8,3 +8,5 @@ export { default as UserProfile } from './UserProfile';
 export { default as NotFound } from './NotFound';
 export { default as Subscription } from './Subscription';
 export { default as Messages } from './Messages';
+export { default as VerifyEmail } from './VerifyEmail';
+export { default as ResetPassword } from './ResetPassword';
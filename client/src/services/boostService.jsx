@@ -0,0 +1,95 @@
+"use client";
+
+import apiService from "./apiService.jsx";
+import { toast } from "react-toastify";
+
+/**
+ * Boost Service
+ *
+ * Handles profile boosts:
+ * - Fetching the running boost and the boosts the user can still use
+ * - Starting a boost (monthly free boost for premium users, then purchased boosts)
+ * - Buying boosts through the payment provider's checkout
+ * - Boost history with per-boost reports
+ *
+ * All methods return a promise that resolves to the response data.
+ */
+const boostService = {
+  /**
+   * Retrieves the running boost (with live stats), remaining credits and whether
+   * the monthly free boost is available.
+   *
+   * @returns {Promise<Object>} Response with { active, credits, freeBoostAvailable, durationMinutes, price }.
+   */
+  getStatus: async () => {
+    try {
+      const response = await apiService.get("/boosts/status");
+      return response;
+    } catch (error) {
+      console.error("Error fetching boost status:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Starts a boost.
+   *
+   * @returns {Promise<Object>} Response with the started boost's report.
+   */
+  activate: async () => {
+    try {
+      const response = await apiService.post("/boosts/activate");
+      if (response.success) {
+        toast.success(response.message || "Your profile is boosted");
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to start boost");
+      }
+    } catch (error) {
+      console.error("Error starting boost:", error);
+      toast.error(error.error || error.message || "Failed to start boost");
+      throw error;
+    }
+  },
+
+  /**
+   * Starts a checkout for boosts and sends the user to the payment page.
+   *
+   * @param {number} [quantity=1] - Number of boosts to buy.
+   * @returns {Promise<Object>} Response with the checkout session ({ sessionId, url, quantity }).
+   */
+  purchase: async (quantity = 1) => {
+    try {
+      const response = await apiService.post("/boosts/purchase", { quantity });
+      if (response.success && response.data?.url) {
+        window.location.assign(response.data.url);
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to start checkout");
+      }
+    } catch (error) {
+      console.error("Error starting boost checkout:", error);
+      toast.error(error.error || error.message || "Failed to start checkout");
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves a page of the user's past boosts with their reports.
+   *
+   * @param {number} [page=1] - Page number.
+   * @param {number} [limit=10] - Boosts per page.
+   * @returns {Promise<Object>} Paginated response ({ data, page, pages, total }).
+   */
+  getHistory: async (page = 1, limit = 10) => {
+    try {
+      const response = await apiService.get("/boosts", { page, limit });
+      return response;
+    } catch (error) {
+      console.error("Error fetching boost history:", error);
+      throw error;
+    }
+  },
+};
+
+export default boostService;
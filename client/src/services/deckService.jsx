@@ -0,0 +1,76 @@
+"use client";
+
+import apiService from "./apiService.jsx";
+import { toast } from "react-toastify";
+
+/**
+ * Deck Service
+ *
+ * Handles the swipe-style discovery deck:
+ * - Fetching a batch of candidates the user hasn't liked, passed on or blocked
+ * - Passing on a user (they stay out of discovery until the pass expires)
+ * - Rewinding the last pass (premium tiers)
+ *
+ * All methods return a promise that resolves to the response data.
+ */
+const deckService = {
+  /**
+   * Retrieves the next batch of candidates, best matches first.
+   *
+   * @param {Object} [params] - Query parameters ({ limit, radius, lat, lng, preferences }).
+   * @returns {Promise<Object>} Response with { data, count, total }.
+   */
+  getDeck: async (params = {}) => {
+    try {
+      const response = await apiService.get("/users/deck", params);
+      return response;
+    } catch (error) {
+      console.error("Error fetching discovery deck:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Passes on a user.
+   *
+   * @param {string} userId - ID of the user to pass on.
+   * @returns {Promise<Object>} Response with { userId, expiresAt }.
+   */
+  pass: async (userId) => {
+    try {
+      const response = await apiService.post(`/users/${userId}/pass`);
+      if (response.success) {
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to pass");
+      }
+    } catch (error) {
+      console.error("Error passing on user:", error);
+      toast.error(error.error || error.message || "Failed to pass");
+      throw error;
+    }
+  },
+
+  /**
+   * Undoes the most recent pass.
+   *
+   * @returns {Promise<Object>} Response with the rewound user in data.
+   */
+  rewind: async () => {
+    try {
+      const response = await apiService.post("/users/passes/rewind");
+      if (response.success) {
+        toast.info(response.message || "Pass rewound");
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to rewind");
+      }
+    } catch (error) {
+      console.error("Error rewinding pass:", error);
+      toast.error(error.error || error.message || "Failed to rewind");
+      throw error;
+    }
+  },
+};
+
+export default deckService;
@@ -4,6 +4,10 @@ import storiesService from './storiesService.jsx';
 import notificationService from '@services/notificationService.jsx'
 import settingsService from './settingsService.jsx';
 import subscriptionService from './subscriptionService.jsx';
+import boostService from './boostService.jsx';
+import deckService from './deckService.jsx';
+import savedSearchService from './savedSearchService.jsx';
+import visitorService from './visitorService.jsx';
 
 export {
   apiService,
@@ -11,5 +15,9 @@ export {
   storiesService,
   notificationService,
   settingsService,
-  subscriptionService
+  subscriptionService,
+  boostService,
+  deckService,
+  savedSearchService,
+  visitorService
 };
@@ -186,6 +186,20 @@ class NotificationService {
       }
     });
 
+    // Free accounts get the visit without the visitor
+    socketService.socket.on("profileVisit", (data) => {
+      const visitorNickname = data.user?.nickname;
+      this.addNotification({
+        type: "visit",
+        title: visitorNickname ? `${visitorNickname} viewed your profile` : "Someone viewed your profile",
+        message: visitorNickname ? "Click to view their profile" : "Upgrade to see who visits you",
+        time: "Just now",
+        read: false,
+        sender: data.user,
+        data: data,
+      });
+    });
+
     socketService.socket.on("notification", (data) => {
       console.log("Received generic notification event:", data);
       if (this.shouldShowNotification(data.type)) {
@@ -0,0 +1,115 @@
+"use client";
+
+import apiService from "./apiService.jsx";
+import { toast } from "react-toastify";
+
+/**
+ * Saved Search Service
+ *
+ * Handles searches the user keeps for later:
+ * - Listing, saving, updating and deleting saved searches
+ * - Running a saved search
+ *
+ * Filters use the same names as the search query parameters
+ * ({ nickname, gender, minAge, maxAge, location, interests, online, radius, preferences }).
+ * alertFrequency is one of "off", "hourly", "daily" or "weekly".
+ */
+const savedSearchService = {
+  /**
+   * Retrieves the user's saved searches, newest first.
+   *
+   * @returns {Promise<Array>} Saved searches.
+   */
+  getSavedSearches: async () => {
+    try {
+      const response = await apiService.get("/saved-searches");
+      return response.data || [];
+    } catch (error) {
+      console.error("Error fetching saved searches:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves a search.
+   *
+   * @param {Object} search - { name, filters, alertFrequency }.
+   * @returns {Promise<Object>} The saved search.
+   */
+  create: async (search) => {
+    try {
+      const response = await apiService.post("/saved-searches", search);
+      if (response.success) {
+        toast.success(`Saved "${response.data.name}"`);
+        return response.data;
+      } else {
+        throw new Error(response.error || "Failed to save search");
+      }
+    } catch (error) {
+      console.error("Error saving search:", error);
+      toast.error(error.error || error.message || "Failed to save search");
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a saved search's name, filters or alert frequency.
+   *
+   * @param {string} id - Saved search ID.
+   * @param {Object} changes - Fields to change.
+   * @returns {Promise<Object>} The updated saved search.
+   */
+  update: async (id, changes) => {
+    try {
+      const response = await apiService.put(`/saved-searches/${id}`, changes);
+      if (response.success) {
+        return response.data;
+      } else {
+        throw new Error(response.error || "Failed to update saved search");
+      }
+    } catch (error) {
+      console.error("Error updating saved search:", error);
+      toast.error(error.error || error.message || "Failed to update saved search");
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a saved search.
+   *
+   * @param {string} id - Saved search ID.
+   * @returns {Promise<Object>} Response.
+   */
+  remove: async (id) => {
+    try {
+      const response = await apiService.delete(`/saved-searches/${id}`);
+      if (response.success) {
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to delete saved search");
+      }
+    } catch (error) {
+      console.error("Error deleting saved search:", error);
+      toast.error(error.error || error.message || "Failed to delete saved search");
+      throw error;
+    }
+  },
+
+  /**
+   * Runs a saved search.
+   *
+   * @param {string} id - Saved search ID.
+   * @param {Object} [params] - { page, limit, sort }.
+   * @returns {Promise<Object>} Response with { data, count, total, page, pages }.
+   */
+  getResults: async (id, params = {}) => {
+    try {
+      return await apiService.get(`/saved-searches/${id}/results`, params);
+    } catch (error) {
+      console.error("Error running saved search:", error);
+      throw error;
+    }
+  },
+};
+
+export default savedSearchService;
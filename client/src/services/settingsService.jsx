@@ -67,18 +67,225 @@ const settingsService = {
     }
   },
 
+  /**
+   * Get partner preferences (default discovery filters)
+   * @returns {Promise} Promise with the preferences
+   */
+  getPreferences: async () => {
+    try {
+      const response = await apiService.get('/users/preferences');
+      return response.data || {};
+    } catch (error) {
+      console.error('Error fetching preferences:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update partner preferences
+   * @param {Object} preferences - Fields to change (ageMin, ageMax, iAm, maxDistanceKm, mustHaveTags, photosOnly, mutual)
+   * @returns {Promise} Promise with the updated preferences
+   */
+  updatePreferences: async (preferences) => {
+    try {
+      const response = await apiService.put('/users/preferences', preferences);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating preferences:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get photo verification status
+   * @returns {Promise} Promise with { photoVerified, photoVerifiedAt, request }
+   */
+  getVerification: async () => {
+    try {
+      const response = await apiService.get('/users/verification');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching verification status:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Start photo verification and get a pose to copy in a selfie
+   * @returns {Promise} Promise with the new request ({ pose, challengeExpiresAt, status })
+   */
+  startVerification: async () => {
+    try {
+      const response = await apiService.post('/users/verification/challenge');
+      return response.data;
+    } catch (error) {
+      console.error('Error starting verification:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Upload the selfie for the current pose challenge
+   * @param {File} file - Selfie image
+   * @returns {Promise} Promise with the updated request (status "pending")
+   */
+  submitVerificationSelfie: async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('selfie', file);
+      const response = await apiService.upload('/users/verification/selfie', formData);
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading verification selfie:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the linked partner account and open couple invites
+   * @returns {Promise} Promise with { isCouple, partner, role, linkedAt, sentInvite, receivedInvites }
+   */
+  getCouple: async () => {
+    try {
+      const response = await apiService.get('/couple');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching couple status:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Invite another account to link with the current couple profile
+   * @param {string} identifier - Partner's email or nickname
+   * @returns {Promise} Promise with the invite
+   */
+  inviteCouplePartner: async (identifier) => {
+    try {
+      const response = await apiService.post('/couple/invites', { user: identifier });
+      return response.data;
+    } catch (error) {
+      console.error('Error inviting partner:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Accept an invite to link with a couple profile
+   * @param {string} inviteId - ID of the invite
+   * @returns {Promise} Promise with the link ({ primary, partner, linkedAt })
+   */
+  acceptCoupleInvite: async (inviteId) => {
+    try {
+      const response = await apiService.post(`/couple/invites/${inviteId}/accept`);
+      return response.data;
+    } catch (error) {
+      console.error('Error accepting couple invite:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Decline an invite to link with a couple profile
+   * @param {string} inviteId - ID of the invite
+   * @returns {Promise} Promise with the declined invite
+   */
+  declineCoupleInvite: async (inviteId) => {
+    try {
+      const response = await apiService.post(`/couple/invites/${inviteId}/decline`);
+      return response.data;
+    } catch (error) {
+      console.error('Error declining couple invite:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cancel an invite the current user sent
+   * @param {string} inviteId - ID of the invite
+   * @returns {Promise} Promise with the cancelled invite
+   */
+  cancelCoupleInvite: async (inviteId) => {
+    try {
+      const response = await apiService.delete(`/couple/invites/${inviteId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling couple invite:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Unlink the partner account
+   * @returns {Promise} Promise with the unlink result
+   */
+  unlinkCouple: async () => {
+    try {
+      const response = await apiService.delete('/couple');
+      return response.data;
+    } catch (error) {
+      console.error('Error unlinking accounts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get users blocked by the current user
+   * @returns {Promise} Promise with the list of blocked users
+   */
+  getBlockedUsers: async () => {
+    try {
+      const response = await apiService.get('/users/blocked');
+      return response.data || [];
+    } catch (error) {
+      console.error('Error fetching blocked users:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Block a user
+   * @param {string} userId - ID of the user to block
+   * @returns {Promise} Promise with block status
+   */
+  blockUser: async (userId) => {
+    try {
+      const response = await apiService.post(`/users/${userId}/block`);
+      return response;
+    } catch (error) {
+      console.error('Error blocking user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Unblock a user
+   * @param {string} userId - ID of the user to unblock
+   * @returns {Promise} Promise with unblock status
+   */
+  unblockUser: async (userId) => {
+    try {
+      const response = await apiService.delete(`/users/${userId}/block`);
+      return response;
+    } catch (error) {
+      console.error('Error unblocking user:', error);
+      throw error;
+    }
+  },
+
   /**
    * Delete user account
+   * The account is deactivated and permanently deleted after a grace period;
+   * logging in again before then restores it.
    * @param {string} password - User's password for confirmation
-   * @returns {Promise} Promise with deletion status
+   * @returns {Promise} Promise with deletion status and scheduled deletion date
    */
   deleteAccount: async (password) => {
     try {
-      // Make sure your endpoint here is also correct (remove extra "/api" if needed)
       const response = await apiService.delete('/users/account', {
         data: { password }
       });
-      return response.data;
+      return response;
     } catch (error) {
       console.error('Error deleting account:', error);
       throw error;
@@ -8,8 +8,10 @@ import { toast } from "react-toastify";
  *
  * Handles subscription-related operations including:
  * - Fetching the current subscription status
- * - Upgrading to a premium plan (monthly/yearly)
- * - Cancelling subscriptions
+ * - Starting checkout for a premium plan (monthly/yearly)
+ * - Cancelling and resuming auto-renewal
+ * - Billing history and receipts
+ * - Redeeming promo codes (trials and discounts)
  * - Checking if a user can perform a premium action
  *
  * All methods return a promise that resolves to the response data.
@@ -43,28 +45,26 @@ const subscriptionService = {
   },
 
   /**
-   * Upgrades the user to a paid subscription.
+   * Starts a checkout session for a paid subscription. The caller should send the
+   * user to the returned URL; the subscription becomes active once payment completes.
    *
    * @param {string} plan - Subscription plan ("monthly" or "yearly").
-   * @returns {Promise<Object>} Updated user data with subscription info.
+   * @returns {Promise<Object>} Response with the checkout session ({ sessionId, url, plan }).
    */
   upgradeSubscription: async (plan) => {
     try {
       if (!plan || !["monthly", "yearly"].includes(plan)) {
         throw new Error("Invalid subscription plan. Please choose monthly or yearly.");
       }
-      console.log(`Upgrading to ${plan} plan...`);
-      const response = await apiService.post("/subscription/upgrade", { plan });
-      console.log("Upgrade response:", response);
-      if (response.success) {
-        toast.success(`Successfully upgraded to ${plan} plan!`);
+      const response = await apiService.post("/subscription/checkout", { plan });
+      if (response.success && response.data?.url) {
         return response;
       } else {
-        throw new Error(response.error || "Failed to upgrade subscription");
+        throw new Error(response.error || "Failed to start checkout");
       }
     } catch (error) {
-      console.error("Error upgrading subscription:", error);
-      toast.error(error.message || "Failed to upgrade subscription");
+      console.error("Error starting checkout:", error);
+      toast.error(error.message || "Failed to start checkout");
       throw error;
     }
   },
@@ -90,6 +90,91 @@ const subscriptionService = {
     }
   },
 
+  /**
+   * Turns auto-renew back on for a subscription that was canceled.
+   *
+   * @returns {Promise<Object>} Updated subscription data.
+   */
+  resumeSubscription: async () => {
+    try {
+      const response = await apiService.post("/subscription/resume");
+      if (response.success) {
+        toast.success(response.message || "Subscription resumed");
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to resume subscription");
+      }
+    } catch (error) {
+      console.error("Error resuming subscription:", error);
+      toast.error(error.message || "Failed to resume subscription");
+      throw error;
+    }
+  },
+
+  /**
+   * Redeems a promo code. Free-days codes start a premium trial right away;
+   * percent-off codes are applied to the next checkout.
+   *
+   * @param {string} code - Promo code as entered by the user.
+   * @returns {Promise<Object>} Response with the redemption ({ type, percentOff, freeDays, trialEndsAt }).
+   */
+  redeemPromoCode: async (code) => {
+    try {
+      const response = await apiService.post("/subscription/redeem", { code });
+      if (response.success) {
+        toast.success(response.message || "Promo code applied");
+        return response;
+      } else {
+        throw new Error(response.error || "Failed to redeem promo code");
+      }
+    } catch (error) {
+      console.error("Error redeeming promo code:", error);
+      toast.error(error.error || error.message || "Failed to redeem promo code");
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves a page of the user's billing history.
+   *
+   * @param {number} [page=1] - Page number.
+   * @param {number} [limit=10] - Invoices per page.
+   * @returns {Promise<Object>} Paginated response ({ data, page, pages, total }).
+   */
+  getInvoices: async (page = 1, limit = 10) => {
+    try {
+      const response = await apiService.get("/subscription/invoices", { page, limit });
+      return response;
+    } catch (error) {
+      console.error("Error fetching invoices:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Downloads the receipt for an invoice.
+   *
+   * @param {Object} invoice - Invoice from getInvoices().
+   */
+  downloadReceipt: async (invoice) => {
+    try {
+      const response = await apiService.download(`/subscription/invoices/${invoice._id}/receipt`);
+      const blob = response instanceof Blob ? response : new Blob([response], { type: "text/html" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `receipt-${invoice.number}.html`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading receipt:", error);
+      toast.error("Failed to download receipt");
+      throw error;
+    }
+  },
+
   /**
    * Checks if the user can perform a premium action.
    *
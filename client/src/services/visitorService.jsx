@@ -0,0 +1,32 @@
+"use client";
+
+import apiService from "./apiService.jsx";
+
+/**
+ * Visitor Service
+ *
+ * Handles "who viewed my profile":
+ * - Fetching the users who visited the current user's profile
+ *
+ * Free accounts get the number of visitors only ({ locked: true, total, data: [] });
+ * premium tiers get the list. New visits also arrive live as "profileVisit" socket events.
+ */
+const visitorService = {
+  /**
+   * Retrieves the profile's visitors, most recent first.
+   *
+   * @param {Object} [params] - Query parameters ({ page, limit }).
+   * @returns {Promise<Object>} Response with { locked, data, count, total, page, pages };
+   *   each entry is { user, visitedAt, visits }.
+   */
+  getVisitors: async (params = {}) => {
+    try {
+      return await apiService.get("/users/visitors", params);
+    } catch (error) {
+      console.error("Error fetching profile visitors:", error);
+      throw error;
+    }
+  },
+};
+
+export default visitorService;
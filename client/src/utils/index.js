@@ -20,3 +20,24 @@ export const normalizePhotoUrl = (url) => {
 }
 
 // Export other existing utilities
+
+// Uploaded images come with sized copies from the server: thumb (160px), card (480px)
+// and full (1200px), each in WebP and AVIF. Pick the copy of a size, or null when the
+// upload predates them.
+export const getMediaVariantUrl = (variants, size, format = "webp") => variants?.[size]?.[format] || null
+
+// URL of a user photo ({ url, metadata }) at a size, falling back to the original upload
+export const getPhotoUrl = (photo, size = "full") =>
+  normalizePhotoUrl(getMediaVariantUrl(photo?.metadata?.variants, size) || photo?.url)
+
+// Whether the current user can still edit a message they sent: a text message the server
+// has stored (not one only relayed over the socket, which has a temporary id) before the
+// editableUntil the server sent with it. In a linked couple's shared inbox only the partner
+// who wrote the message (sentBy) can edit it.
+export const canEditMessage = (message, userId) =>
+  message?.type === "text" &&
+  /^[0-9a-fA-F]{24}$/.test(message._id || "") &&
+  !message.pending &&
+  (!message.sentBy || String(message.sentBy) === String(userId)) &&
+  Boolean(message.editableUntil) &&
+  Date.now() < new Date(message.editableUntil).getTime()
@@ -72,6 +72,96 @@ const config = {
   // File upload settings
   FILE_UPLOAD_PATH: process.env.FILE_UPLOAD_PATH || path.join(__dirname, "uploads"),
   MAX_FILE_SIZE: Number.parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024, // 5MB
+  // Where uploads wait while they are validated and processed, before going to storage
+  UPLOAD_TEMP_PATH: process.env.UPLOAD_TEMP_PATH || path.join(__dirname, "uploads", "temp"),
+
+  // Upload storage (see storage/index.js): "local" keeps files under FILE_UPLOAD_PATH,
+  // "s3" in a bucket of any S3-compatible service (set S3_ENDPOINT for MinIO and the like)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || "local",
+  S3_BUCKET: process.env.S3_BUCKET || null,
+  S3_REGION: process.env.S3_REGION || "us-east-1",
+  S3_ENDPOINT: process.env.S3_ENDPOINT || null,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || null,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || null,
+  // Self-hosted services usually need bucket names in the path rather than the host name
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === "true",
+  // How long the bucket URLs media requests are redirected to stay valid
+  STORAGE_SIGNED_URL_SECONDS: Number.parseInt(process.env.STORAGE_SIGNED_URL_SECONDS, 10) || 300, // 5 minutes
+
+  // Signed media URLs: private photos and message attachments are only served through
+  // URLs signed for a viewer (utils/signedMedia.js), valid for MEDIA_URL_TTL_MINUTES
+  MEDIA_URL_SECRET: process.env.MEDIA_URL_SECRET || null, // Falls back to JWT_SECRET
+  MEDIA_URL_TTL_MINUTES: Number.parseInt(process.env.MEDIA_URL_TTL_MINUTES, 10) || 30, // 30 minutes
+
+  // Account deletion settings
+  ACCOUNT_DELETION_GRACE_DAYS: Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30, // 30 days
+
+  // Public URL of the web client, used for links in emails
+  FRONTEND_URL: process.env.FRONTEND_URL || "http://localhost:3000",
+
+  // Email settings
+  // MAIL_TRANSPORT: "smtp", "file" (writes .eml files), "console" (logs) or "stub" (in-memory outbox)
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console"),
+  MAIL_FROM: process.env.MAIL_FROM || "Mandarin <no-reply@mandarin.app>",
+  MAIL_FILE_PATH: process.env.MAIL_FILE_PATH || path.join(__dirname, "logs", "mail"),
+  SMTP_HOST: process.env.SMTP_HOST || "localhost",
+  SMTP_PORT: Number.parseInt(process.env.SMTP_PORT, 10) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === "true",
+  SMTP_USER: process.env.SMTP_USER || null,
+  SMTP_PASS: process.env.SMTP_PASS || null,
+
+  // Public URL of this API server, used for provider redirects
+  API_URL: process.env.API_URL || `http://localhost:${Number.parseInt(process.env.PORT, 10) || 5000}`,
+
+  // Payment settings
+  // PAYMENT_PROVIDER: "stripe" (or any Stripe-compatible API) or "fake" (local development).
+  // The fake provider grants premium without payment, so it is only used when set explicitly.
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || "stripe",
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || null,
+  STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET || null,
+  STRIPE_API_BASE: process.env.STRIPE_API_BASE || "https://api.stripe.com/v1",
+  STRIPE_PRICE_MONTHLY: process.env.STRIPE_PRICE_MONTHLY || null,
+  STRIPE_PRICE_YEARLY: process.env.STRIPE_PRICE_YEARLY || null,
+  // The public default secret is only for PAYMENT_PROVIDER=fake outside production
+  FAKE_PAYMENT_WEBHOOK_SECRET:
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET ||
+    (process.env.PAYMENT_PROVIDER === "fake" && process.env.NODE_ENV !== "production"
+      ? "mandarin-fake-webhook-secret"
+      : null),
+
+  // Subscription lifecycle settings
+  // Auto-renewing subscriptions keep access this long past expiry while a late renewal arrives
+  SUBSCRIPTION_GRACE_DAYS: Number.parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 3, // 3 days
+  // Days before expiry on which non-renewing subscribers are reminded
+  SUBSCRIPTION_REMINDER_DAYS: (process.env.SUBSCRIPTION_REMINDER_DAYS || "3,1")
+    .split(",")
+    .map((days) => Number.parseInt(days, 10))
+    .filter((days) => days > 0),
+
+  // Profile boosts: how long a boost keeps a profile at the top of discovery
+  BOOST_DURATION_MINUTES: Number.parseInt(process.env.BOOST_DURATION_MINUTES, 10) || 30, // 30 minutes
+
+  // Discovery passes: how long a passed profile stays out of the deck before it can resurface
+  PASS_EXPIRY_DAYS: Number.parseInt(process.env.PASS_EXPIRY_DAYS, 10) || 30, // 30 days
+
+  // Saved searches: how many searches each user can keep
+  MAX_SAVED_SEARCHES: Number.parseInt(process.env.MAX_SAVED_SEARCHES, 10) || 20,
+
+  // Photo verification: how long users have to upload a selfie for their pose challenge
+  VERIFICATION_CHALLENGE_MINUTES: Number.parseInt(process.env.VERIFICATION_CHALLENGE_MINUTES, 10) || 10, // 10 minutes
+
+  // Profile visits: how long "who viewed me" keeps a visit
+  PROFILE_VISIT_RETENTION_DAYS: Number.parseInt(process.env.PROFILE_VISIT_RETENTION_DAYS, 10) || 30, // 30 days
+
+  // Couple accounts: how long an invite to link a partner account stays open
+  COUPLE_INVITE_DAYS: Number.parseInt(process.env.COUPLE_INVITE_DAYS, 10) || 7, // 7 days
+
+  // Voice messages: longest recording accepted, and the ffmpeg binary used to measure and transcode them
+  VOICE_MESSAGE_MAX_SECONDS: Number.parseInt(process.env.VOICE_MESSAGE_MAX_SECONDS, 10) || 120, // 2 minutes
+  FFMPEG_PATH: process.env.FFMPEG_PATH || "ffmpeg",
+
+  // Message editing: how long after sending a text message its sender can still edit it
+  MESSAGE_EDIT_WINDOW_MINUTES: Number.parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15, // 15 minutes
 
   // Redis configuration (optional)
   REDIS_URL: process.env.REDIS_URL || null,
@@ -79,11 +169,14 @@ const config = {
   // CORS settings
   CORS_OPTIONS: createCorsOptions(),
 
-  // Ensures JWT secret is set in production
+  // Ensures JWT secret is set in production and fake payment webhooks can't be forged
   validateConfig() {
     if (this.NODE_ENV === "production" && !this.JWT_SECRET) {
       throw new Error("JWT_SECRET is required in production environment")
     }
+    if (this.PAYMENT_PROVIDER === "fake" && !this.FAKE_PAYMENT_WEBHOOK_SECRET) {
+      throw new Error("FAKE_PAYMENT_WEBHOOK_SECRET is required to use the fake payment provider in production")
+    }
 
     // Create uploads directory if it doesn't exist
     import("fs").then((fs) => {
@@ -0,0 +1,88 @@
+// cron/__tests__/matchTasks.test.js - The daily new-match digest (models are mocked)
+import { jest } from '@jest/globals';
+
+let matches = [];
+let users = [];
+let blocked = {};
+
+// find(...).select(...).lean() resolving to the given documents
+const query = (docs) => ({ select: () => ({ lean: async () => docs() }) });
+
+const Match = {
+  find: jest.fn(() => query(() => matches)),
+  updateMany: jest.fn(),
+};
+const User = {
+  find: jest.fn(({ _id }) => query(() => users.filter((user) => _id.$in.includes(user._id)))),
+  getBlockedUserIds: jest.fn(async (userId) => blocked[userId] || []),
+};
+const sendMatchDigestEmail = jest.fn();
+
+jest.unstable_mockModule('../../models/index.js', () => ({ Like: {}, Match, User }));
+jest.unstable_mockModule('../../mail/index.js', () => ({ sendMatchDigestEmail }));
+
+const { sendMatchDigests } = await import('../matchTasks.js');
+
+const makeUser = (id, fields) => ({
+  _id: id,
+  nickname: id,
+  email: `${id}@example.com`,
+  isVerified: true,
+  details: { age: 30, location: 'Tel Aviv' },
+  ...fields,
+});
+
+const digestFor = (userId) =>
+  sendMatchDigestEmail.mock.calls
+    .filter(([user]) => user._id === userId)
+    .map(([, partners]) => partners.map((partner) => partner.nickname));
+
+describe('sendMatchDigests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sendMatchDigestEmail.mockResolvedValue({});
+    blocked = {};
+  });
+
+  test('emails each user their new matches and marks the matches as sent', async () => {
+    users = [makeUser('ana'), makeUser('ben'), makeUser('dan')];
+    matches = [
+      { _id: 'm1', users: ['ana', 'ben'] },
+      { _id: 'm2', users: ['ana', 'dan'] },
+    ];
+
+    expect(await sendMatchDigests()).toBe(3);
+    expect(digestFor('ana')).toEqual([['ben', 'dan']]);
+    expect(digestFor('ben')).toEqual([['ana']]);
+    expect(sendMatchDigestEmail).toHaveBeenCalledWith(users[1], [{ nickname: 'ana', age: 30, location: 'Tel Aviv' }]);
+
+    const [filter, update] = Match.updateMany.mock.calls[0];
+    expect(filter).toEqual({ _id: { $in: ['m1', 'm2'] } });
+    expect(update.$set.digestSentAt).toBeInstanceOf(Date);
+  });
+
+  test('leaves out unverified addresses, deactivated and blocked users', async () => {
+    // Deactivated users aren't returned by User.find
+    users = [makeUser('ana'), makeUser('ben', { isVerified: false }), makeUser('cat')];
+    matches = [
+      { _id: 'm1', users: ['ana', 'ben'] },
+      { _id: 'm2', users: ['ana', 'cat'] },
+      { _id: 'm3', users: ['ana', 'dan'] },
+    ];
+    blocked = { cat: ['ana'], ana: ['cat'] };
+
+    expect(await sendMatchDigests()).toBe(1);
+    expect(digestFor('ana')).toEqual([['ben']]);
+    expect(digestFor('ben')).toEqual([]);
+    expect(digestFor('cat')).toEqual([]);
+    expect(Match.updateMany).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends nothing when there are no new matches', async () => {
+    matches = [];
+
+    expect(await sendMatchDigests()).toBe(0);
+    expect(User.find).not.toHaveBeenCalled();
+    expect(Match.updateMany).not.toHaveBeenCalled();
+  });
+});
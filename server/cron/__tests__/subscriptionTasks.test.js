@@ -0,0 +1,218 @@
+// cron/__tests__/subscriptionTasks.test.js - Subscription expiry, grace period and reminder jobs (models are mocked)
+import { jest } from '@jest/globals';
+
+// In-memory users; User.find filters them with the handful of query operators the jobs use
+let users = [];
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const OPERATORS = {
+  $ne: (value, operand) => value !== operand,
+  $lt: (value, operand) => value != null && value < operand,
+  $lte: (value, operand) => value != null && value <= operand,
+  $gt: (value, operand) => value != null && value > operand,
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((branch) => matches(doc, branch));
+    const value = valueAt(doc, key);
+    if (condition === null) return value == null;
+    if (typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+    return value === condition;
+  });
+
+const find = jest.fn((filter) => {
+  const query = {
+    setOptions: () => query,
+    cursor: () => users.filter((user) => matches(user, filter)),
+  };
+  return query;
+});
+
+const cancelSubscription = jest.fn();
+const recordSubscriptionTransition = jest.fn();
+const notifySystem = jest.fn();
+const sendSubscriptionExpiringEmail = jest.fn();
+
+jest.unstable_mockModule('../../models/User.js', () => ({ default: { find } }));
+jest.unstable_mockModule('../../payments/index.js', () => ({ getPaymentProvider: () => ({ cancelSubscription }) }));
+jest.unstable_mockModule('../../payments/transitions.js', () => ({
+  getSubscriptionSnapshot: (user) => ({ status: user.subscription.status, accountTier: user.accountTier }),
+  recordSubscriptionTransition,
+}));
+jest.unstable_mockModule('../../utils/notifications.js', () => ({ notifySystem }));
+jest.unstable_mockModule('../../mail/index.js', () => ({ sendSubscriptionExpiringEmail }));
+
+const { default: config } = await import('../../config.js');
+const { checkExpiredSubscriptions, sendExpiryReminders } = await import('../subscriptionTasks.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+// A paying user on an auto-renewing subscription; saving recalculates the tier like the pre-save hook
+const makeUser = ({ subscription, ...fields } = {}) => ({
+  _id: `user-${users.length + 1}`,
+  isPaid: true,
+  accountTier: 'PAID',
+  subscriptionExpiry: daysFromNow(10),
+  trial: {},
+  subscription: {
+    status: 'active',
+    subscriptionId: 'sub_123',
+    autoRenew: true,
+    cancelAtPeriodEnd: false,
+    remindersSent: [],
+    ...subscription,
+  },
+  setAccountTier() {
+    const onTrial = this.trial?.endsAt > new Date();
+    this.accountTier = this.isPaid || onTrial ? 'PAID' : 'FREE';
+  },
+  save: jest.fn(async function save() {
+    this.setAccountTier();
+  }),
+  ...fields,
+});
+
+const addUser = (fields) => {
+  const user = makeUser(fields);
+  users.push(user);
+  return user;
+};
+
+const transitionReasons = () => recordSubscriptionTransition.mock.calls.map(([, , { reason }]) => reason);
+
+describe('checkExpiredSubscriptions', () => {
+  beforeEach(() => {
+    users = [];
+    jest.clearAllMocks();
+  });
+
+  test('moves a lapsed auto-renewing subscription into the grace period', async () => {
+    const user = addUser({ subscriptionExpiry: daysFromNow(-1) });
+
+    const counts = await checkExpiredSubscriptions();
+
+    expect(counts).toEqual({ grace: 1, expired: 0, repaired: 0 });
+    expect(user.isPaid).toBe(true);
+    expect(user.subscription.status).toBe('grace');
+    expect(user.subscription.graceEndsAt).toEqual(
+      new Date(user.subscriptionExpiry.getTime() + config.SUBSCRIPTION_GRACE_DAYS * DAY_MS),
+    );
+    expect(transitionReasons()).toEqual(['renewal_overdue']);
+    expect(notifySystem).toHaveBeenCalledWith(undefined, user._id, expect.stringMatching(/payment method/));
+    expect(cancelSubscription).not.toHaveBeenCalled();
+  });
+
+  test('leaves a subscription in grace alone until the grace period is over', async () => {
+    const user = addUser({
+      subscriptionExpiry: daysFromNow(-1),
+      subscription: { status: 'grace' },
+    });
+
+    const counts = await checkExpiredSubscriptions();
+
+    expect(counts).toEqual({ grace: 0, expired: 0, repaired: 0 });
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('expires a subscription whose grace period is over and cancels it with the provider', async () => {
+    const user = addUser({
+      subscriptionExpiry: daysFromNow(-config.SUBSCRIPTION_GRACE_DAYS - 1),
+      subscription: { status: 'grace', graceEndsAt: daysFromNow(-1) },
+    });
+
+    const counts = await checkExpiredSubscriptions();
+
+    expect(counts).toEqual({ grace: 0, expired: 1, repaired: 0 });
+    expect(user.isPaid).toBe(false);
+    expect(user.accountTier).toBe('FREE');
+    expect(user.subscription).toMatchObject({ status: 'expired', autoRenew: false, graceEndsAt: null });
+    expect(cancelSubscription).toHaveBeenCalledWith('sub_123', { atPeriodEnd: false });
+    expect(transitionReasons()).toEqual(['grace_period_ended']);
+  });
+
+  test('ends a canceled subscription on its expiry date without a grace period', async () => {
+    const user = addUser({
+      subscriptionExpiry: daysFromNow(-0.01),
+      subscription: { status: 'canceled', autoRenew: false, cancelAtPeriodEnd: true },
+    });
+
+    const counts = await checkExpiredSubscriptions();
+
+    expect(counts).toEqual({ grace: 0, expired: 1, repaired: 0 });
+    expect(user.isPaid).toBe(false);
+    expect(user.subscription.status).toBe('expired');
+    expect(cancelSubscription).not.toHaveBeenCalled();
+    expect(transitionReasons()).toEqual(['subscription_expired']);
+  });
+
+  test('moves a user whose trial has ended back to the free tier', async () => {
+    const user = addUser({
+      isPaid: false,
+      subscriptionExpiry: null,
+      trial: { endsAt: daysFromNow(-1) },
+      subscription: { status: 'none', subscriptionId: null, autoRenew: false },
+    });
+    addUser({
+      isPaid: false,
+      subscriptionExpiry: null,
+      trial: { endsAt: daysFromNow(2) },
+      subscription: { status: 'none', subscriptionId: null, autoRenew: false },
+    });
+
+    const counts = await checkExpiredSubscriptions();
+
+    expect(counts).toEqual({ grace: 0, expired: 0, repaired: 1 });
+    expect(user.accountTier).toBe('FREE');
+    expect(transitionReasons()).toEqual(['trial_ended']);
+    expect(notifySystem).toHaveBeenCalledWith(undefined, user._id, expect.stringMatching(/trial has ended/));
+  });
+});
+
+describe('sendExpiryReminders', () => {
+  beforeEach(() => {
+    users = [];
+    jest.clearAllMocks();
+    sendSubscriptionExpiringEmail.mockResolvedValue({});
+  });
+
+  test('sends each reminder once', async () => {
+    const user = addUser({
+      subscriptionExpiry: daysFromNow(2.5),
+      subscription: { status: 'canceled', autoRenew: false },
+    });
+
+    expect(await sendExpiryReminders()).toBe(1);
+    expect(user.subscription.remindersSent).toEqual([3]);
+    expect(sendSubscriptionExpiringEmail).toHaveBeenCalledWith(user, expect.objectContaining({ daysLeft: 3 }));
+
+    // The next run the same day finds the reminder already sent
+    expect(await sendExpiryReminders()).toBe(0);
+    expect(notifySystem).toHaveBeenCalledTimes(1);
+    expect(sendSubscriptionExpiringEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends the next reminder once its threshold is reached', async () => {
+    const user = addUser({
+      subscriptionExpiry: daysFromNow(0.5),
+      subscription: { status: 'canceled', autoRenew: false, remindersSent: [3] },
+    });
+
+    expect(await sendExpiryReminders()).toBe(1);
+    expect(user.subscription.remindersSent).toEqual([1, 3]);
+    expect(notifySystem).toHaveBeenCalledWith(undefined, user._id, expect.stringMatching(/tomorrow/));
+
+    expect(await sendExpiryReminders()).toBe(0);
+  });
+
+  test('skips auto-renewing subscriptions', async () => {
+    addUser({ subscriptionExpiry: daysFromNow(1) });
+
+    expect(await sendExpiryReminders()).toBe(0);
+    expect(notifySystem).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+// cron/accountTasks.js - Permanent removal of accounts whose deletion grace period has ended
+import cron from 'node-cron';
+import path from 'path';
+import logger from '../logger.js';
+import { User, Message, Like, Story, PhotoPermission, Notification, Boost, Pass, Match, SavedSearch, VerificationRequest, CoupleInvite, ProfileVisit } from '../models/index.js';
+import { getStorage, keyFromUrl } from '../storage/index.js';
+import { removeStoredMedia } from '../utils/media.js';
+
+/**
+ * Remove everything that belongs to a user and then the user document itself.
+ * Photos are moved under deleted/ in storage rather than removed.
+ * @param {Object} user - User document (queried with includeInactive)
+ * @returns {Promise<Object>} Counts of removed documents per collection
+ */
+const purgeUserData = async (user) => {
+  const userId = user._id;
+  const photoIds = (user.photos || []).map((photo) => photo._id);
+  const verificationRequests = await VerificationRequest.find({ user: userId }).select('selfieUrl').lean();
+
+  const [messages, likes, passes, matches, stories, permissions, notifications, boosts, savedSearches, verifications, coupleInvites, visits] = await Promise.all([
+    Message.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] }),
+    Like.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] }),
+    Pass.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] }),
+    Match.deleteMany({ users: userId }),
+    Story.deleteMany({ user: userId }),
+    PhotoPermission.deleteMany({ $or: [{ requestedBy: userId }, { photo: { $in: photoIds } }] }),
+    Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] }),
+    Boost.deleteMany({ user: userId }),
+    SavedSearch.deleteMany({ user: userId }),
+    VerificationRequest.deleteMany({ user: userId }),
+    CoupleInvite.deleteMany({ $or: [{ from: userId }, { to: userId }] }),
+    ProfileVisit.deleteMany({ $or: [{ visitor: userId }, { visited: userId }] }),
+  ]);
+
+  // Move uploaded photos (and their generated sizes) under deleted/ in storage
+  let movedPhotos = 0;
+  for (const photo of user.photos || []) {
+    const key = keyFromUrl(photo.url);
+    if (key && (await removeStoredMedia(key))) {
+      movedPhotos += 1;
+    }
+  }
+
+  // Verification selfies too
+  for (const request of verificationRequests) {
+    if (!request.selfieUrl) continue;
+    if (await getStorage().moveToDeleted(`verifications/${path.posix.basename(request.selfieUrl)}`)) {
+      movedPhotos += 1;
+    }
+  }
+
+  // Unlink a linked partner account (saved so its account tier is recalculated)
+  const partner = await User.findOne({ 'couple.partner': userId }).setOptions({ includeInactive: true });
+  if (partner) {
+    partner.couple = { partner: null, role: null, linkedAt: null };
+    await partner.save();
+  }
+
+  // Drop the user from other users' block lists
+  await User.updateMany({ blockedUsers: userId }, { $pull: { blockedUsers: userId } });
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    messages: messages.deletedCount,
+    likes: likes.deletedCount,
+    passes: passes.deletedCount,
+    matches: matches.deletedCount,
+    stories: stories.deletedCount,
+    photoPermissions: permissions.deletedCount,
+    notifications: notifications.deletedCount,
+    boosts: boosts.deletedCount,
+    savedSearches: savedSearches.deletedCount,
+    verificationRequests: verifications.deletedCount,
+    coupleInvites: coupleInvites.deletedCount,
+    profileVisits: visits.deletedCount,
+    photos: movedPhotos,
+  };
+};
+
+/**
+ * Purge deactivated accounts whose deletion grace period has passed
+ * @returns {Promise<Object>}
+ */
+const purgeDeletedAccounts = async () => {
+  try {
+    logger.info("Running deleted account purge");
+
+    const users = await User.find({
+      active: false,
+      scheduledDeletionAt: { $lte: new Date() },
+    })
+      .select("+active photos")
+      .setOptions({ includeInactive: true });
+
+    let purged = 0;
+    for (const user of users) {
+      try {
+        const counts = await purgeUserData(user);
+        purged += 1;
+        logger.info(`Purged deleted account ${user._id}`, counts);
+      } catch (error) {
+        // Leave the account in place so the next run can retry it
+        logger.error(`Error purging account ${user._id}: ${error.message}`, { stack: error.stack });
+      }
+    }
+
+    logger.info(`Purged ${purged} of ${users.length} deleted accounts`);
+    return { purged, total: users.length };
+  } catch (error) {
+    logger.error(`Error purging deleted accounts: ${error.message}`, { stack: error.stack });
+    // We don't throw the error to prevent the cron job from stopping
+  }
+};
+
+/**
+ * Initialize all account-related cron tasks
+ */
+const initAccountTasks = () => {
+  // Purge accounts past their deletion grace period at 3 AM (server time)
+  cron.schedule("0 3 * * *", purgeDeletedAccounts);
+
+  logger.info("Account tasks initialized");
+};
+
+export {
+  initAccountTasks,
+  purgeDeletedAccounts,
+  purgeUserData
+};
+
+export default initAccountTasks;
@@ -0,0 +1,62 @@
+// cron/boostTasks.js - End-of-boost reports for boosted profiles
+import cron from 'node-cron';
+import logger from '../logger.js';
+import { Boost } from '../models/index.js';
+import { notifySystem } from '../utils/notifications.js';
+
+/**
+ * Send each user whose boost has ended a report of the views and likes it brought
+ * @param {Object} [io] - Socket.IO server used to deliver the report live
+ * @returns {Promise<number>} Number of reports sent
+ */
+const sendBoostReports = async (io) => {
+  try {
+    const finished = await Boost.find({ reportSentAt: null, endsAt: { $lte: new Date() } }).limit(500);
+
+    let sent = 0;
+    for (const boost of finished) {
+      try {
+        const report = boost.getReport();
+        const content =
+          `Your boost has ended: ${report.views} profile ${report.views === 1 ? 'view' : 'views'} and ` +
+          `${report.likes} ${report.likes === 1 ? 'like' : 'likes'}` +
+          (report.extraLikes ? ` (${report.extraLikes} more than usual)` : '') +
+          '.';
+
+        await notifySystem(io, boost.user, content);
+        if (io) {
+          io.to(boost.user.toString()).emit('boostReport', report);
+        }
+
+        boost.reportSentAt = new Date();
+        await boost.save();
+        sent++;
+      } catch (error) {
+        logger.error(`Error sending report for boost ${boost._id}: ${error.message}`);
+      }
+    }
+
+    if (sent) {
+      logger.info(`Sent ${sent} boost reports`);
+    }
+    return sent;
+  } catch (error) {
+    logger.error(`Error sending boost reports: ${error.message}`, { stack: error.stack });
+    // We don't throw the error to prevent the cron job from stopping
+  }
+};
+
+/**
+ * Initialize boost-related cron tasks
+ * @param {Object} [io] - Socket.IO server
+ */
+const initBoostTasks = (io) => {
+  // Report on finished boosts every 5 minutes
+  cron.schedule('*/5 * * * *', () => sendBoostReports(io));
+
+  logger.info('Boost tasks initialized');
+};
+
+export { initBoostTasks, sendBoostReports };
+
+export default initBoostTasks;
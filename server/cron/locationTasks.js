@@ -0,0 +1,53 @@
+// cron/locationTasks.js - Geocoding of profile locations for radius searches
+import cron from 'node-cron';
+import logger from '../logger.js';
+import User from '../models/User.js';
+import { geocodeToPoint } from '../utils/geocoding.js';
+
+/**
+ * Give coordinates to profiles that have a location but none yet: accounts created
+ * before geocoding existed, and places added to the city list since
+ * @returns {Promise<number>} Number of profiles geocoded
+ */
+const geocodeMissingLocations = async () => {
+  try {
+    const users = User.find({
+      'details.location': { $nin: [null, ''] },
+      geoLocation: { $exists: false },
+    })
+      .select('details.location')
+      .setOptions({ includeInactive: true })
+      .cursor();
+
+    let geocoded = 0;
+    for await (const user of users) {
+      const point = geocodeToPoint(user.details.location);
+      if (!point) continue;
+      await User.updateOne({ _id: user._id }, { $set: { geoLocation: point } });
+      geocoded++;
+    }
+
+    if (geocoded) {
+      logger.info(`Geocoded locations for ${geocoded} users`);
+    }
+    return geocoded;
+  } catch (error) {
+    logger.error(`Error geocoding user locations: ${error.message}`, { stack: error.stack });
+    // We don't throw the error to prevent the cron job from stopping
+  }
+};
+
+/**
+ * Initialize location-related tasks
+ */
+const initLocationTasks = () => {
+  // Catch up once at startup, then nightly at 4 AM (server time)
+  geocodeMissingLocations();
+  cron.schedule('0 4 * * *', geocodeMissingLocations);
+
+  logger.info('Location tasks initialized');
+};
+
+export { initLocationTasks, geocodeMissingLocations };
+
+export default initLocationTasks;
@@ -0,0 +1,146 @@
+// cron/matchTasks.js - Match documents for mutual likes from before matches were stored,
+// and the daily new-match digest email
+import cron from 'node-cron';
+import logger from '../logger.js';
+import { Like, Match, User } from '../models/index.js';
+import { toPairKey } from '../models/Match.js';
+import { sendMatchDigestEmail } from '../mail/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Matches older than this are left out of the digest (e.g. after the job was down for a while)
+const DIGEST_MAX_AGE_DAYS = 7;
+
+/**
+ * Create a Match for every pair of users who like each other but have none yet
+ * (likes given before matches were stored). Already ended matches are left alone.
+ * @returns {Promise<number>} Number of matches created
+ */
+const backfillMatches = async () => {
+  try {
+    // Each mutual pair once (the like from the lower ID), matched when the second like landed
+    const pairs = Like.aggregate([
+      {
+        $lookup: {
+          from: 'likes',
+          localField: 'recipient',
+          foreignField: 'sender',
+          let: { sender: '$sender' },
+          pipeline: [{ $match: { $expr: { $eq: ['$recipient', '$$sender'] } } }, { $project: { createdAt: 1 } }],
+          as: 'reverse',
+        },
+      },
+      { $match: { 'reverse.0': { $exists: true }, $expr: { $lt: ['$sender', '$recipient'] } } },
+      {
+        $project: {
+          sender: 1,
+          recipient: 1,
+          matchedAt: { $max: ['$createdAt', { $first: '$reverse.createdAt' }] },
+        },
+      },
+    ]).cursor();
+
+    let created = 0;
+    for await (const pair of pairs) {
+      const pairKey = toPairKey(pair.sender, pair.recipient);
+      const result = await Match.updateOne(
+        { pairKey },
+        // Old mutual likes aren't news, so they never go out in a digest
+        { $setOnInsert: { users: pairKey.split('_'), pairKey, matchedAt: pair.matchedAt, digestSentAt: new Date() } },
+        { upsert: true }
+      );
+      created += result.upsertedCount;
+    }
+
+    if (created) {
+      logger.info(`Created ${created} matches from existing mutual likes`);
+    }
+    return created;
+  } catch (error) {
+    logger.error(`Error backfilling matches: ${error.message}`, { stack: error.stack });
+    // We don't throw the error to prevent server startup from failing
+  }
+};
+
+/**
+ * Email each user with a verified address the matches they have made since the last
+ * digest. Every match goes out once: a failed email isn't retried the next day.
+ * @returns {Promise<number>} Number of digests sent
+ */
+const sendMatchDigests = async () => {
+  try {
+    const now = new Date();
+    const matches = await Match.find({
+      digestSentAt: null,
+      unmatchedAt: null,
+      matchedAt: { $gt: new Date(now.getTime() - DIGEST_MAX_AGE_DAYS * DAY_MS), $lte: now },
+    })
+      .select('users')
+      .lean();
+    if (!matches.length) return 0;
+
+    // Each user's new matches, by the other user's ID
+    const matchedWith = new Map();
+    for (const { users } of matches) {
+      const [a, b] = users.map((id) => id.toString());
+      matchedWith.set(a, [...(matchedWith.get(a) || []), b]);
+      matchedWith.set(b, [...(matchedWith.get(b) || []), a]);
+    }
+
+    // Deactivated users are neither emailed nor listed
+    const users = await User.find({ _id: { $in: [...matchedWith.keys()] } })
+      .select('nickname email isVerified details.age details.location')
+      .lean();
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    let sent = 0;
+    for (const user of users) {
+      if (!user.isVerified) continue;
+      try {
+        const blockedIds = (await User.getBlockedUserIds(user._id)).map((id) => id.toString());
+        const partners = matchedWith
+          .get(user._id.toString())
+          .filter((id) => !blockedIds.includes(id))
+          .map((id) => usersById.get(id))
+          .filter(Boolean);
+        if (!partners.length) continue;
+
+        await sendMatchDigestEmail(
+          user,
+          partners.map((partner) => ({
+            nickname: partner.nickname,
+            age: partner.details?.age,
+            location: partner.details?.location,
+          }))
+        );
+        sent++;
+      } catch (error) {
+        logger.error(`Failed to send match digest to user ${user._id}: ${error.message}`);
+      }
+    }
+
+    await Match.updateMany({ _id: { $in: matches.map((match) => match._id) } }, { $set: { digestSentAt: now } });
+
+    logger.info(`Sent ${sent} match digests for ${matches.length} new matches`);
+    return sent;
+  } catch (error) {
+    logger.error(`Error sending match digests: ${error.message}`, { stack: error.stack });
+    // We don't throw the error to prevent the cron job from stopping
+  }
+};
+
+/**
+ * Initialize match-related tasks
+ */
+const initMatchTasks = () => {
+  // Mutual likes only need catching up once; new matches are created when the second like lands
+  backfillMatches();
+
+  // Email the day's new matches at 6 PM (server time)
+  cron.schedule('0 18 * * *', sendMatchDigests);
+
+  logger.info('Match tasks initialized');
+};
+
+export { initMatchTasks, backfillMatches, sendMatchDigests };
+
+export default initMatchTasks;
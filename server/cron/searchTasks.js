@@ -0,0 +1,111 @@
+// cron/searchTasks.js - Alerts for new profiles matching users' saved searches
+import cron from 'node-cron';
+import logger from '../logger.js';
+import { User, SavedSearch } from '../models/index.js';
+import { notifySystem } from '../utils/notifications.js';
+import { PRIVACY_FIELDS } from '../utils/privacy.js';
+import { findDiscoveryPage, serializeDiscoveryPage } from '../utils/discovery.js';
+import { buildSearchQuery, toSearchParams } from '../utils/search.js';
+
+// Profiles sent along with an alert so the client can show a preview
+const ALERT_PREVIEW_SIZE = 3;
+// Saved searches checked per run; the rest wait for the next one
+const BATCH_SIZE = 200;
+
+/**
+ * Re-run one saved search and alert its owner about profiles created since the last check
+ * @param {Object} search - SavedSearch document
+ * @param {Object} [io] - Socket.IO server used to deliver the alert live
+ * @param {Date} now - Start of this run
+ * @returns {Promise<number>} Number of new matching profiles
+ */
+const checkSavedSearch = async (search, io, now) => {
+  // Deactivated owners aren't found; their searches just wait
+  const viewer = await User.findById(search.user).select('details photos preferences +geoLocation');
+  let count = 0;
+
+  if (viewer) {
+    const blockedIds = await User.getBlockedUserIds(viewer._id);
+    const built = buildSearchQuery(toSearchParams(search.filters), viewer, { excludeIds: blockedIds });
+
+    // A search that can't run right now (e.g. the owner removed their location) is skipped
+    if (!built.error) {
+      const discoveryPage = await findDiscoveryPage(
+        { ...built.query, createdAt: { $gt: search.lastCheckedAt, $lte: now } },
+        {
+          skip: 0,
+          limit: ALERT_PREVIEW_SIZE,
+          select: `nickname details photos isOnline lastActive ${PRIVACY_FIELDS}`,
+          near: built.near,
+          viewer,
+        }
+      );
+      count = discoveryPage.total;
+
+      if (count) {
+        const content = `${count} new ${count === 1 ? 'profile matches' : 'profiles match'} your saved search "${search.name}"`;
+        await notifySystem(io, viewer._id, content);
+        if (io) {
+          io.to(viewer._id.toString()).emit('savedSearchAlert', {
+            searchId: search._id,
+            name: search.name,
+            count,
+            users: serializeDiscoveryPage(discoveryPage, viewer._id),
+          });
+        }
+        search.lastAlertAt = now;
+      }
+    }
+  }
+
+  search.lastCheckedAt = now;
+  search.scheduleNextAlert(now);
+  await search.save();
+  return count;
+};
+
+/**
+ * Check every saved search whose alert is due
+ * @param {Object} [io] - Socket.IO server
+ * @returns {Promise<number>} Number of alerts sent
+ */
+const sendSavedSearchAlerts = async (io) => {
+  try {
+    const now = new Date();
+    const due = await SavedSearch.find({ nextAlertAt: { $ne: null, $lte: now } })
+      .sort({ nextAlertAt: 1 })
+      .limit(BATCH_SIZE);
+
+    let sent = 0;
+    for (const search of due) {
+      try {
+        if (await checkSavedSearch(search, io, now)) sent++;
+      } catch (error) {
+        logger.error(`Error checking saved search ${search._id}: ${error.message}`);
+      }
+    }
+
+    if (sent) {
+      logger.info(`Sent ${sent} saved search alerts`);
+    }
+    return sent;
+  } catch (error) {
+    logger.error(`Error sending saved search alerts: ${error.message}`, { stack: error.stack });
+    // We don't throw the error to prevent the cron job from stopping
+  }
+};
+
+/**
+ * Initialize saved search cron tasks
+ * @param {Object} [io] - Socket.IO server
+ */
+const initSearchTasks = (io) => {
+  // Check for due saved search alerts every 15 minutes
+  cron.schedule('*/15 * * * *', () => sendSavedSearchAlerts(io));
+
+  logger.info('Saved search tasks initialized');
+};
+
+export { initSearchTasks, sendSavedSearchAlerts };
+
+export default initSearchTasks;
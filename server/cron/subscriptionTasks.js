@@ -1,7 +1,12 @@
 // cron/subscriptionTasks.js - Enhanced with ES modules and improved error handling
 import cron from 'node-cron';
 import logger from '../logger.js';
+import config from '../config.js';
 import User from '../models/User.js';
+import { getPaymentProvider } from '../payments/index.js';
+import { getSubscriptionSnapshot, recordSubscriptionTransition } from '../payments/transitions.js';
+import { notifySystem } from '../utils/notifications.js';
+import { sendSubscriptionExpiringEmail } from '../mail/index.js';
 
 /**
  * Reset daily likes for FREE users at midnight
@@ -29,35 +34,204 @@ const resetDailyLikes = async () => {
   }
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Check for expired subscriptions and downgrade users
- * @returns {Promise<void>}
+ * Take premium access away from a user whose subscription has run out
+ * @param {Object} user - User document
+ * @param {Object} io - Socket.IO server (optional)
  */
-const checkExpiredSubscriptions = async () => {
+const expireSubscription = async (user, io) => {
+  const previous = getSubscriptionSnapshot(user);
+  const { subscriptionId, autoRenew } = user.subscription;
+
+  // A renewal that never arrived; make sure the provider doesn't charge later
+  if (subscriptionId && autoRenew) {
+    try {
+      await getPaymentProvider().cancelSubscription(subscriptionId, { atPeriodEnd: false });
+    } catch (error) {
+      logger.error(`Failed to cancel lapsed subscription ${subscriptionId}: ${error.message}`);
+    }
+  }
+
+  user.isPaid = false;
+  user.subscription.status = "expired";
+  user.subscription.autoRenew = false;
+  user.subscription.cancelAtPeriodEnd = false;
+  user.subscription.graceEndsAt = null;
+  await user.save(); // pre-save hook recalculates the account tier
+
+  await recordSubscriptionTransition(user, previous, {
+    reason: previous.status === "grace" ? "grace_period_ended" : "subscription_expired",
+    source: "cron",
+    io,
+  });
+  await notifySystem(io, user._id, "Your Premium membership has ended. Upgrade again any time to get it back.");
+};
+
+/**
+ * Move auto-renewing subscriptions past their expiry into the grace period, expire
+ * subscriptions whose time (and grace period) is up, and move accounts whose trial has
+ * ended (or that are otherwise on the PAID tier without paying) back to their own tier.
+ *
+ * Only auto-renewing subscriptions get a grace period: a renewal is expected and may
+ * just be late (slow webhook, payment retry). Subscriptions the user canceled end on
+ * their expiry date.
+ * @param {Object} [io] - Socket.IO server used to push status changes to clients
+ * @returns {Promise<Object>} Counts of users moved into grace, expired and repaired
+ */
+const checkExpiredSubscriptions = async (io) => {
   try {
     logger.info("Running subscription expiry check");
 
     const now = new Date();
+    const graceMs = config.SUBSCRIPTION_GRACE_DAYS * DAY_MS;
+    const counts = { grace: 0, expired: 0, repaired: 0 };
 
-    const result = await User.updateMany(
-      {
-        isPaid: false,
-        accountTier: "PAID",
-        subscriptionExpiry: { $lt: now },
-      },
-      {
-        $set: { accountTier: "FREE" },
-      },
-    );
+    // Auto-renewing subscriptions that have just passed their expiry
+    const lapsed = User.find({
+      isPaid: true,
+      "subscription.autoRenew": true,
+      "subscription.status": { $ne: "grace" },
+      subscriptionExpiry: { $lt: now },
+    })
+      .setOptions({ includeInactive: true })
+      .cursor();
 
-    logger.info(`Updated ${result.modifiedCount} expired subscriptions`);
-    return result;
+    for await (const user of lapsed) {
+      try {
+        const previous = getSubscriptionSnapshot(user);
+        user.subscription.status = "grace";
+        user.subscription.graceEndsAt = new Date(user.subscriptionExpiry.getTime() + graceMs);
+        await user.save();
+
+        await recordSubscriptionTransition(user, previous, {
+          reason: "renewal_overdue",
+          source: "cron",
+          io,
+          metadata: { graceEndsAt: user.subscription.graceEndsAt },
+        });
+        await notifySystem(
+          io,
+          user._id,
+          "We couldn't renew your Premium membership. Please check your payment method to keep Premium.",
+        );
+        counts.grace++;
+      } catch (error) {
+        logger.error(`Error starting grace period for user ${user._id}: ${error.message}`);
+      }
+    }
+
+    // Expired: canceled/legacy subscriptions past expiry, renewing ones past the grace period
+    const expired = User.find({
+      isPaid: true,
+      $or: [
+        { "subscription.autoRenew": { $ne: true }, subscriptionExpiry: { $lt: now } },
+        { subscriptionExpiry: { $lt: new Date(now.getTime() - graceMs) } },
+      ],
+    })
+      .setOptions({ includeInactive: true })
+      .cursor();
+
+    for await (const user of expired) {
+      try {
+        await expireSubscription(user, io);
+        counts.expired++;
+      } catch (error) {
+        logger.error(`Error expiring subscription for user ${user._id}: ${error.message}`);
+      }
+    }
+
+    // Accounts on the PAID tier without a paid subscription: ended trials and stale tiers
+    const stale = User.find({
+      isPaid: false,
+      accountTier: "PAID",
+      $or: [{ "trial.endsAt": null }, { "trial.endsAt": { $lte: now } }],
+    })
+      .setOptions({ includeInactive: true })
+      .cursor();
+
+    for await (const user of stale) {
+      try {
+        const previous = getSubscriptionSnapshot(user);
+        const trialEnded = Boolean(user.trial?.endsAt);
+        user.setAccountTier();
+        await user.save();
+        await recordSubscriptionTransition(user, previous, {
+          reason: trialEnded ? "trial_ended" : "tier_repaired",
+          source: "cron",
+          io,
+        });
+        if (trialEnded) {
+          await notifySystem(io, user._id, "Your free Premium trial has ended. Subscribe to keep your premium features.");
+        }
+        counts.repaired++;
+      } catch (error) {
+        logger.error(`Error repairing account tier for user ${user._id}: ${error.message}`);
+      }
+    }
+
+    logger.info(
+      `Subscription expiry check: ${counts.grace} in grace period, ${counts.expired} expired, ${counts.repaired} trials ended or tiers repaired`,
+    );
+    return counts;
   } catch (error) {
     logger.error(`Error checking subscription expiry: ${error.message}`, { stack: error.stack });
     // We don't throw the error to prevent the cron job from stopping
   }
 };
 
+/**
+ * Remind users whose subscription won't renew that it is about to end
+ * (config.SUBSCRIPTION_REMINDER_DAYS, e.g. 3 days and 1 day before expiry)
+ * @param {Object} [io] - Socket.IO server used to deliver in-app notifications
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendExpiryReminders = async (io) => {
+  try {
+    logger.info("Running subscription expiry reminders");
+
+    const reminderDays = [...config.SUBSCRIPTION_REMINDER_DAYS].sort((a, b) => a - b);
+    if (!reminderDays.length) return 0;
+
+    const now = new Date();
+    const users = User.find({
+      isPaid: true,
+      "subscription.autoRenew": { $ne: true },
+      subscriptionExpiry: { $gt: now, $lte: new Date(now.getTime() + reminderDays.at(-1) * DAY_MS) },
+    }).cursor();
+
+    let sent = 0;
+    for await (const user of users) {
+      try {
+        const daysLeft = Math.ceil((user.subscriptionExpiry - now) / DAY_MS);
+        // The closest reminder not yet passed; skipped earlier reminders are not sent late
+        const due = reminderDays.find((days) => days >= daysLeft);
+        if (due === undefined || user.subscription.remindersSent.includes(due)) continue;
+
+        user.subscription.remindersSent = reminderDays.filter((days) => days >= due);
+        await user.save();
+
+        const when = daysLeft === 1 ? "tomorrow" : `in ${daysLeft} days`;
+        await notifySystem(io, user._id, `Your Premium membership ends ${when}. Renew to keep your premium features.`);
+        sendSubscriptionExpiringEmail(user, { daysLeft, expiresAt: user.subscriptionExpiry }).catch((error) =>
+          logger.error(`Failed to send expiry reminder to user ${user._id}: ${error.message}`),
+        );
+
+        logger.info(`Sent ${due}-day expiry reminder to user ${user._id}`);
+        sent++;
+      } catch (error) {
+        logger.error(`Error sending expiry reminder to user ${user._id}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Sent ${sent} subscription expiry reminders`);
+    return sent;
+  } catch (error) {
+    logger.error(`Error sending expiry reminders: ${error.message}`, { stack: error.stack });
+  }
+};
+
 /**
  * Monitor user inactivity and clean up resources
  * @returns {Promise<void>}
@@ -89,13 +263,17 @@ const cleanInactiveUsers = async () => {
 
 /**
  * Initialize all subscription-related cron tasks
+ * @param {Object} [io] - Socket.IO server, for live subscription status updates
  */
-const initSubscriptionTasks = () => {
+const initSubscriptionTasks = (io) => {
   // Reset daily likes at midnight (server time)
   cron.schedule("0 0 * * *", resetDailyLikes);
   
-  // Check for expired subscriptions at 1 AM (server time)
-  cron.schedule("0 1 * * *", checkExpiredSubscriptions);
+  // Check for expired subscriptions every hour so access ends close to expiry
+  cron.schedule("15 * * * *", () => checkExpiredSubscriptions(io));
+
+  // Send expiry reminders daily at 10 AM (server time)
+  cron.schedule("0 10 * * *", () => sendExpiryReminders(io));
   
   // Clean inactive users weekly (Sunday at 2 AM)
   cron.schedule("0 2 * * 0", cleanInactiveUsers);
@@ -109,6 +287,7 @@ export {
   initSubscriptionTasks,
   resetDailyLikes,
   checkExpiredSubscriptions,
+  sendExpiryReminders,
   cleanInactiveUsers
 };
 
@@ -0,0 +1,73 @@
+// mail/__tests__/mail.test.js - Verification and reset emails, captured by the stub transport
+import config from '../../config.js';
+import { setTransport, sendVerificationEmail, sendPasswordResetEmail, sendTemplate } from '../index.js';
+import { createStubTransport } from '../transports.js';
+
+const user = { email: 'lin@example.com', nickname: 'Lin <script>' };
+
+describe('transactional mail', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = createStubTransport();
+    setTransport(transport);
+  });
+
+  afterAll(() => {
+    setTransport(null);
+  });
+
+  test('sends the verification link to the user', async () => {
+    const result = await sendVerificationEmail(user, 'verify-token-123');
+
+    expect(transport.outbox).toHaveLength(1);
+    const mail = transport.last();
+    expect(mail.messageId).toBe(result.messageId);
+    expect(mail.from).toBe(config.MAIL_FROM);
+    expect(mail.to).toBe(user.email);
+    expect(mail.subject).toMatch(/verify/i);
+
+    const link = new URL('/verify-email?token=verify-token-123', config.FRONTEND_URL).toString();
+    expect(mail.text).toContain(link);
+    expect(mail.html).toContain(`href="${link}"`);
+  });
+
+  test('sends the password reset link to the user', async () => {
+    await sendPasswordResetEmail(user, 'reset-token-456');
+
+    const mail = transport.last();
+    expect(mail.to).toBe(user.email);
+    expect(mail.subject).toMatch(/reset/i);
+
+    const link = new URL('/reset-password?token=reset-token-456', config.FRONTEND_URL).toString();
+    expect(mail.text).toContain(link);
+    expect(mail.html).toContain(`href="${link}"`);
+  });
+
+  test('escapes user data in the HTML version only', async () => {
+    await sendVerificationEmail(user, 'token');
+
+    const mail = transport.last();
+    expect(mail.html).toContain('Lin &lt;script&gt;');
+    expect(mail.html).not.toContain('<script>');
+    expect(mail.text).toContain('Hi Lin <script>,');
+  });
+
+  test('keeps each email until the outbox is cleared', async () => {
+    await sendVerificationEmail(user, 'first');
+    await sendPasswordResetEmail(user, 'second');
+    expect(transport.outbox.map((mail) => mail.subject)).toEqual([
+      expect.stringMatching(/verify/i),
+      expect.stringMatching(/reset/i),
+    ]);
+
+    transport.clear();
+    expect(transport.outbox).toHaveLength(0);
+    expect(transport.last()).toBeNull();
+  });
+
+  test('rejects unknown templates without sending', async () => {
+    await expect(sendTemplate(user.email, 'noSuchTemplate', {})).rejects.toThrow('Unknown email template');
+    expect(transport.outbox).toHaveLength(0);
+  });
+});
@@ -0,0 +1,106 @@
+// mail/index.js - Transactional email delivery
+//
+// Renders a template and hands it to the configured transport (see transports.js).
+// Use the send* helpers from routes and cron jobs; swap the transport in tests with
+// setTransport(createStubTransport()).
+import logger from '../logger.js';
+import config from '../config.js';
+import templates from './templates.js';
+import { createTransport } from './transports.js';
+
+let transport = null;
+
+/**
+ * Get the active transport, creating it from config on first use
+ * @returns {Object}
+ */
+export const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+    logger.info(`Mail transport initialized: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a stub in tests)
+ * @param {Object} nextTransport
+ */
+export const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient email address
+ * @param {string} templateName - Key of a template in templates.js
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} Transport result ({ messageId, ... })
+ */
+export const sendTemplate = async (to, templateName, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, html, text } = template(data);
+  try {
+    const result = await getTransport().send({ from: config.MAIL_FROM, to, subject, html, text });
+    logger.debug(`Sent "${templateName}" email to ${to} (${result.messageId})`);
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send "${templateName}" email to ${to}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send the email verification link
+ * @param {Object} user - User with email and nickname
+ * @param {string} token - Unhashed token from user.createVerificationToken()
+ */
+export const sendVerificationEmail = (user, token) =>
+  sendTemplate(user.email, 'verifyEmail', { nickname: user.nickname, token });
+
+/**
+ * Send the password reset link
+ * @param {Object} user - User with email and nickname
+ * @param {string} token - Unhashed token from user.createPasswordResetToken()
+ */
+export const sendPasswordResetEmail = (user, token) =>
+  sendTemplate(user.email, 'passwordReset', { nickname: user.nickname, token });
+
+/**
+ * Send a digest of new matches
+ * @param {Object} user - User with email and nickname
+ * @param {Array} matches - [{ nickname, age, location }]
+ */
+export const sendMatchDigestEmail = (user, matches) =>
+  sendTemplate(user.email, 'matchDigest', { nickname: user.nickname, matches });
+
+/**
+ * Send a subscription payment receipt
+ * @param {Object} user - User with email and nickname
+ * @param {Object} receipt - { plan, amount, currency, periodStart, periodEnd, invoiceNumber }
+ */
+export const sendSubscriptionReceiptEmail = (user, receipt) =>
+  sendTemplate(user.email, 'subscriptionReceipt', { nickname: user.nickname, ...receipt });
+
+/**
+ * Remind a user that their subscription is about to end
+ * @param {Object} user - User with email and nickname
+ * @param {Object} reminder - { daysLeft, expiresAt }
+ */
+export const sendSubscriptionExpiringEmail = (user, reminder) =>
+  sendTemplate(user.email, 'subscriptionExpiring', { nickname: user.nickname, ...reminder });
+
+export default {
+  getTransport,
+  setTransport,
+  sendTemplate,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMatchDigestEmail,
+  sendSubscriptionReceiptEmail,
+  sendSubscriptionExpiringEmail,
+};
@@ -0,0 +1,217 @@
+// mail/templates.js - HTML and plain-text email templates
+//
+// Each template takes a data object and returns { subject, html, text }.
+import config from '../config.js';
+
+const APP_NAME = 'Mandarin';
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Build an absolute link into the web client
+ * @param {string} pathname - Path starting with /
+ * @param {Object} [query] - Query string parameters
+ * @returns {string}
+ */
+export const appLink = (pathname, query = {}) => {
+  const url = new URL(pathname, config.FRONTEND_URL);
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML (already escaped)
+ * @returns {string}
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" style="background:#fff;border-radius:8px;padding:32px;">
+            <tr><td style="font-size:22px;font-weight:bold;color:#ff3366;padding-bottom:16px;">${APP_NAME}</td></tr>
+            <tr><td style="font-size:18px;font-weight:bold;padding-bottom:12px;">${escapeHtml(title)}</td></tr>
+            <tr><td style="font-size:15px;line-height:1.5;">${body}</td></tr>
+            <tr>
+              <td style="font-size:12px;color:#999;padding-top:24px;">
+                You are receiving this email because you have an account on ${APP_NAME}.
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+const button = (href, label) =>
+  `<p style="padding:16px 0;"><a href="${escapeHtml(href)}" style="background:#ff3366;color:#fff;padding:12px 24px;border-radius:4px;text-decoration:none;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Format an amount in cents as a currency string
+ * @param {number} amount - Amount in the smallest currency unit
+ * @param {string} currency - ISO currency code
+ * @returns {string}
+ */
+export const formatAmount = (amount, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
+
+export const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { dateStyle: 'medium' }) : '');
+
+/**
+ * Email address verification
+ * @param {Object} data - { nickname, token }
+ */
+export const verifyEmail = ({ nickname, token }) => {
+  const link = appLink('/verify-email', { token });
+  return {
+    subject: `Verify your ${APP_NAME} email address`,
+    html: layout(
+      'Confirm your email address',
+      `<p>Hi ${escapeHtml(nickname)},</p>
+<p>Thanks for joining ${APP_NAME}! Please confirm your email address to finish setting up your account.</p>
+${button(link, 'Verify email')}
+<p>This link expires in 24 hours. If you didn't create an account, you can ignore this email.</p>`
+    ),
+    text: `Hi ${nickname},
+
+Thanks for joining ${APP_NAME}! Please confirm your email address by opening this link:
+
+${link}
+
+This link expires in 24 hours. If you didn't create an account, you can ignore this email.`,
+  };
+};
+
+/**
+ * Password reset
+ * @param {Object} data - { nickname, token }
+ */
+export const passwordReset = ({ nickname, token }) => {
+  const link = appLink('/reset-password', { token });
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    html: layout(
+      'Reset your password',
+      `<p>Hi ${escapeHtml(nickname)},</p>
+<p>We received a request to reset your password. Use the button below to choose a new one.</p>
+${button(link, 'Reset password')}
+<p>This link expires in 10 minutes. If you didn't ask for a reset, you can ignore this email and your password will stay the same.</p>`
+    ),
+    text: `Hi ${nickname},
+
+We received a request to reset your password. Choose a new one here:
+
+${link}
+
+This link expires in 10 minutes. If you didn't ask for a reset, you can ignore this email.`,
+  };
+};
+
+/**
+ * Digest of new matches
+ * @param {Object} data - { nickname, matches: [{ nickname, age, location }] }
+ */
+export const matchDigest = ({ nickname, matches = [] }) => {
+  const link = appLink('/dashboard');
+  const count = matches.length;
+  const noun = count === 1 ? 'match' : 'matches';
+  const describe = (match) => [match.nickname, match.age, match.location].filter(Boolean).join(', ');
+  return {
+    subject: `You have ${count} new ${noun} on ${APP_NAME}`,
+    html: layout(
+      `You have ${count} new ${noun}`,
+      `<p>Hi ${escapeHtml(nickname)},</p>
+<p>These people liked you back:</p>
+<ul>${matches.map((match) => `<li>${escapeHtml(describe(match))}</li>`).join('')}</ul>
+${button(link, 'Say hello')}`
+    ),
+    text: `Hi ${nickname},
+
+These people liked you back:
+
+${matches.map((match) => `- ${describe(match)}`).join('\n')}
+
+Say hello: ${link}`,
+  };
+};
+
+/**
+ * Subscription payment receipt
+ * @param {Object} data - { nickname, plan, amount (cents), currency, periodStart, periodEnd, invoiceNumber }
+ */
+export const subscriptionReceipt = ({ nickname, plan, amount, currency, periodStart, periodEnd, invoiceNumber }) => {
+  const link = appLink('/subscription');
+  const total = formatAmount(amount, currency);
+  const period = `${formatDate(periodStart)} – ${formatDate(periodEnd)}`;
+  const rows = [
+    ['Invoice', invoiceNumber],
+    ['Plan', plan],
+    ['Period', period],
+    ['Total', total],
+  ].filter(([, value]) => value);
+  return {
+    subject: `Your ${APP_NAME} receipt${invoiceNumber ? ` ${invoiceNumber}` : ''}`,
+    html: layout(
+      'Thanks for your payment',
+      `<p>Hi ${escapeHtml(nickname)},</p>
+<p>We received your payment. Here are the details:</p>
+<table cellpadding="6" cellspacing="0" style="border-collapse:collapse;">
+${rows.map(([label, value]) => `<tr><td style="color:#777;">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${button(link, 'View billing history')}`
+    ),
+    text: `Hi ${nickname},
+
+We received your payment. Here are the details:
+
+${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}
+
+View your billing history: ${link}`,
+  };
+};
+
+/**
+ * Reminder that a subscription which won't renew is about to end
+ * @param {Object} data - { nickname, daysLeft, expiresAt }
+ */
+export const subscriptionExpiring = ({ nickname, daysLeft, expiresAt }) => {
+  const link = appLink('/subscription');
+  const when = daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+  return {
+    subject: `Your ${APP_NAME} Premium ends ${when}`,
+    html: layout(
+      `Your Premium membership ends ${when}`,
+      `<p>Hi ${escapeHtml(nickname)},</p>
+<p>Your Premium membership is set to end on ${escapeHtml(formatDate(expiresAt))}. After that you'll lose unlimited likes, messaging and stories.</p>
+${button(link, 'Keep Premium')}`
+    ),
+    text: `Hi ${nickname},
+
+Your Premium membership is set to end on ${formatDate(expiresAt)}. After that you'll lose unlimited likes, messaging and stories.
+
+Keep Premium: ${link}`,
+  };
+};
+
+export default {
+  verifyEmail,
+  passwordReset,
+  matchDigest,
+  subscriptionReceipt,
+  subscriptionExpiring,
+};
@@ -0,0 +1,118 @@
+// mail/transports.js - Pluggable delivery backends for the mailer
+//
+// A transport is an object with a `name` and an async `send(message)` method that
+// receives { from, to, subject, html, text } and resolves to { messageId }.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import logger from '../logger.js';
+import config from '../config.js';
+
+/**
+ * Generate a message ID for transports that don't talk to a mail server
+ * @returns {string}
+ */
+const localMessageId = () => `<${Date.now()}.${crypto.randomBytes(6).toString('hex')}@mandarin.local>`;
+
+/**
+ * SMTP transport backed by nodemailer
+ * @param {Object} [options] - Overrides for the SMTP settings in config
+ * @returns {Object} Transport
+ */
+export const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: config.SMTP_HOST,
+    port: config.SMTP_PORT,
+    secure: config.SMTP_SECURE,
+    auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASS } : undefined,
+    ...options,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * Development transport that writes each email as an .eml file
+ * (open them in any mail client) and logs where it went
+ * @param {string} [directory] - Output directory, defaults to config.MAIL_FILE_PATH
+ * @returns {Object} Transport
+ */
+export const createFileTransport = (directory = config.MAIL_FILE_PATH) => {
+  // nodemailer's stream transport builds the raw MIME message for us
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filePath = path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+      logger.info(`Email "${message.subject}" to ${message.to} written to ${filePath}`);
+      return { messageId: info.messageId, filePath };
+    },
+  };
+};
+
+/**
+ * Development transport that only logs the text version of each email
+ * @returns {Object} Transport
+ */
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send(message) {
+    logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return Promise.resolve({ messageId: localMessageId() });
+  },
+});
+
+/**
+ * In-memory transport for tests: sent emails are kept in `outbox`
+ * @returns {Object} Transport with outbox, last() and clear()
+ */
+export const createStubTransport = () => {
+  const outbox = [];
+  return {
+    name: 'stub',
+    outbox,
+    send(message) {
+      const messageId = localMessageId();
+      outbox.push({ ...message, messageId, sentAt: new Date() });
+      return Promise.resolve({ messageId });
+    },
+    last() {
+      return outbox[outbox.length - 1] || null;
+    },
+    clear() {
+      outbox.length = 0;
+    },
+  };
+};
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+  stub: createStubTransport,
+};
+
+/**
+ * Create the transport named in config.MAIL_TRANSPORT (or the given name)
+ * @param {string} [name]
+ * @returns {Object} Transport
+ */
+export const createTransport = (name = config.MAIL_TRANSPORT) => {
+  const factory = factories[name];
+  if (!factory) {
+    logger.warn(`Unknown mail transport "${name}", falling back to console`);
+    return createConsoleTransport();
+  }
+  return factory();
+};
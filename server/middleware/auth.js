@@ -115,6 +115,13 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Banned and suspended users lose access until the restriction ends
+      const restriction = user.getModerationRestriction();
+      if (restriction) {
+        logger.debug(`Access denied for restricted user ${user._id}: ${restriction.code}`);
+        return res.status(403).json({ success: false, ...restriction });
+      }
+
       // Attach the authenticated user to the request object
       req.user = user;
       return next();
@@ -1,6 +1,7 @@
 // middleware/permissions.js - Enhanced with ES modules and improved error handling
 import { User } from "../models/index.js"
 import logger from "../logger.js"
+import { INCOGNITO_TIERS } from "../utils/privacy.js"
 
 /**
  * Middleware to check if user can send messages (not just winks)
@@ -209,7 +210,8 @@ const canLikeUser = async (req, res, next) => {
  */
 const checkBlockStatus = async (req, res, next) => {
   try {
-    const targetUserId = req.params.id || req.body.userId || req.body.recipientId
+    const targetUserId =
+      req.params.id || req.params.userId || req.body?.userId || req.body?.recipientId || req.body?.recipient
 
     if (!targetUserId) {
       return next() // No target user to check
@@ -254,4 +256,97 @@ const checkBlockStatus = async (req, res, next) => {
   }
 }
 
-export { canSendMessages, canCreateStory, canLikeUser, checkBlockStatus }
+/**
+ * Middleware to check if user can turn on incognito browsing (premium tiers only)
+ * Settings updates that leave incognito off, or turn it off, always pass
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const canUseIncognito = async (req, res, next) => {
+  try {
+    if (req.body?.privacy?.incognito !== true) {
+      return next()
+    }
+
+    // Ensure the user is authenticated
+    if (!req.user || !req.user._id) {
+      logger.error("canUseIncognito middleware used without authentication")
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      })
+    }
+
+    const user = await User.findById(req.user._id)
+
+    if (!user) {
+      logger.warn(`User not found in canUseIncognito middleware: ${req.user._id}`)
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      })
+    }
+
+    if (!INCOGNITO_TIERS.includes(user.accountTier)) {
+      logger.debug(`Incognito denied for user ${user._id} (account tier: ${user.accountTier})`)
+      return res.status(403).json({
+        success: false,
+        error: "Incognito mode is a premium feature. Upgrade to browse without being seen.",
+        code: "UPGRADE_REQUIRED",
+        subscriptionDetails: {
+          accountTier: user.accountTier,
+          canUseIncognito: false,
+        },
+      })
+    }
+
+    next()
+  } catch (err) {
+    logger.error(`Error checking incognito permissions: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while checking permissions",
+    })
+  }
+}
+
+/**
+ * Middleware for the shared inbox of linked couple accounts
+ * A linked partner account reads and writes as the couple's primary account, so req.user
+ * becomes that account; req.coupleMember keeps the account that is actually signed in
+ * (for either partner) so messages can show who wrote them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const useCoupleInbox = async (req, res, next) => {
+  try {
+    if (!req.user?.isLinkedCouple || !req.user.isLinkedCouple()) {
+      return next()
+    }
+
+    req.coupleMember = req.user
+    if (req.user.couple.role === "partner") {
+      const primary = await User.findById(req.user.couple.partner)
+      if (!primary) {
+        logger.warn(`Couple profile ${req.user.couple.partner} of partner ${req.user._id} not found`)
+        return res.status(404).json({
+          success: false,
+          error: "Your couple profile is no longer available",
+        })
+      }
+      req.user = primary
+    }
+
+    next()
+  } catch (err) {
+    logger.error(`Error in useCoupleInbox middleware: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while loading your inbox",
+    })
+  }
+}
+
+export { canSendMessages, canCreateStory, canLikeUser, canUseIncognito, checkBlockStatus, useCoupleInbox }
@@ -7,40 +7,25 @@ import crypto from "crypto";
 import { fileTypeFromBuffer } from "file-type";
 import config from "../config.js";
 import logger from "../logger.js";
+import { urlForKey } from "../storage/index.js";
 
 // ---------------------------------------------------------------------------
-// Setup Base Uploads Directory and Subdirectories
+// Upload Folders
 // ---------------------------------------------------------------------------
 
-// Define the base uploads directory (using process.cwd() to ensure absolute path)
-const uploadDir = path.join(process.cwd(), "uploads");
-
-// Create the base uploads directory if it does not exist
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  logger.info(`Created uploads directory: ${uploadDir}`);
-}
-
-// Define subdirectories for different file types
-const directories = {
-  images: path.join(uploadDir, "images"),
-  photos: path.join(uploadDir, "photos"),
-  videos: path.join(uploadDir, "videos"),
-  messages: path.join(uploadDir, "messages"),
-  profiles: path.join(uploadDir, "profiles"),
-  stories: path.join(uploadDir, "stories"),
-  temp: path.join(uploadDir, "temp"),
-  deleted: path.join(uploadDir, "deleted"), // For soft-deleted files
+// Uploads are written to config.UPLOAD_TEMP_PATH, validated, and then stored (see
+// storage/index.js) under one of these folders, which become the first part of their key.
+const folders = {
+  images: "images",
+  photos: "photos",
+  videos: "videos",
+  messages: "messages",
+  profiles: "profiles",
+  stories: "stories",
+  temp: "temp",
+  verifications: "verifications", // Verification selfies (not publicly served)
 };
 
-// Ensure all required subdirectories exist
-Object.values(directories).forEach((dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-    logger.info(`Created directory: ${dir}`);
-  }
-});
-
 // ---------------------------------------------------------------------------
 // Helper Functions
 // ---------------------------------------------------------------------------
@@ -62,41 +47,44 @@ const generateSecureFilename = (originalname) => {
 };
 
 /**
- * Determine the appropriate upload directory based on the request URL and file type.
+ * Determine the appropriate storage folder based on the request URL and file type.
  * This helps align files in proper subdirectories.
  * @param {Object} req - Express request object.
  * @param {Object} file - Multer file object.
- * @returns {string} The directory path for the upload.
+ * @returns {string} The folder for the upload.
  */
-const getUploadDirectory = (req, file) => {
+const getUploadFolder = (req, file) => {
   const url = req.originalUrl.toLowerCase();
 
   // Prioritize URL-based classification
+  if (url.includes("/verification")) {
+    return folders.verifications;
+  }
   if (url.includes("/photos") && file.mimetype.startsWith("image/")) {
-    return directories.photos;
+    return folders.photos;
   }
   if (url.includes("/images") || url.includes("/upload/image")) {
-    return directories.images;
+    return folders.images;
   }
   if (url.includes("/messages")) {
-    return directories.messages;
+    return folders.messages;
   }
   if (url.includes("/stories")) {
-    return directories.stories;
+    return folders.stories;
   }
   if (url.includes("/profiles") || url.includes("/users")) {
-    return directories.profiles;
+    return folders.profiles;
   }
 
   // Then classify by MIME type if not already determined by URL
   if (file.mimetype.startsWith("image/")) {
-    return directories.images;
+    return folders.images;
   }
   if (file.mimetype.startsWith("video/")) {
-    return directories.videos;
+    return folders.videos;
   }
   // Default fallback directory
-  return directories.temp;
+  return folders.temp;
 };
 
 /**
@@ -190,48 +178,17 @@ const validateFileContents = async (file) => {
 };
 
 /**
- * Soft-delete a file by moving it to the "deleted" directory.
- * This supports soft deletion for files that are no longer valid.
- * @param {string} filePath - The absolute path of the file to soft-delete.
- * @returns {Promise<boolean>} True if the file was successfully moved.
- */
-const softDeleteFile = async (filePath) => {
-  try {
-    if (!fs.existsSync(filePath)) {
-      logger.warn(`Cannot soft-delete non-existent file: ${filePath}`);
-      return false;
-    }
-    const filename = path.basename(filePath);
-    const timestamp = Date.now();
-    const deletedFilename = `${timestamp}-${filename}`;
-    const deletedFilePath = path.join(directories.deleted, deletedFilename);
-    fs.renameSync(filePath, deletedFilePath);
-    logger.info(`File soft-deleted: ${filePath} -> ${deletedFilePath}`);
-    return true;
-  } catch (error) {
-    logger.error(`Error soft-deleting file: ${error.message}`);
-    return false;
-  }
-};
-
-/**
- * Clean up an invalid file by attempting to soft-delete it first,
- * falling back to direct deletion if necessary.
+ * Clean up an upload that will not be stored (invalid, or its request failed).
+ * It has not left the temp folder yet, so it is simply deleted.
  * @param {Object} file - Multer file object.
  */
 const cleanupInvalidFile = (file) => {
   if (file && file.path && fs.existsSync(file.path)) {
     try {
-      softDeleteFile(file.path);
-      logger.debug(`Moved invalid file to deleted directory: ${file.path}`);
+      fs.unlinkSync(file.path);
+      logger.debug(`Deleted invalid file: ${file.path}`);
     } catch (error) {
-      logger.error(`Error cleaning up invalid file: ${error.message}`);
-      try {
-        fs.unlinkSync(file.path);
-        logger.debug(`Deleted invalid file: ${file.path}`);
-      } catch (unlinkError) {
-        logger.error(`Error deleting invalid file: ${unlinkError.message}`);
-      }
+      logger.error(`Error deleting invalid file: ${error.message}`);
     }
   }
 };
@@ -241,20 +198,20 @@ const cleanupInvalidFile = (file) => {
 // ---------------------------------------------------------------------------
 
 /**
- * Configure multer storage using our getUploadDirectory helper for destination,
- * and generate a secure filename for each uploaded file.
+ * Configure multer to write uploads to the temp folder, remembering the storage folder
+ * (from getUploadFolder) they belong in as file.folder, and generate a secure filename
+ * for each uploaded file.
  */
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     try {
-      // Use getUploadDirectory to align files in the correct subdirectory
-      const uploadPath = getUploadDirectory(req, file);
-      if (!fs.existsSync(uploadPath)) {
-        fs.mkdirSync(uploadPath, { recursive: true });
-        logger.info(`Created upload directory: ${uploadPath}`);
+      file.folder = getUploadFolder(req, file);
+      if (!fs.existsSync(config.UPLOAD_TEMP_PATH)) {
+        fs.mkdirSync(config.UPLOAD_TEMP_PATH, { recursive: true });
+        logger.info(`Created upload temp directory: ${config.UPLOAD_TEMP_PATH}`);
       }
-      logger.debug(`Setting upload destination: ${uploadPath}`);
-      cb(null, uploadPath);
+      logger.debug(`Upload destination folder: ${file.folder}`);
+      cb(null, config.UPLOAD_TEMP_PATH);
     } catch (error) {
       logger.error(`Error determining upload destination: ${error.message}`);
       cb(error);
@@ -291,7 +248,8 @@ const upload = multer({
 
 /**
  * Middleware to validate the uploaded file after multer processes it.
- * Performs deep validation of file contents and, if valid, sets a URL for client use.
+ * Performs deep validation of file contents and, if valid, sets the storage key and URL
+ * the file gets once the route stores it (with storeFile from storage/index.js).
  * If invalid, cleans up the file and sends an error response.
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
@@ -309,11 +267,10 @@ const validateUpload = async (req, res, next) => {
     });
   }
 
-  // Build a URL for the uploaded file using the appropriate subdirectory
+  // Build the key and URL of the uploaded file using the appropriate folder
   if (req.file) {
-    const fileName = path.basename(req.file.path);
-    const subDir = path.basename(path.dirname(req.file.path));
-    req.file.url = `/uploads/${subDir}/${fileName}`;
+    req.file.key = `${req.file.folder}/${req.file.filename}`;
+    req.file.url = urlForKey(req.file.key);
     logger.debug(`File URL set to: ${req.file.url}`);
   }
   next();
@@ -338,9 +295,10 @@ export const uploadFile = createUploadMiddleware("file");
 export const uploadProfilePicture = createUploadMiddleware("profilePicture");
 export const uploadPhoto = createUploadMiddleware("photo");
 export const uploadStory = createUploadMiddleware("media");
+export const uploadSelfie = createUploadMiddleware("selfie");
 
-// Export utility functions and directories for external use
-export { softDeleteFile, cleanupInvalidFile, directories };
+// Export utility functions for external use
+export { cleanupInvalidFile };
 
 // Export the base multer instance for custom configurations if needed
 export default upload;
@@ -0,0 +1,112 @@
+/**
+ * Boost model - A time window during which a profile ranks first in discovery
+ *
+ * While a boost is running the owner's profile is sorted to the top of
+ * GET /api/users and /api/users/search (see utils/discovery.js). Impressions,
+ * profile views and likes received during the window are collected for the
+ * report the owner gets when the boost ends.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Where the boost came from: the monthly free boost for premium users or a purchased credit
+export const BOOST_SOURCES = ["free", "purchased"];
+
+/**
+ * Schema for the Boost model
+ */
+const boostSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    source: {
+      type: String,
+      enum: BOOST_SOURCES,
+      required: [true, "Boost source is required"],
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+      index: true,
+    },
+
+    // Times the profile appeared in discovery results during the boost
+    impressions: {
+      type: Number,
+      default: 0,
+    },
+
+    // Users who opened the profile / liked it during the boost
+    viewedBy: [{ type: Schema.Types.ObjectId, ref: "User" }],
+    likedBy: [{ type: Schema.Types.ObjectId, ref: "User" }],
+
+    // Average likes the user received per boost-length window over the week before
+    baselineLikes: {
+      type: Number,
+      default: 0,
+    },
+
+    // Set once the end-of-boost report has been sent
+    reportSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+boostSchema.index({ reportSentAt: 1, endsAt: 1 });
+
+/**
+ * Whether the boost is still running
+ * @returns {boolean}
+ */
+boostSchema.methods.isActive = function () {
+  return this.endsAt > new Date();
+};
+
+/**
+ * Summary of what the boost achieved
+ * @returns {Object}
+ */
+boostSchema.methods.getReport = function () {
+  const likes = this.likedBy.length;
+  return {
+    boostId: this._id,
+    startedAt: this.startedAt,
+    endsAt: this.endsAt,
+    active: this.isActive(),
+    impressions: this.impressions,
+    views: this.viewedBy.length,
+    likes,
+    extraLikes: Math.max(0, Math.round(likes - this.baselineLikes)),
+  };
+};
+
+/**
+ * Record activity on a user's running boost, if they have one
+ * @param {ObjectId} userId - Boosted user
+ * @param {Object} update - Mongo update, e.g. { $addToSet: { viewedBy: viewerId } }
+ */
+boostSchema.statics.recordActivity = function (userId, update) {
+  return this.updateOne({ user: userId, endsAt: { $gt: new Date() } }, update);
+};
+
+const Boost = model("Boost", boostSchema);
+
+export default Boost;
@@ -0,0 +1,65 @@
+/**
+ * CoupleInvite model - An invite from a couple profile to link a partner's account
+ *
+ * The inviting account keeps the shared profile and inbox once the invite is accepted;
+ * the invited account becomes the linked partner (see User.couple). Invites that are
+ * declined, cancelled or left past their expiry can't be accepted.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const COUPLE_INVITE_STATUSES = ["pending", "accepted", "declined", "cancelled"];
+
+/**
+ * Schema for the CoupleInvite model
+ */
+const coupleInviteSchema = new Schema(
+  {
+    from: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviting user is required"],
+      index: true,
+    },
+
+    to: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Invited user is required"],
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: COUPLE_INVITE_STATUSES,
+      default: "pending",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Whether the invite can still be accepted
+ * @returns {boolean}
+ */
+coupleInviteSchema.methods.isOpen = function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+};
+
+const CoupleInvite = model("CoupleInvite", coupleInviteSchema);
+
+export default CoupleInvite;
@@ -0,0 +1,120 @@
+/**
+ * Invoice model - Billing history for paid subscriptions
+ *
+ * One document is written for every charge (first payment, renewals and one-off
+ * purchases such as boosts) and every refund. Invoices are created by the payment lifecycle (payments/lifecycle.js) when
+ * the provider confirms the transaction; amounts are in the smallest currency unit.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Kinds of transaction recorded on an invoice
+export const INVOICE_TYPES = ["upgrade", "renewal", "purchase", "refund"];
+
+export const INVOICE_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+/**
+ * Generate a human-readable invoice number, e.g. MND-20240131-4F2A9C
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const generateInvoiceNumber = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  return `MND-${day}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+/**
+ * Schema for the Invoice model
+ */
+const invoiceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => generateInvoiceNumber(),
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: INVOICE_TYPES,
+        message: `Type must be one of: ${INVOICE_TYPES.join(", ")}`,
+      },
+      required: [true, "Invoice type is required"],
+    },
+
+    status: {
+      type: String,
+      enum: INVOICE_STATUSES,
+      default: "paid",
+    },
+
+    plan: {
+      type: String,
+      enum: ["monthly", "yearly"],
+    },
+
+    // One-off purchases: what was bought and how many (see payments/plans.js PRODUCTS)
+    product: String,
+    quantity: Number,
+
+    // Amount charged, or refunded for refund invoices
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: 0,
+    },
+
+    currency: {
+      type: String,
+      default: "usd",
+      lowercase: true,
+    },
+
+    // Total refunded against this charge so far
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Billing period the charge paid for
+    periodStart: Date,
+    periodEnd: Date,
+
+    provider: String,
+
+    // Provider's payment id; refunds carry the id of the payment they refund
+    paymentId: {
+      type: String,
+      index: true,
+    },
+
+    subscriptionId: String,
+
+    // For refunds, the invoice of the charge being refunded
+    refundOf: {
+      type: Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index({ user: 1, createdAt: -1 });
+
+const Invoice = model("Invoice", invoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,154 @@
+/**
+ * Match model - Two users who have liked each other
+ *
+ * A match is created when the second of two likes lands (POST /api/users/:id/like).
+ * There is one document per pair of users, keyed by `pairKey`, so concurrent likes
+ * can't create duplicates. Unmatching keeps the document with `unmatchedAt` set;
+ * liking each other again later reopens it.
+ */
+
+import mongoose from 'mongoose';
+import logger from '../logger.js';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Order-independent key for a pair of users
+ * @param {ObjectId|string} userId1
+ * @param {ObjectId|string} userId2
+ * @returns {string}
+ */
+const toPairKey = (userId1, userId2) => [userId1.toString(), userId2.toString()].sort().join('_');
+
+/**
+ * Schema for the Match model
+ */
+const matchSchema = new Schema(
+  {
+    // Both users, in pairKey order
+    users: {
+      type: [{ type: Schema.Types.ObjectId, ref: "User" }],
+      validate: {
+        validator: (users) => users.length === 2 && users[0].toString() !== users[1].toString(),
+        message: "A match needs two different users",
+      },
+      index: true,
+    },
+
+    pairKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    matchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Set when either user unmatches
+    unmatchedAt: {
+      type: Date,
+      default: null,
+    },
+
+    unmatchedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set once the match has gone out in both users' new-match digest email
+    digestSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+matchSchema.index({ users: 1, unmatchedAt: 1, matchedAt: -1 });
+
+/**
+ * Create (or reopen) the match between two users
+ * @param {ObjectId|string} userId1
+ * @param {ObjectId|string} userId2
+ * @returns {Promise<{match: Object, created: boolean}>} created is false if they were already matched
+ */
+matchSchema.statics.createForPair = async function (userId1, userId2) {
+  const pairKey = toPairKey(userId1, userId2);
+  const users = pairKey.split('_');
+  const now = new Date();
+
+  try {
+    // Only a missing or unmatched document is updated, so exactly one caller "creates" the match
+    const match = await this.findOneAndUpdate(
+      { pairKey, unmatchedAt: { $ne: null } },
+      { $set: { matchedAt: now, unmatchedAt: null, unmatchedBy: null, digestSentAt: null } },
+      { new: true }
+    );
+    if (match) return { match, created: true };
+
+    return { match: await this.create({ users, pairKey, matchedAt: now }), created: true };
+  } catch (err) {
+    // The other like created it at the same moment
+    if (err.code === 11000) {
+      return { match: await this.findOne({ pairKey }), created: false };
+    }
+    logger.error(`Error creating match: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Find the current (not unmatched) match between two users
+ * @param {ObjectId|string} userId1
+ * @param {ObjectId|string} userId2
+ * @returns {Promise<Object|null>}
+ */
+matchSchema.statics.findActive = function (userId1, userId2) {
+  return this.findOne({ pairKey: toPairKey(userId1, userId2), unmatchedAt: null });
+};
+
+/**
+ * End the current match between two users
+ * @param {ObjectId|string} userId1
+ * @param {ObjectId|string} userId2
+ * @param {ObjectId|string} endedBy - User who unmatched
+ * @returns {Promise<Object|null>} The ended match, or null if they weren't matched
+ */
+matchSchema.statics.endForPair = function (userId1, userId2, endedBy) {
+  return this.findOneAndUpdate(
+    { pairKey: toPairKey(userId1, userId2), unmatchedAt: null },
+    { $set: { unmatchedAt: new Date(), unmatchedBy: endedBy } },
+    { new: true }
+  );
+};
+
+/**
+ * Whether a user accepts messages from a sender: users with the messagesFromMatchesOnly
+ * privacy setting only hear from users they are matched with
+ * @param {Object} recipient - Recipient's user document (with settings.privacy)
+ * @param {ObjectId|string} senderId
+ * @returns {Promise<boolean>}
+ */
+matchSchema.statics.allowsMessage = async function (recipient, senderId) {
+  if (!recipient?.settings?.privacy?.messagesFromMatchesOnly) return true;
+  return Boolean(await this.exists({ pairKey: toPairKey(recipient._id, senderId), unmatchedAt: null }));
+};
+
+/**
+ * The other user in the match
+ * @param {ObjectId|string} userId
+ * @returns {ObjectId|Object} ID, or the user document when `users` is populated
+ */
+matchSchema.methods.getOtherUser = function (userId) {
+  return this.users.find((user) => (user._id || user).toString() !== userId.toString());
+};
+
+const Match = model("Match", matchSchema);
+
+export { toPairKey };
+
+export default Match;
@@ -2,6 +2,7 @@
 import mongoose from 'mongoose';
 import sanitizeHtml from 'sanitize-html';
 import logger from '../logger.js';
+import config from '../config.js';
 
 const { Schema, model, Types } = mongoose;
 
@@ -34,7 +35,9 @@ const AttachmentSchema = new Schema({
     width: Number,
     height: Number,
     duration: Number, // for audio/video in seconds
-    thumbnail: String
+    peaks: [Number], // waveform of voice messages, 0 to 1
+    thumbnail: String, // poster frame of videos, smallest copy of images
+    variants: Schema.Types.Mixed // sized copies from utils/media.js
   },
   status: {
     type: String,
@@ -81,6 +84,17 @@ const MessageSchema = new Schema({
     required: true,
     index: true
   },
+  // For messages from a linked couple, which partner account wrote it (sender is the couple profile)
+  sentBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sentByName: {
+    type: String,
+    trim: true,
+    default: null
+  },
   type: {
     type: String,
     // Removed 'location' from the list as location messages are no longer supported
@@ -200,6 +214,21 @@ MessageSchema.index({ sender: 1, recipient: 1, read: 1 });
 MessageSchema.index({ sender: 1, recipient: 1, read: 1, createdAt: -1 });
 MessageSchema.index({ deletedBySender: 1, deletedByRecipient: 1 });
 
+/**
+ * Until when the sender can edit a message (config.MESSAGE_EDIT_WINDOW_MINUTES after
+ * sending it), so clients don't need to know the window themselves
+ * @param {Object} message - Message document or plain object
+ * @returns {Date|null} Null for messages that can't be edited (anything but text)
+ */
+export const getEditableUntil = (message) => {
+  if (message.type !== 'text' || !message.createdAt) return null;
+  return new Date(new Date(message.createdAt).getTime() + config.MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000);
+};
+
+MessageSchema.virtual('editableUntil').get(function() {
+  return getEditableUntil(this);
+});
+
 // Define a virtual for conversation ID (for grouping)
 MessageSchema.virtual('conversationId').get(function() {
   const ids = [this.sender.toString(), this.recipient.toString()].sort();
@@ -0,0 +1,88 @@
+/**
+ * ModerationAction model - Audit trail of every action taken by moderators
+ *
+ * Entries are append-only: they are created when a moderator acts on a report
+ * and are never updated afterwards.
+ */
+
+import mongoose from 'mongoose';
+import { MODERATION_ACTIONS } from './Report.js';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Schema for the ModerationAction model
+ */
+const moderationActionSchema = new Schema(
+  {
+    // Report the action was taken on
+    report: {
+      type: Schema.Types.ObjectId,
+      ref: "Report",
+      index: true,
+    },
+
+    // Moderator or admin who took the action
+    moderator: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Moderator is required"],
+      index: true,
+    },
+
+    // User the action applies to
+    targetUser: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Target user is required"],
+      index: true,
+    },
+
+    action: {
+      type: String,
+      enum: {
+        values: MODERATION_ACTIONS,
+        message: `Action must be one of: ${MODERATION_ACTIONS.join(", ")}`,
+      },
+      required: [true, "Action is required"],
+    },
+
+    // Moderator's note explaining the decision
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Note cannot exceed 1000 characters"],
+    },
+
+    // Suspension length and end date (suspend only)
+    suspensionDays: Number,
+    suspendedUntil: Date,
+
+    // Extra details, e.g. which content was removed
+    metadata: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+moderationActionSchema.index({ createdAt: -1 });
+
+// Audit entries are immutable once written
+const rejectUpdate = function (next) {
+  next(new Error("Moderation actions cannot be modified"));
+};
+moderationActionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectUpdate);
+moderationActionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+
+const ModerationAction = model("ModerationAction", moderationActionSchema);
+
+export default ModerationAction;
@@ -0,0 +1,42 @@
+// server/models/Notification.js
+// In-app notifications (messages, likes, matches, stories and system notices).
+
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const NotificationSchema = new Schema({
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ["message", "like", "match", "story", "system"],
+    required: true,
+  },
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  content: String,
+  reference: {
+    type: Schema.Types.ObjectId,
+    refPath: "type",
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+const Notification = mongoose.models.Notification || model("Notification", NotificationSchema);
+
+export default Notification;
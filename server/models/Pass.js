@@ -0,0 +1,69 @@
+/**
+ * Pass model - A user dismissing a profile in discovery ("not interested")
+ *
+ * Passed profiles are left out of the discovery deck and list until the pass
+ * expires (config.PASS_EXPIRY_DAYS), so they can resurface later. Expired passes
+ * are removed by a TTL index; queries still check expiresAt because the TTL
+ * monitor only runs about once a minute.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Schema for the Pass model
+ */
+const passSchema = new Schema(
+  {
+    // User who passed
+    sender: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender is required"],
+    },
+
+    // User who was passed on
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+      index: true,
+    },
+
+    // Last time the sender passed on the recipient (passing again refreshes it)
+    passedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry time is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One pass per pair; the most recent one is what a rewind undoes
+passSchema.index({ sender: 1, recipient: 1 }, { unique: true });
+passSchema.index({ sender: 1, passedAt: -1 });
+passSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * IDs of the users someone has passed on and who shouldn't resurface yet
+ * @param {ObjectId|string} userId
+ * @returns {Promise<Array<ObjectId>>}
+ */
+passSchema.statics.getPassedUserIds = async function (userId) {
+  const passes = await this.find({ sender: userId, expiresAt: { $gt: new Date() } })
+    .select("recipient")
+    .lean();
+  return passes.map((pass) => pass.recipient);
+};
+
+const Pass = model("Pass", passSchema);
+
+export default Pass;
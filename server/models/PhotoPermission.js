@@ -249,6 +249,26 @@ PhotoPermissionSchema.statics.getPendingForUser = async function (userId, option
   }
 };
 
+/**
+ * Returns which of the given photos a user currently has approved access to.
+ *
+ * @param {Array<ObjectId|string>} photoIds - The IDs of the photos to check.
+ * @param {ObjectId|string} userId - The ID of the viewing user.
+ * @returns {Promise<Set<string>>} The IDs (as strings) of the photos the user may view.
+ */
+PhotoPermissionSchema.statics.getApprovedPhotoIds = async function (photoIds, userId) {
+  if (!photoIds.length || !userId) {
+    return new Set();
+  }
+  const permissions = await this.find({
+    photo: { $in: photoIds },
+    requestedBy: userId,
+    status: "approved",
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).select("photo");
+  return new Set(permissions.map(permission => permission.photo.toString()));
+};
+
 // ---------------------------------------------------------------------------
 // Model Creation
 // ---------------------------------------------------------------------------
@@ -0,0 +1,91 @@
+/**
+ * ProfileVisit model - Someone opening another user's profile ("who viewed me")
+ *
+ * Visits are deduplicated per visitor, profile and UTC day: viewing a profile again
+ * the same day only bumps the count and time. Visits are kept for
+ * config.PROFILE_VISIT_RETENTION_DAYS and then removed by a TTL index.
+ */
+
+import mongoose from 'mongoose';
+import config from '../config.js';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Schema for the ProfileVisit model
+ */
+const profileVisitSchema = new Schema(
+  {
+    // User who opened the profile
+    visitor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Visitor is required"],
+    },
+
+    // Owner of the profile
+    visited: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Visited user is required"],
+    },
+
+    // Start (UTC midnight) of the day of the visit
+    day: {
+      type: Date,
+      required: true,
+    },
+
+    // Last time the visitor opened the profile that day
+    visitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Times the visitor opened the profile that day
+    count: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry time is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+profileVisitSchema.index({ visited: 1, visitor: 1, day: 1 }, { unique: true });
+profileVisitSchema.index({ visited: 1, visitedAt: -1 });
+profileVisitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Record a visit, once per visitor, profile and day
+ * @param {ObjectId|string} visitorId
+ * @param {ObjectId|string} visitedId
+ * @returns {Promise<boolean>} Whether this was the visitor's first visit of the day
+ */
+profileVisitSchema.statics.record = async function (visitorId, visitedId) {
+  const now = new Date();
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const result = await this.updateOne(
+    { visitor: visitorId, visited: visitedId, day },
+    {
+      $set: {
+        visitedAt: now,
+        expiresAt: new Date(day.getTime() + config.PROFILE_VISIT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      },
+      $inc: { count: 1 },
+    },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+const ProfileVisit = model("ProfileVisit", profileVisitSchema);
+
+export default ProfileVisit;
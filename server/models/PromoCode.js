@@ -0,0 +1,147 @@
+/**
+ * PromoCode model - Marketing codes for premium discounts and free trials
+ *
+ * A code either takes a percentage off the first subscription payment
+ * ("percent_off") or grants a free premium trial ("free_days"). Each user can
+ * redeem a code once (see PromoRedemption); maxRedemptions caps total use.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const PROMO_CODE_TYPES = ["percent_off", "free_days"];
+
+/**
+ * Schema for the PromoCode model
+ */
+const promoCodeSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "Code must be 3-32 letters, numbers, dashes or underscores"],
+    },
+
+    // Internal note on what the code is for, e.g. the campaign
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: PROMO_CODE_TYPES,
+        message: `Type must be one of: ${PROMO_CODE_TYPES.join(", ")}`,
+      },
+      required: [true, "Promo code type is required"],
+    },
+
+    // Discount on the first payment (percent_off codes)
+    percentOff: {
+      type: Number,
+      min: [1, "Percent off must be at least 1"],
+      max: [100, "Percent off cannot exceed 100"],
+      required: [
+        function () {
+          return this.type === "percent_off";
+        },
+        "Percent off is required for percent_off codes",
+      ],
+    },
+
+    // Length of the premium trial (free_days codes)
+    freeDays: {
+      type: Number,
+      min: [1, "Free days must be at least 1"],
+      max: [365, "Free days cannot exceed 365"],
+      required: [
+        function () {
+          return this.type === "free_days";
+        },
+        "Free days is required for free_days codes",
+      ],
+    },
+
+    // Total number of redemptions allowed; null means unlimited
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Codes can't be redeemed after this date
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Reason the code can't be redeemed right now, or null if it can
+ * @returns {string|null}
+ */
+promoCodeSchema.methods.getUnavailableReason = function () {
+  if (!this.active) return "This promo code is no longer active";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "This promo code has expired";
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return "This promo code has reached its usage limit";
+  }
+  return null;
+};
+
+/**
+ * Atomically claim one use of a code, respecting the usage limit and expiry
+ * @param {ObjectId} promoCodeId
+ * @returns {Promise<Object|null>} Updated code, or null if no uses are left
+ */
+promoCodeSchema.statics.claimRedemption = function (promoCodeId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      active: true,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }] },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Give back a use claimed with claimRedemption()
+ * @param {ObjectId} promoCodeId
+ */
+promoCodeSchema.statics.releaseRedemption = function (promoCodeId) {
+  return this.updateOne({ _id: promoCodeId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+};
+
+const PromoCode = model("PromoCode", promoCodeSchema);
+
+export default PromoCode;
@@ -0,0 +1,43 @@
+/**
+ * PromoRedemption model - Which user redeemed which promo code
+ *
+ * The unique (promoCode, user) index is what enforces one redemption per user.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Schema for the PromoRedemption model
+ */
+const promoRedemptionSchema = new Schema(
+  {
+    promoCode: {
+      type: Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: [true, "Promo code is required"],
+    },
+
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    // What the redemption granted, copied from the code at the time
+    type: String,
+    percentOff: Number,
+    freeDays: Number,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+promoRedemptionSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+
+const PromoRedemption = model("PromoRedemption", promoRedemptionSchema);
+
+export default PromoRedemption;
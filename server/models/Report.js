@@ -0,0 +1,138 @@
+/**
+ * Report model - User reports about profiles, messages, stories and photos
+ *
+ * Reports land in a moderation queue (see routes/adminRoutes.js). A snapshot of the
+ * reported content is stored with the report so moderators can still review it
+ * after the content itself has been edited or removed.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Kinds of content that can be reported
+export const REPORT_TARGET_TYPES = ["profile", "message", "story", "photo"];
+
+// Reason categories shown to the reporting user
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "inappropriate_content",
+  "fake_profile",
+  "underage",
+  "scam",
+  "other",
+];
+
+// Actions a moderator can take on a report
+export const MODERATION_ACTIONS = ["dismiss", "warn", "remove_content", "suspend", "ban"];
+
+/**
+ * Schema for the Report model
+ */
+const reportSchema = new Schema(
+  {
+    // User who filed the report
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reporter is required"],
+      index: true,
+    },
+
+    // Owner of the reported content (the profile itself for profile reports)
+    reportedUser: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reported user is required"],
+      index: true,
+    },
+
+    targetType: {
+      type: String,
+      enum: {
+        values: REPORT_TARGET_TYPES,
+        message: "Target type must be profile, message, story, or photo",
+      },
+      required: [true, "Target type is required"],
+    },
+
+    // ID of the reported profile, message, story or photo subdocument
+    targetId: {
+      type: Schema.Types.ObjectId,
+      required: [true, "Target ID is required"],
+    },
+
+    reason: {
+      type: String,
+      enum: {
+        values: REPORT_REASONS,
+        message: `Reason must be one of: ${REPORT_REASONS.join(", ")}`,
+      },
+      required: [true, "Reason is required"],
+    },
+
+    // Optional free-text explanation from the reporter
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Details cannot exceed 1000 characters"],
+    },
+
+    // Copy of the reported content at the time of reporting
+    contentSnapshot: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "resolved", "dismissed"],
+      default: "pending",
+      index: true,
+    },
+
+    // Final moderation outcome, set when the report leaves the queue
+    resolution: {
+      action: { type: String, enum: MODERATION_ACTIONS },
+      moderator: { type: Schema.Types.ObjectId, ref: "User" },
+      resolvedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Moderation queue ordering
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// A user can only have one open report per piece of content
+reportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "pending" },
+    name: "unique_pending_report_idx",
+  }
+);
+
+/**
+ * Mark the report as handled by a moderator
+ * @param {string} action - Moderation action taken
+ * @param {ObjectId|string} moderatorId - Moderator who took the action
+ * @returns {Object} The updated (unsaved) report
+ */
+reportSchema.methods.resolve = function (action, moderatorId) {
+  this.status = action === "dismiss" ? "dismissed" : "resolved";
+  this.resolution = {
+    action,
+    moderator: moderatorId,
+    resolvedAt: new Date(),
+  };
+  return this;
+};
+
+const Report = model("Report", reportSchema);
+
+export default Report;
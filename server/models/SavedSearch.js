@@ -0,0 +1,103 @@
+/**
+ * SavedSearch model - A profile search a user kept, with alerts for new matches
+ *
+ * The filters mirror the GET /api/users/search query parameters (see utils/search.js).
+ * cron/searchTasks.js re-runs searches that have alerts on when `nextAlertAt` comes
+ * round and tells the user about profiles created since `lastCheckedAt` that match.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// How often a saved search is re-run for alerts ("off" disables them)
+export const ALERT_INTERVALS = {
+  off: null,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+export const ALERT_FREQUENCIES = Object.keys(ALERT_INTERVALS);
+
+/**
+ * Schema for the SavedSearch model
+ */
+const savedSearchSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [60, "Name cannot exceed 60 characters"],
+    },
+
+    // Search query parameters, validated by validateSearchFilters()
+    filters: {
+      nickname: String,
+      gender: String,
+      minAge: Number,
+      maxAge: Number,
+      location: String,
+      interests: { type: [String], default: undefined },
+      online: Boolean,
+      verified: Boolean, // photo-verified profiles only
+      radius: String, // km, or "any"
+      preferences: Boolean, // false skips the owner's partner preferences
+    },
+
+    alertFrequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: "daily",
+    },
+
+    // Profiles created after this count as new for the next alert
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // When the next alert check is due (null when alerts are off)
+    nextAlertAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastAlertAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedSearchSchema.index({ nextAlertAt: 1 });
+
+// Schedule the first check, or reschedule when the frequency changes
+savedSearchSchema.pre("save", function () {
+  if (this.isNew || this.isModified("alertFrequency")) {
+    this.scheduleNextAlert();
+  }
+});
+
+/**
+ * Set when the next alert check is due
+ * @param {Date} [from] - Time of the last check
+ */
+savedSearchSchema.methods.scheduleNextAlert = function (from = new Date()) {
+  const interval = ALERT_INTERVALS[this.alertFrequency];
+  this.nextAlertAt = interval ? new Date(from.getTime() + interval) : null;
+};
+
+const SavedSearch = model("SavedSearch", savedSearchSchema);
+
+export default SavedSearch;
@@ -1,6 +1,7 @@
 // models/Story.js - Production-ready implementation with optimized queries and robust error handling
 import mongoose from "mongoose"
 import logger from "../logger.js"
+import { isIncognito } from "../utils/privacy.js"
 
 const { Schema, model } = mongoose
 
@@ -81,6 +82,16 @@ const StorySchema = new Schema(
       type: String,
     },
 
+    // Dimensions, poster frame (videos) and sized copies of the media, from utils/media.js
+    mediaMetadata: {
+      dimensions: {
+        width: Number,
+        height: Number,
+      },
+      poster: String,
+      variants: Schema.Types.Mixed,
+    },
+
     // Content for text stories
     content: {
       type: String,
@@ -342,11 +353,15 @@ StorySchema.statics.findAllActive = async function (options = {}) {
 }
 
 /**
- * Instance method to add a viewer
- * @param {ObjectId|String} userId - Viewing user's ID
+ * Instance method to add a viewer. Users browsing incognito are not recorded at all, so
+ * they don't show up later if they turn incognito off or their tier lapses.
+ * @param {Object|ObjectId|String} viewer - Viewing user (document with accountTier and settings) or their ID
  * @returns {Promise<Object>} Updated story
  */
-StorySchema.methods.addViewer = async function (userId) {
+StorySchema.methods.addViewer = async function (viewer) {
+  if (isIncognito(viewer)) return this
+  const userId = viewer._id || viewer
+
   // Check if already viewed
   const alreadyViewed = this.viewers.some((v) => v.user && v.user.toString() === userId.toString())
 
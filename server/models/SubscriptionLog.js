@@ -0,0 +1,76 @@
+/**
+ * SubscriptionLog model - History of subscription state changes for support
+ *
+ * An entry is written whenever a user's subscription changes state, whether the
+ * change came from a payment webhook, the lifecycle cron job or the user. Entries
+ * are append-only.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Where a transition originated
+export const SUBSCRIPTION_LOG_SOURCES = ["webhook", "cron", "user", "system"];
+
+/**
+ * Schema for the SubscriptionLog model
+ */
+const subscriptionLogSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    // Subscription status before and after the change
+    fromStatus: String,
+    toStatus: String,
+
+    // Account tier before and after the change
+    fromTier: String,
+    toTier: String,
+
+    // What caused the change, e.g. "payment.failed" or "grace_period_ended"
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+    },
+
+    source: {
+      type: String,
+      enum: SUBSCRIPTION_LOG_SOURCES,
+      required: [true, "Source is required"],
+    },
+
+    subscriptionExpiry: Date,
+
+    metadata: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+subscriptionLogSchema.index({ user: 1, createdAt: -1 });
+
+// Log entries are immutable once written
+const rejectUpdate = function (next) {
+  next(new Error("Subscription log entries cannot be modified"));
+};
+subscriptionLogSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectUpdate);
+subscriptionLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+
+const SubscriptionLog = model("SubscriptionLog", subscriptionLogSchema);
+
+export default SubscriptionLog;
@@ -9,9 +9,31 @@ import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
 import crypto from "crypto"
 import validator from "validator"
+import { geocodeToPoint } from "../utils/geocoding.js"
 
 const { Schema, model } = mongoose
 
+// GeoJSON point geocoded from details.location (coordinates are [lng, lat])
+const geoPointSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (coords) =>
+          coords.length === 2 && Math.abs(coords[0]) <= 180 && Math.abs(coords[1]) <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false },
+)
+
 // Photo subdocument schema
 const photoSchema = new Schema(
   {
@@ -30,6 +52,8 @@ const photoSchema = new Schema(
         width: Number,
         height: Number,
       },
+      // Sized copies from utils/media.js: { thumb, card, full } of { width, height, webp, avif }
+      variants: Schema.Types.Mixed,
     },
   },
   { timestamps: true },
@@ -177,6 +201,12 @@ const userSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Selfie verification approved by a moderator (see VerificationRequest), separate from email verification
+    photoVerified: {
+      type: Boolean,
+      default: false,
+    },
+    photoVerifiedAt: Date,
     verificationToken: String,
     verificationTokenExpires: Date,
     passwordChangedAt: Date,
@@ -194,6 +224,24 @@ const userSchema = new Schema(
       default: true,
       select: false,
     },
+    // Account deletion: set when the user deletes their account, cleared if they log back in
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Date after which the deactivated account is purged for good by the cron job
+    scheduledDeletionAt: {
+      type: Date,
+      default: null,
+    },
+    // Moderation state, changed only through the moderation queue
+    moderation: {
+      warnings: { type: Number, default: 0 },
+      suspendedUntil: { type: Date, default: null },
+      banned: { type: Boolean, default: false },
+      bannedAt: { type: Date, default: null },
+      reason: { type: String, default: null },
+    },
     // Token version to handle token invalidation
     version: {
       type: Number,
@@ -215,6 +263,57 @@ const userSchema = new Schema(
       type: Date,
       default: null,
     },
+    // Billing state mirrored from the payment provider. isPaid/subscriptionExpiry stay the
+    // source of truth for access; this records how the subscription is billed.
+    subscription: {
+      plan: { type: String, enum: ["monthly", "yearly"], default: null },
+      status: {
+        type: String,
+        enum: ["none", "active", "past_due", "grace", "canceled", "expired"],
+        default: "none",
+      },
+      provider: { type: String, default: null },
+      customerId: { type: String, default: null },
+      subscriptionId: { type: String, default: null, index: true },
+      currentPeriodStart: { type: Date, default: null },
+      currentPeriodEnd: { type: Date, default: null },
+      autoRenew: { type: Boolean, default: false },
+      cancelAtPeriodEnd: { type: Boolean, default: false },
+      canceledAt: { type: Date, default: null },
+      lastPaymentFailedAt: { type: Date, default: null },
+      // End of the grace period once an auto-renewing subscription has passed its expiry
+      graceEndsAt: { type: Date, default: null },
+      // Expiry reminders (days before expiry) already sent for the current period
+      remindersSent: { type: [Number], default: [] },
+      // Promo code discount waiting to be applied to the next checkout
+      discount: {
+        code: { type: String, default: null },
+        percentOff: { type: Number, default: null },
+      },
+    },
+    // Free premium trial granted by a promo code; the user is on the PAID tier until endsAt
+    trial: {
+      startedAt: { type: Date, default: null },
+      endsAt: { type: Date, default: null },
+      promoCode: { type: String, default: null },
+    },
+    // Profile boosts: purchased credits and when the monthly free boost was last used
+    boosts: {
+      credits: { type: Number, default: 0, min: 0 },
+      lastFreeBoostAt: { type: Date, default: null },
+    },
+    // City-level coordinates for radius searches, set whenever details.location changes.
+    // Never sent to other users; they only see a rounded distance.
+    geoLocation: {
+      type: geoPointSchema,
+      default: undefined,
+      select: false,
+    },
+    // End of the running boost, if any; discovery ranks the profile first until then
+    boostedUntil: {
+      type: Date,
+      default: null,
+    },
     dailyLikesRemaining: {
       type: Number,
       default: 3, // Free male users get 3 likes per day
@@ -235,6 +334,36 @@ const userSchema = new Schema(
       type: partnerInfoSchema,
       default: null,
     },
+    // Linked partner account (see routes/coupleRoutes.js). The account that sent the invite
+    // is the "primary" and keeps the shared profile and inbox; the "partner" account signs in
+    // on its own and messages on the couple's behalf.
+    couple: {
+      partner: { type: Schema.Types.ObjectId, ref: "User", default: null },
+      role: { type: String, enum: ["primary", "partner", null], default: null },
+      linkedAt: { type: Date, default: null },
+    },
+    // Partner preferences, applied as default discovery filters (see utils/preferences.js)
+    preferences: {
+      ageMin: { type: Number, min: 18, max: 120, default: null },
+      ageMax: { type: Number, min: 18, max: 120, default: null },
+      iAm: {
+        type: [String],
+        enum: ["woman", "man", "couple"],
+        default: [],
+      },
+      maxDistanceKm: { type: Number, min: 1, max: 500, default: null },
+      mustHaveTags: {
+        type: [String],
+        default: [],
+        validate: {
+          validator: (tags) => tags.length <= 10,
+          message: "Cannot have more than 10 must-have tags",
+        },
+      },
+      photosOnly: { type: Boolean, default: false },
+      // Only show this profile to people who match these preferences
+      mutual: { type: Boolean, default: false },
+    },
     settings: {
       notifications: {
         messages: { type: Boolean, default: true },
@@ -252,6 +381,11 @@ const userSchema = new Schema(
           default: "everyone",
           enum: ["everyone", "friends", "none"],
         },
+        // Only accept messages from users they have matched with
+        messagesFromMatchesOnly: { type: Boolean, default: false },
+        // Hidden from discovery (except to users they liked), story viewer lists and
+        // profile visits; only applies while the account tier allows it (see utils/privacy.js)
+        incognito: { type: Boolean, default: false },
       },
       theme: {
         mode: {
@@ -311,6 +445,10 @@ userSchema.index({ isOnline: 1, lastActive: -1 })
 userSchema.index({ email: 1, nickname: 1 })
 userSchema.index({ accountTier: 1 })
 userSchema.index({ "details.age": 1, "details.gender": 1 })
+userSchema.index({ active: 1, scheduledDeletionAt: 1 })
+userSchema.index({ geoLocation: "2dsphere" })
+// The media route looks up which user a requested photo belongs to
+userSchema.index({ "photos.url": 1 })
 
 // Pre-save middleware to ensure username and other defaults are set
 userSchema.pre("save", async function (next) {
@@ -340,13 +478,24 @@ userSchema.pre("save", async function (next) {
     this.details = {}
   }
 
+  // Geocode the location so the profile shows up in radius searches
+  if (this.isModified("details.location")) {
+    this.geoLocation = geocodeToPoint(this.details.location) || undefined
+  }
+
   // Default gender handling
   if (this.details.gender === undefined || this.details.gender === null) {
     this.details.gender = ""
   }
 
   // Set account tier if relevant fields have changed
-  if (this.isModified("details.gender") || this.isModified("isPaid") || this.isModified("isCouple")) {
+  if (
+    this.isModified("details.gender") ||
+    this.isModified("isPaid") ||
+    this.isModified("isCouple") ||
+    this.isModified("couple.partner") ||
+    this.isModified("trial.endsAt")
+  ) {
     this.setAccountTier()
   }
 
@@ -365,13 +514,27 @@ userSchema.pre("save", async function (next) {
 
 // Instance methods
 
+// Whether the monthly free boost for premium users can be used now
+userSchema.methods.hasFreeBoostAvailable = function () {
+  if (this.accountTier !== "PAID") return false
+  const last = this.boosts?.lastFreeBoostAt
+  if (!last) return true
+  const now = new Date()
+  return last.getUTCFullYear() !== now.getUTCFullYear() || last.getUTCMonth() !== now.getUTCMonth()
+}
+
+// Whether a promo code trial is currently running
+userSchema.methods.isOnTrial = function () {
+  return Boolean(this.trial?.endsAt && this.trial.endsAt > new Date())
+}
+
 // Sets the account tier based on user properties
 userSchema.methods.setAccountTier = function () {
-  if (this.isCouple) {
+  if (this.isCouple || this.isLinkedCouple()) {
     this.accountTier = "COUPLE"
   } else if (this.details.gender === "female") {
     this.accountTier = "FEMALE"
-  } else if (this.isPaid) {
+  } else if (this.isPaid || this.isOnTrial()) {
     this.accountTier = "PAID"
   } else {
     this.accountTier = "FREE"
@@ -403,8 +566,29 @@ userSchema.methods.canCreateStory = function () {
   return true
 }
 
+// Whether this account is linked with a partner account
+userSchema.methods.isLinkedCouple = function () {
+  return Boolean(this.couple?.partner)
+}
+
+// The user whose profile and inbox this account acts as (the primary account of a linked couple)
+userSchema.methods.getInboxUserId = function () {
+  return this.couple?.role === "partner" && this.couple.partner ? this.couple.partner : this._id
+}
+
 // Check if user can send messages
+// Linked partners write from the couple's shared inbox, whatever tier was stored on their account
 userSchema.methods.canSendMessages = function () {
+  return this.isLinkedCouple() || this.accountTier !== "FREE"
+}
+
+// Check if user can undo their last discovery pass
+userSchema.methods.canRewindPasses = function () {
+  return this.accountTier !== "FREE"
+}
+
+// Check if user can see who visited their profile (free accounts only see how many)
+userSchema.methods.canSeeProfileVisitors = function () {
   return this.accountTier !== "FREE"
 }
 
@@ -429,7 +613,9 @@ userSchema.pre("save", async function (next) {
 })
 
 // Pre-find middleware to exclude inactive users
+// Queries can opt out with .setOptions({ includeInactive: true }) (login restore, purge job)
 userSchema.pre(/^find/, function (next) {
+  if (this.getOptions().includeInactive) return next()
   this.find({ active: { $ne: false } })
   next()
 })
@@ -476,6 +662,26 @@ userSchema.methods.isLocked = function () {
   return this.lockUntil && this.lockUntil > Date.now()
 }
 
+// Check if the account is currently suspended by a moderator
+userSchema.methods.isSuspended = function () {
+  return !!(this.moderation?.suspendedUntil && this.moderation.suspendedUntil > Date.now())
+}
+
+// Describe why a banned or suspended user may not use the app, or null if they may
+userSchema.methods.getModerationRestriction = function () {
+  if (this.moderation?.banned) {
+    return { error: "This account has been banned", code: "ACCOUNT_BANNED" }
+  }
+  if (this.isSuspended()) {
+    return {
+      error: `This account is suspended until ${this.moderation.suspendedUntil.toLocaleString()}`,
+      code: "ACCOUNT_SUSPENDED",
+      suspendedUntil: this.moderation.suspendedUntil,
+    }
+  }
+  return null
+}
+
 // Increment login attempts and lock the account if necessary
 userSchema.methods.incrementLoginAttempts = async function () {
   if (this.lockUntil && this.lockUntil < Date.now()) {
@@ -490,11 +696,63 @@ userSchema.methods.incrementLoginAttempts = async function () {
   await this.save()
 }
 
-// Static method: find users by location with a regex search
-userSchema.statics.findByLocation = async function (location, limit = 20) {
-  return this.find({
-    "details.location": { $regex: location, $options: "i" },
+// Deactivate the account and schedule it for permanent deletion after the grace period
+userSchema.methods.scheduleDeletion = function (graceDays) {
+  const now = new Date()
+  this.active = false
+  this.deactivatedAt = now
+  this.scheduledDeletionAt = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000)
+  this.isOnline = false
+  this.socketId = null
+  this.refreshToken = undefined
+  this.refreshTokenExpires = undefined
+  this.version = (this.version || 0) + 1 // Invalidate all issued tokens
+}
+
+// Check if a deactivated account can still be restored by logging in
+userSchema.methods.isRestorable = function () {
+  return this.active === false && this.scheduledDeletionAt && this.scheduledDeletionAt > Date.now()
+}
+
+// Reactivate an account that is within its deletion grace period
+userSchema.methods.restoreAccount = function () {
+  this.active = true
+  this.deactivatedAt = null
+  this.scheduledDeletionAt = null
+}
+
+// Static method: IDs of users hidden from a user in either direction of a block
+userSchema.statics.getBlockedUserIds = async function (userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select("blockedUsers").lean(),
+    this.find({ blockedUsers: userId }).select("_id").lean(),
+  ])
+  const ids = new Map()
+  for (const id of user?.blockedUsers || []) ids.set(id.toString(), id)
+  for (const u of blockedBy) ids.set(u._id.toString(), u._id)
+  return Array.from(ids.values())
+}
+
+// Static method: check whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId1, userId2) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId1, blockedUsers: userId2 },
+      { _id: userId2, blockedUsers: userId1 },
+    ],
   })
+  return count > 0
+}
+
+// Static method: find users near a location, nearest first. Places that can't be
+// geocoded fall back to a regex search on the location text.
+userSchema.statics.findByLocation = async function (location, limit = 20, radiusKm = 50) {
+  const point = geocodeToPoint(location)
+  const filter = point
+    ? { geoLocation: { $nearSphere: { $geometry: point, $maxDistance: radiusKm * 1000 } } }
+    : { "details.location": { $regex: location, $options: "i" } }
+
+  return this.find(filter)
     .select("nickname details.age details.gender details.location photos isOnline lastActive")
     .limit(limit)
 }
@@ -0,0 +1,128 @@
+/**
+ * VerificationRequest model - A user's attempt to get the photoVerified badge
+ *
+ * The server picks a random pose (`challenged`), the user uploads a selfie doing it
+ * before the challenge expires (`pending`), and a moderator compares it with the
+ * profile photos (`approved` or `rejected`). Selfies live in uploads/verifications,
+ * which isn't served publicly; moderators fetch them through the admin API.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Poses the server picks from; the selfie has to show the pose so it can't be an old photo
+export const VERIFICATION_POSES = [
+  { id: "peace_sign", prompt: "Make a peace sign with your right hand next to your face" },
+  { id: "thumbs_up", prompt: "Give a thumbs up with your left hand next to your face" },
+  { id: "touch_nose", prompt: "Touch your nose with your index finger" },
+  { id: "hand_on_head", prompt: "Put your open hand on top of your head" },
+  { id: "three_fingers", prompt: "Hold up three fingers next to your chin" },
+  { id: "point_up", prompt: "Point at the ceiling with your right hand" },
+  { id: "cover_eye", prompt: "Cover your left eye with your hand" },
+  { id: "ok_sign", prompt: "Make an OK sign with your hand below your chin" },
+];
+
+export const VERIFICATION_STATUSES = ["challenged", "pending", "approved", "rejected"];
+
+/**
+ * Schema for the VerificationRequest model
+ */
+const verificationRequestSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    pose: {
+      id: { type: String, required: true },
+      prompt: { type: String, required: true },
+    },
+
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: "challenged",
+    },
+
+    // The selfie has to be uploaded before this
+    challengeExpiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // /uploads/verifications/... (not publicly served)
+    selfieUrl: {
+      type: String,
+      default: null,
+    },
+
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Shown to the user when a selfie is rejected
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The moderator queue: pending requests, oldest first
+verificationRequestSchema.index({ status: 1, submittedAt: 1 });
+
+/**
+ * Pick a random pose for a new challenge
+ * @returns {{id: string, prompt: string}}
+ */
+verificationRequestSchema.statics.pickPose = function () {
+  return VERIFICATION_POSES[Math.floor(Math.random() * VERIFICATION_POSES.length)];
+};
+
+/**
+ * Whether a selfie can still be uploaded for this request
+ * @returns {boolean}
+ */
+verificationRequestSchema.methods.isAwaitingSelfie = function () {
+  return this.status === "challenged" && this.challengeExpiresAt > new Date();
+};
+
+/**
+ * The request as shown to its user (no selfie path or reviewer)
+ * @returns {Object}
+ */
+verificationRequestSchema.methods.toUserView = function () {
+  return {
+    _id: this._id,
+    status: this.status === "challenged" && !this.isAwaitingSelfie() ? "expired" : this.status,
+    pose: this.pose.prompt,
+    challengeExpiresAt: this.challengeExpiresAt,
+    submittedAt: this.submittedAt,
+    reviewedAt: this.reviewedAt,
+    rejectionReason: this.status === "rejected" ? this.rejectionReason || null : null,
+  };
+};
+
+const VerificationRequest = model("VerificationRequest", verificationRequestSchema);
+
+export default VerificationRequest;
@@ -0,0 +1,52 @@
+/**
+ * WebhookEvent model - Payment provider events that have already been processed
+ *
+ * Providers retry webhooks and may deliver the same event more than once; the
+ * unique event id lets the lifecycle handler apply each event exactly once.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Schema for the WebhookEvent model
+ */
+const webhookEventSchema = new Schema(
+  {
+    // Provider's event id
+    eventId: {
+      type: String,
+      required: [true, "Event id is required"],
+      unique: true,
+    },
+
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+
+    // Normalized event type (see payments/events.js)
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+    },
+
+    // User the event was applied to, if one was found
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Processed events only need to be remembered for as long as providers retry
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 });
+
+const WebhookEvent = model("WebhookEvent", webhookEventSchema);
+
+export default WebhookEvent;
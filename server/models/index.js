@@ -4,6 +4,21 @@ import Message from './Message.js';
 import Story from './Story.js';
 import PhotoPermission from './PhotoPermission.js';
 import Like from './Like.js';
+import Notification from './Notification.js';
+import Report from './Report.js';
+import ModerationAction from './ModerationAction.js';
+import WebhookEvent from './WebhookEvent.js';
+import Invoice from './Invoice.js';
+import SubscriptionLog from './SubscriptionLog.js';
+import PromoCode from './PromoCode.js';
+import PromoRedemption from './PromoRedemption.js';
+import Boost from './Boost.js';
+import Pass from './Pass.js';
+import Match from './Match.js';
+import SavedSearch from './SavedSearch.js';
+import VerificationRequest from './VerificationRequest.js';
+import CoupleInvite from './CoupleInvite.js';
+import ProfileVisit from './ProfileVisit.js';
 
 // Export individual models
 export {
@@ -11,7 +26,22 @@ export {
   Message,
   Story,
   PhotoPermission,
-  Like
+  Like,
+  Notification,
+  Report,
+  ModerationAction,
+  WebhookEvent,
+  Invoice,
+  SubscriptionLog,
+  PromoCode,
+  PromoRedemption,
+  Boost,
+  Pass,
+  Match,
+  SavedSearch,
+  VerificationRequest,
+  CoupleInvite,
+  ProfileVisit
 };
 
 // Create models object for backward compatibility
@@ -20,7 +50,22 @@ const models = {
   Message,
   Story,
   PhotoPermission,
-  Like
+  Like,
+  Notification,
+  Report,
+  ModerationAction,
+  WebhookEvent,
+  Invoice,
+  SubscriptionLog,
+  PromoCode,
+  PromoRedemption,
+  Boost,
+  Pass,
+  Match,
+  SavedSearch,
+  VerificationRequest,
+  CoupleInvite,
+  ProfileVisit
 };
 
 export default models;
@@ -0,0 +1,85 @@
+// payments/__tests__/lifecycle.test.js - Applying payment events exactly once (models are mocked)
+import { jest } from '@jest/globals';
+
+// Processed event ids, with the unique index WebhookEvent has on eventId
+const processedEvents = new Set();
+
+const WebhookEvent = {
+  create: jest.fn(async ({ eventId }) => {
+    if (processedEvents.has(eventId)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    processedEvents.add(eventId);
+  }),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(async ({ eventId }) => {
+    processedEvents.delete(eventId);
+  }),
+};
+
+let user;
+const User = {
+  findOne: jest.fn(() => ({ setOptions: async () => user })),
+};
+
+const recordSubscriptionTransition = jest.fn();
+
+jest.unstable_mockModule('../../models/index.js', () => ({ User, WebhookEvent, Invoice: { create: jest.fn() } }));
+jest.unstable_mockModule('../../mail/index.js', () => ({ sendSubscriptionReceiptEmail: jest.fn() }));
+jest.unstable_mockModule('../index.js', () => ({ getPaymentProvider: jest.fn() }));
+jest.unstable_mockModule('../transitions.js', () => ({
+  getSubscriptionSnapshot: (doc) => ({ status: doc.subscription.status, accountTier: doc.accountTier }),
+  recordSubscriptionTransition,
+}));
+
+const { PAYMENT_EVENTS } = await import('../events.js');
+const { handlePaymentEvent } = await import('../lifecycle.js');
+
+const paymentFailed = {
+  id: 'evt_1',
+  provider: 'fake',
+  type: PAYMENT_EVENTS.PAYMENT_FAILED,
+  subscriptionId: 'sub_123',
+};
+
+describe('handlePaymentEvent', () => {
+  beforeEach(() => {
+    processedEvents.clear();
+    jest.clearAllMocks();
+    user = {
+      _id: 'user-1',
+      accountTier: 'PAID',
+      subscription: { status: 'active', subscriptionId: 'sub_123' },
+      save: jest.fn(),
+    };
+  });
+
+  test('applies an event and ignores its redelivery', async () => {
+    expect(await handlePaymentEvent(paymentFailed)).toEqual({ processed: true, userId: 'user-1' });
+    expect(user.subscription.status).toBe('past_due');
+    expect(WebhookEvent.updateOne).toHaveBeenCalledWith({ eventId: 'evt_1' }, { user: 'user-1' });
+
+    expect(await handlePaymentEvent(paymentFailed)).toEqual({ processed: false, duplicate: true });
+    expect(user.save).toHaveBeenCalledTimes(1);
+    expect(recordSubscriptionTransition).toHaveBeenCalledTimes(1);
+  });
+
+  test('forgets an event whose handler failed so the retry is processed', async () => {
+    user.save.mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(handlePaymentEvent(paymentFailed)).rejects.toThrow('connection reset');
+    expect(WebhookEvent.deleteOne).toHaveBeenCalledWith({ eventId: 'evt_1' });
+    expect(recordSubscriptionTransition).not.toHaveBeenCalled();
+
+    expect(await handlePaymentEvent(paymentFailed)).toEqual({ processed: true, userId: 'user-1' });
+    expect(user.save).toHaveBeenCalledTimes(2);
+    expect(recordSubscriptionTransition).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores event types it has no handler for', async () => {
+    expect(await handlePaymentEvent({ ...paymentFailed, type: 'invoice.created' })).toEqual({ processed: false });
+    expect(WebhookEvent.create).not.toHaveBeenCalled();
+  });
+});
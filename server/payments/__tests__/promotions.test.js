@@ -0,0 +1,136 @@
+// payments/__tests__/promotions.test.js - Redeeming promo codes (models are mocked)
+import { jest } from '@jest/globals';
+
+let promo;
+const redemptions = [];
+
+const PromoCode = {
+  findOne: jest.fn(async ({ code }) => (promo?.code === code ? promo : null)),
+  claimRedemption: jest.fn(async () => {
+    if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) return null;
+    promo.redemptionCount++;
+    return promo;
+  }),
+  releaseRedemption: jest.fn(async () => {
+    promo.redemptionCount--;
+  }),
+};
+
+const PromoRedemption = {
+  exists: jest.fn(async ({ promoCode, user }) =>
+    redemptions.some((redemption) => redemption.promoCode === promoCode && redemption.user === user),
+  ),
+  create: jest.fn(async (redemption) => {
+    redemptions.push(redemption);
+    return redemption;
+  }),
+};
+
+const recordSubscriptionTransition = jest.fn();
+
+jest.unstable_mockModule('../../models/index.js', () => ({ PromoCode, PromoRedemption }));
+jest.unstable_mockModule('../transitions.js', () => ({
+  getSubscriptionSnapshot: (doc) => ({ status: doc.subscription.status, accountTier: doc.accountTier }),
+  recordSubscriptionTransition,
+}));
+
+const { redeemPromoCode } = await import('../promotions.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makePromo = (fields) => ({
+  _id: 'promo-1',
+  code: 'WELCOME',
+  active: true,
+  redemptionCount: 0,
+  maxRedemptions: null,
+  getUnavailableReason() {
+    return this.active ? null : 'This promo code is no longer active';
+  },
+  ...fields,
+});
+
+const makeUser = (fields) => ({
+  _id: 'user-1',
+  accountTier: 'FREE',
+  isPaid: false,
+  trial: {},
+  subscription: { status: 'none', discount: { code: null, percentOff: null } },
+  save: jest.fn(),
+  ...fields,
+});
+
+describe('redeemPromoCode', () => {
+  beforeEach(() => {
+    redemptions.length = 0;
+    jest.clearAllMocks();
+  });
+
+  test('starts a trial for a free_days code', async () => {
+    promo = makePromo({ type: 'free_days', freeDays: 7 });
+    const user = makeUser();
+
+    const result = await redeemPromoCode(user, ' welcome ');
+
+    expect(result).toMatchObject({ code: 'WELCOME', type: 'free_days', freeDays: 7 });
+    expect(user.trial.promoCode).toBe('WELCOME');
+    expect(user.trial.endsAt - user.trial.startedAt).toBe(7 * DAY_MS);
+    expect(user.save).toHaveBeenCalled();
+    expect(recordSubscriptionTransition).toHaveBeenCalledWith(
+      user,
+      expect.anything(),
+      expect.objectContaining({ reason: 'trial_started' }),
+    );
+    expect(promo.redemptionCount).toBe(1);
+  });
+
+  test('saves a percent_off code for the next checkout', async () => {
+    promo = makePromo({ type: 'percent_off', percentOff: 20 });
+    const user = makeUser();
+
+    const result = await redeemPromoCode(user, 'WELCOME');
+
+    expect(result).toMatchObject({ type: 'percent_off', percentOff: 20 });
+    expect(user.subscription.discount).toEqual({ code: 'WELCOME', percentOff: 20 });
+    expect(recordSubscriptionTransition).not.toHaveBeenCalled();
+  });
+
+  test('refuses unknown, inactive and already redeemed codes', async () => {
+    promo = makePromo({ type: 'free_days', freeDays: 7 });
+    const user = makeUser();
+
+    await expect(redeemPromoCode(user, 'NOPE')).rejects.toMatchObject({ code: 'PROMO_NOT_FOUND' });
+
+    await redeemPromoCode(user, 'WELCOME');
+    await expect(redeemPromoCode(makeUser(), 'WELCOME')).rejects.toMatchObject({ code: 'ALREADY_REDEEMED' });
+
+    promo.active = false;
+    const otherUser = makeUser({ _id: 'user-2' });
+    await expect(redeemPromoCode(otherUser, 'WELCOME')).rejects.toMatchObject({ code: 'PROMO_UNAVAILABLE' });
+  });
+
+  test('refuses codes the user has no use for', async () => {
+    const subscriber = makeUser({ accountTier: 'PAID', isPaid: true });
+
+    promo = makePromo({ type: 'free_days', freeDays: 7 });
+    await expect(redeemPromoCode(subscriber, 'WELCOME')).rejects.toMatchObject({ code: 'ALREADY_PREMIUM' });
+
+    promo = makePromo({ type: 'percent_off', percentOff: 20 });
+    await expect(redeemPromoCode(subscriber, 'WELCOME')).rejects.toMatchObject({ code: 'ALREADY_SUBSCRIBED' });
+    expect(PromoCode.claimRedemption).not.toHaveBeenCalled();
+  });
+
+  test('refuses a used-up code and gives the use back when the redemption fails', async () => {
+    promo = makePromo({ type: 'percent_off', percentOff: 20, maxRedemptions: 1, redemptionCount: 1 });
+    await expect(redeemPromoCode(makeUser(), 'WELCOME')).rejects.toMatchObject({ code: 'PROMO_UNAVAILABLE' });
+
+    promo = makePromo({ type: 'percent_off', percentOff: 20 });
+    const duplicate = new Error('E11000 duplicate key error');
+    duplicate.code = 11000;
+    PromoRedemption.create.mockRejectedValueOnce(duplicate);
+
+    await expect(redeemPromoCode(makeUser(), 'WELCOME')).rejects.toMatchObject({ code: 'ALREADY_REDEEMED' });
+    expect(PromoCode.releaseRedemption).toHaveBeenCalledWith('promo-1');
+    expect(promo.redemptionCount).toBe(0);
+  });
+});
@@ -0,0 +1,30 @@
+// payments/events.js - Provider-independent payment event types
+//
+// Providers translate their webhook payloads into events of these types so the
+// subscription lifecycle (lifecycle.js) doesn't need to know about any provider.
+// An event looks like:
+//   { id, provider, type, userId, customerId, subscriptionId, plan, periodStart, periodEnd,
+//     cancelAtPeriodEnd, amount, currency, paymentId, invoiceId, refundedAmount, fullyRefunded,
+//     attemptCount, product, quantity }
+// with only the fields relevant to its type set.
+
+export const PAYMENT_EVENTS = {
+  CHECKOUT_COMPLETED: 'checkout.completed',
+  SUBSCRIPTION_RENEWED: 'subscription.renewed',
+  SUBSCRIPTION_UPDATED: 'subscription.updated',
+  SUBSCRIPTION_ENDED: 'subscription.ended',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  PURCHASE_COMPLETED: 'purchase.completed',
+};
+
+/**
+ * Create an error for a webhook whose signature doesn't verify
+ * @param {string} [message]
+ * @returns {Error}
+ */
+export const invalidSignatureError = (message = 'Invalid webhook signature') => {
+  const error = new Error(message);
+  error.code = 'INVALID_SIGNATURE';
+  return error;
+};
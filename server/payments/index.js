@@ -0,0 +1,46 @@
+// payments/index.js - Payment provider registry
+//
+// A payment provider implements:
+//   createCheckoutSession({ user, plan, successUrl, cancelUrl, percentOff }) -> { id, url }
+//   createPaymentSession({ user, product, quantity, successUrl, cancelUrl }) -> { id, url }
+//   cancelSubscription(subscriptionId, { atPeriodEnd }) -> { cancelAtPeriodEnd, periodEnd }
+//   resumeSubscription(subscriptionId) -> { cancelAtPeriodEnd, periodEnd }
+//   parseWebhookEvent(rawBody, headers) -> normalized event (see events.js) or null
+import logger from '../logger.js';
+import config from '../config.js';
+import { createStripeProvider } from './providers/stripeProvider.js';
+import { createFakeProvider } from './providers/fakeProvider.js';
+
+const factories = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider,
+};
+
+let provider = null;
+
+/**
+ * Get the active payment provider, creating it from config on first use
+ * @returns {Object}
+ */
+export const getPaymentProvider = () => {
+  if (!provider) {
+    const factory = factories[config.PAYMENT_PROVIDER];
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${config.PAYMENT_PROVIDER}`);
+    }
+    provider = factory();
+    logger.info(`Payment provider initialized: ${provider.name}`);
+  }
+  return provider;
+};
+
+/**
+ * Replace the active payment provider (e.g. with a fake in tests)
+ * @param {Object} nextProvider
+ */
+export const setPaymentProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+export { PLANS, PLAN_IDS, PRODUCTS, getPlan, getPeriodEnd, getProduct } from './plans.js';
+export { PAYMENT_EVENTS } from './events.js';
@@ -0,0 +1,274 @@
+// payments/lifecycle.js - Applies normalized payment events to user subscriptions
+//
+// Webhooks are the only place a subscription becomes active, renews or ends; the
+// checkout and cancel routes just talk to the provider and wait for its events.
+import logger from '../logger.js';
+import { User, WebhookEvent, Invoice } from '../models/index.js';
+import { sendSubscriptionReceiptEmail } from '../mail/index.js';
+import { PAYMENT_EVENTS } from './events.js';
+import { getPlan, getProduct } from './plans.js';
+import { getPaymentProvider } from './index.js';
+import { getSubscriptionSnapshot, recordSubscriptionTransition } from './transitions.js';
+
+/**
+ * Find the user an event belongs to
+ * @param {Object} event - Normalized payment event
+ * @returns {Promise<Object|null>} User document
+ */
+const findEventUser = (event) => {
+  const conditions = [];
+  if (event.userId) conditions.push({ _id: event.userId });
+  if (event.subscriptionId) conditions.push({ 'subscription.subscriptionId': event.subscriptionId });
+  if (event.customerId) conditions.push({ 'subscription.customerId': event.customerId });
+  if (!conditions.length) return Promise.resolve(null);
+
+  return User.findOne({ $or: conditions }).setOptions({ includeInactive: true });
+};
+
+/**
+ * Give the user access for a paid period, record the invoice and email a receipt
+ * @param {Object} user - User document
+ * @param {Object} event - checkout.completed or subscription.renewed event
+ */
+const activatePeriod = async (user, event) => {
+  const plan = event.plan || user.subscription.plan;
+
+  user.isPaid = true;
+  user.subscriptionExpiry = event.periodEnd;
+  user.subscription.plan = plan;
+  user.subscription.status = 'active';
+  user.subscription.provider = event.provider;
+  if (event.customerId) user.subscription.customerId = event.customerId;
+  if (event.subscriptionId) user.subscription.subscriptionId = event.subscriptionId;
+  user.subscription.currentPeriodStart = event.periodStart;
+  user.subscription.currentPeriodEnd = event.periodEnd;
+  if (event.cancelAtPeriodEnd !== undefined) {
+    user.subscription.cancelAtPeriodEnd = event.cancelAtPeriodEnd;
+  }
+  user.subscription.autoRenew = !user.subscription.cancelAtPeriodEnd;
+  user.subscription.canceledAt = null;
+  user.subscription.lastPaymentFailedAt = null;
+  user.subscription.graceEndsAt = null;
+  user.subscription.remindersSent = [];
+  if (event.type === PAYMENT_EVENTS.CHECKOUT_COMPLETED) {
+    // Promo code discounts apply to the first payment only
+    user.subscription.discount = { code: null, percentOff: null };
+  }
+  await user.save();
+
+  const invoice = await Invoice.create({
+    user: user._id,
+    type: event.type === PAYMENT_EVENTS.CHECKOUT_COMPLETED ? 'upgrade' : 'renewal',
+    plan,
+    amount: event.amount ?? getPlan(plan)?.amount ?? 0,
+    currency: event.currency || getPlan(plan)?.currency,
+    periodStart: event.periodStart,
+    periodEnd: event.periodEnd,
+    provider: event.provider,
+    paymentId: event.paymentId,
+    subscriptionId: user.subscription.subscriptionId,
+  });
+
+  sendSubscriptionReceiptEmail(user, {
+    plan: getPlan(plan)?.name || plan,
+    amount: invoice.amount,
+    currency: invoice.currency,
+    periodStart: invoice.periodStart,
+    periodEnd: invoice.periodEnd,
+    invoiceNumber: invoice.number,
+  }).catch((err) => logger.error(`Failed to send receipt to user ${user._id}: ${err.message}`));
+};
+
+/**
+ * Record a refund against the charge it refunds
+ * @param {Object} user - User document
+ * @param {Object} event - payment.refunded event
+ * @returns {Promise<Object>} { charge, refund } - the refunded charge (if found) and the
+ *   refund invoice (null if nothing new was refunded)
+ */
+const recordRefund = async (user, event) => {
+  const paymentIds = [event.paymentId, event.invoiceId].filter(Boolean);
+  const charge = paymentIds.length
+    ? await Invoice.findOne({ user: user._id, type: { $ne: 'refund' }, paymentId: { $in: paymentIds } })
+    : null;
+
+  // Providers report the total refunded so far; only the difference is new
+  const totalRefunded = event.refundedAmount ?? event.amount ?? 0;
+  const refundAmount = totalRefunded - (charge?.refundedAmount || 0);
+  if (refundAmount <= 0) return { charge, refund: null };
+
+  if (charge) {
+    charge.refundedAmount = totalRefunded;
+    charge.status = totalRefunded >= charge.amount ? 'refunded' : 'partially_refunded';
+    await charge.save();
+  }
+
+  const refund = await Invoice.create({
+    user: user._id,
+    type: 'refund',
+    plan: charge ? charge.plan : user.subscription.plan,
+    product: charge?.product,
+    quantity: charge?.quantity,
+    amount: refundAmount,
+    currency: event.currency || charge?.currency,
+    provider: event.provider,
+    paymentId: event.paymentId,
+    subscriptionId: charge?.subscriptionId || user.subscription.subscriptionId,
+    refundOf: charge?._id,
+  });
+  return { charge, refund };
+};
+
+/**
+ * Take premium access away immediately
+ * @param {Object} user - User document
+ * @param {string} status - "canceled" or "expired"
+ */
+const revokeAccess = async (user, status) => {
+  user.isPaid = false;
+  user.subscriptionExpiry = new Date();
+  user.subscription.status = status;
+  user.subscription.autoRenew = false;
+  user.subscription.cancelAtPeriodEnd = false;
+  user.subscription.currentPeriodEnd = user.subscriptionExpiry;
+  user.subscription.canceledAt = user.subscription.canceledAt || new Date();
+  user.subscription.graceEndsAt = null;
+  await user.save();
+};
+
+const handlers = {
+  [PAYMENT_EVENTS.CHECKOUT_COMPLETED]: activatePeriod,
+
+  [PAYMENT_EVENTS.SUBSCRIPTION_RENEWED]: activatePeriod,
+
+  // Keep access while the provider retries the charge; the subscription ends
+  // (subscription.ended) if every retry fails.
+  [PAYMENT_EVENTS.PAYMENT_FAILED]: async (user) => {
+    user.subscription.status = 'past_due';
+    user.subscription.lastPaymentFailedAt = new Date();
+    await user.save();
+  },
+
+  // A full refund ends the subscription right away; partial refunds are goodwill credits
+  [PAYMENT_EVENTS.PAYMENT_REFUNDED]: async (user, event) => {
+    const { charge } = await recordRefund(user, event);
+
+    // Refunded one-off purchases take back what was bought; the subscription is untouched
+    if (charge?.type === 'purchase') {
+      if (event.fullyRefunded && charge.product === 'boost') {
+        user.boosts.credits = Math.max(0, user.boosts.credits - (charge.quantity || 1));
+        await user.save();
+      }
+      return;
+    }
+
+    if (!event.fullyRefunded) return;
+
+    const { subscriptionId } = user.subscription;
+    if (subscriptionId && user.subscription.status !== 'canceled') {
+      try {
+        await getPaymentProvider().cancelSubscription(subscriptionId, { atPeriodEnd: false });
+      } catch (err) {
+        logger.error(`Failed to cancel refunded subscription ${subscriptionId}: ${err.message}`);
+      }
+    }
+    await revokeAccess(user, 'canceled');
+  },
+
+  [PAYMENT_EVENTS.SUBSCRIPTION_UPDATED]: async (user, event) => {
+    user.subscription.cancelAtPeriodEnd = Boolean(event.cancelAtPeriodEnd);
+    user.subscription.autoRenew = !event.cancelAtPeriodEnd;
+    if (event.plan) user.subscription.plan = event.plan;
+    if (event.periodEnd) {
+      user.subscription.currentPeriodEnd = event.periodEnd;
+      if (user.isPaid) user.subscriptionExpiry = event.periodEnd;
+    }
+    user.subscription.canceledAt = event.cancelAtPeriodEnd ? user.subscription.canceledAt || new Date() : null;
+    await user.save();
+  },
+
+  [PAYMENT_EVENTS.SUBSCRIPTION_ENDED]: async (user) => {
+    await revokeAccess(user, 'canceled');
+  },
+
+  [PAYMENT_EVENTS.PURCHASE_COMPLETED]: async (user, event) => {
+    const product = getProduct(event.product);
+    const quantity = event.quantity || 1;
+
+    if (event.product === 'boost') {
+      user.boosts.credits += quantity;
+    }
+    if (event.customerId && !user.subscription.customerId) {
+      user.subscription.customerId = event.customerId;
+    }
+    await user.save();
+
+    await Invoice.create({
+      user: user._id,
+      type: 'purchase',
+      product: event.product,
+      quantity,
+      amount: event.amount ?? (product?.amount || 0) * quantity,
+      currency: event.currency || product?.currency,
+      provider: event.provider,
+      paymentId: event.paymentId,
+    });
+  },
+};
+
+// Events that don't change the subscription itself and so aren't logged as transitions
+const NON_SUBSCRIPTION_EVENTS = [PAYMENT_EVENTS.PURCHASE_COMPLETED];
+
+/**
+ * Apply a normalized payment event. Events are recorded so redelivered webhooks
+ * are ignored.
+ * @param {Object} event - Normalized payment event (see events.js)
+ * @param {Object} [options] - { io } to push the new state to the user's clients
+ * @returns {Promise<Object>} { processed, duplicate, userId }
+ */
+export const handlePaymentEvent = async (event, { io } = {}) => {
+  const handler = handlers[event.type];
+  if (!handler) {
+    return { processed: false };
+  }
+
+  try {
+    await WebhookEvent.create({ eventId: event.id, provider: event.provider, type: event.type });
+  } catch (err) {
+    if (err.code === 11000) {
+      logger.info(`Skipping already processed payment event ${event.id}`);
+      return { processed: false, duplicate: true };
+    }
+    throw err;
+  }
+
+  try {
+    const user = await findEventUser(event);
+    if (!user) {
+      logger.warn(`No user found for payment event ${event.id} (${event.type})`);
+      return { processed: false };
+    }
+
+    const previous = getSubscriptionSnapshot(user);
+    await handler(user, event);
+    await WebhookEvent.updateOne({ eventId: event.id }, { user: user._id });
+
+    if (!NON_SUBSCRIPTION_EVENTS.includes(event.type)) {
+      await recordSubscriptionTransition(user, previous, {
+        reason: event.type,
+        source: 'webhook',
+        io,
+        metadata: { eventId: event.id, provider: event.provider },
+      });
+    } else {
+      logger.info(`Applied payment event ${event.type} to user ${user._id}`);
+    }
+    return { processed: true, userId: user._id };
+  } catch (err) {
+    // Forget the event so the provider's retry gets another chance
+    await WebhookEvent.deleteOne({ eventId: event.id });
+    throw err;
+  }
+};
+
+export default handlePaymentEvent;
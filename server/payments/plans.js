@@ -0,0 +1,65 @@
+// payments/plans.js - Subscription plans offered on the Subscription page
+//
+// Amounts are in cents. The yearly plan is billed once a year at $11.99/month.
+
+export const PLANS = {
+  monthly: {
+    id: 'monthly',
+    name: 'Premium Monthly',
+    interval: 'month',
+    amount: 1499,
+    monthlyAmount: 1499,
+    currency: 'usd',
+  },
+  yearly: {
+    id: 'yearly',
+    name: 'Premium Yearly',
+    interval: 'year',
+    amount: 14388,
+    monthlyAmount: 1199,
+    currency: 'usd',
+  },
+};
+
+export const PLAN_IDS = Object.keys(PLANS);
+
+/**
+ * Look up a plan by id
+ * @param {string} planId - "monthly" or "yearly"
+ * @returns {Object|null}
+ */
+export const getPlan = (planId) => PLANS[planId] || null;
+
+/**
+ * Calculate the end of a billing period that starts at `start`
+ * @param {string} planId - "monthly" or "yearly"
+ * @param {Date} [start]
+ * @returns {Date}
+ */
+export const getPeriodEnd = (planId, start = new Date()) => {
+  const end = new Date(start);
+  if (getPlan(planId)?.interval === 'year') {
+    end.setFullYear(end.getFullYear() + 1);
+  } else {
+    end.setMonth(end.getMonth() + 1);
+  }
+  return end;
+};
+
+// One-off purchases (not subscriptions). Amounts are per unit, in cents.
+export const PRODUCTS = {
+  boost: {
+    id: 'boost',
+    name: 'Profile Boost',
+    amount: 399,
+    currency: 'usd',
+    maxQuantity: 10,
+  },
+};
+
+/**
+ * Look up a one-off product by id
+ * @param {string} productId - e.g. "boost"
+ * @returns {Object|null}
+ */
+export const getProduct = (productId) => PRODUCTS[productId] || null;
@@ -0,0 +1,110 @@
+// payments/promotions.js - Redeeming promo codes for trials and discounts
+import { PromoCode, PromoRedemption } from '../models/index.js';
+import { getSubscriptionSnapshot, recordSubscriptionTransition } from './transitions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error for a promo code that can't be redeemed
+ * @param {string} message - Shown to the user
+ * @param {string} code - Machine-readable reason
+ * @returns {Error}
+ */
+const promoError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check that the user can benefit from a code of this type
+ * @param {Object} user - User document
+ * @param {Object} promo - PromoCode document
+ */
+const assertEligible = (user, promo) => {
+  if (promo.type === 'free_days' && user.accountTier !== 'FREE') {
+    throw promoError('You already have premium access', 'ALREADY_PREMIUM');
+  }
+  if (promo.type === 'percent_off' && user.isPaid) {
+    throw promoError('Discount codes apply to new subscriptions only', 'ALREADY_SUBSCRIBED');
+  }
+};
+
+/**
+ * Redeem a promo code for a user. free_days codes start a premium trial right away;
+ * percent_off codes are saved on the user and applied to their next checkout.
+ * @param {Object} user - User document
+ * @param {string} code - Code as entered by the user
+ * @param {Object} [options] - { io } to push the new subscription state to the user
+ * @returns {Promise<Object>} { code, type, percentOff, freeDays, trialEndsAt }
+ * @throws {Error} With code PROMO_NOT_FOUND, PROMO_UNAVAILABLE, ALREADY_REDEEMED,
+ *   ALREADY_PREMIUM or ALREADY_SUBSCRIBED
+ */
+export const redeemPromoCode = async (user, code, { io } = {}) => {
+  const promo = await PromoCode.findOne({ code: String(code || '').trim().toUpperCase() });
+  if (!promo) {
+    throw promoError('Invalid promo code', 'PROMO_NOT_FOUND');
+  }
+
+  const unavailable = promo.getUnavailableReason();
+  if (unavailable) {
+    throw promoError(unavailable, 'PROMO_UNAVAILABLE');
+  }
+
+  if (await PromoRedemption.exists({ promoCode: promo._id, user: user._id })) {
+    throw promoError('You have already used this promo code', 'ALREADY_REDEEMED');
+  }
+
+  assertEligible(user, promo);
+
+  // Claim a use first so concurrent redemptions can't exceed the limit
+  const claimed = await PromoCode.claimRedemption(promo._id);
+  if (!claimed) {
+    throw promoError('This promo code is no longer available', 'PROMO_UNAVAILABLE');
+  }
+
+  try {
+    await PromoRedemption.create({
+      promoCode: promo._id,
+      user: user._id,
+      type: promo.type,
+      percentOff: promo.percentOff,
+      freeDays: promo.freeDays,
+    });
+  } catch (err) {
+    await PromoCode.releaseRedemption(promo._id);
+    if (err.code === 11000) {
+      throw promoError('You have already used this promo code', 'ALREADY_REDEEMED');
+    }
+    throw err;
+  }
+
+  const result = { code: promo.code, type: promo.type };
+
+  if (promo.type === 'free_days') {
+    const previous = getSubscriptionSnapshot(user);
+    const now = new Date();
+    user.trial.startedAt = now;
+    user.trial.endsAt = new Date(now.getTime() + promo.freeDays * DAY_MS);
+    user.trial.promoCode = promo.code;
+    await user.save(); // pre-save hook moves the user onto the PAID tier
+
+    await recordSubscriptionTransition(user, previous, {
+      reason: 'trial_started',
+      source: 'user',
+      io,
+      metadata: { promoCode: promo.code, freeDays: promo.freeDays, trialEndsAt: user.trial.endsAt },
+    });
+
+    result.freeDays = promo.freeDays;
+    result.trialEndsAt = user.trial.endsAt;
+  } else {
+    user.subscription.discount = { code: promo.code, percentOff: promo.percentOff };
+    await user.save();
+    result.percentOff = promo.percentOff;
+  }
+
+  return result;
+};
+
+export default redeemPromoCode;
@@ -0,0 +1,207 @@
+// payments/providers/fakeProvider.js - Local payment provider for development and tests
+//
+// Nothing is charged. Checkout sessions point at GET /api/subscription/fake-checkout/:id,
+// which "pays" immediately and redirects back to the client. Lifecycle events
+// (renewals, failed payments, refunds) can be produced with simulateEvent() or posted to
+// the webhook endpoint, signed with FAKE_PAYMENT_WEBHOOK_SECRET.
+import crypto from 'crypto';
+import config from '../../config.js';
+import { getPlan, getPeriodEnd, getProduct } from '../plans.js';
+import { PAYMENT_EVENTS, invalidSignatureError } from '../events.js';
+
+const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Sign a webhook payload for the fake provider
+ * @param {string} payload - JSON body
+ * @param {string} [secret]
+ * @returns {string} Value for the x-fake-signature header
+ */
+export const signFakePayload = (payload, secret = config.FAKE_PAYMENT_WEBHOOK_SECRET) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Create the fake provider
+ * @param {Object} [options] - { webhookSecret }
+ * @returns {Object} Payment provider
+ */
+export const createFakeProvider = ({ webhookSecret = config.FAKE_PAYMENT_WEBHOOK_SECRET } = {}) => {
+  const sessions = new Map();
+  const subscriptions = new Map();
+
+  return {
+    name: 'fake',
+    sessions,
+    subscriptions,
+
+    createCheckoutSession({ user, plan, successUrl, cancelUrl, percentOff = null }) {
+      const id = fakeId('cs');
+      sessions.set(id, {
+        id,
+        userId: user._id.toString(),
+        customerId: user.subscription?.customerId || fakeId('cus'),
+        plan,
+        successUrl,
+        cancelUrl,
+        percentOff,
+        completed: false,
+      });
+      return Promise.resolve({ id, url: `${config.API_URL}/api/subscription/fake-checkout/${id}` });
+    },
+
+    createPaymentSession({ user, product, quantity = 1, successUrl, cancelUrl }) {
+      const id = fakeId('cs');
+      sessions.set(id, {
+        id,
+        userId: user._id.toString(),
+        customerId: user.subscription?.customerId || fakeId('cus'),
+        product,
+        quantity,
+        successUrl,
+        cancelUrl,
+        completed: false,
+      });
+      return Promise.resolve({ id, url: `${config.API_URL}/api/subscription/fake-checkout/${id}` });
+    },
+
+    /**
+     * Pay for a checkout session and return the resulting checkout.completed
+     * (or purchase.completed) event
+     * @param {string} sessionId
+     * @returns {Object|null} Event, or null if the session doesn't exist or was already paid
+     */
+    completeCheckout(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.completed) return null;
+      session.completed = true;
+
+      if (session.product) {
+        const product = getProduct(session.product);
+        return {
+          id: fakeId('evt'),
+          provider: 'fake',
+          type: PAYMENT_EVENTS.PURCHASE_COMPLETED,
+          userId: session.userId,
+          customerId: session.customerId,
+          product: session.product,
+          quantity: session.quantity,
+          amount: product.amount * session.quantity,
+          currency: product.currency,
+          paymentId: fakeId('pi'),
+        };
+      }
+
+      const plan = getPlan(session.plan);
+      const periodStart = new Date();
+      const subscription = {
+        id: fakeId('sub'),
+        userId: session.userId,
+        customerId: session.customerId,
+        plan: session.plan,
+        periodStart,
+        periodEnd: getPeriodEnd(session.plan, periodStart),
+        cancelAtPeriodEnd: false,
+      };
+      subscriptions.set(subscription.id, subscription);
+
+      return {
+        id: fakeId('evt'),
+        provider: 'fake',
+        type: PAYMENT_EVENTS.CHECKOUT_COMPLETED,
+        userId: session.userId,
+        plan: session.plan,
+        customerId: subscription.customerId,
+        subscriptionId: subscription.id,
+        periodStart: subscription.periodStart,
+        periodEnd: subscription.periodEnd,
+        cancelAtPeriodEnd: false,
+        amount: session.percentOff ? Math.round((plan.amount * (100 - session.percentOff)) / 100) : plan.amount,
+        currency: plan.currency,
+        paymentId: fakeId('pi'),
+      };
+    },
+
+    /**
+     * Build a lifecycle event for a user's subscription, as a real provider would send it
+     * @param {string} type - One of PAYMENT_EVENTS
+     * @param {Object} subscription - { subscriptionId, customerId, plan, periodEnd, paymentId }
+     * @returns {Object} Event
+     */
+    simulateEvent(type, { subscriptionId, customerId, plan, periodEnd, paymentId }) {
+      const planConfig = getPlan(plan) || getPlan('monthly');
+      const base = { id: fakeId('evt'), provider: 'fake', type, subscriptionId, customerId };
+
+      switch (type) {
+        case PAYMENT_EVENTS.SUBSCRIPTION_RENEWED: {
+          const periodStart = periodEnd ? new Date(periodEnd) : new Date();
+          return {
+            ...base,
+            periodStart,
+            periodEnd: getPeriodEnd(plan, periodStart),
+            amount: planConfig.amount,
+            currency: planConfig.currency,
+            paymentId: fakeId('pi'),
+          };
+        }
+        case PAYMENT_EVENTS.PAYMENT_FAILED:
+          return { ...base, amount: planConfig.amount, currency: planConfig.currency, attemptCount: 1 };
+        case PAYMENT_EVENTS.PAYMENT_REFUNDED:
+          return {
+            ...base,
+            paymentId,
+            amount: planConfig.amount,
+            refundedAmount: planConfig.amount,
+            currency: planConfig.currency,
+            fullyRefunded: true,
+          };
+        case PAYMENT_EVENTS.SUBSCRIPTION_ENDED:
+          return { ...base, periodEnd: new Date() };
+        default:
+          return base;
+      }
+    },
+
+    cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+      const subscription = subscriptions.get(subscriptionId);
+      if (subscription) {
+        subscription.cancelAtPeriodEnd = atPeriodEnd;
+        if (!atPeriodEnd) subscription.periodEnd = new Date();
+      }
+      return Promise.resolve({
+        cancelAtPeriodEnd: atPeriodEnd,
+        periodEnd: subscription?.periodEnd || null,
+      });
+    },
+
+    resumeSubscription(subscriptionId) {
+      const subscription = subscriptions.get(subscriptionId);
+      if (subscription) subscription.cancelAtPeriodEnd = false;
+      return Promise.resolve({ cancelAtPeriodEnd: false, periodEnd: subscription?.periodEnd || null });
+    },
+
+    /**
+     * Verify a fake webhook request. The body is an already-normalized event.
+     * @param {Buffer|string} rawBody
+     * @param {Object} headers
+     * @returns {Promise<Object>}
+     */
+    parseWebhookEvent(rawBody, headers) {
+      const signature = headers['x-fake-signature'];
+      if (!signature || !rawBody) {
+        return Promise.reject(invalidSignatureError('Missing webhook signature'));
+      }
+
+      const expected = signFakePayload(rawBody.toString(), webhookSecret);
+      if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      ) {
+        return Promise.reject(invalidSignatureError());
+      }
+
+      return Promise.resolve({ ...JSON.parse(rawBody.toString()), provider: 'fake' });
+    },
+  };
+};
+
+export default createFakeProvider;
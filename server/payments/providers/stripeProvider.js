@@ -0,0 +1,355 @@
+// payments/providers/stripeProvider.js - Adapter for the Stripe REST API
+//
+// Talks to Stripe (or any Stripe-compatible API, e.g. stripe-mock, via STRIPE_API_BASE)
+// over plain HTTP so no SDK is required.
+import crypto from 'crypto';
+import config from '../../config.js';
+import logger from '../../logger.js';
+import { getPlan, getProduct } from '../plans.js';
+import { PAYMENT_EVENTS, invalidSignatureError } from '../events.js';
+
+// Maximum age of a webhook signature before it is rejected (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Encode nested params the way Stripe expects (a[b][0][c]=value)
+ * @param {Object} params
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+const encodeParams = (params, prefix = '') =>
+  Object.entries(params).flatMap(([key, value]) => {
+    if (value === undefined || value === null) return [];
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      return encodeParams(value, name);
+    }
+    return [`${encodeURIComponent(name)}=${encodeURIComponent(value)}`];
+  });
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Create the Stripe provider
+ * @param {Object} [options]
+ * @param {string} [options.secretKey]
+ * @param {string} [options.webhookSecret]
+ * @param {string} [options.apiBase]
+ * @returns {Object} Payment provider
+ */
+export const createStripeProvider = ({
+  secretKey = config.STRIPE_SECRET_KEY,
+  webhookSecret = config.STRIPE_WEBHOOK_SECRET,
+  apiBase = config.STRIPE_API_BASE,
+} = {}) => {
+  const priceIds = {
+    monthly: config.STRIPE_PRICE_MONTHLY,
+    yearly: config.STRIPE_PRICE_YEARLY,
+  };
+
+  /**
+   * Call the Stripe API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the API base, e.g. /checkout/sessions
+   * @param {Object} [params] - Form parameters
+   * @returns {Promise<Object>}
+   */
+  const request = async (method, path, params) => {
+    if (!secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+
+    const body = params ? encodeParams(params).join('&') : undefined;
+    const response = await fetch(`${apiBase}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error?.message || `Stripe request failed with status ${response.status}`);
+      error.code = 'PAYMENT_PROVIDER_ERROR';
+      error.statusCode = response.status;
+      throw error;
+    }
+    return data;
+  };
+
+  /**
+   * Read the billing period of a subscription. Newer API versions moved it to the items.
+   * @param {Object} subscription - Stripe subscription object
+   */
+  const subscriptionPeriod = (subscription) => {
+    const item = subscription.items?.data?.[0] || {};
+    return {
+      periodStart: fromUnix(subscription.current_period_start ?? item.current_period_start),
+      periodEnd: fromUnix(subscription.current_period_end ?? item.current_period_end),
+    };
+  };
+
+  // Newer API versions nest the subscription ID under invoice.parent
+  const invoiceSubscriptionId = (invoice) =>
+    invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+
+  /**
+   * Translate a Stripe event into a provider-independent payment event
+   * @param {Object} event - Stripe event
+   * @returns {Promise<Object|null>} Normalized event, or null for events we don't handle
+   */
+  const normalizeEvent = async (event) => {
+    const object = event.data?.object || {};
+    const base = { id: event.id, provider: 'stripe' };
+
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        if (object.mode === 'payment' && object.metadata?.product) {
+          return {
+            ...base,
+            type: PAYMENT_EVENTS.PURCHASE_COMPLETED,
+            userId: object.client_reference_id || object.metadata.userId,
+            customerId: object.customer,
+            product: object.metadata.product,
+            quantity: Number.parseInt(object.metadata.quantity, 10) || 1,
+            amount: object.amount_total,
+            currency: object.currency,
+            paymentId: object.payment_intent || null,
+          };
+        }
+        if (object.mode !== 'subscription' || !object.subscription) return null;
+        const subscription = await request('GET', `/subscriptions/${object.subscription}`);
+        return {
+          ...base,
+          type: PAYMENT_EVENTS.CHECKOUT_COMPLETED,
+          userId: object.client_reference_id || object.metadata?.userId,
+          plan: object.metadata?.plan,
+          customerId: object.customer,
+          subscriptionId: object.subscription,
+          cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+          amount: object.amount_total,
+          currency: object.currency,
+          paymentId: object.payment_intent || object.invoice || null,
+          ...subscriptionPeriod(subscription),
+        };
+      }
+      case 'invoice.paid': {
+        // The first invoice is covered by checkout.session.completed
+        if (object.billing_reason !== 'subscription_cycle') return null;
+        const line = object.lines?.data?.[0];
+        return {
+          ...base,
+          type: PAYMENT_EVENTS.SUBSCRIPTION_RENEWED,
+          customerId: object.customer,
+          subscriptionId: invoiceSubscriptionId(object),
+          amount: object.amount_paid,
+          currency: object.currency,
+          paymentId: object.payment_intent || object.id,
+          periodStart: fromUnix(line?.period?.start),
+          periodEnd: fromUnix(line?.period?.end),
+        };
+      }
+      case 'invoice.payment_failed':
+        return {
+          ...base,
+          type: PAYMENT_EVENTS.PAYMENT_FAILED,
+          customerId: object.customer,
+          subscriptionId: invoiceSubscriptionId(object),
+          amount: object.amount_due,
+          currency: object.currency,
+          attemptCount: object.attempt_count,
+          nextAttemptAt: fromUnix(object.next_payment_attempt),
+        };
+      case 'charge.refunded':
+        return {
+          ...base,
+          type: PAYMENT_EVENTS.PAYMENT_REFUNDED,
+          customerId: object.customer,
+          paymentId: object.payment_intent || object.id,
+          // First payments are recorded by invoice id (see checkout.session.completed)
+          invoiceId: object.invoice || null,
+          refundedAmount: object.amount_refunded,
+          amount: object.amount,
+          currency: object.currency,
+          fullyRefunded: object.amount_refunded >= object.amount,
+        };
+      case 'customer.subscription.updated':
+        return {
+          ...base,
+          type: PAYMENT_EVENTS.SUBSCRIPTION_UPDATED,
+          customerId: object.customer,
+          subscriptionId: object.id,
+          cancelAtPeriodEnd: !!object.cancel_at_period_end,
+          ...subscriptionPeriod(object),
+        };
+      case 'customer.subscription.deleted':
+        return {
+          ...base,
+          type: PAYMENT_EVENTS.SUBSCRIPTION_ENDED,
+          customerId: object.customer,
+          subscriptionId: object.id,
+          periodEnd: fromUnix(object.ended_at) || new Date(),
+        };
+      default:
+        logger.debug(`Ignoring Stripe event ${event.type}`);
+        return null;
+    }
+  };
+
+  return {
+    name: 'stripe',
+
+    /**
+     * Start a hosted checkout for a subscription plan
+     * @param {Object} params - { user, plan, successUrl, cancelUrl, percentOff }
+     * @returns {Promise<{id: string, url: string}>}
+     */
+    async createCheckoutSession({ user, plan, successUrl, cancelUrl, percentOff = null }) {
+      const planConfig = getPlan(plan);
+      const userId = user._id.toString();
+
+      // Use configured Price IDs when available, otherwise describe the price inline
+      const lineItem = priceIds[plan]
+        ? { price: priceIds[plan], quantity: 1 }
+        : {
+            quantity: 1,
+            price_data: {
+              currency: planConfig.currency,
+              unit_amount: planConfig.amount,
+              recurring: { interval: planConfig.interval },
+              product_data: { name: planConfig.name },
+            },
+          };
+
+      // Promo code discounts become single-use coupons on the first invoice
+      const discounts = [];
+      if (percentOff) {
+        const coupon = await request('POST', '/coupons', {
+          percent_off: percentOff,
+          duration: 'once',
+          max_redemptions: 1,
+        });
+        discounts.push({ coupon: coupon.id });
+      }
+
+      const session = await request('POST', '/checkout/sessions', {
+        mode: 'subscription',
+        line_items: [lineItem],
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: userId,
+        ...(user.subscription?.customerId ? { customer: user.subscription.customerId } : { customer_email: user.email }),
+        metadata: { userId, plan },
+        subscription_data: { metadata: { userId, plan } },
+        ...(discounts.length ? { discounts } : {}),
+      });
+
+      return { id: session.id, url: session.url };
+    },
+
+    /**
+     * Start a hosted checkout for a one-off purchase
+     * @param {Object} params - { user, product, quantity, successUrl, cancelUrl }
+     * @returns {Promise<{id: string, url: string}>}
+     */
+    async createPaymentSession({ user, product, quantity = 1, successUrl, cancelUrl }) {
+      const productConfig = getProduct(product);
+      const userId = user._id.toString();
+
+      const session = await request('POST', '/checkout/sessions', {
+        mode: 'payment',
+        line_items: [
+          {
+            quantity,
+            price_data: {
+              currency: productConfig.currency,
+              unit_amount: productConfig.amount,
+              product_data: { name: productConfig.name },
+            },
+          },
+        ],
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: userId,
+        ...(user.subscription?.customerId ? { customer: user.subscription.customerId } : { customer_email: user.email }),
+        metadata: { userId, product, quantity },
+      });
+
+      return { id: session.id, url: session.url };
+    },
+
+    /**
+     * Cancel a subscription, either at the end of the period or immediately
+     * @param {string} subscriptionId
+     * @param {Object} [options] - { atPeriodEnd: true }
+     * @returns {Promise<{cancelAtPeriodEnd: boolean, periodEnd: Date}>}
+     */
+    async cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+      const subscription = atPeriodEnd
+        ? await request('POST', `/subscriptions/${subscriptionId}`, { cancel_at_period_end: true })
+        : await request('DELETE', `/subscriptions/${subscriptionId}`);
+      return {
+        cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+        periodEnd: subscriptionPeriod(subscription).periodEnd,
+      };
+    },
+
+    /**
+     * Turn auto-renew back on for a subscription set to cancel at period end
+     * @param {string} subscriptionId
+     * @returns {Promise<{cancelAtPeriodEnd: boolean, periodEnd: Date}>}
+     */
+    async resumeSubscription(subscriptionId) {
+      const subscription = await request('POST', `/subscriptions/${subscriptionId}`, { cancel_at_period_end: false });
+      return {
+        cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+        periodEnd: subscriptionPeriod(subscription).periodEnd,
+      };
+    },
+
+    /**
+     * Verify a webhook request and translate it into a payment event
+     * @param {Buffer|string} rawBody - Unparsed request body
+     * @param {Object} headers - Request headers
+     * @returns {Promise<Object|null>}
+     */
+    async parseWebhookEvent(rawBody, headers) {
+      if (!webhookSecret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+      }
+
+      const header = headers['stripe-signature'];
+      if (!header || !rawBody) {
+        throw invalidSignatureError('Missing webhook signature');
+      }
+
+      const parts = header.split(',').map((part) => part.split('='));
+      const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+      const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw invalidSignatureError('Webhook timestamp outside the tolerance window');
+      }
+
+      const expected = crypto
+        .createHmac('sha256', webhookSecret)
+        .update(`${timestamp}.${rawBody.toString()}`)
+        .digest('hex');
+      const valid = signatures.some(
+        (signature) =>
+          signature.length === expected.length &&
+          crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      );
+      if (!valid) {
+        throw invalidSignatureError();
+      }
+
+      const event = await normalizeEvent(JSON.parse(rawBody.toString()));
+      return event;
+    },
+  };
+};
+
+export default createStripeProvider;
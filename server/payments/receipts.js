@@ -0,0 +1,57 @@
+// payments/receipts.js - Downloadable receipts for invoices in the billing history
+import { escapeHtml, formatAmount, formatDate } from '../mail/templates.js';
+import { getPlan, getProduct } from './plans.js';
+
+const TYPE_LABELS = {
+  upgrade: 'Premium subscription',
+  renewal: 'Premium subscription renewal',
+  purchase: 'One-off purchase',
+  refund: 'Refund',
+};
+
+/**
+ * Render a standalone HTML receipt for an invoice
+ * @param {Object} invoice - Invoice document (refundOf populated for refunds)
+ * @param {Object} user - Invoice owner
+ * @returns {string} HTML document
+ */
+export const renderReceipt = (invoice, user) => {
+  const amount = formatAmount(invoice.type === 'refund' ? -invoice.amount : invoice.amount, invoice.currency);
+  const rows = [
+    ['Receipt number', invoice.number],
+    ['Date', formatDate(invoice.createdAt)],
+    ['Billed to', `${user.nickname} <${user.email}>`],
+    ['Description', TYPE_LABELS[invoice.type]],
+    ['Plan', getPlan(invoice.plan)?.name],
+    ['Item', invoice.product && `${getProduct(invoice.product)?.name || invoice.product} × ${invoice.quantity || 1}`],
+    [
+      'Service period',
+      invoice.periodStart && `${formatDate(invoice.periodStart)} – ${formatDate(invoice.periodEnd)}`,
+    ],
+    ['Refund of', invoice.refundOf?.number],
+    ['Refunded', invoice.refundedAmount ? formatAmount(invoice.refundedAmount, invoice.currency) : null],
+    ['Total', amount],
+  ].filter(([, value]) => value);
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Mandarin receipt ${escapeHtml(invoice.number)}</title>
+  </head>
+  <body style="font-family:Arial,Helvetica,sans-serif;color:#333;max-width:560px;margin:32px auto;">
+    <h1 style="color:#ff3366;font-size:22px;">Mandarin</h1>
+    <h2 style="font-size:18px;">${invoice.type === 'refund' ? 'Refund receipt' : 'Payment receipt'}</h2>
+    <table cellpadding="6" cellspacing="0" style="border-collapse:collapse;width:100%;">
+${rows
+  .map(
+    ([label, value]) =>
+      `      <tr><td style="color:#777;">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+  )
+  .join('\n')}
+    </table>
+  </body>
+</html>`;
+};
+
+export default renderReceipt;
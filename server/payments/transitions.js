@@ -0,0 +1,77 @@
+// payments/transitions.js - Logging and live updates for subscription state changes
+//
+// Whatever changes a subscription (webhook, cron job or the user) records the change
+// here, so support can see the full history and the client's SubscriptionStatus
+// component refreshes without a reload.
+import logger from '../logger.js';
+import { SubscriptionLog } from '../models/index.js';
+
+/**
+ * Capture the parts of a user's subscription a transition is measured against
+ * @param {Object} user - User document
+ * @returns {Object} { status, accountTier }
+ */
+export const getSubscriptionSnapshot = (user) => ({
+  status: user.subscription?.status || 'none',
+  accountTier: user.accountTier,
+});
+
+/**
+ * Subscription fields sent to the client in the subscriptionStatus socket event
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+export const buildSubscriptionStatusPayload = (user) => ({
+  accountTier: user.accountTier,
+  isPaid: user.isPaid,
+  subscriptionExpiry: user.subscriptionExpiry,
+  plan: user.subscription?.plan || null,
+  status: user.subscription?.status || 'none',
+  autoRenew: Boolean(user.subscription?.autoRenew),
+  cancelAtPeriodEnd: Boolean(user.subscription?.cancelAtPeriodEnd),
+  currentPeriodEnd: user.subscription?.currentPeriodEnd || user.subscriptionExpiry,
+  graceEndsAt: user.subscription?.graceEndsAt || null,
+  trialEndsAt: user.isOnTrial?.() ? user.trial.endsAt : null,
+});
+
+/**
+ * Push the user's current subscription state to their connected clients
+ * @param {Object} io - Socket.IO server (optional; nothing is sent without it)
+ * @param {Object} user - User document
+ */
+export const emitSubscriptionStatus = (io, user) => {
+  if (!io) return;
+  io.to(user._id.toString()).emit('subscriptionStatus', buildSubscriptionStatusPayload(user));
+};
+
+/**
+ * Record a subscription state change and push the new state to the user.
+ * Call after the user document has been saved.
+ * @param {Object} user - User document in its new state
+ * @param {Object} previous - Snapshot from getSubscriptionSnapshot() taken before the change
+ * @param {Object} options - { reason, source, io, metadata }
+ * @returns {Promise<Object>} Log entry
+ */
+export const recordSubscriptionTransition = async (user, previous, { reason, source, io, metadata = {} }) => {
+  const current = getSubscriptionSnapshot(user);
+
+  const entry = await SubscriptionLog.create({
+    user: user._id,
+    fromStatus: previous.status,
+    toStatus: current.status,
+    fromTier: previous.accountTier,
+    toTier: current.accountTier,
+    reason,
+    source,
+    subscriptionExpiry: user.subscriptionExpiry,
+    metadata,
+  });
+
+  logger.info(
+    `Subscription transition for user ${user._id}: ${previous.status} -> ${current.status} ` +
+      `(tier ${previous.accountTier} -> ${current.accountTier}, ${source}: ${reason})`
+  );
+
+  emitSubscriptionStatus(io, user);
+  return entry;
+};
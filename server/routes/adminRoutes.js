@@ -0,0 +1,655 @@
+import express from "express";
+import mongoose from "mongoose";
+import path from "path";
+
+import {
+  User,
+  Message,
+  Story,
+  Report,
+  ModerationAction,
+  SubscriptionLog,
+  PromoCode,
+  VerificationRequest,
+} from "../models/index.js";
+import { REPORT_TARGET_TYPES, REPORT_REASONS, MODERATION_ACTIONS } from "../models/Report.js";
+import { protect, restrictTo, asyncHandler } from "../middleware/auth.js";
+import { getStorage, keyFromUrl, sendStoredFile } from "../storage/index.js";
+import { removeStoredMedia } from "../utils/media.js";
+import { emitPresence } from "../utils/privacy.js";
+import { notifySystem } from "../utils/notifications.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+// Every admin route requires a moderator or admin
+router.use(protect, restrictTo("moderator", "admin"));
+
+const MAX_SUSPENSION_DAYS = 365;
+const USER_SUMMARY_FIELDS = "nickname email photos role moderation createdAt";
+
+/**
+ * Helper to validate MongoDB ObjectId
+ * @param {string} id - ID to validate
+ * @returns {boolean}
+ */
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Disconnect all live sockets of a user and mark them offline
+ * @param {Object} req - Express request (for the io instance)
+ * @param {Object} user - User to disconnect
+ */
+const disconnectUser = (req, user) => {
+  const io = req.app.get("io");
+  if (!io) return;
+  const userId = user._id.toString();
+  io.to(userId).emit("accountRestricted", { userId });
+  io.in(userId).disconnectSockets(true);
+  emitPresence(io, user, false);
+};
+
+/**
+ * Remove the reported message, story or photo
+ * @param {Object} report - Report document
+ * @returns {Promise<Object>} Details of what was removed, for the audit trail
+ */
+const removeReportedContent = async (report) => {
+  switch (report.targetType) {
+    case "message": {
+      const result = await Message.deleteOne({ _id: report.targetId });
+      return { removed: result.deletedCount > 0 };
+    }
+    case "story": {
+      const result = await Story.deleteOne({ _id: report.targetId });
+      return { removed: result.deletedCount > 0 };
+    }
+    case "photo": {
+      const owner = await User.findOne({ "photos._id": report.targetId }).select("photos");
+      const photo = owner?.photos.id(report.targetId);
+      if (!photo) return { removed: false };
+
+      // Move the file and its sizes under deleted/ in storage before dropping the reference
+      const photoKey = keyFromUrl(photo.url);
+      if (photoKey) {
+        await removeStoredMedia(photoKey);
+      }
+      owner.photos.pull(report.targetId);
+      await owner.save();
+      return { removed: true, url: photo.url };
+    }
+    default:
+      return { removed: false };
+  }
+};
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Get the moderation queue (oldest first)
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/reports",
+  asyncHandler(async (req, res) => {
+    try {
+      const page = Number.parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100);
+      const skip = (page - 1) * limit;
+
+      const status = ["pending", "resolved", "dismissed"].includes(req.query.status) ? req.query.status : "pending";
+      const query = { status };
+      if (REPORT_TARGET_TYPES.includes(req.query.targetType)) {
+        query.targetType = req.query.targetType;
+      }
+      if (REPORT_REASONS.includes(req.query.reason)) {
+        query.reason = req.query.reason;
+      }
+      if (req.query.user && isValidObjectId(req.query.user)) {
+        query.reportedUser = req.query.user;
+      }
+
+      // Pending reports are worked first-in first-out; handled ones show latest first
+      const sort = status === "pending" ? { createdAt: 1 } : { updatedAt: -1 };
+
+      const [reports, total] = await Promise.all([
+        Report.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .populate("reporter", "nickname photos")
+          .populate("reportedUser", "nickname photos role moderation")
+          .populate("resolution.moderator", "nickname")
+          .lean(),
+        Report.countDocuments(query),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: reports.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: reports,
+      });
+    } catch (err) {
+      logger.error(`Error fetching reports: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching reports" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/admin/reports/:id
+ * @desc    Get a report with its audit trail and the reported user's history
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/reports/:id",
+  asyncHandler(async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid report ID format" });
+      }
+
+      const report = await Report.findById(req.params.id)
+        .populate("reporter", "nickname photos")
+        .populate("reportedUser", USER_SUMMARY_FIELDS)
+        .populate("resolution.moderator", "nickname")
+        .lean();
+
+      if (!report) {
+        return res.status(404).json({ success: false, error: "Report not found" });
+      }
+
+      const [actions, userHistory, openReports] = await Promise.all([
+        ModerationAction.find({ report: report._id })
+          .sort({ createdAt: 1 })
+          .populate("moderator", "nickname role")
+          .lean(),
+        ModerationAction.find({ targetUser: report.reportedUser?._id })
+          .sort({ createdAt: -1 })
+          .limit(20)
+          .populate("moderator", "nickname role")
+          .lean(),
+        Report.countDocuments({ reportedUser: report.reportedUser?._id, status: "pending" }),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: { ...report, actions, userHistory, openReports },
+      });
+    } catch (err) {
+      logger.error(`Error fetching report ${req.params.id}: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching report" });
+    }
+  })
+);
+
+/**
+ * @route   POST /api/admin/reports/:id/actions
+ * @desc    Act on a report: dismiss, warn, remove_content, suspend (with days) or ban
+ * @access  Private (moderator, admin; ban is admin only)
+ */
+router.post(
+  "/reports/:id/actions",
+  asyncHandler(async (req, res) => {
+    const { action, note } = req.body;
+
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid report ID format" });
+      }
+
+      if (!MODERATION_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid action. Must be one of: ${MODERATION_ACTIONS.join(", ")}`,
+        });
+      }
+
+      if (note && note.length > 1000) {
+        return res.status(400).json({ success: false, error: "Note cannot exceed 1000 characters" });
+      }
+
+      if (action === "ban" && req.user.role !== "admin") {
+        return res.status(403).json({ success: false, error: "Only admins can ban users" });
+      }
+
+      const days = Number.parseInt(req.body.days, 10);
+      if (action === "suspend" && !(days >= 1 && days <= MAX_SUSPENSION_DAYS)) {
+        return res.status(400).json({
+          success: false,
+          error: `Suspension length must be between 1 and ${MAX_SUSPENSION_DAYS} days`,
+        });
+      }
+
+      const report = await Report.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({ success: false, error: "Report not found" });
+      }
+
+      if (report.status !== "pending") {
+        return res.status(409).json({ success: false, error: `Report has already been ${report.status}` });
+      }
+
+      if (action === "remove_content" && report.targetType === "profile") {
+        return res.status(400).json({
+          success: false,
+          error: "Profiles cannot be removed; warn, suspend or ban the user instead",
+        });
+      }
+
+      const target = await User.findById(report.reportedUser).select("+version");
+      if (!target && action !== "dismiss") {
+        return res.status(404).json({ success: false, error: "Reported user no longer exists" });
+      }
+
+      // Moderators cannot act against staff accounts; that is left to admins
+      if (target && target.role !== "user" && req.user.role !== "admin" && action !== "dismiss") {
+        return res.status(403).json({ success: false, error: "Only admins can act on staff accounts" });
+      }
+
+      const entry = {
+        report: report._id,
+        moderator: req.user._id,
+        targetUser: report.reportedUser,
+        action,
+        note,
+        metadata: { targetType: report.targetType, targetId: report.targetId },
+      };
+
+      switch (action) {
+        case "warn": {
+          target.moderation.warnings += 1;
+          await target.save();
+          entry.metadata.warnings = target.moderation.warnings;
+
+          const content = `You have received a warning from our moderation team${note ? `: ${note}` : "."}`;
+          await notifySystem(req.app.get("io"), target._id, content);
+          break;
+        }
+        case "remove_content": {
+          Object.assign(entry.metadata, await removeReportedContent(report));
+          break;
+        }
+        case "suspend": {
+          const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+          target.moderation.suspendedUntil = suspendedUntil;
+          target.moderation.reason = note || report.reason;
+          target.isOnline = false;
+          target.version = (target.version || 1) + 1; // Invalidate existing tokens
+          await target.save();
+          entry.suspensionDays = days;
+          entry.suspendedUntil = suspendedUntil;
+          disconnectUser(req, target);
+          break;
+        }
+        case "ban": {
+          target.moderation.banned = true;
+          target.moderation.bannedAt = new Date();
+          target.moderation.reason = note || report.reason;
+          target.isOnline = false;
+          target.version = (target.version || 1) + 1; // Invalidate existing tokens
+          await target.save();
+          disconnectUser(req, target);
+          break;
+        }
+        default:
+          break;
+      }
+
+      const moderationAction = await ModerationAction.create(entry);
+      report.resolve(action, req.user._id);
+      await report.save();
+
+      logger.info(
+        `Moderator ${req.user._id} applied "${action}" to user ${report.reportedUser} for report ${report._id}`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Action "${action}" applied`,
+        data: { report, action: moderationAction },
+      });
+    } catch (err) {
+      logger.error(`Error applying moderation action to report ${req.params.id}: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while applying moderation action" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/admin/actions
+ * @desc    Get the moderation audit trail, filterable by moderator, user and action
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/actions",
+  asyncHandler(async (req, res) => {
+    try {
+      const page = Number.parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 100);
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (req.query.moderator && isValidObjectId(req.query.moderator)) {
+        query.moderator = req.query.moderator;
+      }
+      if (req.query.user && isValidObjectId(req.query.user)) {
+        query.targetUser = req.query.user;
+      }
+      if (MODERATION_ACTIONS.includes(req.query.action)) {
+        query.action = req.query.action;
+      }
+
+      const [actions, total] = await Promise.all([
+        ModerationAction.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate("moderator", "nickname role")
+          .populate("targetUser", "nickname")
+          .lean(),
+        ModerationAction.countDocuments(query),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: actions.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: actions,
+      });
+    } catch (err) {
+      logger.error(`Error fetching moderation actions: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching moderation actions" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/admin/users/:id/subscription-history
+ * @desc    Get a user's subscription state changes (webhooks, expiry job, user actions) for support
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/users/:id/subscription-history",
+  asyncHandler(async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid user ID format" });
+      }
+
+      const page = Number.parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 100);
+      const skip = (page - 1) * limit;
+      const query = { user: req.params.id };
+
+      const [entries, total] = await Promise.all([
+        SubscriptionLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        SubscriptionLog.countDocuments(query),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: entries.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: entries,
+      });
+    } catch (err) {
+      logger.error(`Error fetching subscription history: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching subscription history" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/admin/verifications
+ * @desc    Get the photo verification queue (pending selfies, oldest first) or reviewed requests
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/verifications",
+  asyncHandler(async (req, res) => {
+    try {
+      const page = Number.parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100);
+      const skip = (page - 1) * limit;
+
+      const status = ["pending", "approved", "rejected"].includes(req.query.status) ? req.query.status : "pending";
+      const query = { status };
+      if (req.query.user && isValidObjectId(req.query.user)) {
+        query.user = req.query.user;
+      }
+      const sort = status === "pending" ? { submittedAt: 1 } : { reviewedAt: -1 };
+
+      const [requests, total] = await Promise.all([
+        VerificationRequest.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .populate("user", "nickname photos photoVerified createdAt")
+          .populate("reviewedBy", "nickname")
+          .lean(),
+        VerificationRequest.countDocuments(query),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: requests.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        // Selfies are fetched through /verifications/:id/selfie
+        data: requests.map(({ selfieUrl, ...request }) => ({ ...request, hasSelfie: Boolean(selfieUrl) })),
+      });
+    } catch (err) {
+      logger.error(`Error fetching verification requests: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching verification requests" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/admin/verifications/:id/selfie
+ * @desc    Get the selfie image of a verification request
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/verifications/:id/selfie",
+  asyncHandler(async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid verification request ID format" });
+      }
+
+      const request = await VerificationRequest.findById(req.params.id).select("selfieUrl").lean();
+      const key = request?.selfieUrl && `verifications/${path.posix.basename(request.selfieUrl)}`;
+      if (!key || !(await getStorage().stat(key))) {
+        return res.status(404).json({ success: false, error: "Selfie not found" });
+      }
+
+      await sendStoredFile(req, res, key, "private, no-store");
+    } catch (err) {
+      logger.error(`Error fetching selfie for verification request ${req.params.id}: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching selfie" });
+    }
+  })
+);
+
+/**
+ * @route   POST /api/admin/verifications/:id/review
+ * @desc    Approve or reject a verification selfie ({ decision: "approve" | "reject", reason })
+ * @access  Private (moderator, admin)
+ */
+router.post(
+  "/verifications/:id/review",
+  asyncHandler(async (req, res) => {
+    const { decision, reason } = req.body;
+
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid verification request ID format" });
+      }
+      if (!["approve", "reject"].includes(decision)) {
+        return res.status(400).json({ success: false, error: "Decision must be approve or reject" });
+      }
+      if (reason && reason.length > 500) {
+        return res.status(400).json({ success: false, error: "Reason cannot exceed 500 characters" });
+      }
+
+      const request = await VerificationRequest.findById(req.params.id);
+      if (!request) {
+        return res.status(404).json({ success: false, error: "Verification request not found" });
+      }
+      if (request.status !== "pending") {
+        return res.status(409).json({ success: false, error: `Verification request is ${request.status}` });
+      }
+
+      const approved = decision === "approve";
+      const user = await User.findById(request.user).select("photoVerified photoVerifiedAt");
+      if (!user) {
+        return res.status(404).json({ success: false, error: "User no longer exists" });
+      }
+      if (approved) {
+        user.photoVerified = true;
+        user.photoVerifiedAt = new Date();
+        await user.save();
+      }
+
+      request.status = approved ? "approved" : "rejected";
+      request.reviewedBy = req.user._id;
+      request.reviewedAt = new Date();
+      request.rejectionReason = approved ? undefined : reason;
+      await request.save();
+
+      const content = approved
+        ? "Your profile is now photo verified!"
+        : `Your verification selfie was not approved${reason ? `: ${reason}` : "."} You can try again with a new pose.`;
+      const io = req.app.get("io");
+      await notifySystem(io, user._id, content);
+      if (io) {
+        io.to(user._id.toString()).emit("photoVerification", request.toUserView());
+      }
+
+      logger.info(`Moderator ${req.user._id} ${request.status} verification request ${request._id} of user ${user._id}`);
+
+      res.status(200).json({ success: true, message: `Verification ${request.status}`, data: request.toUserView() });
+    } catch (err) {
+      logger.error(`Error reviewing verification request ${req.params.id}: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while reviewing verification request" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/admin/promo-codes
+ * @desc    List promo codes with their usage
+ * @access  Private (admin)
+ */
+router.get(
+  "/promo-codes",
+  restrictTo("admin"),
+  asyncHandler(async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.active !== undefined) {
+        query.active = req.query.active === "true";
+      }
+
+      const promoCodes = await PromoCode.find(query).sort({ createdAt: -1 }).populate("createdBy", "nickname").lean();
+
+      res.status(200).json({ success: true, count: promoCodes.length, data: promoCodes });
+    } catch (err) {
+      logger.error(`Error fetching promo codes: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while fetching promo codes" });
+    }
+  })
+);
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a promo code (percent_off with percentOff, or free_days with freeDays)
+ * @access  Private (admin)
+ */
+router.post(
+  "/promo-codes",
+  restrictTo("admin"),
+  asyncHandler(async (req, res) => {
+    try {
+      const { code, description, type, percentOff, freeDays, maxRedemptions, expiresAt } = req.body;
+
+      const promoCode = await PromoCode.create({
+        code,
+        description,
+        type,
+        percentOff: type === "percent_off" ? percentOff : undefined,
+        freeDays: type === "free_days" ? freeDays : undefined,
+        maxRedemptions: maxRedemptions || null,
+        expiresAt: expiresAt || null,
+        createdBy: req.user._id,
+      });
+
+      logger.info(`Promo code ${promoCode.code} created by ${req.user._id}`);
+      res.status(201).json({ success: true, data: promoCode });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, error: "A promo code with this code already exists" });
+      }
+      if (err.name === "ValidationError") {
+        const message = Object.values(err.errors)
+          .map((error) => error.message)
+          .join(", ");
+        return res.status(400).json({ success: false, error: message });
+      }
+      logger.error(`Error creating promo code: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while creating promo code" });
+    }
+  })
+);
+
+/**
+ * @route   PATCH /api/admin/promo-codes/:id
+ * @desc    Activate/deactivate a promo code or change its limits
+ * @access  Private (admin)
+ */
+router.patch(
+  "/promo-codes/:id",
+  restrictTo("admin"),
+  asyncHandler(async (req, res) => {
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid promo code ID format" });
+      }
+
+      const promoCode = await PromoCode.findById(req.params.id);
+      if (!promoCode) {
+        return res.status(404).json({ success: false, error: "Promo code not found" });
+      }
+
+      const { active, maxRedemptions, expiresAt, description } = req.body;
+      if (active !== undefined) promoCode.active = Boolean(active);
+      if (maxRedemptions !== undefined) promoCode.maxRedemptions = maxRedemptions || null;
+      if (expiresAt !== undefined) promoCode.expiresAt = expiresAt || null;
+      if (description !== undefined) promoCode.description = description;
+      await promoCode.save();
+
+      logger.info(`Promo code ${promoCode.code} updated by ${req.user._id}`);
+      res.status(200).json({ success: true, data: promoCode });
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        const message = Object.values(err.errors)
+          .map((error) => error.message)
+          .join(", ");
+        return res.status(400).json({ success: false, error: message });
+      }
+      logger.error(`Error updating promo code: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while updating promo code" });
+    }
+  })
+);
+
+export default router;
@@ -12,6 +12,8 @@ import { User } from "../models/index.js" // Adjust the path according to your p
 import { protect, generateToken, asyncHandler } from "../middleware/auth.js"
 import config from "../config.js"
 import logger from "../logger.js"
+import { sendVerificationEmail, sendPasswordResetEmail } from "../mail/index.js"
+import { signPrivatePhotos } from "../utils/signedMedia.js"
 import rateLimit from "express-rate-limit"
 import crypto from "crypto"
 
@@ -29,6 +31,19 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 })
 
+// Limit verification email resends per account (applied after protect)
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // max 3 emails per user per hour
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    error: "Too many verification emails requested. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
 // Update the password validator function to be more explicit
 const passwordValidator = (value) => {
   // Check for minimum length
@@ -82,10 +97,17 @@ router.post(
     const { email, password, nickname, details, accountTier, isCouple } = req.body
 
     try {
-      // Check if user already exists
-      let user = await User.findOne({ email })
+      // Check if user already exists (including accounts pending deletion)
+      let user = await User.findOne({ email }).select("+active").setOptions({ includeInactive: true })
       if (user) {
         logger.warn(`Registration attempt with existing email: ${email}`)
+        if (user.active === false) {
+          return res.status(400).json({
+            success: false,
+            error: "This account is scheduled for deletion. Log in to restore it.",
+            code: "ACCOUNT_PENDING_DELETION",
+          })
+        }
         return res.status(400).json({
           success: false,
           error: "User already exists",
@@ -105,11 +127,16 @@ router.post(
         isCouple: isCouple || false,
       })
 
-      // Generate verification token (email sending to be implemented in production)
+      // Generate verification token and email it to the user
       const verificationToken = user.createVerificationToken()
 
       await user.save()
 
+      // Registration succeeds even if the email can't be sent; the user can request a resend
+      sendVerificationEmail(user, verificationToken).catch((err) =>
+        logger.error(`Could not send verification email to ${user.email}: ${err.message}`),
+      )
+
       // Create token payload for authentication
       const payload = {
         id: user.id,
@@ -168,10 +195,10 @@ router.post(
     const { email, password } = req.body
 
     try {
-      // Find user (explicitly selecting the password field)
-      const user = await User.findOne({ email }).select("+password")
+      // Find user (explicitly selecting the password field), including accounts pending deletion
+      const user = await User.findOne({ email }).select("+password +active").setOptions({ includeInactive: true })
 
-      if (!user) {
+      if (!user || (user.active === false && !user.isRestorable())) {
         logger.warn(`Login attempt with non-existent email: ${email}`)
         return res.status(400).json({
           success: false,
@@ -197,6 +224,20 @@ router.post(
         return res.status(400).json({ success: false, error: "Invalid credentials" })
       }
 
+      // Banned or suspended accounts cannot log in
+      const restriction = user.getModerationRestriction()
+      if (restriction) {
+        logger.warn(`Login attempt on restricted account: ${email} (${restriction.code})`)
+        return res.status(403).json({ success: false, ...restriction })
+      }
+
+      // Logging in during the deletion grace period restores the account
+      const wasRestored = user.active === false
+      if (wasRestored) {
+        user.restoreAccount()
+        logger.info(`Account restored during deletion grace period: ${user._id}`)
+      }
+
       // Reset login attempts upon successful login
       user.loginAttempts = 0
       user.lockUntil = undefined
@@ -224,8 +265,14 @@ router.post(
           nickname: user.nickname,
           role: user.role,
           isVerified: user.isVerified,
+          photoVerified: user.photoVerified,
           accountTier: user.accountTier,
+          couple: user.couple,
         },
+        ...(wasRestored && {
+          restored: true,
+          message: "Welcome back! Your account deletion has been cancelled.",
+        }),
       })
     } catch (err) {
       logger.error(`Login error: ${err.message}`)
@@ -246,7 +293,8 @@ router.get(
       if (!user) {
         return res.status(404).json({ success: false, error: "User not found" })
       }
-      res.json({ success: true, data: user })
+      // Users see their own private photos
+      res.json({ success: true, data: { ...user.toObject(), photos: signPrivatePhotos(user.photos, user._id, true) } })
     } catch (err) {
       logger.error(`Get user error: ${err.message}`)
       res.status(500).json({ success: false, error: "Server error" })
@@ -379,6 +427,36 @@ router.post(
   }),
 )
 
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link to the current user
+// @access  Private
+router.post(
+  "/resend-verification",
+  protect,
+  resendVerificationLimiter,
+  asyncHandler(async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id)
+      if (!user) {
+        return res.status(404).json({ success: false, error: "User not found" })
+      }
+      if (user.isVerified) {
+        return res.status(400).json({ success: false, error: "Email is already verified" })
+      }
+
+      // A new token replaces (and invalidates) any previous one
+      const verificationToken = user.createVerificationToken()
+      await user.save()
+      await sendVerificationEmail(user, verificationToken)
+
+      res.json({ success: true, message: "Verification email sent" })
+    } catch (err) {
+      logger.error(`Resend verification error: ${err.message}`)
+      res.status(500).json({ success: false, error: "Could not send verification email" })
+    }
+  }),
+)
+
 // @route   POST /api/auth/forgot-password
 // @desc    Request a password reset
 // @access  Public
@@ -401,6 +479,12 @@ router.post(
       }
       const resetToken = user.createPasswordResetToken()
       await user.save()
+      try {
+        await sendPasswordResetEmail(user, resetToken)
+      } catch (mailErr) {
+        // Don't reveal delivery problems (or whether the email exists) to the requester
+        logger.error(`Could not send password reset email to ${email}: ${mailErr.message}`)
+      }
       res.json({
         success: true,
         message: "If your email is registered, you will receive reset instructions",
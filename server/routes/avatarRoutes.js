@@ -3,7 +3,7 @@ import path from "path"
 import fs from "fs"
 import { fileURLToPath } from "url"
 import { User } from "../models/index.js"
-import config from "../config.js"
+import { getStorage, keyFromUrl, sendStoredFile } from "../storage/index.js"
 import logger from "../logger.js"
 
 const router = express.Router()
@@ -21,7 +21,8 @@ router.get("/:userId", async (req, res) => {
     // First check if user exists and has photos
     const user = await User.findById(userId).select("photos")
 
-    if (user && user.photos && user.photos.length > 0) {
+    // Private profile photos are only served through signed URLs (routes/mediaRoutes.js)
+    if (user && user.photos && user.photos.length > 0 && !user.photos[0].isPrivate) {
       // Get the first photo (profile photo)
       const profilePhoto = user.photos[0]
 
@@ -30,29 +31,18 @@ router.get("/:userId", async (req, res) => {
         return res.redirect(profilePhoto.url)
       }
 
-      // Otherwise, it's a local path - extract the filename
-      const filename = profilePhoto.url.split("/").pop()
-      const filePath = path.join(config.FILE_UPLOAD_PATH, filename)
-
-      // Check if file exists
-      if (fs.existsSync(filePath)) {
-        // Set cache headers
-        res.setHeader("Cache-Control", "public, max-age=86400") // 1 day
-        res.setHeader("Expires", new Date(Date.now() + 86400000).toUTCString())
-
-        return res.sendFile(filePath)
+      // Otherwise, it's an uploaded file - send it from storage if it's there
+      const key = keyFromUrl(profilePhoto.url)
+      if (key && (await getStorage().stat(key))) {
+        return sendStoredFile(req, res, key, "public, max-age=86400") // 1 day
       }
     }
 
     // If we get here, try the legacy path format
-    const legacyFilePath = path.join(config.FILE_UPLOAD_PATH, `user-${userId}.jpg`)
-
-    if (fs.existsSync(legacyFilePath)) {
-      // Set cache headers
-      res.setHeader("Cache-Control", "public, max-age=86400") // 1 day
-      res.setHeader("Expires", new Date(Date.now() + 86400000).toUTCString())
+    const legacyKey = `user-${userId}.jpg`
 
-      return res.sendFile(legacyFilePath)
+    if (await getStorage().stat(legacyKey)) {
+      return sendStoredFile(req, res, legacyKey, "public, max-age=86400") // 1 day
     }
 
     // If no avatar found, send default avatar
@@ -0,0 +1,232 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { User, Boost, Like } from "../models/index.js";
+import { protect, asyncHandler } from "../middleware/auth.js";
+import { getPaymentProvider, getProduct } from "../payments/index.js";
+import logger from "../logger.js";
+import config from "../config.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const BOOST_PRODUCT = getProduct("boost");
+
+/**
+ * Start of the current calendar month (UTC), used for the monthly free boost
+ * @param {Date} now
+ * @returns {Date}
+ */
+const startOfMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+/**
+ * Likes the user typically gets in a boost-length window, from the week before
+ * @param {ObjectId} userId
+ * @param {Date} now
+ * @returns {Promise<number>}
+ */
+const getBaselineLikes = async (userId, now) => {
+  const weekMs = 7 * 24 * 60 * 60 * 1000;
+  const likes = await Like.countDocuments({ recipient: userId, createdAt: { $gte: new Date(now - weekMs), $lt: now } });
+  return likes / (weekMs / (config.BOOST_DURATION_MINUTES * 60 * 1000));
+};
+
+/**
+ * @route   GET /api/boosts/status
+ * @desc    Get the running boost (with live stats) and the boosts the user can still use
+ * @access  Private
+ */
+router.get(
+  "/status",
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("accountTier boosts boostedUntil");
+    const active = await Boost.findOne({ user: req.user._id, endsAt: { $gt: new Date() } });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active: active ? active.getReport() : null,
+        credits: user.boosts?.credits || 0,
+        freeBoostAvailable: user.hasFreeBoostAvailable(),
+        durationMinutes: config.BOOST_DURATION_MINUTES,
+        price: { amount: BOOST_PRODUCT.amount, currency: BOOST_PRODUCT.currency },
+      },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/boosts
+ * @desc    Get the user's past boosts with their reports
+ * @access  Private
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const page = Number.parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    const [boosts, total] = await Promise.all([
+      Boost.find({ user: req.user._id }).sort({ startedAt: -1 }).skip(skip).limit(limit),
+      Boost.countDocuments({ user: req.user._id }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: boosts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: boosts.map((boost) => ({ ...boost.getReport(), source: boost.source })),
+    });
+  })
+);
+
+/**
+ * @route   GET /api/boosts/:id
+ * @desc    Get the report (impressions, views, likes gained) for one boost
+ * @access  Private
+ */
+router.get(
+  "/:id([0-9a-fA-F]{24})",
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid boost ID format" });
+    }
+
+    const boost = await Boost.findOne({ _id: req.params.id, user: req.user._id });
+    if (!boost) {
+      return res.status(404).json({ success: false, error: "Boost not found" });
+    }
+
+    res.status(200).json({ success: true, data: { ...boost.getReport(), source: boost.source } });
+  })
+);
+
+/**
+ * @route   POST /api/boosts/activate
+ * @desc    Start a boost, using the monthly free boost (premium users) before purchased credits
+ * @access  Private
+ */
+router.post(
+  "/activate",
+  asyncHandler(async (req, res) => {
+    const now = new Date();
+    const endsAt = new Date(now.getTime() + config.BOOST_DURATION_MINUTES * 60 * 1000);
+    const user = await User.findById(req.user._id).select("accountTier boosts boostedUntil");
+
+    if (user.boostedUntil && user.boostedUntil > now) {
+      return res.status(409).json({
+        success: false,
+        error: "Your profile is already boosted",
+        code: "BOOST_ACTIVE",
+        data: { boostedUntil: user.boostedUntil },
+      });
+    }
+
+    // Claim the boost atomically so two requests can't start two boosts or spend one credit twice
+    const notBoosted = { $or: [{ boostedUntil: null }, { boostedUntil: { $lte: now } }] };
+    let source = null;
+    let claimed = null;
+
+    if (user.hasFreeBoostAvailable()) {
+      source = "free";
+      claimed = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          $and: [
+            notBoosted,
+            { $or: [{ "boosts.lastFreeBoostAt": null }, { "boosts.lastFreeBoostAt": { $lt: startOfMonth(now) } }] },
+          ],
+        },
+        { $set: { "boosts.lastFreeBoostAt": now, boostedUntil: endsAt } },
+        { new: true }
+      );
+    } else if (user.boosts?.credits > 0) {
+      source = "purchased";
+      claimed = await User.findOneAndUpdate(
+        { _id: user._id, "boosts.credits": { $gt: 0 }, ...notBoosted },
+        { $inc: { "boosts.credits": -1 }, $set: { boostedUntil: endsAt } },
+        { new: true }
+      );
+    }
+
+    if (!source) {
+      return res.status(402).json({
+        success: false,
+        error:
+          user.accountTier === "PAID"
+            ? "You've used this month's free boost. Buy a boost to go again."
+            : "You don't have any boosts. Buy one to get seen by more people.",
+        code: "NO_BOOSTS_AVAILABLE",
+      });
+    }
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        error: "Your boost could not be started. Please try again.",
+        code: "BOOST_CONFLICT",
+      });
+    }
+
+    const boost = await Boost.create({
+      user: user._id,
+      source,
+      startedAt: now,
+      endsAt,
+      baselineLikes: await getBaselineLikes(user._id, now),
+    });
+
+    logger.info(`User ${user._id} started a ${source} boost until ${endsAt.toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Your profile is boosted for the next ${config.BOOST_DURATION_MINUTES} minutes`,
+      data: {
+        ...boost.getReport(),
+        source,
+        credits: claimed.boosts.credits,
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/boosts/purchase
+ * @desc    Start a checkout to buy boost credits
+ * @access  Private
+ */
+router.post(
+  "/purchase",
+  asyncHandler(async (req, res) => {
+    const quantity = Number.parseInt(req.body.quantity, 10) || 1;
+    if (quantity < 1 || quantity > BOOST_PRODUCT.maxQuantity) {
+      return res.status(400).json({
+        success: false,
+        error: `You can buy between 1 and ${BOOST_PRODUCT.maxQuantity} boosts at a time`,
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    try {
+      const session = await getPaymentProvider().createPaymentSession({
+        user,
+        product: "boost",
+        quantity,
+        successUrl: `${config.FRONTEND_URL}/dashboard?boost=purchased`,
+        cancelUrl: `${config.FRONTEND_URL}/dashboard?boost=canceled`,
+      });
+
+      logger.info(`User ${user._id} started checkout for ${quantity} boost(s) (session ${session.id})`);
+      res.status(200).json({ success: true, data: { sessionId: session.id, url: session.url, quantity } });
+    } catch (err) {
+      logger.error(`Error starting boost checkout: ${err.message}`, { stack: err.stack });
+      res.status(500).json({ success: false, error: "Server error while starting checkout" });
+    }
+  })
+);
+
+export default router;
@@ -0,0 +1,310 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { User, CoupleInvite } from "../models/index.js";
+import { protect, asyncHandler } from "../middleware/auth.js";
+import { notifySystem } from "../utils/notifications.js";
+import logger from "../logger.js";
+import config from "../config.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+// What each partner sees of the other account
+const PARTNER_FIELDS = "nickname photos details.age details.gender isOnline lastActive";
+
+/**
+ * Shape an invite for the API, with both accounts populated
+ * @param {Object} invite - CoupleInvite document populated with from/to
+ * @returns {Object}
+ */
+const serializeInvite = (invite) => ({
+  _id: invite._id,
+  from: invite.from,
+  to: invite.to,
+  status: invite.status === "pending" && !invite.isOpen() ? "expired" : invite.status,
+  expiresAt: invite.expiresAt,
+  respondedAt: invite.respondedAt,
+  createdAt: invite.createdAt,
+});
+
+/**
+ * Save a system notification for a user and push it, plus an optional event, over the socket
+ * @param {Object} req - Express request (for the io instance)
+ * @param {ObjectId|string} userId - Recipient
+ * @param {string} content - Notification text
+ * @param {string} [event] - Extra socket event to emit
+ * @param {Object} [payload] - Payload of the extra event
+ */
+const notifyUser = async (req, userId, content, event, payload) => {
+  const io = req.app.get("io");
+  await notifySystem(io, userId, content);
+  if (io && event) io.to(userId.toString()).emit(event, payload);
+};
+
+/**
+ * Find one of the invites the current user sent or received, or send the error response
+ * @param {string} side - "from" (sent) or "to" (received)
+ * @returns {Promise<Object|null>}
+ */
+const findOwnInvite = async (req, res, side) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid invite ID format" });
+    return null;
+  }
+  const invite = await CoupleInvite.findOne({ _id: req.params.id, [side]: req.user._id })
+    .populate("from", "nickname photos")
+    .populate("to", "nickname photos");
+  if (!invite) {
+    res.status(404).json({ success: false, error: "Invite not found" });
+    return null;
+  }
+  if (!invite.isOpen()) {
+    res.status(409).json({ success: false, error: "This invite is no longer open", code: "INVITE_CLOSED" });
+    return null;
+  }
+  return invite;
+};
+
+/**
+ * @route   GET /api/couple
+ * @desc    Get the linked partner account, the open invite sent and the open invites received
+ * @access  Private
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("isCouple couple").populate("couple.partner", PARTNER_FIELDS);
+    const now = new Date();
+    const [sent, received] = await Promise.all([
+      CoupleInvite.findOne({ from: req.user._id, status: "pending", expiresAt: { $gt: now } }).populate(
+        "to",
+        "nickname photos"
+      ),
+      CoupleInvite.find({ to: req.user._id, status: "pending", expiresAt: { $gt: now } })
+        .sort({ createdAt: -1 })
+        .populate("from", "nickname photos"),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        isCouple: user.isCouple,
+        partner: user.couple?.partner || null,
+        role: user.couple?.role || null,
+        linkedAt: user.couple?.linkedAt || null,
+        sentInvite: sent ? serializeInvite(sent) : null,
+        receivedInvites: received.map(serializeInvite),
+      },
+    });
+  })
+);
+
+/**
+ * @route   POST /api/couple/invites
+ * @desc    Invite another account, by email or nickname, to link with this couple profile ({ user })
+ * @access  Private (couple profiles)
+ */
+router.post(
+  "/invites",
+  asyncHandler(async (req, res) => {
+    const identifier = typeof req.body.user === "string" ? req.body.user.trim() : "";
+    if (!identifier) {
+      return res.status(400).json({ success: false, error: "Enter your partner's email or nickname" });
+    }
+
+    const inviter = await User.findById(req.user._id).select("nickname isCouple couple");
+    if (!inviter.isCouple) {
+      return res.status(403).json({
+        success: false,
+        error: "Only couple profiles can link a partner account",
+        code: "COUPLE_PROFILE_REQUIRED",
+      });
+    }
+    if (inviter.isLinkedCouple()) {
+      return res.status(409).json({ success: false, error: "Your profile is already linked", code: "ALREADY_LINKED" });
+    }
+
+    const invitee = await User.findOne({
+      $or: [{ email: identifier.toLowerCase() }, { nickname: identifier }],
+    }).select("nickname isCouple couple");
+    if (!invitee || (await User.isBlockedBetween(inviter._id, invitee._id))) {
+      return res.status(404).json({ success: false, error: "No account found with that email or nickname" });
+    }
+    if (invitee._id.equals(inviter._id)) {
+      return res.status(400).json({ success: false, error: "You cannot invite yourself" });
+    }
+    if (invitee.isCouple || invitee.isLinkedCouple()) {
+      return res.status(409).json({
+        success: false,
+        error: "That account already has its own couple profile",
+        code: "PARTNER_UNAVAILABLE",
+      });
+    }
+
+    // Only one open invite at a time; inviting someone else replaces it
+    await CoupleInvite.updateMany(
+      { from: inviter._id, status: "pending" },
+      { status: "cancelled", respondedAt: new Date() }
+    );
+    const invite = await CoupleInvite.create({
+      from: inviter._id,
+      to: invitee._id,
+      expiresAt: new Date(Date.now() + config.COUPLE_INVITE_DAYS * 24 * 60 * 60 * 1000),
+    });
+    await invite.populate([
+      { path: "from", select: "nickname photos" },
+      { path: "to", select: "nickname photos" },
+    ]);
+
+    await notifyUser(
+      req,
+      invitee._id,
+      `${inviter.nickname} invited you to link your account with their couple profile`,
+      "coupleInvite",
+      serializeInvite(invite)
+    );
+    logger.info(`User ${inviter._id} invited ${invitee._id} to link their couple profile`);
+
+    res.status(201).json({ success: true, data: serializeInvite(invite) });
+  })
+);
+
+/**
+ * @route   POST /api/couple/invites/:id/accept
+ * @desc    Accept an invite; this account becomes the linked partner of the couple profile
+ * @access  Private
+ */
+router.post(
+  "/invites/:id/accept",
+  asyncHandler(async (req, res) => {
+    const invite = await findOwnInvite(req, res, "to");
+    if (!invite) return;
+
+    const [primary, partner] = await Promise.all([
+      User.findById(invite.from._id),
+      User.findById(req.user._id),
+    ]);
+    if (!primary) {
+      return res.status(404).json({ success: false, error: "The couple profile no longer exists" });
+    }
+    if (primary.isLinkedCouple() || partner.isLinkedCouple() || partner.isCouple) {
+      return res.status(409).json({
+        success: false,
+        error: "One of the accounts is already linked",
+        code: "ALREADY_LINKED",
+      });
+    }
+
+    const linkedAt = new Date();
+    primary.couple = { partner: partner._id, role: "primary", linkedAt };
+    partner.couple = { partner: primary._id, role: "partner", linkedAt };
+    // The partner blob now describes the real account
+    primary.partnerInfo = {
+      nickname: partner.nickname,
+      gender: partner.details?.gender || undefined,
+      age: partner.details?.age,
+    };
+    await Promise.all([primary.save(), partner.save()]);
+
+    invite.status = "accepted";
+    invite.respondedAt = linkedAt;
+    await invite.save();
+    // Any other invites either account had open are moot now
+    await CoupleInvite.updateMany(
+      { status: "pending", $or: [{ to: partner._id }, { from: primary._id }, { from: partner._id }] },
+      { status: "cancelled", respondedAt: linkedAt }
+    );
+
+    // The partner's open sockets start receiving the shared inbox right away
+    const io = req.app.get("io");
+    if (io) io.in(partner._id.toString()).socketsJoin(primary._id.toString());
+
+    const link = { primary: primary._id, partner: partner._id, linkedAt };
+    await notifyUser(req, primary._id, `${partner.nickname} linked their account with your couple profile`, "coupleLinked", link);
+    if (io) io.to(partner._id.toString()).emit("coupleLinked", link);
+    logger.info(`User ${partner._id} linked with couple profile ${primary._id}`);
+
+    res.status(200).json({ success: true, message: "Accounts linked", data: link });
+  })
+);
+
+/**
+ * @route   POST /api/couple/invites/:id/decline
+ * @desc    Decline an invite
+ * @access  Private
+ */
+router.post(
+  "/invites/:id/decline",
+  asyncHandler(async (req, res) => {
+    const invite = await findOwnInvite(req, res, "to");
+    if (!invite) return;
+
+    invite.status = "declined";
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    await notifyUser(req, invite.from._id, `${invite.to.nickname} declined your invite to link accounts`);
+    res.status(200).json({ success: true, message: "Invite declined", data: serializeInvite(invite) });
+  })
+);
+
+/**
+ * @route   DELETE /api/couple/invites/:id
+ * @desc    Cancel an invite the user sent
+ * @access  Private
+ */
+router.delete(
+  "/invites/:id",
+  asyncHandler(async (req, res) => {
+    const invite = await findOwnInvite(req, res, "from");
+    if (!invite) return;
+
+    invite.status = "cancelled";
+    invite.respondedAt = new Date();
+    await invite.save();
+    res.status(200).json({ success: true, message: "Invite cancelled", data: serializeInvite(invite) });
+  })
+);
+
+/**
+ * @route   DELETE /api/couple
+ * @desc    Unlink the partner account; either partner can do this
+ * @access  Private
+ */
+router.delete(
+  "/",
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user.isLinkedCouple()) {
+      return res.status(400).json({ success: false, error: "Your account is not linked", code: "NOT_LINKED" });
+    }
+
+    // The other account may be deactivated; it still has to let go of the link
+    const other = await User.findById(user.couple.partner).setOptions({ includeInactive: true });
+    const primaryId = user.couple.role === "primary" ? user._id : user.couple.partner;
+    const partnerId = user.couple.role === "primary" ? user.couple.partner : user._id;
+
+    user.couple = { partner: null, role: null, linkedAt: null };
+    await user.save();
+    if (other) {
+      other.couple = { partner: null, role: null, linkedAt: null };
+      await other.save();
+    }
+
+    const io = req.app.get("io");
+    if (io) io.in(partnerId.toString()).socketsLeave(primaryId.toString());
+
+    const unlink = { primary: primaryId, partner: partnerId };
+    if (other) {
+      await notifyUser(req, other._id, `${user.nickname} unlinked your accounts`, "coupleUnlinked", unlink);
+    }
+    if (io) io.to(user._id.toString()).emit("coupleUnlinked", unlink);
+    logger.info(`User ${user._id} unlinked couple accounts ${primaryId} and ${partnerId}`);
+
+    res.status(200).json({ success: true, message: "Accounts unlinked", data: unlink });
+  })
+);
+
+export default router;
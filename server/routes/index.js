@@ -6,6 +6,11 @@ import storyRoutes from "./storyRoutes.js"
 import notificationRoutes from "./notificationRoutes.js"
 import avatarRoutes from "./avatarRoutes.js"
 import subscriptionRoutes from "./subscriptionRoutes.js"
+import reportRoutes from "./reportRoutes.js"
+import adminRoutes from "./adminRoutes.js"
+import boostRoutes from "./boostRoutes.js"
+import savedSearchRoutes from "./savedSearchRoutes.js"
+import coupleRoutes from "./coupleRoutes.js"
 
 const router = express.Router()
 
@@ -27,5 +32,10 @@ router.use("/stories", storyRoutes)
 router.use("/notifications", notificationRoutes)
 router.use("/avatars", avatarRoutes)
 router.use("/subscription", subscriptionRoutes)
+router.use("/reports", reportRoutes)
+router.use("/admin", adminRoutes)
+router.use("/boosts", boostRoutes)
+router.use("/saved-searches", savedSearchRoutes)
+router.use("/couple", coupleRoutes)
 
 export default router
@@ -0,0 +1,150 @@
+// routes/mediaRoutes.js - Serves uploaded files under /uploads from storage (storage/index.js)
+//
+// Stories and videos are public. Public photos are served to anyone; private photos and
+// attachments need a URL signed for a viewer (utils/signedMedia.js) who may still see them:
+// the photo's owner or a user with an approved PhotoPermission, or a participant of the
+// conversation. Nothing else in storage is served.
+import express from "express"
+import { User, Message, PhotoPermission } from "../models/index.js"
+import { asyncHandler } from "../middleware/auth.js"
+import { sendStoredFile } from "../storage/index.js"
+import { verifyMediaUrl } from "../utils/signedMedia.js"
+import logger from "../logger.js"
+
+const router = express.Router()
+
+// Generated upload names only; this also keeps requests inside their directory
+const SAFE_FILENAME = /^\w[\w.-]*$/
+// Sized copies are named <original name without extension>-<size>.<format> (utils/media.js)
+const DERIVATIVE_SUFFIX = /-(thumb|card|full)\.(webp|avif)$/
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const isPhotoFile = (photo, url) =>
+  photo.url === url ||
+  Object.values(photo.metadata?.variants || {}).some((variant) => variant.webp === url || variant.avif === url)
+
+const PUBLIC_CACHE_CONTROL = "public, max-age=86400" // 1 day
+
+// Signed files may be cached by the viewer's browser, but not by shared caches
+const privateCacheControl = (query) =>
+  `private, max-age=${Math.max(0, Math.floor((Number(query.expires) - Date.now()) / 1000))}`
+
+/**
+ * @route   GET /uploads/:folder/:file (images and photos)
+ * @desc    Serve a user photo or one of its sized copies; private photos need a signed URL,
+ *          and files under photos/ that belong to no photo are not served
+ * @access  Public (private photos: signed for their owner or a viewer with an approved permission)
+ */
+router.get(
+  "/:folder(images|photos)/:file",
+  asyncHandler(async (req, res) => {
+    const { folder, file } = req.params
+    if (!SAFE_FILENAME.test(file)) {
+      return res.status(404).end()
+    }
+
+    const url = `/uploads/${folder}/${file}`
+    const stem = file.replace(DERIVATIVE_SUFFIX, "")
+    const owner = await User.findOne({
+      $or: [{ "photos.url": url }, { "photos.url": new RegExp(`^/uploads/${folder}/${escapeRegExp(stem)}\\.\\w+$`) }],
+    })
+      .select("_id photos")
+      // Accounts in their deletion grace period still own their private photos
+      .setOptions({ includeInactive: true })
+    const photo = owner?.photos.find((candidate) => isPhotoFile(candidate, url))
+    const key = `${folder}/${file}`
+
+    // Everything under photos/ is a user photo, so one we can't place is never served
+    if (!photo && folder === "photos") {
+      return res.status(404).end()
+    }
+
+    // Not a private photo (e.g. a public one, or an image uploaded for something else)
+    if (!photo?.isPrivate) {
+      return sendStoredFile(req, res, key, PUBLIC_CACHE_CONTROL)
+    }
+
+    const viewer = verifyMediaUrl(url, req.query)
+    if (!viewer) {
+      return res.status(403).end()
+    }
+    if (viewer !== owner._id.toString()) {
+      const approved = await PhotoPermission.getApprovedPhotoIds([photo._id], viewer)
+      if (!approved.has(photo._id.toString())) {
+        logger.debug(`Refused private photo ${url} to user ${viewer}`)
+        return res.status(403).end()
+      }
+    }
+    return sendStoredFile(req, res, key, privateCacheControl(req.query))
+  })
+)
+
+/**
+ * @route   GET /uploads/messages/:conversation/:file
+ * @desc    Serve a message attachment (or its poster and sized copies)
+ * @access  Signed for one of the two users of the conversation
+ */
+router.get(
+  "/messages/:conversation([0-9a-fA-F]{24}-[0-9a-fA-F]{24})/:file",
+  asyncHandler((req, res) => {
+    const { conversation, file } = req.params
+    if (!SAFE_FILENAME.test(file)) {
+      return res.status(404).end()
+    }
+
+    const viewer = verifyMediaUrl(`/uploads/messages/${conversation}/${file}`, req.query)
+    if (!viewer || !conversation.split("-").includes(viewer)) {
+      return res.status(403).end()
+    }
+    return sendStoredFile(req, res, `messages/${conversation}/${file}`, privateCacheControl(req.query))
+  })
+)
+
+/**
+ * @route   GET /uploads/messages/:file
+ * @desc    Serve an attachment stored before attachments were kept per conversation
+ * @access  Signed for the sender or recipient of the message whose attachment it is
+ */
+router.get(
+  "/messages/:file",
+  asyncHandler(async (req, res) => {
+    const { file } = req.params
+    if (!SAFE_FILENAME.test(file)) {
+      return res.status(404).end()
+    }
+
+    const url = `/uploads/messages/${file}`
+    const viewer = verifyMediaUrl(url, req.query)
+    if (!viewer) {
+      return res.status(403).end()
+    }
+    // Only the attachment itself counts: thumbnails were once taken from the client unchecked
+    const isParticipant = await Message.exists({
+      "attachment.url": url,
+      $or: [{ sender: viewer }, { recipient: viewer }],
+    })
+    if (!isParticipant) {
+      return res.status(403).end()
+    }
+    return sendStoredFile(req, res, `messages/${file}`, privateCacheControl(req.query))
+  })
+)
+
+/**
+ * @route   GET /uploads/:folder/:file (stories, videos and profiles)
+ * @desc    Serve a story or other public upload
+ * @access  Public
+ */
+router.get(
+  "/:folder(stories|videos|profiles)/:file",
+  asyncHandler((req, res) => {
+    const { folder, file } = req.params
+    if (!SAFE_FILENAME.test(file)) {
+      return res.status(404).end()
+    }
+    return sendStoredFile(req, res, `${folder}/${file}`, PUBLIC_CACHE_CONTROL)
+  })
+)
+
+export default router
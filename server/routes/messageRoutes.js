@@ -4,11 +4,27 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import { fileTypeFromBuffer } from "file-type";
-import sharp from "sharp";
 import rateLimit from "express-rate-limit";
 
-import { User, Message } from "../models/index.js"; // Adjust if needed
+import { User, Message, Match } from "../models/index.js"; // Adjust if needed
 import { protect, asyncHandler } from "../middleware/auth.js";
+import { canSendMessages, checkBlockStatus, useCoupleInbox } from "../middleware/permissions.js";
+import {
+  PRIVACY_FIELDS,
+  serializeUserForViewer,
+  serializeMessageForViewer,
+  emitMessagesRead,
+} from "../utils/privacy.js";
+import { VOICE_MIME_TYPES, processVoiceMessage } from "../utils/audio.js";
+import { processMedia, removeDerivatives, removeStoredMedia, storeWithDerivatives } from "../utils/media.js";
+import {
+  conversationFolder,
+  mapVariantUrls,
+  signMediaUrl,
+  signMessageMedia,
+  withoutSignature,
+} from "../utils/signedMedia.js";
+import { keyFromUrl, storeFile, urlForKey } from "../storage/index.js";
 import logger from "../logger.js";
 import config from "../config.js";
 
@@ -43,14 +59,110 @@ const sanitizeText = (text) => {
   return text.trim().replace(/[<>]/g, "").substr(0, 2000);
 };
 
-// Configure multer storage for file uploads (attachments)
+/**
+ * Condition that leaves out messages a user has deleted or hidden (e.g. by unmatching)
+ * @param {ObjectId|string} userId
+ * @returns {Object}
+ */
+const visibleTo = (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  return {
+    $nor: [
+      { sender: id, deletedBySender: true },
+      { recipient: id, deletedByRecipient: true },
+    ],
+  };
+};
+
+/**
+ * Storage folder of a conversation's attachments, which the media route only serves
+ * to the two users of the conversation
+ * @param {ObjectId|string} senderId
+ * @param {ObjectId|string} recipientId
+ * @returns {{folder: string, urlPrefix: string}} Key prefix of the files and URL of the folder
+ */
+const conversationStorage = (senderId, recipientId) => {
+  const folder = `messages/${conversationFolder(senderId, recipientId)}`;
+  return { folder, urlPrefix: urlForKey(folder) };
+};
+
+/**
+ * Attachment of a file message, from the metadata POST /attachments returned
+ * @param {Object} metadata - Message metadata (fileUrl, fileName, fileSize, mimeType, dimensions, ...)
+ * @param {Array<ObjectId|string>} participants - Sender and recipient of the message
+ * @returns {Object|undefined} Undefined unless the file was uploaded as an attachment of this conversation
+ */
+const attachmentFromMetadata = (metadata, participants) => {
+  // Every URL has to point into this conversation's folder; the media route trusts what is stored
+  const prefix = `/uploads/messages/${conversationFolder(...participants)}/`;
+  const inConversation = (value) => {
+    const candidate = withoutSignature(value);
+    return typeof candidate === "string" && candidate.startsWith(prefix) ? candidate : undefined;
+  };
+
+  const url = inConversation(metadata?.fileUrl);
+  if (!url) {
+    return undefined;
+  }
+  const variants = Object.fromEntries(
+    Object.entries(mapVariantUrls(metadata.variants, inConversation) || {}).filter(
+      ([, variant]) => variant.webp || variant.avif
+    )
+  );
+  const mimeType = metadata.mimeType || metadata.contentType || "";
+  return {
+    type: ["image", "video", "audio"].find((kind) => mimeType.startsWith(`${kind}/`)) || "file",
+    url,
+    filename: metadata.fileName,
+    size: metadata.fileSize,
+    mimeType,
+    metadata: {
+      width: metadata.dimensions?.width,
+      height: metadata.dimensions?.height,
+      thumbnail: inConversation(metadata.thumbnail),
+      variants: Object.keys(variants).length ? variants : undefined,
+    },
+  };
+};
+
+/**
+ * Mark unread messages received by the current user as read and send read
+ * receipts to their senders (unless the reader hides read receipts)
+ * @param {Object} req - Express request (reader and io instance)
+ * @param {Object} filter - Conditions selecting the messages to mark
+ * @returns {Promise<number>} Number of messages marked as read
+ */
+const markMessagesRead = async (req, filter) => {
+  const unread = await Message.find({ ...filter, recipient: req.user._id, read: false }).select("_id sender").lean();
+  if (unread.length === 0) return 0;
+
+  const result = await Message.updateMany(
+    { _id: { $in: unread.map((message) => message._id) }, read: false },
+    { read: true, readAt: new Date() }
+  );
+
+  const bySender = new Map();
+  for (const message of unread) {
+    const senderId = message.sender.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(message._id);
+  }
+  const io = req.app.get("io");
+  for (const [senderId, messageIds] of bySender) {
+    emitMessagesRead(io, req.user, senderId, messageIds);
+  }
+
+  return result.modifiedCount;
+};
+
+// Configure multer storage for file uploads (attachments): they are processed in the
+// temp folder and then moved to storage under their conversation's folder
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(process.cwd(), config.FILE_UPLOAD_PATH, "messages");
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
+    if (!fs.existsSync(config.UPLOAD_TEMP_PATH)) {
+      fs.mkdirSync(config.UPLOAD_TEMP_PATH, { recursive: true });
     }
-    cb(null, uploadPath);
+    cb(null, config.UPLOAD_TEMP_PATH);
   },
   filename: (req, file, cb) => {
     const fileExt = path.extname(file.originalname).toLowerCase();
@@ -78,15 +190,19 @@ const upload = multer({
       "application/msword",
       "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       "text/plain",
-      // Audio
+      // Audio (browsers record webm/ogg, Safari mp4)
       "audio/mpeg",
       "audio/wav",
+      "audio/webm",
+      "audio/ogg",
+      "audio/mp4",
       // Video
       "video/mp4",
       "video/quicktime",
     ];
 
-    if (allowedMimeTypes.includes(file.mimetype)) {
+    // Recorders report codecs too, e.g. "audio/webm;codecs=opus"
+    if (allowedMimeTypes.includes(file.mimetype.split(";")[0])) {
       return cb(null, true);
     }
     cb(new Error("Invalid file type. Only images, documents, audio, and videos are allowed."));
@@ -101,6 +217,7 @@ const upload = multer({
 router.post(
   "/attachments",
   protect,
+  useCoupleInbox,
   upload.single("file"),
   asyncHandler(async (req, res) => {
     logger.debug(`Processing message attachment upload for user ${req.user._id}`);
@@ -113,12 +230,13 @@ router.post(
         return res.status(400).json({ success: false, error: "Please upload a file" });
       }
 
-      // Validate recipient ID if provided
-      if (req.body.recipient && !isValidObjectId(req.body.recipient)) {
+      // Attachments are stored per conversation, so the recipient is required
+      if (!req.body.recipient || !isValidObjectId(req.body.recipient)) {
         fs.unlinkSync(path.join(req.file.destination, req.file.filename));
         return res.status(400).json({ success: false, error: "Invalid recipient ID format" });
       }
 
+      const conversation = conversationStorage(req.user._id, req.body.recipient);
       filePath = path.join(req.file.destination, req.file.filename);
       const fileBuffer = fs.readFileSync(filePath);
 
@@ -129,39 +247,29 @@ router.post(
         return res.status(400).json({ success: false, error: "File type could not be determined" });
       }
 
-      let fileMetadata = {
+      // Images lose their EXIF (GPS location) and get sized copies; videos get a poster frame
+      const media = await processMedia(filePath, fileType.mime, conversation.urlPrefix);
+      const sign = (url) => signMediaUrl(url, req.user._id);
+      const fileMetadata = {
         contentType: fileType.mime,
-        size: req.file.size,
+        size: media.size || req.file.size,
+        dimensions: media.dimensions,
+        thumbnail: sign(media.poster || media.variants?.thumb?.webp),
+        variants: mapVariantUrls(media.variants, sign),
       };
 
-      // If the file is an image, get dimensions and create a thumbnail
-      if (fileType.mime.startsWith("image/")) {
-        try {
-          const image = sharp(filePath);
-          const metadata = await image.metadata();
-          fileMetadata.dimensions = { width: metadata.width, height: metadata.height };
-
-          const thumbnailPath = filePath + "_thumb";
-          await image
-            .resize(300, 300, { fit: "inside", withoutEnlargement: true })
-            .toFile(thumbnailPath);
-          fileMetadata.thumbnail = `/uploads/messages/${req.file.filename}_thumb`;
-        } catch (processError) {
-          logger.error(`Error processing image: ${processError.message}`);
-          // Continue without thumbnail if processing fails
-        }
-      }
-
-      const fileUrl = `/uploads/messages/${req.file.filename}`;
+      const fileKey = `${conversation.folder}/${req.file.filename}`;
+      await storeWithDerivatives(filePath, fileKey);
+      const fileUrl = urlForKey(fileKey);
       processingSuccessful = true;
 
       res.status(200).json({
         success: true,
         data: {
-          url: fileUrl,
+          url: sign(fileUrl),
           mimeType: fileType.mime,
           fileName: req.file.originalname,
-          fileSize: req.file.size,
+          fileSize: fileMetadata.size,
           metadata: fileMetadata,
         },
       });
@@ -175,10 +283,7 @@ router.post(
       if (!processingSuccessful && filePath && fs.existsSync(filePath)) {
         try {
           fs.unlinkSync(filePath);
-          const thumbPath = filePath + "_thumb";
-          if (fs.existsSync(thumbPath)) {
-            fs.unlinkSync(thumbPath);
-          }
+          removeDerivatives(filePath);
           logger.debug(`Cleaned up failed attachment file: ${filePath}`);
         } catch (unlinkErr) {
           logger.error(`Error during attachment file cleanup: ${unlinkErr.message}`);
@@ -188,14 +293,125 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/messages/voice
+ * @desc    Send a voice message (multipart: file, recipient, and the duration and peaks the recorder measured)
+ * @access  Private (accounts that can send messages)
+ */
+router.post(
+  "/voice",
+  protect,
+  useCoupleInbox,
+  messageRateLimit,
+  upload.single("file"),
+  checkBlockStatus,
+  canSendMessages,
+  asyncHandler(async (req, res) => {
+    let filePath = req.file ? path.join(req.file.destination, req.file.filename) : null;
+    let processingSuccessful = false;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: "Please upload a recording" });
+      }
+
+      const { recipient } = req.body;
+      if (!recipient || !isValidObjectId(recipient)) {
+        return res.status(400).json({ success: false, error: "Invalid recipient ID format" });
+      }
+      if (recipient === req.user._id.toString()) {
+        return res.status(400).json({ success: false, error: "Cannot send message to yourself" });
+      }
+
+      const recipientUser = await User.findById(recipient);
+      if (!recipientUser) {
+        return res.status(404).json({ success: false, error: "Recipient not found" });
+      }
+      if (!(await Match.allowsMessage(recipientUser, req.user._id))) {
+        return res.status(403).json({
+          success: false,
+          error: "This user only accepts messages from their matches",
+          code: "MATCH_REQUIRED",
+        });
+      }
+
+      // Trust the file's contents, not the type the browser reported
+      const fileType = await fileTypeFromBuffer(fs.readFileSync(filePath));
+      if (!fileType || !VOICE_MIME_TYPES.includes(fileType.mime)) {
+        return res.status(400).json({ success: false, error: "Voice messages must be audio recordings" });
+      }
+
+      const { value: audio, error } = await processVoiceMessage(filePath, fileType.mime, {
+        duration: req.body.duration,
+        peaks: req.body.peaks,
+      });
+      if (error) {
+        return res.status(400).json({ success: false, error, code: "INVALID_VOICE_MESSAGE" });
+      }
+      filePath = audio.path;
+      const filename = path.basename(audio.path);
+      const size = fs.statSync(audio.path).size;
+      const fileKey = `${conversationStorage(req.user._id, recipient).folder}/${filename}`;
+      await storeFile(audio.path, fileKey);
+
+      const message = await Message.create({
+        sender: req.user._id,
+        sentBy: req.coupleMember?._id,
+        sentByName: req.coupleMember?.nickname,
+        recipient,
+        type: "audio",
+        content: "Voice message",
+        attachment: {
+          type: "audio",
+          url: urlForKey(fileKey),
+          filename,
+          size,
+          mimeType: audio.mimeType,
+          metadata: { duration: audio.duration, peaks: audio.peaks },
+        },
+        metadata: typeof req.body.clientMessageId === "string" ? { clientMessageId: req.body.clientMessageId } : {},
+      });
+      processingSuccessful = true;
+
+      // Each user gets the recording's URL signed for them
+      const messageFor = (viewerId) =>
+        signMessageMedia({ ...message.toObject(), senderName: req.user.nickname }, viewerId);
+      const io = req.app.get("io");
+      if (io) {
+        io.to(recipient).emit("newMessage", messageFor(recipient));
+        // The other partner of a linked couple sees it in the shared inbox
+        if (req.coupleMember) io.to(req.user._id.toString()).emit("newMessage", messageFor(req.user._id));
+      }
+
+      logger.info(`Voice message sent: ${message._id} (${audio.duration}s${audio.transcoded ? ", transcoded" : ""})`);
+      res.status(201).json({ success: true, data: messageFor(req.user._id) });
+    } catch (err) {
+      logger.error(`Error sending voice message: ${err.message}`);
+      res.status(400).json({ success: false, error: err.message || "Failed to send voice message" });
+    } finally {
+      if (!processingSuccessful && filePath && fs.existsSync(filePath)) {
+        try {
+          fs.unlinkSync(filePath);
+          logger.debug(`Cleaned up failed voice message file: ${filePath}`);
+        } catch (unlinkErr) {
+          logger.error(`Error during voice message file cleanup: ${unlinkErr.message}`);
+        }
+      }
+    }
+  })
+);
+
 /**
  * @route   GET /api/messages/:userId
  * @desc    Get message history with a specific user
  * @access  Private
+ * Only ObjectIds match here so /conversations and /search are not shadowed.
  */
 router.get(
-  "/:userId",
+  "/:userId([0-9a-fA-F]{24})",
   protect,
+  useCoupleInbox,
+  checkBlockStatus,
   asyncHandler(async (req, res) => {
     logger.debug(`Fetching messages with user ${req.params.userId} for user ${req.user._id}`);
 
@@ -204,7 +420,7 @@ router.get(
         return res.status(400).json({ success: false, error: "Invalid user ID format" });
       }
 
-      const otherUser = await User.findById(req.params.userId).select("_id");
+      const otherUser = await User.findById(req.params.userId).select(`_id ${PRIVACY_FIELDS}`);
       if (!otherUser) {
         return res.status(404).json({ success: false, error: "User not found" });
       }
@@ -218,6 +434,7 @@ router.get(
           { sender: req.user._id, recipient: req.params.userId },
           { sender: req.params.userId, recipient: req.user._id },
         ],
+        ...visibleTo(req.user._id),
       };
 
       if (req.query.since) {
@@ -227,7 +444,7 @@ router.get(
         }
       }
 
-      if (req.query.type && ["text", "wink", "video", "file"].includes(req.query.type)) {
+      if (req.query.type && ["text", "wink", "video", "file", "audio"].includes(req.query.type)) {
         query.type = req.query.type;
       }
 
@@ -240,13 +457,10 @@ router.get(
       const total = await Message.countDocuments(query);
 
       // Mark received messages as read in the background
-      Message.updateMany(
-        { sender: req.params.userId, recipient: req.user._id, read: false },
-        { read: true, readAt: new Date() }
-      )
-        .then((updateResult) => {
-          if (updateResult.modifiedCount > 0) {
-            logger.debug(`Marked ${updateResult.modifiedCount} messages as read`);
+      markMessagesRead(req, { sender: req.params.userId })
+        .then((modifiedCount) => {
+          if (modifiedCount > 0) {
+            logger.debug(`Marked ${modifiedCount} messages as read`);
           }
         })
         .catch((err) => {
@@ -255,7 +469,7 @@ router.get(
 
       res.status(200).json({
         success: true,
-        data: messages,
+        data: messages.map((message) => serializeMessageForViewer(message, req.user._id, otherUser)),
         pagination: { page, limit, total, pages: Math.ceil(total / limit) },
       });
     } catch (err) {
@@ -273,7 +487,9 @@ router.get(
 router.post(
   "/",
   protect,
+  useCoupleInbox,
   messageRateLimit,
+  checkBlockStatus,
   asyncHandler(async (req, res) => {
     const { recipient, type, content, metadata } = req.body;
     logger.debug(`Sending ${type || "unknown"} message from ${req.user._id} to ${recipient}`);
@@ -321,6 +537,14 @@ router.post(
         return res.status(404).json({ success: false, error: "Recipient not found" });
       }
 
+      if (!(await Match.allowsMessage(recipientUser, req.user._id))) {
+        return res.status(403).json({
+          success: false,
+          error: "This user only accepts messages from their matches",
+          code: "MATCH_REQUIRED",
+        });
+      }
+
       let processedContent = "";
       if (type === "text") {
         processedContent = sanitizeText(content);
@@ -335,14 +559,18 @@ router.post(
 
       const message = await Message.create({
         sender: req.user._id,
+        // Linked couples share this inbox, so remember which partner wrote the message
+        sentBy: req.coupleMember?._id,
+        sentByName: req.coupleMember?.nickname,
         recipient,
         type,
         content: processedContent,
+        attachment: type === "file" ? attachmentFromMetadata(metadata, [req.user._id, recipient]) : undefined,
         metadata: metadata || {},
         createdAt: new Date(),
       });
 
-      const enhancedMessage = { ...message.toObject(), senderName: req.user.nickname };
+      const enhancedMessage = signMessageMedia({ ...message.toObject(), senderName: req.user.nickname }, req.user._id);
       logger.info(`Message sent: ${message._id} (${type})`);
       res.status(201).json({ success: true, data: enhancedMessage });
     } catch (err) {
@@ -352,6 +580,85 @@ router.post(
   })
 );
 
+/**
+ * @route   PUT /api/messages/:id
+ * @desc    Edit a text message within config.MESSAGE_EDIT_WINDOW_MINUTES of sending it; the
+ *          previous content is kept in its editHistory and both users get a messageEdited event
+ * @access  Private (the message's sender)
+ */
+router.put(
+  "/:id",
+  protect,
+  useCoupleInbox,
+  messageRateLimit,
+  asyncHandler(async (req, res) => {
+    const { content } = req.body;
+    logger.debug(`Editing message ${req.params.id}`);
+    try {
+      if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ success: false, error: "Invalid message ID format" });
+      }
+      if (typeof content !== "string" || content.trim().length === 0) {
+        return res.status(400).json({ success: false, error: "Message content is required" });
+      }
+      if (content.length > 2000) {
+        return res.status(400).json({ success: false, error: "Message content must be 2000 characters or less" });
+      }
+
+      const message = await Message.findOne({ _id: req.params.id, sender: req.user._id, ...visibleTo(req.user._id) });
+      if (!message) {
+        logger.warn(`Message ${req.params.id} not found or user not authorized`);
+        return res.status(404).json({ success: false, error: "Message not found or you are not authorized" });
+      }
+
+      // In a linked couple's shared inbox, only the partner who wrote the message can edit it
+      if (message.sentBy && req.coupleMember && !message.sentBy.equals(req.coupleMember._id)) {
+        return res.status(403).json({ success: false, error: "Only the author of a message can edit it", code: "NOT_AUTHOR" });
+      }
+      if (message.type !== "text") {
+        return res.status(400).json({ success: false, error: "Only text messages can be edited", code: "NOT_EDITABLE" });
+      }
+      if (Date.now() - message.createdAt.getTime() > config.MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000) {
+        return res.status(403).json({
+          success: false,
+          error: `Messages can only be edited within ${config.MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending them`,
+          code: "EDIT_WINDOW_EXPIRED",
+        });
+      }
+
+      const processedContent = sanitizeText(content);
+      if (!processedContent) {
+        return res.status(400).json({ success: false, error: "Message content is required" });
+      }
+      if (processedContent !== message.content) {
+        await message.editMessage(processedContent);
+        logger.info(`Message ${message._id} edited`);
+
+        // The sender's room also reaches their other sessions and the other partner of a couple
+        const io = req.app.get("io");
+        if (io) {
+          const edit = {
+            messageId: message._id.toString(),
+            sender: message.sender.toString(),
+            recipient: message.recipient.toString(),
+            content: message.content,
+            isEdited: true,
+            editHistory: message.editHistory,
+            updatedAt: message.updatedAt,
+          };
+          io.to(message.recipient.toString()).emit("messageEdited", edit);
+          io.to(message.sender.toString()).emit("messageEdited", edit);
+        }
+      }
+
+      res.status(200).json({ success: true, data: signMessageMedia(message.toObject(), req.user._id) });
+    } catch (err) {
+      logger.error(`Error editing message: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while editing message" });
+    }
+  })
+);
+
 /**
  * @route   PUT /api/messages/:id/read
  * @desc    Mark a message as read
@@ -360,6 +667,7 @@ router.post(
 router.put(
   "/:id/read",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     logger.debug(`Marking message ${req.params.id} as read`);
     try {
@@ -377,12 +685,13 @@ router.put(
         message.read = true;
         message.readAt = new Date();
         await message.save();
+        emitMessagesRead(req.app.get("io"), req.user, message.sender, [message._id]);
         logger.debug(`Message ${req.params.id} marked as read`);
       } else {
         logger.debug(`Message ${req.params.id} was already read`);
       }
 
-      res.status(200).json({ success: true, data: message });
+      res.status(200).json({ success: true, data: signMessageMedia(message.toObject(), req.user._id) });
     } catch (err) {
       logger.error(`Error marking message as read: ${err.message}`);
       res.status(500).json({ success: false, error: "Server error while marking message as read" });
@@ -398,6 +707,7 @@ router.put(
 router.post(
   "/read",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     const { messageIds } = req.body;
     logger.debug(`Marking multiple messages as read for user ${req.user._id}`);
@@ -409,12 +719,9 @@ router.post(
       if (invalidIds.length > 0) {
         return res.status(400).json({ success: false, error: `Invalid message ID format: ${invalidIds.join(", ")}` });
       }
-      const result = await Message.updateMany(
-        { _id: { $in: messageIds }, recipient: req.user._id, read: false },
-        { read: true, readAt: new Date() }
-      );
-      logger.debug(`Marked ${result.modifiedCount} of ${messageIds.length} messages as read`);
-      res.status(200).json({ success: true, count: result.modifiedCount });
+      const modifiedCount = await markMessagesRead(req, { _id: { $in: messageIds } });
+      logger.debug(`Marked ${modifiedCount} of ${messageIds.length} messages as read`);
+      res.status(200).json({ success: true, count: modifiedCount });
     } catch (err) {
       logger.error(`Error marking messages as read: ${err.message}`);
       res.status(500).json({ success: false, error: "Server error while marking messages as read" });
@@ -430,6 +737,7 @@ router.post(
 router.put(
   "/conversation/:userId/read",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     const { userId } = req.params;
     logger.debug(`Marking all messages from user ${userId} as read`);
@@ -441,12 +749,9 @@ router.put(
       if (!otherUser) {
         return res.status(404).json({ success: false, error: "User not found" });
       }
-      const result = await Message.updateMany(
-        { sender: userId, recipient: req.user._id, read: false },
-        { read: true, readAt: new Date() }
-      );
-      logger.debug(`Marked ${result.modifiedCount} messages as read`);
-      res.status(200).json({ success: true, count: result.modifiedCount });
+      const modifiedCount = await markMessagesRead(req, { sender: userId });
+      logger.debug(`Marked ${modifiedCount} messages as read`);
+      res.status(200).json({ success: true, count: modifiedCount });
     } catch (err) {
       logger.error(`Error marking conversation as read: ${err.message}`);
       res.status(500).json({ success: false, error: "Server error while marking conversation as read" });
@@ -462,13 +767,15 @@ router.put(
 router.get(
   "/unread/count",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     logger.debug(`Getting unread message count for user ${req.user._id}`);
     try {
       const recipientId = new mongoose.Types.ObjectId(req.user._id);
-      const count = await Message.countDocuments({ recipient: recipientId, read: false });
+      const unreadFilter = { recipient: recipientId, read: false, ...visibleTo(recipientId) };
+      const count = await Message.countDocuments(unreadFilter);
       const unreadBySender = await Message.aggregate([
-        { $match: { recipient: recipientId, read: false } },
+        { $match: unreadFilter },
         { $group: { _id: "$sender", count: { $sum: 1 }, lastMessage: { $max: "$createdAt" } } },
         { $sort: { lastMessage: -1 } },
       ]);
@@ -504,6 +811,7 @@ router.get(
 router.delete(
   "/:id",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     logger.debug(`Deleting message ${req.params.id}`);
     try {
@@ -531,21 +839,9 @@ router.delete(
         (deleteMode === "both" || (message.deletedByRecipient && deleteMode === "self"))
       ) {
         try {
-          if (message.metadata && message.metadata.fileUrl) {
-            const fileUrl = message.metadata.fileUrl;
-            const filePath = path.join(
-              process.cwd(),
-              fileUrl.replace(/^\/uploads/, config.FILE_UPLOAD_PATH)
-            );
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-              logger.info(`Deleted file: ${filePath}`);
-              const thumbnailPath = filePath + "_thumb";
-              if (fs.existsSync(thumbnailPath)) {
-                fs.unlinkSync(thumbnailPath);
-                logger.info(`Deleted thumbnail: ${thumbnailPath}`);
-              }
-            }
+          const fileKey = keyFromUrl(message.attachment?.url || message.metadata?.fileUrl);
+          if (fileKey && (await removeStoredMedia(fileKey, { soft: false }))) {
+            logger.info(`Deleted file: ${fileKey}`);
           }
         } catch (fileErr) {
           logger.error(`Error deleting file for message ${req.params.id}: ${fileErr.message}`);
@@ -592,6 +888,7 @@ router.delete(
 router.get(
   "/search",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     const { query, with: conversationPartner } = req.query;
     logger.debug(`Searching messages with query "${query}" for user ${req.user._id}`);
@@ -604,6 +901,7 @@ router.get(
           { type: "text" },
           { content: { $regex: query, $options: "i" } },
           { $or: [{ sender: req.user._id }, { recipient: req.user._id }] },
+          visibleTo(req.user._id),
         ],
       };
       if (conversationPartner && isValidObjectId(conversationPartner)) {
@@ -632,12 +930,15 @@ router.get(
           uniqueUserIds.add(msg.recipient.toString());
         }
       });
-      const users = await User.find({ _id: { $in: Array.from(uniqueUserIds) } }, { nickname: 1 });
+      const users = await User.find({ _id: { $in: Array.from(uniqueUserIds) } }, { nickname: 1, "settings.privacy": 1 });
       const enhancedMessages = messages.map((msg) => {
         const otherUserId =
           msg.sender.toString() === req.user._id.toString() ? msg.recipient.toString() : msg.sender.toString();
         const otherUser = users.find((u) => u._id.toString() === otherUserId);
-        return { ...msg, conversationWith: { _id: otherUserId, nickname: otherUser ? otherUser.nickname : "Unknown" } };
+        return {
+          ...serializeMessageForViewer(msg, req.user._id, otherUser),
+          conversationWith: { _id: otherUserId, nickname: otherUser ? otherUser.nickname : "Unknown" },
+        };
       });
       res.status(200).json({
         success: true,
@@ -659,6 +960,7 @@ router.get(
 router.get(
   "/conversations",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     logger.debug(`Getting conversations for user ${req.user._id}`);
     try {
@@ -666,9 +968,10 @@ router.get(
         {
           $match: {
             $or: [
-              { sender: mongoose.Types.ObjectId(req.user._id) },
-              { recipient: mongoose.Types.ObjectId(req.user._id) },
+              { sender: new mongoose.Types.ObjectId(req.user._id) },
+              { recipient: new mongoose.Types.ObjectId(req.user._id) },
             ],
+            ...visibleTo(req.user._id),
           },
         },
         { $sort: { createdAt: -1 } },
@@ -676,7 +979,7 @@ router.get(
           $group: {
             _id: {
               $cond: [
-                { $eq: ["$sender", mongoose.Types.ObjectId(req.user._id)] },
+                { $eq: ["$sender", new mongoose.Types.ObjectId(req.user._id)] },
                 "$recipient",
                 "$sender",
               ],
@@ -687,7 +990,7 @@ router.get(
                 $cond: [
                   {
                     $and: [
-                      { $eq: ["$recipient", mongoose.Types.ObjectId(req.user._id)] },
+                      { $eq: ["$recipient", new mongoose.Types.ObjectId(req.user._id)] },
                       { $eq: ["$read", false] },
                     ],
                   },
@@ -700,21 +1003,25 @@ router.get(
         },
         { $sort: { "lastMessage.createdAt": -1 } },
       ]);
-      const userIds = conversations.map((conv) => conv._id);
-      const users = await User.find({ _id: { $in: userIds } }).select("nickname photos isOnline lastActive");
+      // Hide conversations with users blocked in either direction
+      const blockedIds = (await User.getBlockedUserIds(req.user._id)).map((id) => id.toString());
+      const userIds = conversations.map((conv) => conv._id).filter((id) => !blockedIds.includes(id.toString()));
+      const users = await User.find({ _id: { $in: userIds } }).select(`nickname photos isOnline lastActive ${PRIVACY_FIELDS}`);
       const result = conversations
         .map((conv) => {
           const user = users.find((u) => u._id.toString() === conv._id.toString());
           if (!user) return null;
+          const { isOnline, lastActive } = serializeUserForViewer(user, req.user._id);
           return {
             user: {
               _id: user._id,
               nickname: user.nickname,
-              photo: user.photos && user.photos.length > 0 ? user.photos[0].url : null,
-              isOnline: user.isOnline,
-              lastActive: user.lastActive,
+              // Private photos need a permission the list doesn't check, so show the first public one
+              photo: user.photos?.find((photo) => !photo.isPrivate)?.url || null,
+              isOnline,
+              lastActive,
             },
-            lastMessage: conv.lastMessage,
+            lastMessage: serializeMessageForViewer(conv.lastMessage, req.user._id, user),
             unreadCount: conv.unreadCount,
             updatedAt: conv.lastMessage.createdAt,
           };
@@ -736,6 +1043,7 @@ router.get(
 router.post(
   "/:id/reaction",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     const { emoji } = req.body;
     logger.debug(`Adding reaction ${emoji} to message ${req.params.id}`);
@@ -759,7 +1067,7 @@ router.post(
       }
       await message.addReaction(req.user._id, emoji);
       logger.info(`Reaction added to message ${req.params.id}`);
-      res.status(200).json({ success: true, data: message });
+      res.status(200).json({ success: true, data: signMessageMedia(message.toObject(), req.user._id) });
     } catch (err) {
       logger.error(`Error adding reaction: ${err.message}`);
       res.status(500).json({ success: false, error: "Server error while adding reaction" });
@@ -775,6 +1083,7 @@ router.post(
 router.delete(
   "/:id/reaction/:reactionId",
   protect,
+  useCoupleInbox,
   asyncHandler(async (req, res) => {
     logger.debug(`Removing reaction ${req.params.reactionId} from message ${req.params.id}`);
     try {
@@ -798,7 +1107,7 @@ router.delete(
       }
       await message.removeReaction(req.user._id);
       logger.info(`Reaction removed from message ${req.params.id}`);
-      res.status(200).json({ success: true, data: message });
+      res.status(200).json({ success: true, data: signMessageMedia(message.toObject(), req.user._id) });
     } catch (err) {
       logger.error(`Error removing reaction: ${err.message}`);
       res.status(500).json({ success: false, error: "Server error while removing reaction" });
@@ -1,52 +1,10 @@
 import express from "express";
-import mongoose from "mongoose";
+import { Notification } from "../models/index.js";
 import { protect, asyncHandler } from "../middleware/auth.js";
 import logger from "../logger.js";
 
 const router = express.Router();
 
-// We'll try to use the Notification model if it exists, otherwise we'll create a basic schema
-let Notification;
-try {
-  Notification = mongoose.model("Notification");
-} catch (err) {
-  // Define a basic notification schema if not already defined
-  const notificationSchema = new mongoose.Schema({
-    recipient: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true,
-      index: true,
-    },
-    type: {
-      type: String,
-      enum: ["message", "like", "match", "story", "system"],
-      required: true,
-    },
-    sender: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-    },
-    content: String,
-    reference: {
-      type: mongoose.Schema.Types.ObjectId,
-      refPath: "type",
-    },
-    read: {
-      type: Boolean,
-      default: false,
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      index: true,
-    },
-  });
-
-  Notification = mongoose.model("Notification", notificationSchema);
-  logger.info("Created Notification model schema");
-}
-
 /**
  * @route   GET /api/notifications
  * @desc    Get notifications for the current user
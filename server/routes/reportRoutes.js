@@ -0,0 +1,168 @@
+import express from "express";
+import mongoose from "mongoose";
+import rateLimit from "express-rate-limit";
+
+import { User, Message, Story, Report } from "../models/index.js";
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from "../models/Report.js";
+import { protect, asyncHandler } from "../middleware/auth.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+// Rate limiting middleware for report submissions
+const reportRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 reports per hour
+  message: {
+    success: false,
+    error: "Too many reports submitted. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Look up the reported content and the user it belongs to
+ * @param {string} targetType - profile, message, story or photo
+ * @param {string} targetId - ID of the reported item
+ * @param {Object} reporter - User filing the report
+ * @returns {Promise<Object|null>} { reportedUserId, snapshot } or null if not found / not visible to the reporter
+ */
+const resolveReportTarget = async (targetType, targetId, reporter) => {
+  switch (targetType) {
+    case "profile": {
+      const user = await User.findById(targetId).select("nickname details.bio photos");
+      if (!user) return null;
+      return {
+        reportedUserId: user._id,
+        snapshot: { nickname: user.nickname, bio: user.details?.bio || "" },
+      };
+    }
+    case "message": {
+      const message = await Message.findById(targetId);
+      // Only the recipient of a message can report it
+      if (!message || message.recipient.toString() !== reporter._id.toString()) return null;
+      return {
+        reportedUserId: message.sender,
+        snapshot: {
+          type: message.type,
+          content: message.content,
+          attachment: message.attachment?.url || null,
+          sentAt: message.createdAt,
+        },
+      };
+    }
+    case "story": {
+      const story = await Story.findById(targetId);
+      if (!story) return null;
+      return {
+        reportedUserId: story.user,
+        snapshot: {
+          type: story.type,
+          content: story.content || story.text || "",
+          media: story.media || story.mediaUrl || null,
+        },
+      };
+    }
+    case "photo": {
+      const owner = await User.findOne({ "photos._id": targetId }).select("photos");
+      if (!owner) return null;
+      const photo = owner.photos.id(targetId);
+      return {
+        reportedUserId: owner._id,
+        snapshot: { url: photo.url, isPrivate: photo.isPrivate },
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report a profile, message, story or photo
+ * @access  Private
+ */
+router.post(
+  "/",
+  protect,
+  reportRateLimit,
+  asyncHandler(async (req, res) => {
+    const { targetType, targetId, reason, details } = req.body;
+
+    try {
+      if (!REPORT_TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid target type. Must be one of: ${REPORT_TARGET_TYPES.join(", ")}`,
+        });
+      }
+
+      if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ success: false, error: "Invalid target ID format" });
+      }
+
+      if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid reason. Must be one of: ${REPORT_REASONS.join(", ")}`,
+        });
+      }
+
+      if (details && details.length > 1000) {
+        return res.status(400).json({ success: false, error: "Details cannot exceed 1000 characters" });
+      }
+
+      const target = await resolveReportTarget(targetType, targetId, req.user);
+      if (!target) {
+        return res.status(404).json({ success: false, error: "Reported content not found" });
+      }
+
+      if (target.reportedUserId.toString() === req.user._id.toString()) {
+        return res.status(400).json({ success: false, error: "You cannot report your own content" });
+      }
+
+      const existing = await Report.findOne({
+        reporter: req.user._id,
+        targetType,
+        targetId,
+        status: "pending",
+      }).select("_id");
+      if (existing) {
+        return res.status(409).json({ success: false, error: "You have already reported this content" });
+      }
+
+      const report = await Report.create({
+        reporter: req.user._id,
+        reportedUser: target.reportedUserId,
+        targetType,
+        targetId,
+        reason,
+        details,
+        contentSnapshot: target.snapshot,
+      });
+
+      logger.info(`User ${req.user._id} reported ${targetType} ${targetId} (${reason})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Thanks for your report. Our moderators will review it.",
+        data: { _id: report._id, status: report.status },
+      });
+    } catch (err) {
+      logger.error(`Error creating report: ${err.message}`);
+      res.status(500).json({ success: false, error: "Server error while creating report" });
+    }
+  })
+);
+
+/**
+ * @route   GET /api/reports/reasons
+ * @desc    Get the available report reason categories
+ * @access  Private
+ */
+router.get("/reasons", protect, (req, res) => {
+  res.status(200).json({ success: true, data: REPORT_REASONS });
+});
+
+export default router;
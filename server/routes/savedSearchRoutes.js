@@ -0,0 +1,202 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import { User, SavedSearch } from "../models/index.js";
+import { ALERT_FREQUENCIES } from "../models/SavedSearch.js";
+import { protect, asyncHandler } from "../middleware/auth.js";
+import { PRIVACY_FIELDS } from "../utils/privacy.js";
+import { DISCOVERY_SORTS, findDiscoveryPage, serializeDiscoveryPage } from "../utils/discovery.js";
+import { buildSearchQuery, toSearchParams, validateSearchFilters } from "../utils/search.js";
+import config from "../config.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * Validate the name, filters and alert frequency of a saved search
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields may be left out (updates)
+ * @returns {{value?: Object, error?: string}}
+ */
+const validateSavedSearch = (body, partial) => {
+  const value = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > 60) {
+      return { error: "Name must be between 1 and 60 characters" };
+    }
+    value.name = name;
+  }
+
+  if (body.filters !== undefined || !partial) {
+    const filters = validateSearchFilters(body.filters || {});
+    if (filters.error) return filters;
+    value.filters = filters.value;
+  }
+
+  if (body.alertFrequency !== undefined) {
+    if (!ALERT_FREQUENCIES.includes(body.alertFrequency)) {
+      return { error: `alertFrequency must be one of: ${ALERT_FREQUENCIES.join(", ")}` };
+    }
+    value.alertFrequency = body.alertFrequency;
+  }
+
+  return { value };
+};
+
+/**
+ * Find one of the current user's saved searches, or send the error response
+ * @returns {Promise<Object|null>}
+ */
+const findOwnSearch = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid saved search ID format" });
+    return null;
+  }
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+  if (!search) {
+    res.status(404).json({ success: false, error: "Saved search not found" });
+  }
+  return search;
+};
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get the user's saved searches, newest first
+ * @access  Private
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.status(200).json({ success: true, count: searches.length, data: searches });
+  })
+);
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a search ({ name, filters, alertFrequency }); filters use the /api/users/search parameters
+ * @access  Private
+ */
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const { value, error } = validateSavedSearch(req.body, false);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= config.MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `You can save up to ${config.MAX_SAVED_SEARCHES} searches. Delete one to save another.`,
+        code: "SAVED_SEARCH_LIMIT",
+      });
+    }
+
+    const search = await SavedSearch.create({ ...value, user: req.user._id });
+    res.status(201).json({ success: true, data: search });
+  })
+);
+
+/**
+ * @route   GET /api/saved-searches/:id
+ * @desc    Get one saved search
+ * @access  Private
+ */
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+    res.status(200).json({ success: true, data: search });
+  })
+);
+
+/**
+ * @route   GET /api/saved-searches/:id/results
+ * @desc    Run a saved search (same response as GET /api/users/search)
+ * @access  Private
+ */
+router.get(
+  "/:id/results",
+  asyncHandler(async (req, res) => {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    const page = Number.parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 50);
+    const sort = req.query.sort || "active";
+    if (!DISCOVERY_SORTS.includes(sort)) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${DISCOVERY_SORTS.join(", ")}` });
+    }
+
+    const viewer = await User.findById(req.user._id).select("details photos preferences +geoLocation");
+    const blockedIds = await User.getBlockedUserIds(req.user._id);
+    const built = buildSearchQuery(toSearchParams(search.filters), viewer, { excludeIds: blockedIds });
+    if (built.error) {
+      return res.status(400).json({ success: false, error: built.error, code: built.code });
+    }
+
+    const discoveryPage = await findDiscoveryPage(built.query, {
+      skip: (page - 1) * limit,
+      limit,
+      select: `nickname details photos isOnline lastActive boostedUntil ${PRIVACY_FIELDS}`,
+      sort,
+      near: built.near,
+      viewer,
+    });
+    const { users, total } = discoveryPage;
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: serializeDiscoveryPage(discoveryPage, req.user._id),
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Rename a saved search, change its filters or its alert frequency
+ * @access  Private
+ */
+router.put(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const { value, error } = validateSavedSearch(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    search.set(value);
+    await search.save();
+    res.status(200).json({ success: true, data: search });
+  })
+);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private
+ */
+router.delete(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const search = await findOwnSearch(req, res);
+    if (!search) return;
+
+    await search.deleteOne();
+    res.status(200).json({ success: true, message: "Saved search deleted" });
+  })
+);
+
+export default router;
@@ -1,11 +1,14 @@
 import express from "express"
-import { protect } from "../middleware/auth.js"
+import { protect, optionalAuth } from "../middleware/auth.js"
 import { canCreateStory } from "../middleware/permissions.js"
 import upload from "../middleware/upload.js"
 import { check, validationResult } from "express-validator"
 import Story from "../models/Story.js"
 import User from "../models/User.js"
 import logger from "../logger.js"
+import { isIncognito } from "../utils/privacy.js"
+import { processMedia, storeWithDerivatives } from "../utils/media.js"
+import { urlForKey } from "../storage/index.js"
 import mongoose from "mongoose"
 
 const router = express.Router()
@@ -39,6 +42,17 @@ const hasRecentStoryCreation = async (userId) => {
   }
 }
 
+/**
+ * Build the story filter that hides stories from users blocked in either direction
+ * @param {Object} [user] - Authenticated user, if any
+ * @returns {Promise<Object>} Query conditions to merge into a story query
+ */
+const blockedStoriesFilter = async (user) => {
+  if (!user) return {}
+  const blockedIds = await User.getBlockedUserIds(user._id)
+  return blockedIds.length > 0 ? { user: { $nin: blockedIds } } : {}
+}
+
 /**
  * Format story for response
  * @param {Object} story - Story object
@@ -53,17 +67,18 @@ const formatStoryResponse = (story) => {
 }
 
 // @route   GET /api/stories
-// @desc    Get all active stories
+// @desc    Get all active stories (excluding blocked users when authenticated)
 // @access  Public
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 50
 
     // Only return active (non-expired) stories
     const now = new Date()
+    const query = { expiresAt: { $gt: now }, ...(await blockedStoriesFilter(req.user)) }
 
-    const stories = await Story.find({ expiresAt: { $gt: now } })
+    const stories = await Story.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit)
@@ -74,7 +89,7 @@ router.get("/", async (req, res) => {
     const formattedStories = stories.map(formatStoryResponse)
 
     // Get total count for pagination
-    const total = await Story.countDocuments({ expiresAt: { $gt: now } })
+    const total = await Story.countDocuments(query)
 
     res.json({
       success: true,
@@ -149,10 +164,14 @@ router.post(
         duration: Number(duration) || 24,
       }
 
-      // Add media if provided
+      // Add media if provided, with its sizes (images) or poster frame (videos)
       if (req.file) {
-        storyData.media = `/uploads/${req.file.filename}`
-        storyData.mediaUrl = `/uploads/${req.file.filename}`
+        const key = `${req.file.folder}/${req.file.filename}`
+        const { dimensions, poster, variants } = await processMedia(req.file.path, req.file.mimetype, urlForKey(req.file.folder))
+        await storeWithDerivatives(req.file.path, key)
+        storyData.media = urlForKey(key)
+        storyData.mediaUrl = storyData.media
+        storyData.mediaMetadata = { dimensions, poster, variants }
       }
 
       const newStory = new Story(storyData)
@@ -278,7 +297,7 @@ router.post(
 // @route   GET /api/stories/:id
 // @desc    Get a story by ID
 // @access  Public
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     // Validate ID
     if (!isValidObjectId(req.params.id)) {
@@ -292,7 +311,7 @@ router.get("/:id", async (req, res) => {
       .populate("user", "nickname username name profilePicture avatar")
       .lean()
 
-    if (!story) {
+    if (!story || (req.user && story.user && (await User.isBlockedBetween(req.user._id, story.user._id)))) {
       return res.status(404).json({
         success: false,
         error: "Story not found",
@@ -318,7 +337,7 @@ router.get("/:id", async (req, res) => {
 // @route   GET /api/stories/user/:userId
 // @desc    Get stories for a specific user
 // @access  Public
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", optionalAuth, async (req, res) => {
   try {
     // Validate ID
     if (!isValidObjectId(req.params.userId)) {
@@ -331,6 +350,15 @@ router.get("/user/:userId", async (req, res) => {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 20
 
+    // Stories of a blocked user (or one who blocked the viewer) are not visible
+    if (req.user && (await User.isBlockedBetween(req.user._id, req.params.userId))) {
+      return res.json({
+        success: true,
+        data: [],
+        pagination: { page, limit, total: 0, pages: 0 },
+      })
+    }
+
     // Only return active (non-expired) stories
     const now = new Date()
 
@@ -438,6 +466,14 @@ router.post("/:id/view", protect, async (req, res) => {
       })
     }
 
+    // Incognito views are never recorded (the viewer list can't reveal them later)
+    if (isIncognito(req.user)) {
+      return res.json({
+        success: true,
+        message: "Story marked as viewed",
+      })
+    }
+
     // Check if user has already viewed this story
     const userId = req.user._id || req.user.id
     const alreadyViewed = story.viewers.some((v) => v.user && v.user.toString() === userId.toString())
@@ -596,12 +632,25 @@ router.get("/:id/viewers", protect, async (req, res) => {
     // Populate viewer information
     const populatedStory = await Story.findById(req.params.id).populate({
       path: "viewers.user",
-      select: "nickname username name profilePicture avatar",
+      select: "nickname username name profilePicture avatar accountTier settings.privacy.incognito",
     })
 
+    // Views are no longer recorded while incognito; this leaves out ones stored before that.
+    // The tier and setting used to tell are not sent
+    const viewers = populatedStory.viewers
+      .filter((viewer) => !isIncognito(viewer.user))
+      .map((viewer) => {
+        const data = viewer.toObject()
+        if (data.user) {
+          delete data.user.accountTier
+          delete data.user.settings
+        }
+        return data
+      })
+
     res.json({
       success: true,
-      data: populatedStory.viewers,
+      data: viewers,
     })
   } catch (err) {
     logger.error(`Error fetching story viewers: ${err.message}`)
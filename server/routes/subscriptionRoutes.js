@@ -1,10 +1,39 @@
 import express from "express"
+import rateLimit from "express-rate-limit"
 import { protect } from "../middleware/auth.js"
 import logger from "../logger.js"
-import { User } from "../models/index.js"
+import config from "../config.js"
+import { User, Invoice } from "../models/index.js"
+import { getPaymentProvider, getPlan, PLANS, PAYMENT_EVENTS } from "../payments/index.js"
+import { handlePaymentEvent } from "../payments/lifecycle.js"
+import { renderReceipt } from "../payments/receipts.js"
+import { getSubscriptionSnapshot, recordSubscriptionTransition } from "../payments/transitions.js"
+import { redeemPromoCode } from "../payments/promotions.js"
 
 const router = express.Router()
 
+// Limit promo code attempts per account to stop codes being guessed (applied after protect)
+const redeemLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // max 10 attempts per user per hour
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    error: "Too many promo code attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// HTTP status for each reason a promo code can't be redeemed
+const PROMO_ERROR_STATUS = {
+  PROMO_NOT_FOUND: 404,
+  PROMO_UNAVAILABLE: 410,
+  ALREADY_REDEEMED: 409,
+  ALREADY_PREMIUM: 400,
+  ALREADY_SUBSCRIBED: 400,
+}
+
 /**
  * @route   GET /api/subscription/status
  * @desc    Get user's subscription status
@@ -58,6 +87,14 @@ router.get("/status", protect, async (req, res) => {
         isPaid: user.isPaid,
         subscriptionExpiry: user.subscriptionExpiry,
         daysRemaining,
+        plan: user.subscription?.plan || null,
+        status: user.subscription?.status || "none",
+        autoRenew: Boolean(user.subscription?.autoRenew),
+        cancelAtPeriodEnd: Boolean(user.subscription?.cancelAtPeriodEnd),
+        currentPeriodEnd: user.subscription?.currentPeriodEnd || user.subscriptionExpiry,
+        graceEndsAt: user.subscription?.graceEndsAt || null,
+        trial: user.isOnTrial() ? { endsAt: user.trial.endsAt, promoCode: user.trial.promoCode } : null,
+        discount: user.subscription?.discount?.percentOff ? user.subscription.discount : null,
         features: {
           canSendMessages: user.canSendMessages(),
           canCreateStory: user.canCreateStory(),
@@ -77,25 +114,64 @@ router.get("/status", protect, async (req, res) => {
 })
 
 /**
- * @route   POST /api/subscription/upgrade
- * @desc    Upgrade user to paid account
+ * @route   GET /api/subscription/plans
+ * @desc    List the subscription plans on offer
+ * @access  Public
+ */
+router.get("/plans", (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: Object.values(PLANS),
+  })
+})
+
+/**
+ * @route   POST /api/subscription/checkout
+ * @desc    Start a checkout session with the payment provider. The subscription becomes
+ *          active when the provider confirms the payment through the webhook.
+ *          POST /api/subscription/upgrade is kept as an alias for older clients.
  * @access  Private
  */
-router.post("/upgrade", protect, async (req, res) => {
+router.post(["/checkout", "/upgrade"], protect, async (req, res) => {
   try {
+    const planId = req.body.plan || "monthly"
+    if (!getPlan(planId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Plan must be one of: ${Object.keys(PLANS).join(", ")}`,
+        code: "INVALID_PLAN",
+      })
+    }
+
     const user = await User.findById(req.user._id)
 
     if (!user) {
-      logger.warn(`User not found when upgrading subscription: ${req.user._id}`)
+      logger.warn(`User not found when starting checkout: ${req.user._id}`)
       return res.status(404).json({
         success: false,
         error: "User not found",
       })
     }
 
+    // A lapsed renewal is still being retried by the provider; a second checkout would start
+    // another subscription next to the one that can still charge
+    if (user.subscription?.status === "grace") {
+      logger.info(`User ${user._id} attempted to check out during their renewal grace period`)
+      return res.status(409).json({
+        success: false,
+        error:
+          "Your last renewal payment didn't go through and is being retried. Please update your payment method instead of subscribing again.",
+        code: "SUBSCRIPTION_IN_GRACE",
+        data: {
+          accountTier: user.accountTier,
+          graceEndsAt: user.subscription.graceEndsAt,
+        },
+      })
+    }
+
     // Check if user is already on a paid plan
     if (user.isPaid && user.subscriptionExpiry && user.subscriptionExpiry > new Date()) {
-      logger.info(`User ${user._id} attempted to upgrade but already has an active subscription`)
+      logger.info(`User ${user._id} attempted to check out but already has an active subscription`)
       return res.status(400).json({
         success: false,
         error: "You already have an active subscription",
@@ -107,46 +183,93 @@ router.post("/upgrade", protect, async (req, res) => {
       })
     }
 
-    // In a real app, this would process payment and validate the transaction
-    // For now, we'll just upgrade the user
+    const session = await getPaymentProvider().createCheckoutSession({
+      user,
+      plan: planId,
+      percentOff: user.subscription.discount?.percentOff || null,
+      successUrl: `${config.FRONTEND_URL}/subscription?checkout=success`,
+      cancelUrl: `${config.FRONTEND_URL}/subscription?checkout=canceled`,
+    })
 
-    // Set subscription for 30 days
-    const subscriptionExpiry = new Date()
-    subscriptionExpiry.setDate(subscriptionExpiry.getDate() + 30)
+    logger.info(`User ${user._id} started ${planId} checkout (session ${session.id})`)
 
-    user.isPaid = true
-    user.subscriptionExpiry = subscriptionExpiry
+    return res.status(200).json({
+      success: true,
+      data: {
+        sessionId: session.id,
+        url: session.url,
+        plan: planId,
+      },
+    })
+  } catch (err) {
+    logger.error(`Error starting checkout: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while starting checkout",
+    })
+  }
+})
 
-    // Update account tier
-    if (user.accountTier === "FREE") {
-      user.accountTier = "PAID"
+/**
+ * @route   POST /api/subscription/redeem
+ * @desc    Redeem a promo code. Free-days codes start a premium trial immediately;
+ *          percent-off codes are applied to the user's next checkout.
+ * @access  Private
+ */
+router.post("/redeem", protect, redeemLimiter, async (req, res) => {
+  try {
+    if (!req.body.code || typeof req.body.code !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Promo code is required",
+      })
     }
 
-    await user.save()
+    const user = await User.findById(req.user._id)
+
+    if (!user) {
+      logger.warn(`User not found when redeeming promo code: ${req.user._id}`)
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      })
+    }
+
+    const result = await redeemPromoCode(user, req.body.code, { io: req.app.get("io") })
 
-    logger.info(`User ${user._id} upgraded to paid subscription until ${subscriptionExpiry}`)
+    logger.info(`User ${user._id} redeemed promo code ${result.code} (${result.type})`)
 
     return res.status(200).json({
       success: true,
-      message: "Subscription upgraded successfully",
+      message:
+        result.type === "free_days"
+          ? `Enjoy ${result.freeDays} days of Premium for free!`
+          : `${result.percentOff}% off will be applied to your first payment.`,
       data: {
+        ...result,
         accountTier: user.accountTier,
-        isPaid: user.isPaid,
-        subscriptionExpiry: user.subscriptionExpiry,
       },
     })
   } catch (err) {
-    logger.error(`Error upgrading subscription: ${err.message}`, { stack: err.stack })
+    if (PROMO_ERROR_STATUS[err.code]) {
+      return res.status(PROMO_ERROR_STATUS[err.code]).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+      })
+    }
+
+    logger.error(`Error redeeming promo code: ${err.message}`, { stack: err.stack })
     return res.status(500).json({
       success: false,
-      error: "Server error while upgrading subscription",
+      error: "Server error while redeeming promo code",
     })
   }
 })
 
 /**
  * @route   POST /api/subscription/cancel
- * @desc    Cancel user's subscription
+ * @desc    Turn off auto-renew. Access continues until the current period ends.
  * @access  Private
  */
 router.post("/cancel", protect, async (req, res) => {
@@ -171,8 +294,28 @@ router.post("/cancel", protect, async (req, res) => {
       })
     }
 
-    // In a real app, this would cancel recurring payments
-    // For now, we'll just mark the subscription as ending at the current expiry date
+    if (user.subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({
+        success: false,
+        error: "Your subscription is already set to end",
+        code: "ALREADY_CANCELED",
+      })
+    }
+
+    if (user.subscription.subscriptionId) {
+      await getPaymentProvider().cancelSubscription(user.subscription.subscriptionId, { atPeriodEnd: true })
+    }
+
+    const previous = getSubscriptionSnapshot(user)
+    user.subscription.cancelAtPeriodEnd = true
+    user.subscription.autoRenew = false
+    user.subscription.canceledAt = new Date()
+    await user.save()
+    await recordSubscriptionTransition(user, previous, {
+      reason: "auto_renew_canceled",
+      source: "user",
+      io: req.app.get("io"),
+    })
 
     logger.info(`User ${user._id} canceled subscription (will expire on ${user.subscriptionExpiry})`)
 
@@ -183,6 +326,8 @@ router.post("/cancel", protect, async (req, res) => {
         accountTier: user.accountTier,
         isPaid: user.isPaid,
         subscriptionExpiry: user.subscriptionExpiry,
+        autoRenew: user.subscription.autoRenew,
+        cancelAtPeriodEnd: user.subscription.cancelAtPeriodEnd,
       },
     })
   } catch (err) {
@@ -194,4 +339,257 @@ router.post("/cancel", protect, async (req, res) => {
   }
 })
 
+/**
+ * @route   POST /api/subscription/resume
+ * @desc    Turn auto-renew back on for a subscription that was set to end
+ * @access  Private
+ */
+router.post("/resume", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (!user) {
+      logger.warn(`User not found when resuming subscription: ${req.user._id}`)
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      })
+    }
+
+    if (!user.isPaid || !user.subscriptionExpiry || user.subscriptionExpiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "You don't have an active subscription to resume",
+        code: "NO_ACTIVE_SUBSCRIPTION",
+      })
+    }
+
+    if (!user.subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({
+        success: false,
+        error: "Your subscription already renews automatically",
+        code: "NOT_CANCELED",
+      })
+    }
+
+    if (user.subscription.subscriptionId) {
+      await getPaymentProvider().resumeSubscription(user.subscription.subscriptionId)
+    }
+
+    const previous = getSubscriptionSnapshot(user)
+    user.subscription.cancelAtPeriodEnd = false
+    user.subscription.autoRenew = true
+    user.subscription.canceledAt = null
+    await user.save()
+    await recordSubscriptionTransition(user, previous, {
+      reason: "auto_renew_resumed",
+      source: "user",
+      io: req.app.get("io"),
+    })
+
+    logger.info(`User ${user._id} resumed subscription`)
+
+    return res.status(200).json({
+      success: true,
+      message: "Your subscription will renew automatically.",
+      data: {
+        accountTier: user.accountTier,
+        isPaid: user.isPaid,
+        subscriptionExpiry: user.subscriptionExpiry,
+        autoRenew: user.subscription.autoRenew,
+        cancelAtPeriodEnd: user.subscription.cancelAtPeriodEnd,
+      },
+    })
+  } catch (err) {
+    logger.error(`Error resuming subscription: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while resuming subscription",
+    })
+  }
+})
+
+/**
+ * @route   GET /api/subscription/invoices
+ * @desc    Get the user's billing history (payments, renewals and refunds), newest first
+ * @access  Private
+ */
+router.get("/invoices", protect, async (req, res) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 10, 50)
+    const skip = (page - 1) * limit
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("refundOf", "number")
+        .select("-__v"),
+      Invoice.countDocuments({ user: req.user._id }),
+    ])
+
+    return res.status(200).json({
+      success: true,
+      count: invoices.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: invoices,
+    })
+  } catch (err) {
+    logger.error(`Error retrieving invoices: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while retrieving invoices",
+    })
+  }
+})
+
+/**
+ * @route   GET /api/subscription/invoices/:id/receipt
+ * @desc    Download the receipt for an invoice as an HTML document
+ * @access  Private
+ */
+router.get("/invoices/:id([0-9a-fA-F]{24})/receipt", protect, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user._id }).populate("refundOf", "number")
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found",
+      })
+    }
+
+    res.set("Content-Type", "text/html; charset=utf-8")
+    res.set("Content-Disposition", `attachment; filename="receipt-${invoice.number}.html"`)
+    return res.status(200).send(renderReceipt(invoice, req.user))
+  } catch (err) {
+    logger.error(`Error generating receipt: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while generating receipt",
+    })
+  }
+})
+
+/**
+ * @route   POST /api/subscription/webhook
+ * @desc    Receive payment events (renewals, failed payments, refunds) from the provider
+ * @access  Public (verified by the provider's signature)
+ */
+router.post("/webhook", async (req, res) => {
+  try {
+    const event = await getPaymentProvider().parseWebhookEvent(req.rawBody, req.headers)
+
+    // Events we don't act on are acknowledged so the provider stops retrying them
+    if (event) {
+      await handlePaymentEvent(event, { io: req.app.get("io") })
+    }
+
+    return res.status(200).json({ success: true, received: true })
+  } catch (err) {
+    if (err.code === "INVALID_SIGNATURE") {
+      logger.warn(`Rejected payment webhook: ${err.message}`)
+      return res.status(400).json({
+        success: false,
+        error: err.message,
+      })
+    }
+
+    logger.error(`Error processing payment webhook: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while processing webhook",
+    })
+  }
+})
+
+// Development-only routes that stand in for the hosted checkout page and the
+// provider's webhooks when the fake payment provider is active
+const requireFakeProvider = (req, res, next) => {
+  if (config.NODE_ENV === "production" || getPaymentProvider().name !== "fake") {
+    return res.status(404).json({
+      success: false,
+      error: "Not found",
+    })
+  }
+  next()
+}
+
+/**
+ * @route   GET /api/subscription/fake-checkout/:sessionId
+ * @desc    Pay for a fake checkout session and return to the client
+ * @access  Public (development only)
+ */
+router.get("/fake-checkout/:sessionId", requireFakeProvider, async (req, res) => {
+  try {
+    const provider = getPaymentProvider()
+    const session = provider.sessions.get(req.params.sessionId)
+    const event = provider.completeCheckout(req.params.sessionId)
+
+    if (!event) {
+      return res.redirect(session?.cancelUrl || `${config.FRONTEND_URL}/subscription?checkout=canceled`)
+    }
+
+    await handlePaymentEvent(event, { io: req.app.get("io") })
+    return res.redirect(session.successUrl)
+  } catch (err) {
+    logger.error(`Error completing fake checkout: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while completing checkout",
+    })
+  }
+})
+
+/**
+ * @route   POST /api/subscription/fake-events
+ * @desc    Simulate a provider event (renewal, failed payment, refund, end) for the current user
+ * @access  Private (development only)
+ */
+router.post("/fake-events", protect, requireFakeProvider, async (req, res) => {
+  try {
+    const { type } = req.body
+    if (!Object.values(PAYMENT_EVENTS).includes(type) || type === PAYMENT_EVENTS.CHECKOUT_COMPLETED) {
+      return res.status(400).json({
+        success: false,
+        error: "Unsupported event type",
+      })
+    }
+
+    const user = await User.findById(req.user._id)
+    if (!user?.subscription?.subscriptionId) {
+      return res.status(400).json({
+        success: false,
+        error: "You don't have a subscription to simulate events for",
+        code: "NO_ACTIVE_SUBSCRIPTION",
+      })
+    }
+
+    const lastCharge = await Invoice.findOne({ user: user._id, type: { $ne: "refund" } }).sort({ createdAt: -1 })
+    const event = getPaymentProvider().simulateEvent(type, {
+      subscriptionId: user.subscription.subscriptionId,
+      customerId: user.subscription.customerId,
+      plan: user.subscription.plan,
+      periodEnd: user.subscription.currentPeriodEnd,
+      paymentId: lastCharge?.paymentId,
+    })
+    const result = await handlePaymentEvent(event, { io: req.app.get("io") })
+
+    return res.status(200).json({
+      success: true,
+      data: { event, ...result },
+    })
+  } catch (err) {
+    logger.error(`Error simulating payment event: ${err.message}`, { stack: err.stack })
+    return res.status(500).json({
+      success: false,
+      error: "Server error while simulating payment event",
+    })
+  }
+})
+
 export default router
@@ -10,14 +10,44 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import sharp from "sharp";
 import { fileTypeFromBuffer } from "file-type";
 import mongoose from "mongoose";
-import { User, PhotoPermission, Message, Like } from "../models/index.js";
+import {
+  User,
+  PhotoPermission,
+  Message,
+  Like,
+  Boost,
+  Pass,
+  Match,
+  VerificationRequest,
+  ProfileVisit,
+} from "../models/index.js";
 import config from "../config.js";
 import { protect, enhancedProtect, asyncHandler } from "../middleware/auth.js";
 import logger from "../logger.js";
-import { canLikeUser } from "../middleware/permissions.js";
+import { canLikeUser, canUseIncognito, checkBlockStatus } from "../middleware/permissions.js";
+import { uploadSelfie, cleanupInvalidFile } from "../middleware/upload.js";
+import {
+  PRIVACY_FIELDS,
+  serializeUserForViewer,
+  serializeMessageForViewer,
+  serializeVisitForViewer,
+  emitPresence,
+  isIncognito,
+} from "../utils/privacy.js";
+import {
+  DISCOVERY_SORTS,
+  findDiscoveryPage,
+  getDiscoveryArea,
+  serializeDiscoveryPage,
+} from "../utils/discovery.js";
+import { geocodeToPoint } from "../utils/geocoding.js";
+import { applyViewerPreferences, applyMutualPreferences, validatePreferences } from "../utils/preferences.js";
+import { buildSearchQuery } from "../utils/search.js";
+import { processImage, removeDerivatives, removeStoredMedia, storeWithDerivatives } from "../utils/media.js";
+import { keyFromUrl, storeFile, urlForKey } from "../storage/index.js";
+import { signPhoto, signPrivatePhotos } from "../utils/signedMedia.js";
 
 // ==========================
 // Utility Functions & Middleware
@@ -43,17 +73,43 @@ const flexibleIdMiddleware = (req, res, next) => {
   next();
 };
 
+// Fields of a visitor shown in "who viewed me"
+const VISITOR_FIELDS = `nickname details photos photoVerified isOnline lastActive ${PRIVACY_FIELDS}`;
+
+/**
+ * Record a profile visit and, on the visitor's first visit of the day, tell the owner live.
+ * Incognito visitors leave no trace; owners on a free account only learn that someone visited.
+ * @param {Object} req - Express request (visitor and io instance)
+ * @param {Object} profileUser - Visited user
+ */
+const recordProfileVisit = async (req, profileUser) => {
+  const visitor = await User.findById(req.user._id).select(`${VISITOR_FIELDS} accountTier`);
+  if (!visitor || isIncognito(visitor)) return;
+
+  const firstToday = await ProfileVisit.record(visitor._id, profileUser._id);
+  const io = req.app.get("io");
+  if (!firstToday || !io) return;
+
+  const owner = await User.findById(profileUser._id).select("accountTier");
+  let visit = { user: null, visitedAt: new Date() };
+  if (owner?.canSeeProfileVisitors()) {
+    visit = serializeVisitForViewer(visitor, visit.visitedAt, profileUser._id);
+    delete visit.user.accountTier;
+  }
+  io.to(profileUser._id.toString()).emit("profileVisit", visit);
+};
+
 // ==========================
 // Multer Configuration for File Uploads
 // ==========================
 
+// Photos are processed in the temp folder and then moved to storage under images/
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(config.FILE_UPLOAD_PATH, "images");
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
+    if (!fs.existsSync(config.UPLOAD_TEMP_PATH)) {
+      fs.mkdirSync(config.UPLOAD_TEMP_PATH, { recursive: true });
     }
-    cb(null, uploadPath);
+    cb(null, config.UPLOAD_TEMP_PATH);
   },
   filename: (req, file, cb) => {
     const fileExt = path.extname(file.originalname).toLowerCase();
@@ -130,7 +186,7 @@ router.get(
       const users = await usersCollection
         .find(
           { _id: { $in: recipientIds } },
-          { projection: { nickname: 1, username: 1, photos: 1, isOnline: 1, lastActive: 1 } }
+          { projection: { nickname: 1, username: 1, photos: 1, isOnline: 1, lastActive: 1, "settings.privacy": 1 } }
         )
         .toArray();
 
@@ -142,7 +198,7 @@ router.get(
       likesResult.forEach((like) => {
         const recipientId = like.recipient.toString();
         if (userMap[recipientId]) {
-          like.recipient = userMap[recipientId];
+          like.recipient = serializeUserForViewer(userMap[recipientId], userId);
         }
       });
     }
@@ -159,7 +215,8 @@ router.get(
 );
 
 // ----- GET /api/users -----
-// Get all online users (with optional filters) except the current user
+// Get all online users (with optional filters, lat/lng/radius area and sort=recommended) except the current user
+// and the users they have passed on
 router.get(
   "/",
   protect,
@@ -167,10 +224,16 @@ router.get(
     const page = Number.parseInt(req.query.page, 10) || 1;
     const limit = Number.parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
-    const query = { _id: { $ne: req.user._id } };
+    const [blockedIds, passedIds] = await Promise.all([
+      User.getBlockedUserIds(req.user._id),
+      Pass.getPassedUserIds(req.user._id),
+    ]);
+    const query = { _id: { $ne: req.user._id, $nin: [...blockedIds, ...passedIds] } };
 
     if (req.query.online === "true") {
+      // Users who hide their online status never show up as online
       query.isOnline = true;
+      query["settings.privacy.showOnlineStatus"] = { $ne: false };
     }
     if (req.query.gender) {
       query["details.gender"] = req.query.gender;
@@ -187,14 +250,39 @@ router.get(
     if (req.query.interest) {
       query["details.interests"] = { $in: [req.query.interest] };
     }
+    if (req.query.verified === "true") {
+      query.photoVerified = true;
+    }
 
-    const users = await User.find(query)
-      .select("nickname details photos isOnline lastActive")
-      .sort({ isOnline: -1, lastActive: -1 })
-      .skip(skip)
-      .limit(limit);
+    const sort = req.query.sort || "active";
+    if (!DISCOVERY_SORTS.includes(sort)) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${DISCOVERY_SORTS.join(", ")}` });
+    }
+
+    // The viewer's profile, preferences and coordinates, for default filters, the search area and scores
+    const viewer = await User.findById(req.user._id).select("details photos preferences +geoLocation");
 
-    const total = await User.countDocuments(query);
+    // Partner preferences are the default filters (preferences=false skips them); users with
+    // mutual preferences only show up for viewers who match them
+    const { radiusKm: defaultRadiusKm } = applyViewerPreferences(query, req.query, viewer);
+    applyMutualPreferences(query, viewer);
+
+    // Optional radius search around lat/lng (or the viewer's own location)
+    const area = getDiscoveryArea(req.query, viewer, { defaultRadiusKm });
+    if (area.error) {
+      return res.status(400).json({ success: false, error: area.error, code: area.code });
+    }
+
+    // Boosted profiles come first
+    const discoveryPage = await findDiscoveryPage(query, {
+      skip,
+      limit,
+      select: `nickname details photos photoVerified isOnline lastActive boostedUntil ${PRIVACY_FIELDS}`,
+      sort,
+      near: area.near,
+      viewer,
+    });
+    const { users, total } = discoveryPage;
 
     res.status(200).json({
       success: true,
@@ -202,23 +290,103 @@ router.get(
       total,
       page,
       pages: Math.ceil(total / limit),
-      data: users,
+      data: serializeDiscoveryPage(discoveryPage, req.user._id),
+    });
+  })
+);
+
+// ----- GET /api/users/blocked -----
+// Get the users the current user has blocked
+router.get(
+  "/blocked",
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id)
+      .select("blockedUsers")
+      .populate("blockedUsers", "nickname photos details.age details.gender details.location");
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    // Accounts deleted since being blocked come back as null from populate
+    const blockedUsers = user.blockedUsers.filter(Boolean);
+    res.status(200).json({ success: true, count: blockedUsers.length, data: blockedUsers });
+  })
+);
+
+// ----- GET /api/users/visitors -----
+// Get the users who visited the current user's profile, most recent first. Free accounts only
+// get the number of visitors (locked: true); premium tiers get the list.
+router.get(
+  "/visitors",
+  protect,
+  asyncHandler(async (req, res) => {
+    const page = Number.parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const [owner, blockedIds] = await Promise.all([
+      User.findById(req.user._id).select("accountTier"),
+      User.getBlockedUserIds(req.user._id),
+    ]);
+
+    // One entry per visitor, with their latest visit and how many times they came by
+    const [result] = await ProfileVisit.aggregate([
+      { $match: { visited: new mongoose.Types.ObjectId(req.user._id), visitor: { $nin: blockedIds } } },
+      { $group: { _id: "$visitor", lastVisitedAt: { $max: "$visitedAt" }, visits: { $sum: "$count" } } },
+      { $sort: { lastVisitedAt: -1, _id: 1 } },
+      { $facet: { entries: [{ $skip: skip }, { $limit: limit }], total: [{ $count: "count" }] } },
+    ]);
+    const total = result.total[0]?.count || 0;
+
+    if (!owner.canSeeProfileVisitors()) {
+      return res.status(200).json({
+        success: true,
+        locked: true,
+        count: 0,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: [],
+      });
+    }
+
+    // Deactivated visitors aren't found and are left out
+    const users = await User.find({ _id: { $in: result.entries.map((entry) => entry._id) } }).select(VISITOR_FIELDS);
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    const data = result.entries
+      .filter((entry) => usersById.has(entry._id.toString()))
+      .map((entry) => ({
+        ...serializeVisitForViewer(usersById.get(entry._id.toString()), entry.lastVisitedAt, req.user._id),
+        visits: entry.visits,
+      }));
+
+    res.status(200).json({
+      success: true,
+      locked: false,
+      count: data.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data,
     });
   })
 );
 
 // ----- GET /api/users/:id -----
 // Get a single user profile along with message history between the current user and that user
+// (the id is restricted to ObjectIds so static paths like /search and /settings are not captured)
 router.get(
-  "/:id",
+  "/:id([0-9a-fA-F]{24})",
   protect,
   asyncHandler(async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ success: false, error: "Invalid user ID format" });
     }
 
-    const user = await User.findById(req.params.id).select("nickname details photos isOnline lastActive createdAt");
-    if (!user) {
+    const user = await User.findById(req.params.id).select(
+      `nickname details photos photoVerified isOnline lastActive createdAt ${PRIVACY_FIELDS}`
+    );
+    if (!user || (await User.isBlockedBetween(req.user._id, user._id))) {
       return res.status(404).json({ success: false, error: "User not found" });
     }
 
@@ -246,11 +414,27 @@ router.get(
     const isLiked = await Like.exists({ sender: req.user._id, recipient: req.params.id });
     const isMutualLike = await Like.exists({ sender: req.params.id, recipient: req.user._id });
 
+    // Count the view towards the profile's boost report, if it is boosted, and "who viewed me"
+    if (req.params.id !== req.user._id.toString()) {
+      Boost.recordActivity(user._id, { $addToSet: { viewedBy: req.user._id } }).catch((err) =>
+        logger.error(`Error recording boost view: ${err.message}`)
+      );
+      recordProfileVisit(req, user).catch((err) => logger.error(`Error recording profile visit: ${err.message}`));
+    }
+
+    // Private photos are only signed for the owner and users whose access request was approved
+    const isOwnProfile = req.params.id === req.user._id.toString();
+    const privatePhotoIds = user.photos.filter((photo) => photo.isPrivate).map((photo) => photo._id);
+    const allowedPhotos = isOwnProfile || (await PhotoPermission.getApprovedPhotoIds(privatePhotoIds, req.user._id));
+
     res.status(200).json({
       success: true,
       data: {
-        user,
-        messages,
+        user: {
+          ...serializeUserForViewer(user, req.user._id),
+          photos: signPrivatePhotos(user.photos, req.user._id, allowedPhotos),
+        },
+        messages: messages.map((message) => serializeMessageForViewer(message, req.user._id, user)),
         messagesPagination: {
           total: totalMessages,
           page,
@@ -320,7 +504,16 @@ router.put(
       updateData.details = { ...req.user.details };
       if (details.age !== undefined) updateData.details.age = Number.parseInt(details.age, 10);
       if (details.gender !== undefined) updateData.details.gender = details.gender;
-      if (details.location !== undefined) updateData.details.location = details.location.trim();
+      if (details.location !== undefined) {
+        updateData.details.location = details.location.trim();
+        // Keep the coordinates used for radius searches in step with the location text
+        const point = geocodeToPoint(updateData.details.location);
+        if (point) {
+          updateData.geoLocation = point;
+        } else {
+          updateData.$unset = { geoLocation: 1 };
+        }
+      }
       if (details.bio !== undefined) {
         if (details.bio.length > 500) {
           return res.status(400).json({ success: false, error: "Bio cannot exceed 500 characters" });
@@ -364,7 +557,10 @@ router.put(
       new: true,
       runValidators: true,
     });
-    res.status(200).json({ success: true, data: updatedUser });
+    res.status(200).json({
+      success: true,
+      data: { ...updatedUser.toObject(), photos: signPrivatePhotos(updatedUser.photos, req.user._id, true) },
+    });
   })
 );
 
@@ -401,37 +597,25 @@ router.post(
         return res.status(400).json({ success: false, error: "File is not a valid image" });
       }
 
-      // Process image (resize if needed)
-      const image = sharp(filePath);
-      const metadata = await image.metadata();
-      const resizedFilePath = filePath + "_resized";
-      if (metadata.width > 1200 || metadata.height > 1200) {
-        await image
-          .resize(1200, 1200, { fit: "inside", withoutEnlargement: true })
-          .toFile(resizedFilePath);
-        fs.unlinkSync(filePath);
-        fs.renameSync(resizedFilePath, filePath);
-      }
+      // Strip EXIF (GPS) and generate the thumb/card/full sizes
+      const photoMetadata = await processImage(filePath, urlForKey("images"));
+      const photoKey = `images/${path.basename(filePath)}`;
+      await storeWithDerivatives(filePath, photoKey);
       processingSuccessful = true;
 
-      const fileName = path.basename(filePath);
-      const photoUrl = `/uploads/images/${fileName}`;
-      const photoMetadata = {
-        contentType: metadata.format,
-        size: metadata.size,
-        dimensions: { width: metadata.width, height: metadata.height },
-      };
+      const photoUrl = urlForKey(photoKey);
       const photo = { url: photoUrl, isPrivate, metadata: photoMetadata };
       const isFirstPhoto = !req.user.photos || req.user.photos.length === 0;
       req.user.photos.push(photo);
       await req.user.save();
       const newPhoto = req.user.photos[req.user.photos.length - 1];
 
+      const signedPhoto = signPhoto(newPhoto, req.user._id);
       res.status(200).json({
         success: true,
-        data: newPhoto,
+        data: signedPhoto,
         isProfilePhoto: isFirstPhoto,
-        url: photoUrl,
+        url: signedPhoto.url,
       });
     } catch (err) {
       res.status(400).json({ success: false, error: err.message });
@@ -439,6 +623,7 @@ router.post(
       if (!processingSuccessful && filePath && fs.existsSync(filePath)) {
         try {
           fs.unlinkSync(filePath);
+          removeDerivatives(filePath);
         } catch (cleanupErr) {
           logger.error(`Error during file cleanup: ${cleanupErr.message}`);
         }
@@ -468,7 +653,7 @@ router.put(
     const photoIndex = user.photos.findIndex((p) => p._id.toString() === photoId);
     user.photos[photoIndex].isPrivate = isPrivate;
     await user.save();
-    res.status(200).json({ success: true, data: user.photos[photoIndex] });
+    res.status(200).json({ success: true, data: signPrivatePhotos([user.photos[photoIndex]], req.user._id, true)[0] });
   })
 );
 
@@ -490,7 +675,7 @@ router.put(
     const photo = user.photos.splice(photoIndex, 1)[0];
     user.photos.unshift(photo);
     await user.save();
-    res.status(200).json({ success: true, data: user.photos });
+    res.status(200).json({ success: true, data: signPrivatePhotos(user.photos, req.user._id, true) });
   })
 );
 
@@ -519,18 +704,13 @@ router.delete(
     }
     const photoIndex = user.photos.findIndex((p) => p._id.toString() === photoId);
     const photo = user.photos[photoIndex];
-    const filename = photo.url.split("/").pop();
     user.photos.splice(photoIndex, 1);
     await user.save();
 
-    // Import soft delete function from upload middleware (assumed to be implemented)
-    const { softDeleteFile } = await import("../middleware/upload.js");
-    const filePath = path.join(config.FILE_UPLOAD_PATH, "images", filename);
-    if (fs.existsSync(filePath)) {
-      const result = await softDeleteFile(filePath);
-      if (!result) {
-        logger.warn(`Could not soft-delete photo file at ${filePath}`);
-      }
+    // Move the file and its sizes under deleted/ in storage
+    const photoKey = keyFromUrl(photo.url);
+    if (photoKey && !(await removeStoredMedia(photoKey))) {
+      logger.warn(`Could not soft-delete photo file ${photoKey}`);
     }
     res.status(200).json({
       success: true,
@@ -678,7 +858,7 @@ router.put(
 );
 
 // ----- GET /api/users/search -----
-// Search users with advanced filtering
+// Search users with advanced filtering (including a lat/lng/radius area and sort=recommended)
 router.get(
   "/search",
   protect,
@@ -686,50 +866,47 @@ router.get(
     const page = Number.parseInt(req.query.page, 10) || 1;
     const limit = Number.parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
-    const query = { _id: { $ne: req.user._id } };
-
-    if (req.query.nickname) {
-      query.nickname = { $regex: req.query.nickname, $options: "i" };
-    }
-    if (req.query.gender) {
-      query["details.gender"] = req.query.gender;
-    }
-    if (req.query.minAge) {
-      query["details.age"] = { ...(query["details.age"] || {}), $gte: Number.parseInt(req.query.minAge, 10) };
-    }
-    if (req.query.maxAge) {
-      query["details.age"] = { ...(query["details.age"] || {}), $lte: Number.parseInt(req.query.maxAge, 10) };
-    }
-    if (req.query.location) {
-      query["details.location"] = { $regex: req.query.location, $options: "i" };
-    }
-    if (req.query.interests) {
-      const interests = req.query.interests.split(",");
-      query["details.interests"] = { $in: interests };
-    }
-    if (req.query.online === "true") {
-      query.isOnline = true;
+    const sort = req.query.sort || "active";
+    if (!DISCOVERY_SORTS.includes(sort)) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${DISCOVERY_SORTS.join(", ")}` });
     }
 
-    const users = await User.find(query)
-      .select("nickname details photos isOnline lastActive")
-      .sort({ isOnline: -1, lastActive: -1 })
-      .skip(skip)
-      .limit(limit);
-    const total = await User.countDocuments(query);
+    // The viewer's profile, preferences and coordinates, for default filters, the search area and scores
+    const viewer = await User.findById(req.user._id).select("details photos preferences +geoLocation");
+    const blockedIds = await User.getBlockedUserIds(req.user._id);
+
+    // Search filters plus partner preferences as defaults (preferences=false skips them); users
+    // with mutual preferences only show up for viewers who match them. Optional radius search
+    // around lat/lng (or the viewer's own location).
+    const search = buildSearchQuery(req.query, viewer, { excludeIds: blockedIds });
+    if (search.error) {
+      return res.status(400).json({ success: false, error: search.error, code: search.code });
+    }
+    const { query, near } = search;
+
+    // Boosted profiles come first
+    const discoveryPage = await findDiscoveryPage(query, {
+      skip,
+      limit,
+      select: `nickname details photos photoVerified isOnline lastActive boostedUntil ${PRIVACY_FIELDS}`,
+      sort,
+      near,
+      viewer,
+    });
+    const { users, total } = discoveryPage;
     res.status(200).json({
       success: true,
       count: users.length,
       total,
       page,
       pages: Math.ceil(total / limit),
-      data: users,
+      data: serializeDiscoveryPage(discoveryPage, req.user._id),
     });
   })
 );
 
 // ----- GET /api/users/matches -----
-// Get all mutual likes (matches) for the current user
+// Get the current user's matches, newest first
 router.get(
   "/matches",
   protect,
@@ -737,27 +914,30 @@ router.get(
     const page = Number.parseInt(req.query.page, 10) || 1;
     const limit = Number.parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
-    const likedUsers = await Like.find({ sender: req.user._id }).select("recipient");
-    const likedUserIds = likedUsers.map((like) => like.recipient);
-    const matches = await Like.find({
-      sender: { $in: likedUserIds },
-      recipient: req.user._id,
-    })
-      .populate("sender", "nickname photos isOnline lastActive details")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    const total = await Like.countDocuments({
-      sender: { $in: likedUserIds },
-      recipient: req.user._id,
-    });
+    const blockedIds = await User.getBlockedUserIds(req.user._id);
+    const query = { $and: [{ users: req.user._id }, { users: { $nin: blockedIds } }], unmatchedAt: null };
+    const [matches, total] = await Promise.all([
+      Match.find(query)
+        .populate("users", `nickname photos photoVerified isOnline lastActive details ${PRIVACY_FIELDS}`)
+        .sort({ matchedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Match.countDocuments(query),
+    ]);
     res.status(200).json({
       success: true,
       count: matches.length,
       total,
       page,
       pages: Math.ceil(total / limit),
-      data: matches,
+      // Deactivated users aren't populated, so their matches are left out
+      data: matches
+        .filter((match) => match.getOtherUser(req.user._id))
+        .map((match) => ({
+          _id: match._id,
+          matchedAt: match.matchedAt,
+          user: serializeUserForViewer(match.getOtherUser(req.user._id), req.user._id),
+        })),
     });
   })
 );
@@ -767,6 +947,7 @@ router.get(
 router.post(
   "/:id/like",
   protect,
+  checkBlockStatus,
   canLikeUser,
   asyncHandler(async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -783,19 +964,31 @@ router.post(
     }
     const like = new Like({ sender: req.user._id, recipient: req.params.id });
     await like.save();
+    Boost.recordActivity(targetUser._id, { $addToSet: { likedBy: req.user._id } }).catch((err) =>
+      logger.error(`Error recording boost like: ${err.message}`)
+    );
     if (user.accountTier === "FREE") {
       user.dailyLikesRemaining -= 1;
       await user.save();
     }
-    const mutualLike = await Like.findOne({ sender: req.params.id, recipient: req.user._id });
+    // The second like of a pair creates the match; only the request that created it notifies
+    const mutualLike = await Like.exists({ sender: req.params.id, recipient: req.user._id });
+    let match = null;
+    if (mutualLike) {
+      const result = await Match.createForPair(req.user._id, targetUser._id);
+      if (result.created) match = result.match;
+    }
     try {
       const io = req.app.get("io");
-      const { sendLikeNotification } = await import("../socket/socketHandlers.js");
+      const { sendLikeNotification, sendMatchNotification } = await import("../socket/socketHandlers.js");
+      const senderUser = await User.findById(req.user._id).select("nickname photos");
       if (io && sendLikeNotification) {
-        const senderUser = await User.findById(req.user._id).select("nickname photos");
         const userConnections = req.app.get("userConnections") || new Map();
         await sendLikeNotification(io, senderUser, targetUser, { _id: like._id, isMatch: !!mutualLike }, userConnections);
       }
+      if (match && sendMatchNotification) {
+        await sendMatchNotification(io, match, [senderUser, targetUser]);
+      }
     } catch (notificationError) {
       logger.error(`Error sending like notification: ${notificationError.message}`);
     }
@@ -804,6 +997,7 @@ router.post(
       message: `You liked ${targetUser.nickname}`,
       likesRemaining: user.dailyLikesRemaining,
       isMatch: !!mutualLike,
+      matchId: match?._id,
     });
   })
 );
@@ -825,10 +1019,344 @@ router.delete(
     if (!result) {
       return res.status(404).json({ success: false, error: `You haven't liked ${targetUser.nickname}` });
     }
+    // Taking back a like ends the match (the conversation stays; see DELETE /:id/match)
+    await Match.endForPair(req.user._id, targetUser._id, req.user._id);
     res.status(200).json({ success: true, message: `You unliked ${targetUser.nickname}` });
   })
 );
 
+// ----- DELETE /api/users/:id/match -----
+// Unmatch a user: ends the match, withdraws both likes and hides the conversation from both users
+router.delete(
+  "/:id/match",
+  protect,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid user ID format" });
+    }
+    const match = await Match.endForPair(req.user._id, req.params.id, req.user._id);
+    if (!match) {
+      return res.status(404).json({ success: false, error: "You are not matched with this user" });
+    }
+
+    const pair = [
+      { sender: req.user._id, recipient: req.params.id },
+      { sender: req.params.id, recipient: req.user._id },
+    ];
+    await Promise.all([
+      Like.deleteMany({ $or: pair }),
+      Message.updateMany({ $or: pair }, { $set: { deletedBySender: true, deletedByRecipient: true } }),
+    ]);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(req.params.id).emit("unmatch", { userId: req.user._id.toString(), matchId: match._id });
+    }
+    logger.info(`User ${req.user._id} unmatched user ${req.params.id}`);
+    res.status(200).json({
+      success: true,
+      message: "Unmatched",
+      data: { userId: req.params.id, matchId: match._id },
+    });
+  })
+);
+
+// ----- GET /api/users/deck -----
+// Get the next batch of discovery candidates: users the current user hasn't liked, passed on or blocked,
+// best matches first (same preferences, verified and lat/lng/radius parameters as GET /api/users)
+router.get(
+  "/deck",
+  protect,
+  asyncHandler(async (req, res) => {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 50);
+    const [blockedIds, passedIds, likes] = await Promise.all([
+      User.getBlockedUserIds(req.user._id),
+      Pass.getPassedUserIds(req.user._id),
+      Like.find({ sender: req.user._id }).select("recipient").lean(),
+    ]);
+    const seenIds = [...blockedIds, ...passedIds, ...likes.map((like) => like.recipient)];
+    const query = { _id: { $ne: req.user._id, $nin: seenIds } };
+    if (req.query.verified === "true") {
+      query.photoVerified = true;
+    }
+
+    const viewer = await User.findById(req.user._id).select("details photos preferences +geoLocation");
+    const { radiusKm: defaultRadiusKm } = applyViewerPreferences(query, req.query, viewer);
+    applyMutualPreferences(query, viewer);
+
+    const area = getDiscoveryArea(req.query, viewer, { defaultRadiusKm });
+    if (area.error) {
+      return res.status(400).json({ success: false, error: area.error, code: area.code });
+    }
+
+    const discoveryPage = await findDiscoveryPage(query, {
+      skip: 0,
+      limit,
+      select: `nickname details photos photoVerified isOnline lastActive boostedUntil ${PRIVACY_FIELDS}`,
+      sort: "recommended",
+      near: area.near,
+      viewer,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: discoveryPage.users.length,
+      total: discoveryPage.total,
+      data: serializeDiscoveryPage(discoveryPage, req.user._id),
+    });
+  })
+);
+
+// ----- POST /api/users/passes/rewind -----
+// Undo the current user's most recent pass (premium tiers) and return the user so they can be shown again
+router.post(
+  "/passes/rewind",
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("accountTier");
+    if (!user.canRewindPasses()) {
+      return res.status(403).json({
+        success: false,
+        error: "Upgrade to rewind passes",
+        code: "UPGRADE_REQUIRED",
+      });
+    }
+
+    const pass = await Pass.findOneAndDelete(
+      { sender: req.user._id, expiresAt: { $gt: new Date() } },
+      { sort: { passedAt: -1 } }
+    );
+    if (!pass) {
+      return res.status(404).json({ success: false, error: "There is no pass to rewind" });
+    }
+
+    const passedUser = await User.findById(pass.recipient).select(
+      `nickname details photos photoVerified isOnline lastActive ${PRIVACY_FIELDS}`
+    );
+    res.status(200).json({
+      success: true,
+      message: passedUser ? `${passedUser.nickname} is back in your deck` : "Pass rewound",
+      data: passedUser ? serializeUserForViewer(passedUser, req.user._id) : null,
+    });
+  })
+);
+
+// ----- POST /api/users/:id/pass -----
+// Pass on a user: they stay out of the deck and discovery list until the pass expires
+router.post(
+  "/:id/pass",
+  protect,
+  checkBlockStatus,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid user ID format" });
+    }
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, error: "You cannot pass on yourself" });
+    }
+    const targetUser = await User.findById(req.params.id).select("nickname");
+    if (!targetUser) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.PASS_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    await Pass.updateOne(
+      { sender: req.user._id, recipient: targetUser._id },
+      { $set: { passedAt: now, expiresAt } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `You passed on ${targetUser.nickname}`,
+      data: { userId: targetUser._id, expiresAt },
+    });
+  })
+);
+
+// ----- POST /api/users/:id/block -----
+// Block a user: hides both users from each other and stops messages, likes and calls
+router.post(
+  "/:id/block",
+  protect,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid user ID format" });
+    }
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ success: false, error: "You cannot block yourself" });
+    }
+    const targetUser = await User.findById(req.params.id).select("nickname");
+    if (!targetUser) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: targetUser._id } });
+    logger.info(`User ${req.user._id} blocked user ${targetUser._id}`);
+    res.status(200).json({
+      success: true,
+      message: `You blocked ${targetUser.nickname}`,
+      data: { userId: targetUser._id, isBlocked: true },
+    });
+  })
+);
+
+// ----- DELETE /api/users/:id/block -----
+// Unblock a user
+router.delete(
+  "/:id/block",
+  protect,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid user ID format" });
+    }
+    const result = await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: req.params.id } });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, error: "This user is not blocked" });
+    }
+    logger.info(`User ${req.user._id} unblocked user ${req.params.id}`);
+    res.status(200).json({
+      success: true,
+      message: "User unblocked",
+      data: { userId: req.params.id, isBlocked: false },
+    });
+  })
+);
+
+// ----- GET /api/users/preferences -----
+// Get the current user's partner preferences (default discovery filters)
+router.get(
+  "/preferences",
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("preferences");
+    res.status(200).json({ success: true, data: user.preferences });
+  })
+);
+
+// ----- PUT /api/users/preferences -----
+// Update the current user's partner preferences (only the fields sent are changed)
+router.put(
+  "/preferences",
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("preferences");
+    const { value, error } = validatePreferences(req.body || {}, user.preferences || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    user.set(
+      Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [`preferences.${field}`, fieldValue]))
+    );
+    await user.save();
+
+    res.status(200).json({ success: true, message: "Preferences updated", data: user.preferences });
+  })
+);
+
+// ----- GET /api/users/verification -----
+// Get the current user's photo verification status and latest request
+router.get(
+  "/verification",
+  protect,
+  asyncHandler(async (req, res) => {
+    const [user, request] = await Promise.all([
+      User.findById(req.user._id).select("photoVerified photoVerifiedAt"),
+      VerificationRequest.findOne({ user: req.user._id }).sort({ createdAt: -1 }),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: {
+        photoVerified: Boolean(user.photoVerified),
+        photoVerifiedAt: user.photoVerifiedAt || null,
+        request: request ? request.toUserView() : null,
+      },
+    });
+  })
+);
+
+// ----- POST /api/users/verification/challenge -----
+// Start photo verification: get a random pose to copy in a selfie before the challenge expires
+router.post(
+  "/verification/challenge",
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("photoVerified photos");
+    if (user.photoVerified) {
+      return res.status(409).json({ success: false, error: "Your profile is already verified", code: "ALREADY_VERIFIED" });
+    }
+    // Moderators compare the selfie with the profile photos
+    if (!user.photos?.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Add a photo of yourself to your profile before verifying it",
+        code: "PHOTO_REQUIRED",
+      });
+    }
+    if (await VerificationRequest.exists({ user: user._id, status: "pending" })) {
+      return res.status(409).json({
+        success: false,
+        error: "Your selfie is already waiting for review",
+        code: "VERIFICATION_PENDING",
+      });
+    }
+
+    // A new challenge replaces any unfinished one
+    await VerificationRequest.deleteMany({ user: user._id, status: "challenged" });
+    const request = await VerificationRequest.create({
+      user: user._id,
+      pose: VerificationRequest.pickPose(),
+      challengeExpiresAt: new Date(Date.now() + config.VERIFICATION_CHALLENGE_MINUTES * 60 * 1000),
+    });
+
+    res.status(201).json({ success: true, data: request.toUserView() });
+  })
+);
+
+// ----- POST /api/users/verification/selfie -----
+// Upload the selfie for the current pose challenge; it then waits for a moderator
+router.post(
+  "/verification/selfie",
+  protect,
+  uploadSelfie,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: "Please upload a selfie" });
+    }
+    if (!req.file.mimetype.startsWith("image/")) {
+      cleanupInvalidFile(req.file);
+      return res.status(400).json({ success: false, error: "Your selfie must be an image" });
+    }
+
+    const request = await VerificationRequest.findOne({ user: req.user._id, status: "challenged" }).sort({
+      createdAt: -1,
+    });
+    if (!request || !request.isAwaitingSelfie()) {
+      cleanupInvalidFile(req.file);
+      return res.status(400).json({
+        success: false,
+        error: "Your pose challenge has expired. Start a new verification to get another pose.",
+        code: "CHALLENGE_EXPIRED",
+      });
+    }
+
+    await storeFile(req.file.path, req.file.key);
+    request.selfieUrl = req.file.url;
+    request.status = "pending";
+    request.submittedAt = new Date();
+    await request.save();
+
+    logger.info(`User ${req.user._id} submitted a verification selfie (${request._id})`);
+
+    res.status(200).json({
+      success: true,
+      message: "Thanks! A moderator will review your selfie shortly.",
+      data: request.toUserView(),
+    });
+  })
+);
+
 // ----- User Settings Routes -----
 // GET user settings
 router.get("/settings", protect, async (req, res) => {
@@ -842,7 +1370,7 @@ router.get("/settings", protect, async (req, res) => {
 });
 
 // PUT update user settings
-router.put("/settings", protect, async (req, res) => {
+router.put("/settings", protect, canUseIncognito, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ success: false, error: "User not found" });
@@ -869,7 +1397,7 @@ router.put("/settings/notifications", protect, async (req, res) => {
 });
 
 // PUT update privacy settings
-router.put("/settings/privacy", protect, async (req, res) => {
+router.put("/settings/privacy", protect, canUseIncognito, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ success: false, error: "User not found" });
@@ -882,6 +1410,47 @@ router.put("/settings/privacy", protect, async (req, res) => {
   }
 });
 
+// ----- DELETE /api/users/account -----
+// Deactivate the current user's account (password confirmed). The account can be restored by
+// logging in during the grace period; afterwards cron/accountTasks.js purges it with all its data.
+router.delete(
+  "/account",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { password } = req.body || {};
+    if (!password || typeof password !== "string") {
+      return res.status(400).json({ success: false, error: "Password is required to delete your account" });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    const isMatch = await user.correctPassword(password, user.password);
+    if (!isMatch) {
+      logger.warn(`Account deletion attempt with wrong password for user ${user._id}`);
+      return res.status(400).json({ success: false, error: "Password is incorrect" });
+    }
+
+    user.scheduleDeletion(config.ACCOUNT_DELETION_GRACE_DAYS);
+    await user.save();
+
+    // Let other users drop this profile from their online lists
+    emitPresence(req.app.get("io"), user, false);
+
+    logger.info(`Account ${user._id} deactivated, scheduled for deletion on ${user.scheduledDeletionAt.toISOString()}`);
+    res.status(200).json({
+      success: true,
+      message: `Your account has been deactivated and will be permanently deleted in ${config.ACCOUNT_DELETION_GRACE_DAYS} days. Log in before then to restore it.`,
+      data: {
+        deactivatedAt: user.deactivatedAt,
+        scheduledDeletionAt: user.scheduledDeletionAt,
+      },
+    });
+  })
+);
+
 // ----- POST /api/photos/approve-all -----
 // Approve all pending photo access requests for the current user
 router.post(
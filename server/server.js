@@ -4,7 +4,6 @@ import http from "http"
 import path from "path"
 import helmet from "helmet"
 import cookieParser from "cookie-parser"
-import fs from "fs"
 import compression from "compression"
 import { fileURLToPath } from "url"
 import mongoSanitize from "express-mongo-sanitize"
@@ -14,7 +13,14 @@ import logger, { requestLogger, gracefulShutdown } from "./logger.js"
 import config from "./config.js"
 import { connectDB, closeConnection } from "./db.js"
 import routes from "./routes/index.js"
+import mediaRoutes from "./routes/mediaRoutes.js"
+import { getStorage } from "./storage/index.js"
 import { initSubscriptionTasks } from "./cron/subscriptionTasks.js"
+import { initBoostTasks } from "./cron/boostTasks.js"
+import { initLocationTasks } from "./cron/locationTasks.js"
+import { initMatchTasks } from "./cron/matchTasks.js"
+import { initSearchTasks } from "./cron/searchTasks.js"
+import { initAccountTasks } from "./cron/accountTasks.js"
 import { configureCors, corsErrorHandler } from "./middleware/cors.js"
 
 // Get directory name in ES modules context
@@ -67,7 +73,17 @@ app.use(
 app.use(mongoSanitize())
 
 // Body parser middleware
-app.use(express.json({ limit: "10mb" }))
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/subscription/webhook")) {
+        req.rawBody = buf
+      }
+    },
+  }),
+)
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
 // Cookie parser
@@ -83,81 +99,28 @@ app.use(requestLogger)
 // Set static folder for public assets
 app.use(express.static(path.join(__dirname, "public")))
 
-// Define base upload path - use an absolute path to avoid confusion
-const uploadsBasePath = path.join(process.cwd(), "uploads")
-
-// Ensure uploads directory exists
-if (!fs.existsSync(uploadsBasePath)) {
-  fs.mkdirSync(uploadsBasePath, { recursive: true })
-  logger.info(`Created uploads directory: ${uploadsBasePath}`)
-}
-
-// Ensure required subdirectories exist
-const requiredDirs = ["images", "photos", "videos", "messages", "profiles", "stories", "temp", "deleted"]
-requiredDirs.forEach((dir) => {
-  const dirPath = path.join(uploadsBasePath, dir)
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true })
-    logger.info(`Created uploads subdirectory: ${dirPath}`)
-  }
-})
-
-// Log all directories to help debug
-logger.info(`Main uploads directory: ${uploadsBasePath}`)
-requiredDirs.forEach((dir) => {
-  logger.info(`  - ${dir} directory: ${path.join(uploadsBasePath, dir)}`)
-})
-
-// Set up static file serving for uploaded files - with debug info
-app.use(
-  "/uploads",
-  (req, res, next) => {
-    logger.debug(`Upload request for: ${req.path}`)
-    next()
-  },
-  express.static(uploadsBasePath, {
-    maxAge: "1d", // Cache for 1 day
-    etag: true,
-    lastModified: true,
-    index: false, // Don't serve directory indexes
-    dotfiles: "ignore",
-  }),
-)
+// Uploaded files are read from the configured storage (local disk or S3, see storage/index.js).
+// The media routes check private photo permissions and conversation membership (signed URLs);
+// anything else under /uploads (e.g. verification selfies, soft-deleted files) is not served.
+app.use("/uploads", mediaRoutes, (req, res) => res.status(404).end())
 
 // Add a diagnostic endpoint to check file existence
-app.get("/api/check-file", (req, res) => {
-  const filePath = req.query.path
-  if (!filePath) {
+app.get("/api/check-file", async (req, res) => {
+  const key = req.query.path
+  if (!key) {
     return res.status(400).json({ success: false, error: "No file path provided" })
   }
 
-  const fullPath = path.join(uploadsBasePath, filePath)
-
-  // Prevent path traversal
-  if (!fullPath.startsWith(uploadsBasePath)) {
-    return res.status(403).json({ success: false, error: "Invalid file path" })
-  }
-
-  fs.stat(fullPath, (err, stats) => {
-    if (err) {
-      return res.json({
-        success: false,
-        error: err.message,
-        exists: false,
-        requestedPath: filePath,
-        fullPath: fullPath,
-      })
+  try {
+    const stats = await getStorage().stat(key.replace(/^\/+/, ""))
+    if (!stats) {
+      return res.json({ success: false, exists: false, requestedPath: key })
     }
-
-    return res.json({
-      success: true,
-      exists: true,
-      isDirectory: stats.isDirectory(),
-      size: stats.size,
-      requestedPath: filePath,
-      fullPath: fullPath,
-    })
-  })
+    return res.json({ success: true, exists: true, size: stats.size, requestedPath: key, storage: getStorage().name })
+  } catch (err) {
+    // e.g. a path outside the uploads root
+    return res.status(403).json({ success: false, error: err.message })
+  }
 })
 
 // Add request ID to each request for better logging
@@ -233,7 +196,22 @@ const initializeApp = async () => {
       }
 
       // Initialize subscription tasks
-      initSubscriptionTasks()
+      initSubscriptionTasks(app.get("io"))
+
+      // Initialize account deletion tasks
+      initAccountTasks()
+
+      // Initialize boost report tasks
+      initBoostTasks(app.get("io"))
+
+      // Initialize location geocoding tasks
+      initLocationTasks()
+
+      // Store matches for mutual likes from before matches were persisted
+      initMatchTasks()
+
+      // Initialize saved search alert tasks
+      initSearchTasks(app.get("io"))
 
       logger.info("Server initialization complete")
     })
@@ -2,7 +2,9 @@
 import { Server } from "socket.io"
 import logger from "../logger.js"
 import socketAuth from "./socketAuth.js"
-import { User } from "../models/index.js"
+import { User, Match } from "../models/index.js"
+import { emitPresence } from "../utils/privacy.js"
+import { signMessageMedia } from "../utils/signedMedia.js"
 import initializePeerServer from "../peerServer.js"
 
 /**
@@ -79,22 +81,25 @@ const initSocketServer = async (server) => {
         lastActive: Date.now(),
       }).catch(err => logger.error(`Error updating user online status: ${err.message}`))
 
-      // Notify other users that this user is online
-      socket.broadcast.emit("userOnline", {
-        userId: userId,
-        timestamp: Date.now()
-      })
+      // Notify other users that this user is online (unless they hide their status)
+      emitPresence(socket.broadcast, socket.user, true)
 
       // Join user's room for direct messages
       socket.join(userId)
 
+      // Partners of a linked couple also join the couple profile's room: they share its inbox
+      const inboxId = socket.user.getInboxUserId().toString()
+      if (inboxId !== userId) {
+        socket.join(inboxId)
+      }
+
       // Handle user typing indicator
       socket.on("typing", ({ recipientId }) => {
         if (!recipientId) return
 
         // Emit typing event to recipient
         io.to(recipientId).emit("userTyping", {
-          userId: userId,
+          userId: inboxId,
           timestamp: Date.now()
         })
       })
@@ -112,10 +117,31 @@ const initSocketServer = async (server) => {
             return
           }
 
+          // Refuse delivery when either user has blocked the other
+          if (await User.isBlockedBetween(inboxId, recipientId)) {
+            socket.emit("messageError", {
+              tempMessageId,
+              message: "You cannot message this user",
+              code: "USER_BLOCKED"
+            })
+            return
+          }
+
+          // Users can choose to only hear from their matches
+          const recipient = await User.findById(recipientId).select("settings.privacy")
+          if (recipient && !(await Match.allowsMessage(recipient, inboxId))) {
+            socket.emit("messageError", {
+              tempMessageId,
+              message: "This user only accepts messages from their matches",
+              code: "MATCH_REQUIRED"
+            })
+            return
+          }
+
           // Create message object
           const messageData = {
             _id: tempMessageId || `msg_${Date.now()}`,
-            sender: userId,
+            sender: inboxId,
             recipient: recipientId,
             type,
             content,
@@ -124,11 +150,22 @@ const initSocketServer = async (server) => {
             read: false
           }
 
+          // Messages from a linked couple show which partner wrote them
+          if (socket.user.isLinkedCouple()) {
+            messageData.sentBy = userId
+            messageData.sentByName = socket.user.nickname
+          }
+
           // Emit message to sender for immediate feedback
           socket.emit("messageSent", messageData)
 
-          // Emit message to recipient if online
-          io.to(recipientId).emit("newMessage", messageData)
+          // The other partner of a linked couple sees it in the shared inbox
+          if (socket.user.isLinkedCouple()) {
+            socket.to(inboxId).emit("newMessage", messageData)
+          }
+
+          // Emit message to recipient if online, with the attachment's URLs signed for them
+          io.to(recipientId).emit("newMessage", signMessageMedia({ ...messageData }, recipientId))
 
           // Update last activity timestamp
           User.findByIdAndUpdate(userId, {
@@ -153,6 +190,12 @@ const initSocketServer = async (server) => {
             return
           }
 
+          // Refuse the call when either user has blocked the other
+          if (await User.isBlockedBetween(userId, recipientId)) {
+            socket.emit("callError", { message: "You cannot call this user", code: "USER_BLOCKED" })
+            return
+          }
+
           // Check if recipient is online
           if (!userConnections.has(recipientId)) {
             socket.emit("callError", { message: "User is offline" })
@@ -379,11 +422,8 @@ const initSocketServer = async (server) => {
               lastActive: Date.now()
             }).catch(err => logger.error(`Error updating user offline status: ${err.message}`))
 
-            // Notify other users that this user is offline
-            socket.broadcast.emit("userOffline", {
-              userId: userId,
-              timestamp: Date.now()
-            })
+            // Notify other users that this user is offline (unless they hide their status)
+            emitPresence(socket.broadcast, socket.user, false)
 
             // End any active calls involving this user
             Array.from(activeCalls.entries()).forEach(([callId, call]) => {
@@ -223,6 +223,11 @@ const socketAuth = async (socket, next, userConnections) => {
         return next(new Error("Authentication error: User not found"))
       }
 
+      if (user.getModerationRestriction()) {
+        logger.warn(`Socket ${socket.id} connection rejected: User ${user._id} is banned or suspended`)
+        return next(new Error("Authentication error: Account restricted"))
+      }
+
       // Attach user to socket
       socket.user = user
 
@@ -1,6 +1,7 @@
 import { Message, User } from "../models/index.js"
 import logger from "../logger.js"
 import mongoose from "mongoose"
+import { emitPresence } from "../utils/privacy.js"
 
 /**
  * Handle user disconnect
@@ -29,8 +30,8 @@ const handleUserDisconnect = async (io, socket, userConnections) => {
             lastActive: Date.now(),
           })
 
-          // Notify other users
-          io.emit("userOffline", { userId, timestamp: Date.now() })
+          // Notify other users (unless they hide their online status)
+          emitPresence(io, socket.user, false)
           logger.info(`User ${userId} is now offline (no active connections)`)
         } else {
           logger.info(`User ${userId} still has ${userConnections.get(userId).size} active connections`)
@@ -135,6 +136,47 @@ const sendLikeNotification = async (io, sender, recipient, likeData) => {
   }
 }
 
+/**
+ * Tell both users about a new match: a "match" socket event and a stored notification each
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} match - Match document
+ * @param {Array<Object>} users - Both users (_id, nickname, photos)
+ */
+const sendMatchNotification = async (io, match, users) => {
+  for (const user of users) {
+    const other = users.find((candidate) => candidate._id.toString() !== user._id.toString())
+    const content = `You matched with ${other.nickname}`
+    try {
+      const Notification = mongoose.models.Notification || (await import("../models/Notification.js")).default
+      const notification = await Notification.create({
+        recipient: user._id,
+        type: "match",
+        sender: other._id,
+        content,
+        reference: match._id,
+      })
+
+      if (io) {
+        const room = user._id.toString()
+        io.to(room).emit("match", {
+          matchId: match._id,
+          user: { _id: other._id, nickname: other.nickname, photos: other.photos },
+          matchedAt: match.matchedAt,
+        })
+        io.to(room).emit("notification", {
+          _id: notification._id,
+          type: "match",
+          sender: other._id,
+          content,
+          createdAt: notification.createdAt,
+        })
+      }
+    } catch (error) {
+      logger.error(`Error sending match notification: ${error.message}`)
+    }
+  }
+}
+
 /**
  * Send a photo permission request notification
  * @param {Object} io - Socket.IO server instance
@@ -467,11 +509,8 @@ const registerSocketHandlers = (io, socket, userConnections, rateLimiters) => {
     }
   })
 
-  // Emit user online status when they connect
-  io.emit("userOnline", {
-    userId: socket.user._id.toString(),
-    timestamp: Date.now(),
-  })
+  // Emit user online status when they connect (unless they hide it)
+  emitPresence(io, socket.user, true)
 
   logger.info(`Socket handlers registered for user ${socket.user._id}`)
 }
@@ -482,6 +521,7 @@ export {
   sendMessageNotification,
   handleUserDisconnect,
   sendLikeNotification,
+  sendMatchNotification,
   sendPhotoPermissionRequestNotification,
   sendPhotoPermissionResponseNotification,
 }
@@ -0,0 +1,186 @@
+// storage/index.js - Where uploaded files are kept: local disk or an S3-compatible bucket
+//
+// Files are addressed by keys relative to the uploads root ("images/<name>.jpg",
+// "messages/<conversation>/<name>.m4a") and shown to clients as /uploads/<key>, which
+// routes/mediaRoutes.js serves from the storage. Uploads are validated and processed on
+// local disk (config.UPLOAD_TEMP_PATH) and then handed over with storeFile().
+//
+// A driver (see local.js and s3.js) is an object with a `name` and async methods:
+//   put(key, body, { contentType })   body is a Buffer or a readable stream
+//   stat(key)                         { size, contentType?, lastModified } or null when missing
+//   getStream(key, { start, end })    { stream, size, contentType? } or null when missing
+//   delete(key)
+//   moveToDeleted(key)                moves the file under deleted/, resolves to its new key or null
+//   getSignedUrl(key, { expiresIn })  URL the client can fetch directly, or null when the app serves the files
+// Swap the driver in tests with setStorage().
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+import config from '../config.js';
+import { createLocalDriver } from './local.js';
+import { createS3Driver } from './s3.js';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv',
+  '.webm': 'video/webm',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+};
+
+/**
+ * Content type of a stored file, from its extension
+ * @param {string} key
+ * @returns {string}
+ */
+export const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const factories = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+/**
+ * Create the driver named in config.STORAGE_DRIVER (or the given name)
+ * @param {string} [name]
+ * @returns {Object} Storage driver
+ */
+export const createStorage = (name = config.STORAGE_DRIVER) => {
+  const factory = factories[name];
+  if (!factory) {
+    logger.warn(`Unknown storage driver "${name}", falling back to local`);
+    return createLocalDriver();
+  }
+  return factory();
+};
+
+let storage = null;
+
+/**
+ * Get the active driver, creating it from config on first use
+ * @returns {Object}
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+    logger.info(`Upload storage initialized: ${storage.name}`);
+  }
+  return storage;
+};
+
+/**
+ * Replace the active driver (e.g. with one pointing at a test bucket)
+ * @param {Object} nextStorage
+ */
+export const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+/**
+ * Key of an uploaded file from its /uploads URL
+ * @param {string} url - e.g. "/uploads/images/<name>.jpg", signed or not
+ * @returns {string|null} Null for anything that isn't an upload URL
+ */
+export const keyFromUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  return url.slice('/uploads/'.length).split('?')[0] || null;
+};
+
+/**
+ * URL clients use for a stored file
+ * @param {string} key
+ * @returns {string}
+ */
+export const urlForKey = (key) => `/uploads/${key}`;
+
+/**
+ * Hand a file from local disk (an upload or something generated from it) over to the storage
+ * @param {string} localPath - File to store; it is removed once stored
+ * @param {string} key - Key to store it under
+ * @returns {Promise<string>} The key
+ */
+export const storeFile = async (localPath, key) => {
+  const { size } = await fs.promises.stat(localPath);
+  await getStorage().put(key, fs.createReadStream(localPath), { contentType: contentTypeFor(key), size });
+  await fs.promises.unlink(localPath);
+  logger.debug(`Stored ${localPath} as ${key} (${getStorage().name})`);
+  return key;
+};
+
+/**
+ * Send a stored file as the response to a request: a redirect to a signed URL when the
+ * driver has them, otherwise the file itself (supporting range requests for audio and video)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key
+ * @param {string} cacheControl - Cache-Control header for the file
+ * @returns {Promise<void>} Responds 404 when the file doesn't exist
+ */
+export const sendStoredFile = async (req, res, key, cacheControl) => {
+  const driver = getStorage();
+  const signedUrl = await driver.getSignedUrl(key);
+  if (signedUrl) {
+    // The redirect is only valid as long as its signature
+    res.set('Cache-Control', 'private, no-cache');
+    return res.redirect(302, signedUrl);
+  }
+
+  const stats = await driver.stat(key);
+  if (!stats) {
+    return res.status(404).end();
+  }
+
+  let range = null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (match && (match[1] || match[2])) {
+    const start = match[1] ? Number(match[1]) : Math.max(0, stats.size - Number(match[2]));
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), stats.size - 1) : stats.size - 1;
+    if (start > end) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      return res.status(416).end();
+    }
+    range = { start, end };
+  }
+
+  const file = await driver.getStream(key, range || {});
+  if (!file) {
+    return res.status(404).end();
+  }
+  res.set({
+    'Content-Type': stats.contentType || contentTypeFor(key),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': cacheControl,
+    'Last-Modified': stats.lastModified.toUTCString(),
+  });
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.set('Content-Length', String(stats.size));
+  }
+  if (req.method === 'HEAD') {
+    file.stream.destroy();
+    return res.end();
+  }
+
+  file.stream.on('error', (error) => {
+    logger.error(`Error streaming stored file ${key}: ${error.message}`);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
@@ -0,0 +1,90 @@
+// storage/local.js - Storage driver keeping uploads on the server's disk
+//
+// Keys are paths under the root directory (config.FILE_UPLOAD_PATH by default). The app
+// serves these files itself, so there are no signed URLs: getSignedUrl() resolves to null.
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import config from '../config.js';
+
+const ignoreMissing = (error, fallback) => {
+  if (error.code === 'ENOENT') return fallback;
+  throw error;
+};
+
+/**
+ * Local disk driver
+ * @param {string} [root] - Directory holding the files, defaults to config.FILE_UPLOAD_PATH
+ * @returns {Object} Storage driver
+ */
+export const createLocalDriver = (root = config.FILE_UPLOAD_PATH) => {
+  const rootPath = path.resolve(root);
+
+  // Keys come from URLs; never let one point outside the root
+  const resolve = (key) => {
+    const filePath = path.resolve(rootPath, key);
+    if (!filePath.startsWith(`${rootPath}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const statFile = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolve(key));
+      return stats.isFile() ? stats : null;
+    } catch (error) {
+      return ignoreMissing(error, null);
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+      return { key };
+    },
+
+    async stat(key) {
+      const stats = await statFile(key);
+      return stats && { size: stats.size, lastModified: stats.mtime };
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const stats = await statFile(key);
+      if (!stats) return null;
+      return { stream: fs.createReadStream(resolve(key), { start, end }), size: stats.size };
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        return ignoreMissing(error, false);
+      }
+    },
+
+    async moveToDeleted(key) {
+      const deletedKey = `deleted/${Date.now()}-${path.posix.basename(key)}`;
+      try {
+        await fs.promises.mkdir(path.dirname(resolve(deletedKey)), { recursive: true });
+        await fs.promises.rename(resolve(key), resolve(deletedKey));
+        return deletedKey;
+      } catch (error) {
+        return ignoreMissing(error, null);
+      }
+    },
+
+    getSignedUrl() {
+      return Promise.resolve(null);
+    },
+  };
+};
@@ -0,0 +1,44 @@
+// utils/__tests__/audio.test.js - Voice message decoding limits (ffmpeg is mocked)
+import { jest } from "@jest/globals"
+
+const runFfmpeg = jest.fn()
+jest.unstable_mockModule("../ffmpeg.js", () => ({ isFfmpegMissing: () => false, runFfmpeg }))
+
+const { default: config } = await import("../../config.js")
+const { processVoiceMessage } = await import("../audio.js")
+
+// Decoded output is mono 16-bit PCM at 8 kHz
+const pcmOfSeconds = (seconds) => Buffer.alloc(Math.round(seconds * 8000) * 2)
+
+describe("processVoiceMessage", () => {
+  beforeEach(() => {
+    runFfmpeg.mockReset()
+  })
+
+  test("decodes no more than a second past the length limit", async () => {
+    runFfmpeg.mockResolvedValueOnce(pcmOfSeconds(config.VOICE_MESSAGE_MAX_SECONDS + 1))
+
+    const result = await processVoiceMessage("/tmp/voice.webm", "audio/webm")
+
+    const args = runFfmpeg.mock.calls[0][0]
+    expect(args[args.indexOf("-t") + 1]).toBe(String(config.VOICE_MESSAGE_MAX_SECONDS + 1))
+    expect(args.indexOf("-t")).toBeGreaterThan(args.indexOf("-i"))
+    expect(result.error).toMatch(/can be up to/)
+    // Rejected before transcoding
+    expect(runFfmpeg).toHaveBeenCalledTimes(1)
+  })
+
+  test("rejects recordings that are too short", async () => {
+    runFfmpeg.mockResolvedValueOnce(pcmOfSeconds(0.2))
+
+    const result = await processVoiceMessage("/tmp/voice.webm", "audio/webm")
+    expect(result.error).toBe("Voice message is too short")
+  })
+
+  test("rejects uploads ffmpeg can't decode", async () => {
+    runFfmpeg.mockRejectedValueOnce(new Error("Invalid data found when processing input"))
+
+    const result = await processVoiceMessage("/tmp/voice.webm", "audio/webm")
+    expect(result.error).toBe("The recording could not be read as audio")
+  })
+})
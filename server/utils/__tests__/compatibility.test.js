@@ -0,0 +1,98 @@
+// utils/__tests__/compatibility.test.js - Compatibility scores for the discovery feed
+import { scoreCompatibility, SCORE_WEIGHTS } from "../compatibility.js"
+
+const HOUR_MS = 60 * 60 * 1000
+const NOW = new Date(2026, 9, 18, 20, 0)
+
+const profile = ({ details, ...fields } = {}) => ({ details: { ...details }, preferences: {}, ...fields })
+const score = (viewer, candidate, options) => scoreCompatibility(viewer, candidate, { now: NOW, ...options })
+
+describe("scoreCompatibility", () => {
+  test("rates every factor as neutral when the profiles are empty", () => {
+    const { score: total, breakdown, reasons } = score(profile(), profile())
+
+    const neutral = Object.fromEntries(
+      Object.entries(SCORE_WEIGHTS).map(([factor, weight]) => [factor, Math.round(weight / 2)])
+    )
+    expect(breakdown).toEqual(neutral)
+    expect(total).toBe(Object.values(neutral).reduce((sum, points) => sum + points, 0))
+    expect(reasons).toEqual([])
+  })
+
+  test("rates orientation on what each user is looking for in the other", () => {
+    const viewer = profile({ details: { iAm: "man", lookingFor: ["women"] } })
+
+    const mutual = score(viewer, profile({ details: { iAm: "woman", lookingFor: ["men"] } }))
+    expect(mutual.breakdown.orientation).toBe(SCORE_WEIGHTS.orientation)
+    expect(mutual.reasons).toContain("You're looking for each other")
+
+    const oneSided = score(viewer, profile({ details: { iAm: "woman", lookingFor: ["women"] } }))
+    expect(oneSided.breakdown.orientation).toBe(Math.round(SCORE_WEIGHTS.orientation / 2))
+    expect(oneSided.reasons).toContain("Matches what you're looking for")
+
+    // The candidate didn't say what they are looking for
+    const unknown = score(viewer, profile({ details: { iAm: "woman" } }))
+    expect(unknown.breakdown.orientation).toBe(Math.round(SCORE_WEIGHTS.orientation * 0.75))
+
+    // The score is the same whichever of the two is looking
+    const reversed = score(profile({ details: { iAm: "woman", lookingFor: ["women"] } }), viewer)
+    expect(reversed.breakdown.orientation).toBe(oneSided.breakdown.orientation)
+    expect(reversed.reasons).not.toContain("Matches what you're looking for")
+  })
+
+  test("rates age against the preferred range, falling off outside it", () => {
+    const viewer = profile({ details: { age: 30 }, preferences: { ageMin: 25, ageMax: 35 } })
+    const withAge = (age) => score(viewer, profile({ details: { age } }))
+
+    expect(withAge(30).breakdown.age).toBe(SCORE_WEIGHTS.age)
+    expect(withAge(30).reasons).toContain("In your preferred age range")
+    expect(withAge(38).breakdown.age).toBe(Math.round(SCORE_WEIGHTS.age * 0.4))
+    expect(withAge(22).breakdown.age).toBe(Math.round(SCORE_WEIGHTS.age * 0.4))
+    expect(withAge(41).breakdown.age).toBe(0)
+  })
+
+  test("rates the age gap when neither user has a preferred range", () => {
+    const withAges = (a, b) => score(profile({ details: { age: a } }), profile({ details: { age: b } }))
+
+    expect(withAges(30, 33).breakdown.age).toBe(SCORE_WEIGHTS.age)
+    expect(withAges(30, 33).reasons).toContain("Close in age")
+    expect(withAges(30, 39).breakdown.age).toBe(Math.round(SCORE_WEIGHTS.age / 2))
+    expect(withAges(30, 50).breakdown.age).toBe(0)
+  })
+
+  test("rates distance from full nearby to nothing far away", () => {
+    const here = { type: "Point", coordinates: [34.78, 32.08] }
+
+    const sameCity = score(profile({ geoLocation: here }), profile({ geoLocation: here }))
+    expect(sameCity.breakdown.distance).toBe(SCORE_WEIGHTS.distance)
+    expect(sameCity.reasons).toContain("1 km away")
+
+    expect(score(profile(), profile(), { distanceKm: 100 }).breakdown.distance).toBe(
+      Math.round(SCORE_WEIGHTS.distance * (1 - 95 / 195))
+    )
+    expect(score(profile(), profile(), { distanceKm: 250 }).breakdown.distance).toBe(0)
+  })
+
+  test("rates activity only from what the candidate's privacy settings show", () => {
+    const candidate = (privacy, fields) => profile({ settings: { privacy }, ...fields })
+    const justNow = new Date(NOW.getTime() - HOUR_MS / 2)
+
+    const online = score(profile(), candidate({}, { isOnline: true, lastActive: justNow }))
+    expect(online.breakdown.activity).toBe(SCORE_WEIGHTS.activity)
+    expect(online.reasons).toContain("Online now")
+
+    // Hidden online status: not shown as online, and last seen only counts to the day
+    const hiddenStatus = score(
+      profile(),
+      candidate({ showOnlineStatus: false }, { isOnline: true, lastActive: justNow })
+    )
+    expect(hiddenStatus.reasons).not.toContain("Online now")
+    expect(hiddenStatus.breakdown.activity).toBe(Math.round(SCORE_WEIGHTS.activity * (1 - 19 / 335)))
+
+    const hiddenLastSeen = score(profile(), candidate({ showLastSeen: false }, { lastActive: justNow }))
+    expect(hiddenLastSeen.breakdown.activity).toBe(Math.round(SCORE_WEIGHTS.activity / 2))
+
+    const longGone = score(profile(), candidate({}, { lastActive: new Date(NOW.getTime() - 30 * 24 * HOUR_MS) }))
+    expect(longGone.breakdown.activity).toBe(0)
+  })
+})
@@ -0,0 +1,84 @@
+// utils/__tests__/signedMedia.test.js - Signing and checking viewer-bound media URLs
+import { jest } from "@jest/globals"
+import config from "../../config.js"
+import { signMediaUrl, verifyMediaUrl, withoutSignature, signPrivatePhotos } from "../signedMedia.js"
+
+const VIEWER = "64b7f0c2a1b2c3d4e5f60718"
+const OTHER_VIEWER = "64b7f0c2a1b2c3d4e5f60719"
+const PHOTO_URL = "/uploads/images/photo-123.jpg"
+
+// Split a signed URL into the pathname and query the media route passes to verifyMediaUrl
+const parse = (signed) => {
+  const url = new URL(signed, "http://localhost")
+  return { pathname: url.pathname, query: Object.fromEntries(url.searchParams) }
+}
+
+describe("signed media URLs", () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test("accept a URL signed for the viewer", () => {
+    const { pathname, query } = parse(signMediaUrl(PHOTO_URL, VIEWER))
+    expect(pathname).toBe(PHOTO_URL)
+    expect(verifyMediaUrl(pathname, query)).toBe(VIEWER)
+  })
+
+  test("reject a tampered signature", () => {
+    const { pathname, query } = parse(signMediaUrl(PHOTO_URL, VIEWER))
+    const flipped = `${query.signature[0] === "A" ? "B" : "A"}${query.signature.slice(1)}`
+    expect(verifyMediaUrl(pathname, { ...query, signature: flipped })).toBeNull()
+    expect(verifyMediaUrl(pathname, { ...query, signature: query.signature.slice(1) })).toBeNull()
+    expect(verifyMediaUrl(pathname, { ...query, signature: undefined })).toBeNull()
+  })
+
+  test("reject a URL whose viewer or expiry was changed", () => {
+    const { pathname, query } = parse(signMediaUrl(PHOTO_URL, VIEWER))
+    expect(verifyMediaUrl(pathname, { ...query, viewer: OTHER_VIEWER })).toBeNull()
+    expect(verifyMediaUrl(pathname, { ...query, expires: String(Number(query.expires) + 60000) })).toBeNull()
+    expect(verifyMediaUrl(pathname, { ...query, expires: "soon" })).toBeNull()
+  })
+
+  test("reject an expired URL", () => {
+    const { pathname, query } = parse(signMediaUrl(PHOTO_URL, VIEWER))
+
+    jest.useFakeTimers({ now: Date.now() + config.MEDIA_URL_TTL_MINUTES * 60 * 1000 - 1000 })
+    expect(verifyMediaUrl(pathname, query)).toBe(VIEWER)
+
+    jest.setSystemTime(Number(query.expires) + 1)
+    expect(verifyMediaUrl(pathname, query)).toBeNull()
+  })
+
+  test("reject the signature on another path", () => {
+    const { query } = parse(signMediaUrl(PHOTO_URL, VIEWER))
+    expect(verifyMediaUrl("/uploads/images/photo-456.jpg", query)).toBeNull()
+    expect(verifyMediaUrl("/uploads/images/photo-123-thumb.webp", query)).toBeNull()
+  })
+
+  test("re-sign an already signed URL for a new viewer", () => {
+    const first = signMediaUrl(PHOTO_URL, VIEWER)
+    const { pathname, query } = parse(signMediaUrl(first, OTHER_VIEWER))
+    expect(pathname).toBe(PHOTO_URL)
+    expect(verifyMediaUrl(pathname, query)).toBe(OTHER_VIEWER)
+    expect(withoutSignature(first)).toBe(PHOTO_URL)
+  })
+
+  test("leave URLs outside uploads and anonymous viewers unsigned", () => {
+    expect(signMediaUrl("https://cdn.example.com/photo.jpg", VIEWER)).toBe("https://cdn.example.com/photo.jpg")
+    expect(signMediaUrl(PHOTO_URL, null)).toBe(PHOTO_URL)
+  })
+
+  test("sign only the private photos the viewer may see", () => {
+    const photos = [
+      { _id: "a", url: "/uploads/images/public.jpg", isPrivate: false },
+      { _id: "b", url: "/uploads/images/allowed.jpg", isPrivate: true },
+      { _id: "c", url: "/uploads/images/hidden.jpg", isPrivate: true },
+    ]
+    const [publicPhoto, allowed, hidden] = signPrivatePhotos(photos, VIEWER, new Set(["b"]))
+    expect(publicPhoto.url).toBe("/uploads/images/public.jpg")
+    expect(hidden.url).toBe("/uploads/images/hidden.jpg")
+
+    const { pathname, query } = parse(allowed.url)
+    expect(verifyMediaUrl(pathname, query)).toBe(VIEWER)
+  })
+})
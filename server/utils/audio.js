@@ -0,0 +1,153 @@
+// utils/audio.js - Voice message processing: validation, duration, waveform and transcoding
+//
+// Browsers record voice notes as webm/opus (Chrome, Firefox) or mp4/aac (Safari). The
+// server decodes every upload with ffmpeg (config.FFMPEG_PATH), which both proves it is
+// audio and gives its real duration and waveform peaks, then transcodes it to AAC in an
+// .m4a file that every browser can play. Without an ffmpeg binary the recording is kept
+// as uploaded and the duration and peaks the client measured are used instead.
+import fs from "fs"
+import config from "../config.js"
+import logger from "../logger.js"
+import { isFfmpegMissing, runFfmpeg } from "./ffmpeg.js"
+
+// What voice notes may be uploaded as (file-type reports audio-only webm as video/webm)
+export const VOICE_MIME_TYPES = [
+  "audio/webm",
+  "video/webm",
+  "audio/ogg",
+  "audio/opus",
+  "audio/mp4",
+  "audio/x-m4a",
+  "audio/aac",
+  "audio/mpeg",
+  "audio/wav",
+  "audio/x-wav",
+  "audio/vnd.wave",
+]
+
+// Number of bars in a voice message's waveform
+export const WAVEFORM_PEAKS = 64
+const MIN_DURATION_SECONDS = 0.5
+// Decoding at a low sample rate is plenty for a waveform and a duration
+const SAMPLE_RATE = 8000
+
+/**
+ * Loudest sample of each of WAVEFORM_PEAKS slices of the recording, scaled so the
+ * loudest slice is 1 (quiet recordings still get a readable waveform)
+ * @param {Buffer} pcm - Mono signed 16-bit little-endian samples
+ * @returns {Array<number>} Values between 0 and 1, two decimals
+ */
+const computePeaks = (pcm) => {
+  const sampleCount = Math.floor(pcm.length / 2)
+  const sliceSize = Math.max(1, Math.floor(sampleCount / WAVEFORM_PEAKS))
+  const peaks = []
+  for (let start = 0; start < sampleCount && peaks.length < WAVEFORM_PEAKS; start += sliceSize) {
+    let peak = 0
+    const end = Math.min(start + sliceSize, sampleCount)
+    for (let i = start; i < end; i++) {
+      peak = Math.max(peak, Math.abs(pcm.readInt16LE(i * 2)))
+    }
+    peaks.push(peak / 32768)
+  }
+  const loudest = Math.max(...peaks, 0)
+  return peaks.map((peak) => (loudest ? Math.round((peak / loudest) * 100) / 100 : 0))
+}
+
+/**
+ * Check waveform peaks sent by a client
+ * @param {*} peaks - Array of numbers (or its JSON)
+ * @returns {Array<number>} The peaks, or [] when they aren't valid
+ */
+export const sanitizePeaks = (peaks) => {
+  let values = peaks
+  if (typeof values === "string") {
+    try {
+      values = JSON.parse(values)
+    } catch {
+      return []
+    }
+  }
+  if (!Array.isArray(values) || values.length > WAVEFORM_PEAKS) return []
+  if (!values.every((value) => typeof value === "number" && value >= 0 && value <= 1)) return []
+  return values.map((value) => Math.round(value * 100) / 100)
+}
+
+/**
+ * Check a duration in seconds against the voice message limits
+ * @param {number} duration
+ * @returns {string|null} Error message, or null when it's fine
+ */
+const checkDuration = (duration) => {
+  if (!Number.isFinite(duration) || duration < MIN_DURATION_SECONDS) {
+    return "Voice message is too short"
+  }
+  if (duration > config.VOICE_MESSAGE_MAX_SECONDS) {
+    return `Voice messages can be up to ${config.VOICE_MESSAGE_MAX_SECONDS} seconds long`
+  }
+  return null
+}
+
+/**
+ * Validate an uploaded voice message, measure it and transcode it to AAC (.m4a)
+ * @param {string} filePath - Uploaded file
+ * @param {string} mimeType - Detected type of the upload
+ * @param {{duration?: number|string, peaks?: *}} [reported] - What the client measured;
+ *   only used when ffmpeg isn't available
+ * @returns {Promise<{value?: {path: string, mimeType: string, duration: number, peaks: Array<number>, transcoded: boolean}, error?: string}>}
+ *   On success the original upload has been replaced by value.path
+ */
+export const processVoiceMessage = async (filePath, mimeType, reported = {}) => {
+  let pcm = null
+  if (!isFfmpegMissing()) {
+    try {
+      // Stop a second past the limit: that is enough to reject longer recordings, and a long but
+      // highly compressed upload can't expand into hundreds of MB of samples first
+      const decodeSeconds = String(config.VOICE_MESSAGE_MAX_SECONDS + 1)
+      pcm = await runFfmpeg([
+        "-i",
+        filePath,
+        "-t",
+        decodeSeconds,
+        "-vn",
+        "-ac",
+        "1",
+        "-ar",
+        String(SAMPLE_RATE),
+        "-f",
+        "s16le",
+        "pipe:1",
+      ])
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.debug(`Voice message could not be decoded: ${error.message}`)
+        return { error: "The recording could not be read as audio" }
+      }
+    }
+  }
+
+  // No ffmpeg: trust the client's measurements within the limits
+  if (!pcm) {
+    const duration = Math.round(Number(reported.duration) * 10) / 10
+    const durationError = checkDuration(duration)
+    if (durationError) return { error: durationError }
+    return { value: { path: filePath, mimeType, duration, peaks: sanitizePeaks(reported.peaks), transcoded: false } }
+  }
+
+  const duration = Math.round((pcm.length / 2 / SAMPLE_RATE) * 10) / 10
+  const durationError = checkDuration(duration)
+  if (durationError) return { error: durationError }
+  const peaks = computePeaks(pcm)
+
+  const outputPath = `${filePath.replace(/\.[^./\\]*$/, "")}-voice.m4a`
+  try {
+    await runFfmpeg(["-y", "-i", filePath, "-vn", "-ac", "1", "-c:a", "aac", "-b:a", "64k", "-movflags", "+faststart", outputPath])
+  } catch (error) {
+    // The recording itself is fine; serve it as uploaded
+    logger.error(`Error transcoding voice message ${filePath}: ${error.message}`)
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath)
+    return { value: { path: filePath, mimeType, duration, peaks, transcoded: false } }
+  }
+
+  fs.unlinkSync(filePath)
+  return { value: { path: outputPath, mimeType: "audio/mp4", duration, peaks, transcoded: true } }
+}
@@ -0,0 +1,170 @@
+// utils/compatibility.js - Mutual compatibility scores for the discovery feed
+//
+// A score is 0-100 points spread over five factors. Each factor is rated from 0 to 1
+// (0.5 when either profile is missing the information, so empty profiles are neither
+// rewarded nor buried) and multiplied by its weight. The rating is the same whichever
+// of the two users is looking, except for activity, which describes the candidate.
+import { getPrivacySettings, fuzzLastActive } from "./privacy.js"
+import { distanceBetweenKm, roundDistanceKm } from "./geocoding.js"
+
+export const SCORE_WEIGHTS = {
+  orientation: 35, // each is what the other is looking for (iAm / lookingFor)
+  tags: 25, // shared interests, "into" tags and turn-ons
+  age: 15,
+  distance: 15,
+  activity: 10,
+}
+
+const NEUTRAL = 0.5
+const IAM_TO_LOOKING_FOR = { woman: "women", man: "men", couple: "couples" }
+const TAG_FIELDS = ["interests", "intoTags", "turnOns"]
+
+// Ages inside a preferred range rate 1, falling to 0 AGE_RANGE_SLACK years outside it.
+// Without preferred ranges, age gaps up to AGE_GAP_FULL years rate 1, falling to 0 at AGE_GAP_ZERO.
+const AGE_RANGE_SLACK = 5
+const AGE_GAP_FULL = 3
+const AGE_GAP_ZERO = 15
+// Distances up to DISTANCE_FULL_KM rate 1, falling to 0 at DISTANCE_ZERO_KM
+const DISTANCE_FULL_KM = 5
+const DISTANCE_ZERO_KM = 200
+// Online users rate 1; last activity older than ACTIVITY_ZERO_HOURS rates 0
+const ACTIVITY_ZERO_HOURS = 14 * 24
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value))
+
+/**
+ * Rate from 1 (at or under `full`) down to 0 (at or over `zero`)
+ * @returns {number}
+ */
+const falloff = (value, full, zero) => clamp01(1 - (value - full) / (zero - full))
+
+/**
+ * How well `other` fits what `seeker` is looking for
+ * @returns {number} 1, 0, or NEUTRAL if either side didn't say
+ */
+const wants = (seeker, other) => {
+  const lookingFor = seeker.details?.lookingFor || []
+  const iAm = other.details?.iAm
+  if (!lookingFor.length || !iAm) return NEUTRAL
+  return lookingFor.includes(IAM_TO_LOOKING_FOR[iAm]) ? 1 : 0
+}
+
+/**
+ * Overlap of the two profiles' tags, per tag list, as a share of the shorter list
+ * @returns {{rating: number, shared: Array<string>}}
+ */
+const compareTags = (a, b) => {
+  const ratings = []
+  const shared = []
+
+  for (const field of TAG_FIELDS) {
+    const tagsA = new Set((a.details?.[field] || []).map((tag) => tag.toLowerCase()))
+    const tagsB = [...new Set(b.details?.[field] || [])]
+    if (!tagsA.size || !tagsB.length) continue
+
+    const common = tagsB.filter((tag) => tagsA.has(tag.toLowerCase()))
+    ratings.push(common.length / Math.min(tagsA.size, tagsB.length))
+    shared.push(...common)
+  }
+
+  const rating = ratings.length ? ratings.reduce((sum, value) => sum + value, 0) / ratings.length : NEUTRAL
+  return { rating, shared: [...new Set(shared)] }
+}
+
+/**
+ * How well `other`'s age fits `seeker`'s preferred age range
+ * @returns {number|null} null when the seeker has no preferred range or `other` no age
+ */
+const fitsAgePreference = (seeker, other) => {
+  const { ageMin, ageMax } = seeker.preferences || {}
+  const age = other.details?.age
+  if (!age || (!ageMin && !ageMax)) return null
+  const yearsOutside = Math.max(0, (ageMin || age) - age) + Math.max(0, age - (ageMax || age))
+  return falloff(yearsOutside, 0, AGE_RANGE_SLACK)
+}
+
+/**
+ * @returns {number} Rating for the two users' ages: their preferred age ranges when
+ *   either has set one, otherwise the age gap
+ */
+const rateAge = (a, b) => {
+  const fits = [fitsAgePreference(a, b), fitsAgePreference(b, a)].filter((fit) => fit !== null)
+  if (fits.length) return fits.reduce((sum, fit) => sum + fit, 0) / fits.length
+
+  const ageA = a.details?.age
+  const ageB = b.details?.age
+  if (!ageA || !ageB) return NEUTRAL
+  return falloff(Math.abs(ageA - ageB), AGE_GAP_FULL, AGE_GAP_ZERO)
+}
+
+/**
+ * Rate how recently the candidate was active, only using what their privacy
+ * settings let the viewer see
+ * @returns {{rating: number, online: boolean}}
+ */
+const rateActivity = (candidate, now) => {
+  const privacy = getPrivacySettings(candidate)
+  if (privacy.showOnlineStatus && candidate.isOnline) return { rating: 1, online: true }
+  if (!privacy.showLastSeen || !candidate.lastActive) return { rating: NEUTRAL, online: false }
+
+  const lastActive = privacy.showOnlineStatus ? candidate.lastActive : fuzzLastActive(candidate.lastActive)
+  const hours = Math.max(0, (now - new Date(lastActive)) / (60 * 60 * 1000))
+  return { rating: falloff(hours, 1, ACTIVITY_ZERO_HOURS), online: false }
+}
+
+/**
+ * Score how well a candidate and the viewer suit each other
+ * @param {Object} viewer - Viewer's profile (details, preferences, geoLocation)
+ * @param {Object} candidate - Candidate's profile (details, preferences, geoLocation, isOnline, lastActive,
+ *   settings.privacy)
+ * @param {Object} [options]
+ * @param {number} [options.distanceKm] - Distance if already known (e.g. from $geoNear)
+ * @param {Date} [options.now]
+ * @returns {{score: number, breakdown: Object, reasons: Array<string>}} Score out of 100, points per
+ *   factor (see SCORE_WEIGHTS) and short explanations for the strongest factors
+ */
+export const scoreCompatibility = (viewer, candidate, { distanceKm, now = new Date() } = {}) => {
+  const reasons = []
+
+  const wantsCandidate = wants(viewer, candidate)
+  const wantsViewer = wants(candidate, viewer)
+  const orientation = (wantsCandidate + wantsViewer) / 2
+  if (wantsCandidate === 1 && wantsViewer === 1) {
+    reasons.push("You're looking for each other")
+  } else if (wantsCandidate === 1) {
+    reasons.push("Matches what you're looking for")
+  }
+
+  const tags = compareTags(viewer, candidate)
+  if (tags.shared.length) {
+    reasons.push(`You both like ${tags.shared.slice(0, 3).join(", ")}`)
+  }
+
+  const age = rateAge(viewer, candidate)
+  if (age === 1) {
+    const { ageMin, ageMax } = viewer.preferences || {}
+    reasons.push(ageMin || ageMax ? "In your preferred age range" : "Close in age")
+  }
+
+  const km = distanceKm ?? distanceBetweenKm(viewer.geoLocation, candidate.geoLocation)
+  const roundedKm = km === null ? null : roundDistanceKm(km)
+  const distance = roundedKm === null ? NEUTRAL : falloff(roundedKm, DISTANCE_FULL_KM, DISTANCE_ZERO_KM)
+  if (roundedKm !== null && distance >= 0.75) reasons.push(`${roundedKm} km away`)
+
+  const activity = rateActivity(candidate, now)
+  if (activity.online) {
+    reasons.push("Online now")
+  } else if (activity.rating >= 0.9) {
+    reasons.push("Active recently")
+  }
+
+  const ratings = { orientation, tags: tags.rating, age, distance, activity: activity.rating }
+  const breakdown = Object.fromEntries(
+    Object.entries(SCORE_WEIGHTS).map(([factor, weight]) => [factor, Math.round(ratings[factor] * weight)])
+  )
+  const score = Object.values(breakdown).reduce((sum, points) => sum + points, 0)
+
+  return { score, breakdown, reasons }
+}
+
+export default scoreCompatibility
@@ -0,0 +1,197 @@
+// utils/discovery.js - Shared query logic for the discovery lists (GET /api/users, /search)
+//
+// Profiles with a running boost are ranked above everyone else matching the filters;
+// within each group the usual ordering (online first, then most recently active) applies,
+// or, with sort=recommended, compatibility with the viewer (see utils/compatibility.js).
+//
+// Searches can be limited to a radius around a point (lat/lng, or the viewer's own
+// location). Coordinates are city-level, and distances are rounded before they are
+// returned so they can't be used to pin down where someone is.
+import { User, Boost, Like } from "../models/index.js"
+import logger from "../logger.js"
+import { serializeUsersForViewer, applyIncognito } from "./privacy.js"
+import { toGeoPoint, distanceBetweenKm, roundDistanceKm } from "./geocoding.js"
+import { scoreCompatibility } from "./compatibility.js"
+
+export const DISCOVERY_SORTS = ["active", "distance", "recommended"]
+const ACTIVE_SORT = { isOnline: -1, lastActive: -1 }
+const EARTH_RADIUS_KM = 6378.1
+export const MAX_RADIUS_KM = 500
+// sort=recommended scores this many of the most recently active matches
+const RECOMMENDATION_POOL_SIZE = 500
+
+// Fields the ranking stage passes on for compatibility scores and distances
+const SCORING_PROJECTION = {
+  _id: 1,
+  isBoosted: 1,
+  distance: 1,
+  details: 1,
+  preferences: 1,
+  geoLocation: 1,
+  isOnline: 1,
+  lastActive: 1,
+  "settings.privacy": 1,
+}
+
+/**
+ * Work out the search area from the lat/lng/radius query parameters. Without lat/lng
+ * the viewer's own location is the centre; radius=any turns off a default radius.
+ * @param {Object} params - Request query ({ lat, lng, radius } in degrees / km)
+ * @param {Object} viewer - Viewer's user document, loaded with +geoLocation
+ * @param {Object} [options]
+ * @param {number} [options.defaultRadiusKm] - Radius when the request doesn't give one (preferences)
+ * @returns {{near: Object|null, error?: string, code?: string}} near is null when no area was asked for
+ */
+export const getDiscoveryArea = (params, viewer, { defaultRadiusKm = null } = {}) => {
+  const { lat, lng } = params
+  const radius = params.radius === undefined && defaultRadiusKm ? defaultRadiusKm : params.radius
+  if (lat === undefined && lng === undefined && (radius === undefined || radius === "any")) return { near: null }
+
+  let radiusKm = null
+  if (radius !== undefined && radius !== "any") {
+    radiusKm = Number(radius)
+    if (!Number.isFinite(radiusKm) || radiusKm < 1 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius must be between 1 and ${MAX_RADIUS_KM} km`, code: "INVALID_RADIUS" }
+    }
+  }
+
+  if (lat !== undefined || lng !== undefined) {
+    const latitude = Number(lat)
+    const longitude = Number(lng)
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      return { error: "lat and lng must be valid coordinates", code: "INVALID_LOCATION" }
+    }
+    return { near: { point: toGeoPoint({ lat: latitude, lng: longitude }), radiusKm } }
+  }
+
+  if (!viewer?.geoLocation?.coordinates?.length) {
+    return { error: "Add your city to your profile to search by distance", code: "LOCATION_REQUIRED" }
+  }
+  return { near: { point: { type: "Point", coordinates: [...viewer.geoLocation.coordinates] }, radiusKm } }
+}
+
+/**
+ * Find one page of users for a discovery list
+ * @param {Object} query - Mongo filter (already restricted to visible users)
+ * @param {Object} options
+ * @param {number} options.skip
+ * @param {number} options.limit
+ * @param {string} options.select - Fields to load
+ * @param {string} [options.sort] - "active" (default), "distance" (area searches) or "recommended"
+ * @param {Object} [options.near] - Search area from getDiscoveryArea(); only users with a location match
+ * @param {Object} [options.viewer] - Viewer's profile (details, preferences, +geoLocation), for scores and distances
+ * @returns {Promise<{users: Array, total: number, distances: Map|null, scores: Map|null}>} Documents in
+ *   ranked order, total matches, rounded distances (km) and compatibility scores by user id
+ */
+export const findDiscoveryPage = async (query, { skip, limit, select, sort = "active", near = null, viewer = null }) => {
+  const now = new Date()
+  // Linked partner accounts aren't listed on their own; they're part of the couple's profile
+  const match = { ...query, active: { $ne: false }, "couple.role": { $ne: "partner" } }
+  // Incognito users only show up for people they have liked
+  applyIncognito(match, viewer ? await Like.distinct("sender", { recipient: viewer._id }) : [])
+  const recommended = sort === "recommended" && Boolean(viewer)
+
+  // $geoNear has to come first and takes over the filtering
+  const firstStage = near
+    ? {
+        $geoNear: {
+          near: near.point,
+          key: "geoLocation",
+          distanceField: "distance",
+          spherical: true,
+          query: match,
+          ...(near.radiusKm ? { maxDistance: near.radiusKm * 1000 } : {}),
+        },
+      }
+    : { $match: match }
+  const countFilter = near
+    ? {
+        ...match,
+        geoLocation: near.radiusKm
+          ? { $geoWithin: { $centerSphere: [near.point.coordinates, near.radiusKm / EARTH_RADIUS_KM] } }
+          : { $exists: true },
+      }
+    : match
+
+  // Recommended: score a pool of boosted and then recently active matches here and page
+  // through it below (boosted profiles always make the pool, so they stay on top).
+  // Otherwise the database does the whole ranking.
+  const order = sort === "distance" && near ? { distance: 1 } : ACTIVE_SORT
+  const rankingStages = recommended
+    ? [{ $sort: { isBoosted: -1, lastActive: -1, _id: 1 } }, { $limit: RECOMMENDATION_POOL_SIZE }]
+    : [{ $sort: { isBoosted: -1, ...order, _id: 1 } }, { $skip: skip }, { $limit: limit }]
+
+  // Rank with an aggregation (sorting on "is the boost still running" needs a computed
+  // field), then load the page as regular documents so serialization is unchanged
+  let [ranked, total] = await Promise.all([
+    User.aggregate([
+      firstStage,
+      { $addFields: { isBoosted: { $gt: ["$boostedUntil", now] } } },
+      ...rankingStages,
+      { $project: SCORING_PROJECTION },
+    ]),
+    User.countDocuments(countFilter),
+  ])
+
+  let scores = null
+  if (viewer) {
+    scores = new Map(
+      ranked.map((entry) => [
+        entry._id.toString(),
+        scoreCompatibility(viewer, entry, { distanceKm: near ? entry.distance / 1000 : undefined, now }),
+      ])
+    )
+  }
+  if (recommended) {
+    const scoreOf = (entry) => scores.get(entry._id.toString()).score
+    ranked = ranked
+      .sort((a, b) => b.isBoosted - a.isBoosted || scoreOf(b) - scoreOf(a) || b.lastActive - a.lastActive)
+      .slice(skip, skip + limit)
+    total = Math.min(total, RECOMMENDATION_POOL_SIZE)
+  }
+
+  const ids = ranked.map((entry) => entry._id)
+  const docs = await User.find({ _id: { $in: ids } }).select(select)
+  const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]))
+  const users = ids.map((id) => byId.get(id.toString())).filter(Boolean)
+
+  // Rounded distance from the search centre, or from the viewer when both have a location
+  let distances = null
+  if (near || viewer?.geoLocation) {
+    distances = new Map(
+      ranked.map((entry) => {
+        const km = near ? entry.distance / 1000 : distanceBetweenKm(viewer.geoLocation, entry.geoLocation)
+        return [entry._id.toString(), km === null ? null : roundDistanceKm(km)]
+      })
+    )
+  }
+
+  // Count an impression for every boosted profile shown
+  const boostedIds = ranked.filter((entry) => entry.isBoosted).map((entry) => entry._id)
+  if (boostedIds.length) {
+    Boost.updateMany({ user: { $in: boostedIds }, endsAt: { $gt: now } }, { $inc: { impressions: 1 } }).catch(
+      (err) => logger.error(`Error recording boost impressions: ${err.message}`)
+    )
+  }
+
+  return { users, total, distances, scores }
+}
+
+/**
+ * Serialize a discovery page for the viewer, adding each user's rounded distance and
+ * compatibility score ({ score, breakdown, reasons }) when known
+ * @param {{users: Array, distances: Map|null, scores: Map|null}} page - Result of findDiscoveryPage()
+ * @param {ObjectId|string} viewerId
+ * @returns {Array<Object>}
+ */
+export const serializeDiscoveryPage = ({ users, distances, scores }, viewerId) =>
+  serializeUsersForViewer(users, viewerId).map((user) => {
+    const id = user._id.toString()
+    return {
+      ...user,
+      ...(distances ? { distance: distances.get(id) ?? null } : {}),
+      ...(scores ? { compatibility: scores.get(id) ?? null } : {}),
+    }
+  })
+
+export default findDiscoveryPage
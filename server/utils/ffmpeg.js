@@ -0,0 +1,48 @@
+// utils/ffmpeg.js - Run the ffmpeg binary (config.FFMPEG_PATH) for audio and video processing
+import { spawn } from "child_process"
+import config from "../config.js"
+import logger from "../logger.js"
+
+const FFMPEG_TIMEOUT_MS = 30 * 1000
+
+let ffmpegMissing = false
+
+/**
+ * Whether ffmpeg is known to be unavailable (a previous run couldn't find it)
+ * @returns {boolean}
+ */
+export const isFfmpegMissing = () => ffmpegMissing
+
+/**
+ * Run ffmpeg and collect what it writes to stdout
+ * @param {Array<string>} args - Arguments after the input/logging options
+ * @returns {Promise<Buffer>} Rejects with code ENOENT when ffmpeg isn't installed
+ */
+export const runFfmpeg = (args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(config.FFMPEG_PATH, ["-hide_banner", "-loglevel", "error", ...args])
+    const chunks = []
+    let stderr = ""
+    const timer = setTimeout(() => child.kill("SIGKILL"), FFMPEG_TIMEOUT_MS)
+
+    child.stdout.on("data", (chunk) => chunks.push(chunk))
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk
+    })
+    child.on("error", (error) => {
+      clearTimeout(timer)
+      if (error.code === "ENOENT" && !ffmpegMissing) {
+        ffmpegMissing = true
+        logger.warn(`ffmpeg not found at "${config.FFMPEG_PATH}"; audio and video are stored as uploaded`)
+      }
+      reject(error)
+    })
+    child.on("close", (code) => {
+      clearTimeout(timer)
+      if (code === 0) {
+        resolve(Buffer.concat(chunks))
+      } else {
+        reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`))
+      }
+    })
+  })
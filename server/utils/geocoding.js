@@ -0,0 +1,139 @@
+// utils/geocoding.js - Offline geocoding of free-text locations ("Tel Aviv, Israel")
+//
+// Locations are matched against the bundled city list in data/cities.json, so no
+// external service is called. Unknown places geocode to null and the profile simply
+// has no coordinates (it won't show up in radius searches).
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const CITIES_PATH = path.join(__dirname, "..", "data", "cities.json")
+
+// Other ways people write the countries in the city list
+const COUNTRY_ALIASES = {
+  IL: ["israel", "isr"],
+  US: ["usa", "united states", "united states of america", "america"],
+  GB: ["uk", "united kingdom", "great britain", "england", "scotland"],
+  AE: ["uae", "united arab emirates", "emirates"],
+  CZ: ["czechia", "czech republic"],
+  NL: ["holland", "the netherlands"],
+}
+
+/**
+ * Normalize a place name for matching: lowercase, no accents or punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizePlace = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['\u2019.]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+
+let cityIndex = null
+
+/**
+ * Load the city list and index it by normalized name and alias (once)
+ * @returns {Map<string, Array<Object>>}
+ */
+const getCityIndex = () => {
+  if (cityIndex) return cityIndex
+
+  const cities = JSON.parse(fs.readFileSync(CITIES_PATH, "utf8"))
+  cityIndex = new Map()
+  for (const city of cities) {
+    for (const name of [city.name, ...(city.aliases || [])]) {
+      const key = normalizePlace(name)
+      if (!cityIndex.has(key)) cityIndex.set(key, [])
+      cityIndex.get(key).push(city)
+    }
+  }
+  return cityIndex
+}
+
+/**
+ * Whether a qualifier ("Israel", "IL", "TX") describes where a city is
+ * @param {Object} city
+ * @param {string} qualifier - Normalized text after the first comma
+ * @returns {boolean}
+ */
+const matchesQualifier = (city, qualifier) => {
+  const names = [city.country, city.countryCode, city.region, ...(COUNTRY_ALIASES[city.countryCode] || [])]
+  return names.some((name) => name && normalizePlace(name) === qualifier)
+}
+
+/**
+ * Geocode a free-text location such as "Haifa", "Beer Sheva, Israel" or "Austin, TX"
+ * @param {string} text
+ * @returns {{name: string, country: string, lat: number, lng: number}|null} Best match, or null if unknown
+ */
+export const geocodeLocation = (text) => {
+  const [cityPart, ...qualifiers] = String(text || "")
+    .split(",")
+    .map(normalizePlace)
+    .filter(Boolean)
+  if (!cityPart) return null
+
+  const candidates = (getCityIndex().get(cityPart) || []).filter((city) =>
+    qualifiers.every((qualifier) => matchesQualifier(city, qualifier))
+  )
+  if (!candidates.length) return null
+
+  // Same name in several places: the biggest city is the most likely one
+  const city = candidates.reduce((best, current) => (current.population > best.population ? current : best))
+  return { name: city.name, country: city.country, lat: city.lat, lng: city.lng }
+}
+
+/**
+ * Build the GeoJSON point stored on User.geoLocation
+ * @param {{lat: number, lng: number}} place
+ * @returns {{type: "Point", coordinates: [number, number]}}
+ */
+export const toGeoPoint = ({ lat, lng }) => ({ type: "Point", coordinates: [lng, lat] })
+
+/**
+ * Geocode a location string straight to a GeoJSON point
+ * @param {string} text
+ * @returns {{type: "Point", coordinates: [number, number]}|null}
+ */
+export const geocodeToPoint = (text) => {
+  const place = geocodeLocation(text)
+  return place ? toGeoPoint(place) : null
+}
+
+const EARTH_RADIUS_KM = 6371
+
+/**
+ * Great-circle distance between two GeoJSON points
+ * @param {{coordinates: [number, number]}} a
+ * @param {{coordinates: [number, number]}} b
+ * @returns {number|null} Kilometres, or null if either point is missing
+ */
+export const distanceBetweenKm = (a, b) => {
+  if (!a?.coordinates?.length || !b?.coordinates?.length) return null
+  const toRad = (deg) => (deg * Math.PI) / 180
+  const [lng1, lat1] = a.coordinates
+  const [lng2, lat2] = b.coordinates
+  const h =
+    Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * Round a distance for display so it can't be used to pin down where someone is:
+ * whole km up close, then steps of 5 and 10 km
+ * @param {number} km
+ * @returns {number} Kilometres, at least 1
+ */
+export const roundDistanceKm = (km) => {
+  if (km < 10) return Math.max(1, Math.round(km))
+  if (km < 50) return Math.round(km / 5) * 5
+  return Math.round(km / 10) * 10
+}
+
+export default geocodeLocation
@@ -0,0 +1,184 @@
+// utils/media.js - Image and video derivatives: sized WebP/AVIF copies, metadata stripping, poster frames
+//
+// Uploaded images are rewritten without their metadata (EXIF, including GPS location), capped
+// at the "full" size, and get a WebP and an AVIF copy for each of IMAGE_SIZES, stored next to
+// them as <name>-<size>.<format>. Videos get a poster frame (through ffmpeg) as <name>-poster.jpg,
+// which goes through the same pipeline. Clients pick the size they display.
+import fs from "fs"
+import path from "path"
+import sharp from "sharp"
+import logger from "../logger.js"
+import { getStorage, storeFile } from "../storage/index.js"
+import { isFfmpegMissing, runFfmpeg } from "./ffmpeg.js"
+
+// Longest edge of each derivative, in pixels
+export const IMAGE_SIZES = {
+  thumb: 160,
+  card: 480,
+  full: 1200,
+}
+
+const DERIVATIVE_FORMATS = {
+  webp: { quality: 80 },
+  // AVIF's default effort is too slow to run during an upload
+  avif: { quality: 50, effort: 2 },
+}
+
+const stripExtension = (filePath) => filePath.replace(/\.[^./\\]*$/, "")
+const posterPath = (filePath) => `${stripExtension(filePath)}-poster.jpg`
+const variantPath = (filePath, size, format) => `${stripExtension(filePath)}-${size}.${format}`
+
+/**
+ * Paths of every file the pipeline may have generated for an upload
+ * @param {string} filePath - Original upload
+ * @returns {Array<string>}
+ */
+export const derivativePaths = (filePath) => {
+  const paths = []
+  for (const source of [filePath, posterPath(filePath)]) {
+    for (const size of Object.keys(IMAGE_SIZES)) {
+      for (const format of Object.keys(DERIVATIVE_FORMATS)) {
+        paths.push(variantPath(source, size, format))
+      }
+    }
+  }
+  paths.push(posterPath(filePath))
+  return paths
+}
+
+/**
+ * Delete the generated files of an upload (e.g. when the upload is rejected)
+ * @param {string} filePath - Original upload
+ */
+export const removeDerivatives = (filePath) => {
+  for (const derivative of derivativePaths(filePath)) {
+    try {
+      if (fs.existsSync(derivative)) fs.unlinkSync(derivative)
+    } catch (error) {
+      logger.error(`Error removing derivative ${derivative}: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Move a processed upload and the files generated for it into storage
+ * @param {string} filePath - Processed upload on local disk
+ * @param {string} key - Storage key of the upload; generated files go next to it
+ */
+export const storeWithDerivatives = async (filePath, key) => {
+  const folder = path.posix.dirname(key)
+  const derivatives = derivativePaths(filePath).filter((derivative) => fs.existsSync(derivative))
+  for (const derivative of derivatives) {
+    await storeFile(derivative, `${folder}/${path.basename(derivative)}`)
+  }
+  await storeFile(filePath, key)
+}
+
+/**
+ * Remove a stored upload and its generated files
+ * @param {string} key - Storage key of the upload
+ * @param {Object} [options]
+ * @param {boolean} [options.soft=true] - Move the files under deleted/ instead of deleting them
+ * @returns {Promise<boolean>} Whether the upload itself was found
+ */
+export const removeStoredMedia = async (key, { soft = true } = {}) => {
+  const storage = getStorage()
+  const remove = (fileKey) => (soft ? storage.moveToDeleted(fileKey) : storage.delete(fileKey))
+  const found = await remove(key)
+  for (const derivative of derivativePaths(key)) {
+    await remove(derivative)
+  }
+  logger.debug(`${soft ? "Soft-deleted" : "Deleted"} stored media ${key}`)
+  return Boolean(found)
+}
+
+/**
+ * Strip an uploaded image's metadata and generate its derivatives
+ * @param {string} filePath - Uploaded image; it is rewritten in place
+ * @param {string} urlPrefix - Public URL of the file's directory, e.g. "/uploads/images"
+ * @returns {Promise<{contentType: string, size: number, dimensions: {width: number, height: number}, variants: Object}>}
+ *   variants maps each size to { width, height, webp, avif } (URLs)
+ */
+export const processImage = async (filePath, urlPrefix) => {
+  const source = await fs.promises.readFile(filePath)
+  const metadata = await sharp(source).metadata()
+  let original = { width: metadata.width, height: metadata.height, size: source.length }
+
+  // Re-encoding drops the metadata; rotate() applies the EXIF orientation first. Animated
+  // GIFs are left alone: they carry no EXIF and would lose their animation.
+  if (metadata.format !== "gif") {
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize(IMAGE_SIZES.full, IMAGE_SIZES.full, { fit: "inside", withoutEnlargement: true })
+      .toBuffer({ resolveWithObject: true })
+    await fs.promises.writeFile(filePath, data)
+    original = { width: info.width, height: info.height, size: info.size }
+  }
+
+  // One at a time: encoding is CPU and memory heavy
+  const variants = {}
+  for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+    variants[size] = {}
+    for (const [format, options] of Object.entries(DERIVATIVE_FORMATS)) {
+      const output = variantPath(filePath, size, format)
+      const info = await sharp(filePath)
+        .rotate()
+        .resize(edge, edge, { fit: "inside", withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(output)
+      variants[size].width = info.width
+      variants[size].height = info.height
+      variants[size][format] = `${urlPrefix}/${path.basename(output)}`
+    }
+  }
+
+  return {
+    contentType: `image/${metadata.format}`,
+    size: original.size,
+    dimensions: { width: original.width, height: original.height },
+    variants,
+  }
+}
+
+/**
+ * Extract a poster frame from an uploaded video and generate its derivatives
+ * @param {string} filePath - Uploaded video
+ * @param {string} urlPrefix - Public URL of the file's directory
+ * @returns {Promise<{dimensions?: Object, poster?: string, variants?: Object}>} Empty when
+ *   ffmpeg isn't available or the video can't be read
+ */
+export const processVideo = async (filePath, urlPrefix) => {
+  if (isFfmpegMissing()) return {}
+
+  const poster = posterPath(filePath)
+  try {
+    // The thumbnail filter picks a representative frame among the first ones
+    await runFfmpeg(["-y", "-i", filePath, "-vf", "thumbnail", "-frames:v", "1", "-q:v", "3", poster])
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error extracting poster frame from ${filePath}: ${error.message}`)
+    }
+    return {}
+  }
+
+  const { dimensions, variants } = await processImage(poster, urlPrefix)
+  return { dimensions, poster: `${urlPrefix}/${path.basename(poster)}`, variants }
+}
+
+/**
+ * Run the pipeline matching an upload's type; failures are logged and leave the upload as is
+ * @param {string} filePath - Uploaded file
+ * @param {string} mimeType - Detected type of the upload
+ * @param {string} urlPrefix - Public URL of the file's directory
+ * @returns {Promise<Object>} What processImage/processVideo returned, or {} for other files
+ */
+export const processMedia = async (filePath, mimeType, urlPrefix) => {
+  try {
+    if (mimeType.startsWith("image/")) return await processImage(filePath, urlPrefix)
+    if (mimeType.startsWith("video/")) return await processVideo(filePath, urlPrefix)
+  } catch (error) {
+    logger.error(`Error processing media ${filePath}: ${error.message}`)
+    removeDerivatives(filePath)
+  }
+  return {}
+}
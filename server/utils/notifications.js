@@ -0,0 +1,25 @@
+// utils/notifications.js - In-app system notifications from the server itself
+//
+// Moderation outcomes, subscription changes, boost reports, saved search alerts and the
+// like are stored as "system" notifications and pushed live to the recipient's room.
+import { Notification } from "../models/index.js"
+
+/**
+ * Save a system notification for a user and push it to their connected clients
+ * @param {Object} io - Socket.IO server (optional; the notification is only stored without it)
+ * @param {ObjectId|string} userId - Recipient
+ * @param {string} content - Notification text
+ * @returns {Promise<Object>} The notification
+ */
+export const notifySystem = async (io, userId, content) => {
+  const notification = await Notification.create({ recipient: userId, type: "system", content })
+  if (io) {
+    io.to(userId.toString()).emit("notification", {
+      _id: notification._id,
+      type: "system",
+      content,
+      createdAt: notification.createdAt,
+    })
+  }
+  return notification
+}
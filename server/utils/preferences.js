@@ -0,0 +1,185 @@
+// utils/preferences.js - Partner preferences (User.preferences) as discovery filters
+//
+// A viewer's own preferences narrow what they see unless the request sets the same
+// filter itself or passes preferences=false. Users who turn on `mutual` are only shown
+// to viewers who match their preferences; that part always applies.
+import { MAX_RADIUS_KM } from "./discovery.js"
+
+export const PREFERENCE_IAM_TYPES = ["woman", "man", "couple"]
+const MAX_MUST_HAVE_TAGS = 10
+const MAX_TAG_LENGTH = 50
+const EARTH_RADIUS_KM = 6371
+
+const toRadians = (deg) => (deg * Math.PI) / 180
+const isSet = (value) => value !== null && value !== undefined
+
+/**
+ * Validate a (partial) preferences update
+ * @param {Object} input - Request body
+ * @param {Object} current - The user's current preferences, for range checks
+ * @returns {{value?: Object, error?: string}} Fields to set, or a validation error
+ */
+export const validatePreferences = (input, current = {}) => {
+  const value = {}
+  const isOptionalNumber = (field) => input[field] === null || input[field] === ""
+
+  for (const field of ["ageMin", "ageMax"]) {
+    if (input[field] === undefined) continue
+    if (isOptionalNumber(field)) {
+      value[field] = null
+      continue
+    }
+    const age = Number(input[field])
+    if (!Number.isInteger(age) || age < 18 || age > 120) {
+      return { error: "Preferred ages must be between 18 and 120" }
+    }
+    value[field] = age
+  }
+  const ageMin = value.ageMin !== undefined ? value.ageMin : current.ageMin
+  const ageMax = value.ageMax !== undefined ? value.ageMax : current.ageMax
+  if (isSet(ageMin) && isSet(ageMax) && ageMin > ageMax) {
+    return { error: "Minimum age cannot be above maximum age" }
+  }
+
+  if (input.iAm !== undefined) {
+    if (!Array.isArray(input.iAm) || !input.iAm.every((type) => PREFERENCE_IAM_TYPES.includes(type))) {
+      return { error: `iAm must only include: ${PREFERENCE_IAM_TYPES.join(", ")}` }
+    }
+    value.iAm = [...new Set(input.iAm)]
+  }
+
+  if (input.maxDistanceKm !== undefined) {
+    if (isOptionalNumber("maxDistanceKm")) {
+      value.maxDistanceKm = null
+    } else {
+      const km = Number(input.maxDistanceKm)
+      if (!Number.isFinite(km) || km < 1 || km > MAX_RADIUS_KM) {
+        return { error: `Maximum distance must be between 1 and ${MAX_RADIUS_KM} km` }
+      }
+      value.maxDistanceKm = km
+    }
+  }
+
+  if (input.mustHaveTags !== undefined) {
+    if (!Array.isArray(input.mustHaveTags) || input.mustHaveTags.some((tag) => typeof tag !== "string")) {
+      return { error: "mustHaveTags must be a list of tags" }
+    }
+    const tags = [...new Set(input.mustHaveTags.map((tag) => tag.trim()).filter(Boolean))]
+    if (tags.length > MAX_MUST_HAVE_TAGS || tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `You can choose up to ${MAX_MUST_HAVE_TAGS} must-have tags` }
+    }
+    value.mustHaveTags = tags
+  }
+
+  for (const field of ["photosOnly", "mutual"]) {
+    if (input[field] === undefined) continue
+    if (typeof input[field] !== "boolean") {
+      return { error: `${field} must be true or false` }
+    }
+    value[field] = input[field]
+  }
+
+  return { value }
+}
+
+/**
+ * Add a condition to a query's $and list
+ * @param {Object} query
+ * @param {Object} condition
+ */
+const addCondition = (query, condition) => {
+  query.$and = [...(query.$and || []), condition]
+}
+
+/**
+ * Apply the viewer's preferences to a discovery query, skipping any the request
+ * overrides (minAge/maxAge, radius) or all of them with preferences=false
+ * @param {Object} query - Mongo filter, modified in place
+ * @param {Object} params - Request query
+ * @param {Object} viewer - Viewer's user document (preferences, +geoLocation)
+ * @returns {{radiusKm: number|null}} Default search radius; only set when the viewer has a location
+ */
+export const applyViewerPreferences = (query, params, viewer) => {
+  const preferences = viewer?.preferences
+  if (!preferences || params.preferences === "false") return { radiusKm: null }
+
+  if (params.minAge === undefined && params.maxAge === undefined) {
+    const age = {}
+    if (isSet(preferences.ageMin)) age.$gte = preferences.ageMin
+    if (isSet(preferences.ageMax)) age.$lte = preferences.ageMax
+    if (Object.keys(age).length) query["details.age"] = { ...(query["details.age"] || {}), ...age }
+  }
+  if (preferences.iAm?.length) {
+    addCondition(query, { "details.iAm": { $in: [...preferences.iAm] } })
+  }
+  // Each must-have tag has to appear in one of the profile's tag lists
+  for (const tag of preferences.mustHaveTags || []) {
+    addCondition(query, {
+      $or: [{ "details.interests": tag }, { "details.intoTags": tag }, { "details.turnOns": tag }],
+    })
+  }
+  if (preferences.photosOnly) {
+    query["photos.0"] = { $exists: true }
+  }
+
+  const hasLocation = Boolean(viewer.geoLocation?.coordinates?.length)
+  return { radiusKm: hasLocation && preferences.maxDistanceKm ? preferences.maxDistanceKm : null }
+}
+
+/**
+ * Aggregation expression for the distance (km) between a fixed point and a user's geoLocation
+ * @param {[number, number]} coordinates - [lng, lat]
+ * @returns {Object}
+ */
+const distanceFromExpr = ([lng, lat]) => {
+  const lat2 = { $degreesToRadians: { $arrayElemAt: ["$geoLocation.coordinates", 1] } }
+  const lng2 = { $degreesToRadians: { $arrayElemAt: ["$geoLocation.coordinates", 0] } }
+  // Spherical law of cosines; $min guards against rounding just above 1
+  const cosine = {
+    $add: [
+      { $multiply: [Math.sin(toRadians(lat)), { $sin: lat2 }] },
+      { $multiply: [Math.cos(toRadians(lat)), { $cos: lat2 }, { $cos: { $subtract: [lng2, toRadians(lng)] } }] },
+    ],
+  }
+  return { $multiply: [EARTH_RADIUS_KM, { $acos: { $min: [1, cosine] } }] }
+}
+
+/**
+ * Hide users with mutual preferences turned on from viewers who don't match them
+ * @param {Object} query - Mongo filter, modified in place
+ * @param {Object} viewer - Viewer's user document (details, photos, +geoLocation)
+ */
+export const applyMutualPreferences = (query, viewer) => {
+  const age = viewer.details?.age
+  const iAm = viewer.details?.iAm
+  const tags = ["interests", "intoTags", "turnOns"].flatMap((field) => viewer.details?.[field] || [])
+  const coordinates = viewer.geoLocation?.coordinates?.length ? [...viewer.geoLocation.coordinates] : null
+
+  const accepts = [
+    age
+      ? {
+          $and: [
+            { $or: [{ "preferences.ageMin": null }, { "preferences.ageMin": { $lte: age } }] },
+            { $or: [{ "preferences.ageMax": null }, { "preferences.ageMax": { $gte: age } }] },
+          ],
+        }
+      : { "preferences.ageMin": null, "preferences.ageMax": null },
+    iAm
+      ? { $or: [{ "preferences.iAm.0": { $exists: false } }, { "preferences.iAm": iAm }] }
+      : { "preferences.iAm.0": { $exists: false } },
+    { "preferences.mustHaveTags": { $not: { $elemMatch: { $nin: tags } } } },
+    {
+      $or: [
+        { "preferences.maxDistanceKm": null },
+        // Users without a location can't be filtered by distance
+        { geoLocation: { $exists: false } },
+        ...(coordinates ? [{ $expr: { $lte: [distanceFromExpr(coordinates), "$preferences.maxDistanceKm"] } }] : []),
+      ],
+    },
+  ]
+  if (!viewer.photos?.length) {
+    accepts.push({ "preferences.photosOnly": { $ne: true } })
+  }
+
+  addCondition(query, { $or: [{ "preferences.mutual": { $ne: true } }, { $and: accepts }] })
+}
@@ -0,0 +1,205 @@
+// utils/privacy.js - Applies users' privacy settings to data shown to other users
+//
+// Every route and socket emitter that exposes another user's presence (isOnline,
+// lastActive) or read receipts (read, readAt) should go through these helpers.
+
+import { getEditableUntil } from "../models/Message.js"
+import { signMessageMedia } from "./signedMedia.js"
+
+// Field to add to user queries so the serializer can see the owner's settings
+export const PRIVACY_FIELDS = "settings.privacy"
+
+/**
+ * Resolve a user's privacy settings, defaulting every option to visible
+ * @param {Object} user - User document or plain object
+ * @returns {{showOnlineStatus: boolean, showLastSeen: boolean, showReadReceipts: boolean}}
+ */
+export const getPrivacySettings = (user) => {
+  const privacy = user?.settings?.privacy || {}
+  return {
+    showOnlineStatus: privacy.showOnlineStatus !== false,
+    showLastSeen: privacy.showLastSeen !== false,
+    showReadReceipts: privacy.showReadReceipts !== false,
+  }
+}
+
+// Account tiers that can browse incognito (see canUseIncognito in middleware/permissions.js)
+export const INCOGNITO_TIERS = ["PAID", "FEMALE", "COUPLE"]
+
+/**
+ * Whether a user is currently browsing incognito; a stored setting stops applying
+ * when the account drops to a tier without incognito
+ * @param {Object} user - User document or plain object with accountTier and settings
+ * @returns {boolean}
+ */
+export const isIncognito = (user) =>
+  user?.settings?.privacy?.incognito === true && INCOGNITO_TIERS.includes(user.accountTier)
+
+/**
+ * Hide incognito users from a discovery query, except from viewers they have liked
+ * @param {Object} query - Mongo filter, modified in place
+ * @param {Array<ObjectId>} likedViewerIds - Users who have liked the viewer
+ */
+export const applyIncognito = (query, likedViewerIds) => {
+  query.$and = [
+    ...(query.$and || []),
+    {
+      $or: [
+        { "settings.privacy.incognito": { $ne: true } },
+        { accountTier: { $nin: INCOGNITO_TIERS } },
+        { _id: { $in: likedViewerIds } },
+      ],
+    },
+  ]
+}
+
+/**
+ * Compare two user IDs (ObjectId, string or populated document)
+ * @returns {boolean}
+ */
+const sameUser = (a, b) => {
+  if (!a || !b) return false
+  return (a._id || a).toString() === (b._id || b).toString()
+}
+
+/**
+ * Round a timestamp down to the start of its day so it can't be used to tell
+ * when a user who hides their online status was last active
+ * @param {Date|string|number} date
+ * @returns {Date|null}
+ */
+export const fuzzLastActive = (date) => {
+  if (!date) return null
+  const fuzzed = new Date(date)
+  fuzzed.setHours(0, 0, 0, 0)
+  return fuzzed
+}
+
+/**
+ * Serialize a user for a viewer, hiding presence details the owner has opted out of.
+ * The owner's settings are never included in the output for other viewers.
+ * @param {Object} user - User document or plain object
+ * @param {ObjectId|string} viewerId - ID of the user who will receive the data
+ * @returns {Object|null} Plain object safe to send to the viewer
+ */
+export const serializeUserForViewer = (user, viewerId) => {
+  if (!user) return null
+  const data = typeof user.toObject === "function" ? user.toObject() : { ...user }
+
+  // Users always see their own presence as-is
+  if (sameUser(data._id, viewerId)) return data
+
+  const privacy = getPrivacySettings(data)
+  delete data.settings
+
+  if (!privacy.showOnlineStatus && "isOnline" in data) {
+    data.isOnline = false
+  }
+  if ("lastActive" in data) {
+    if (!privacy.showLastSeen) {
+      data.lastActive = null
+    } else if (!privacy.showOnlineStatus) {
+      data.lastActive = fuzzLastActive(data.lastActive)
+    }
+  }
+
+  return data
+}
+
+/**
+ * Serialize a profile visit for the owner of the visited profile. The visit time is
+ * rounded to the day when the visitor hides their online status or last seen time.
+ * @param {Object} visitor - Visiting user (document or plain object with settings)
+ * @param {Date} visitedAt
+ * @param {ObjectId|string} viewerId - Owner of the visited profile
+ * @returns {{user: Object, visitedAt: Date|null}}
+ */
+export const serializeVisitForViewer = (visitor, visitedAt, viewerId) => {
+  const privacy = getPrivacySettings(visitor)
+  return {
+    user: serializeUserForViewer(visitor, viewerId),
+    visitedAt: privacy.showOnlineStatus && privacy.showLastSeen ? visitedAt : fuzzLastActive(visitedAt),
+  }
+}
+
+/**
+ * Serialize a list of users for a viewer
+ * @param {Array} users
+ * @param {ObjectId|string} viewerId
+ * @returns {Array}
+ */
+export const serializeUsersForViewer = (users, viewerId) =>
+  (users || []).map((user) => serializeUserForViewer(user, viewerId))
+
+/**
+ * Serialize a message for a viewer, hiding the read receipt from the sender when
+ * the recipient has read receipts turned off, and signing its attachment URLs for the viewer.
+ * Includes editableUntil, the end of the message's edit window
+ * @param {Object} message - Message document or plain object
+ * @param {ObjectId|string} viewerId - ID of the user who will receive the data
+ * @param {Object} recipient - Recipient user (or object with settings.privacy)
+ * @returns {Object|null}
+ */
+export const serializeMessageForViewer = (message, viewerId, recipient) => {
+  if (!message) return null
+  const data = typeof message.toObject === "function" ? message.toObject() : { ...message }
+  // Lean query results don't have the model's virtuals
+  if (data.editableUntil === undefined) {
+    data.editableUntil = getEditableUntil(data)
+  }
+
+  if (sameUser(data.sender, viewerId) && !getPrivacySettings(recipient).showReadReceipts) {
+    data.read = false
+    data.readAt = null
+  }
+
+  return signMessageMedia(data, viewerId)
+}
+
+/**
+ * Whether presence changes (userOnline/userOffline) for this user may be broadcast
+ * @param {Object} user - User document with settings
+ * @returns {boolean}
+ */
+export const canBroadcastPresence = (user) => getPrivacySettings(user).showOnlineStatus
+
+/**
+ * Build a userOnline/userOffline payload, omitting the timestamp when the user
+ * hides their last seen time
+ * @param {Object} user - User document with settings
+ * @returns {Object}
+ */
+export const buildPresencePayload = (user) => {
+  const payload = { userId: user._id.toString() }
+  if (getPrivacySettings(user).showLastSeen) {
+    payload.timestamp = Date.now()
+  }
+  return payload
+}
+
+/**
+ * Broadcast a presence change to other users if the user's settings allow it
+ * @param {Object} emitter - io instance or socket.broadcast
+ * @param {Object} user - User document with settings
+ * @param {boolean} online - true for userOnline, false for userOffline
+ */
+export const emitPresence = (emitter, user, online) => {
+  if (!emitter || !user || !canBroadcastPresence(user)) return
+  emitter.emit(online ? "userOnline" : "userOffline", buildPresencePayload(user))
+}
+
+/**
+ * Notify a sender that their messages were read, unless the reader hides read receipts
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} reader - User who read the messages (with settings)
+ * @param {ObjectId|string} senderId - User who sent the messages
+ * @param {Array} messageIds - IDs of the messages that were read
+ */
+export const emitMessagesRead = (io, reader, senderId, messageIds) => {
+  if (!io || !messageIds?.length || !getPrivacySettings(reader).showReadReceipts) return
+  io.to(senderId.toString()).emit("messagesRead", {
+    reader: reader._id.toString(),
+    messageIds: messageIds.map((id) => id.toString()),
+    readAt: new Date(),
+  })
+}
@@ -0,0 +1,163 @@
+// utils/search.js - Profile search filters (GET /api/users/search) and saved searches
+//
+// Saved searches keep the same filters as the search query parameters. toSearchParams()
+// turns them back into those parameters, so re-running a saved search builds the same
+// query as the search endpoint (including the owner's partner preferences).
+import { getDiscoveryArea, MAX_RADIUS_KM } from "./discovery.js"
+import { applyViewerPreferences, applyMutualPreferences } from "./preferences.js"
+
+export const SEARCH_GENDERS = ["male", "female", "non-binary", "other"]
+const MAX_TEXT_LENGTH = 50
+const MAX_INTERESTS = 10
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * Apply the search filters from the query parameters to a query
+ * @param {Object} query - Mongo filter, modified in place
+ * @param {Object} params - Request query (nickname, gender, minAge, maxAge, location, interests, online, verified)
+ */
+export const applySearchFilters = (query, params) => {
+  if (params.nickname) {
+    query.nickname = { $regex: params.nickname, $options: "i" }
+  }
+  if (params.gender) {
+    query["details.gender"] = params.gender
+  }
+  if (params.minAge) {
+    query["details.age"] = { ...(query["details.age"] || {}), $gte: Number.parseInt(params.minAge, 10) }
+  }
+  if (params.maxAge) {
+    query["details.age"] = { ...(query["details.age"] || {}), $lte: Number.parseInt(params.maxAge, 10) }
+  }
+  if (params.location) {
+    query["details.location"] = { $regex: params.location, $options: "i" }
+  }
+  if (params.interests) {
+    query["details.interests"] = { $in: params.interests.split(",") }
+  }
+  if (params.online === "true") {
+    // Users who hide their online status never show up as online
+    query.isOnline = true
+    query["settings.privacy.showOnlineStatus"] = { $ne: false }
+  }
+  if (params.verified === "true") {
+    query.photoVerified = true
+  }
+}
+
+/**
+ * Build the full search query for a viewer: search filters, the viewer's partner
+ * preferences (unless preferences=false), mutual preferences and the search area
+ * @param {Object} params - Request query
+ * @param {Object} viewer - Viewer's user document (details, photos, preferences, +geoLocation)
+ * @param {Object} [options]
+ * @param {Array} [options.excludeIds] - Users to leave out (e.g. blocked users)
+ * @returns {{query?: Object, near?: Object|null, error?: string, code?: string}}
+ */
+export const buildSearchQuery = (params, viewer, { excludeIds = [] } = {}) => {
+  const query = { _id: { $ne: viewer._id, $nin: excludeIds } }
+  applySearchFilters(query, params)
+
+  const { radiusKm: defaultRadiusKm } = applyViewerPreferences(query, params, viewer)
+  applyMutualPreferences(query, viewer)
+
+  const area = getDiscoveryArea(params, viewer, { defaultRadiusKm })
+  if (area.error) return { error: area.error, code: area.code }
+  return { query, near: area.near }
+}
+
+/**
+ * Validate the filters of a saved search. Accepts query-parameter style values
+ * ("25", "true", "a,b") as well as numbers, booleans and arrays.
+ * @param {Object} input
+ * @returns {{value?: Object, error?: string}} Filters to store, or a validation error
+ */
+export const validateSearchFilters = (input = {}) => {
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "filters must be an object" }
+  }
+  const value = {}
+  const isEmpty = (field) => input[field] === undefined || input[field] === null || input[field] === ""
+
+  for (const field of ["nickname", "location"]) {
+    if (isEmpty(field)) continue
+    if (typeof input[field] !== "string" || input[field].trim().length > MAX_TEXT_LENGTH) {
+      return { error: `${field} must be text of up to ${MAX_TEXT_LENGTH} characters` }
+    }
+    if (input[field].trim()) value[field] = input[field].trim()
+  }
+
+  if (!isEmpty("gender")) {
+    if (!SEARCH_GENDERS.includes(input.gender)) {
+      return { error: `gender must be one of: ${SEARCH_GENDERS.join(", ")}` }
+    }
+    value.gender = input.gender
+  }
+
+  for (const field of ["minAge", "maxAge"]) {
+    if (isEmpty(field)) continue
+    const age = Number(input[field])
+    if (!Number.isInteger(age) || age < 18 || age > 120) {
+      return { error: "Ages must be between 18 and 120" }
+    }
+    value[field] = age
+  }
+  if (value.minAge && value.maxAge && value.minAge > value.maxAge) {
+    return { error: "Minimum age cannot be above maximum age" }
+  }
+
+  if (!isEmpty("interests")) {
+    const interests = typeof input.interests === "string" ? input.interests.split(",") : input.interests
+    if (!Array.isArray(interests) || interests.some((interest) => typeof interest !== "string")) {
+      return { error: "interests must be a list of interests" }
+    }
+    const unique = [...new Set(interests.map((interest) => interest.trim()).filter(Boolean))]
+    if (unique.length > MAX_INTERESTS || unique.some((interest) => interest.length > MAX_TEXT_LENGTH)) {
+      return { error: `You can search for up to ${MAX_INTERESTS} interests` }
+    }
+    if (unique.length) value.interests = unique
+  }
+
+  if (!isEmpty("radius")) {
+    const radiusKm = Number(input.radius)
+    if (input.radius !== "any" && (!Number.isFinite(radiusKm) || radiusKm < 1 || radiusKm > MAX_RADIUS_KM)) {
+      return { error: `radius must be between 1 and ${MAX_RADIUS_KM} km, or "any"` }
+    }
+    value.radius = input.radius === "any" ? "any" : String(radiusKm)
+  }
+
+  for (const field of ["online", "verified", "preferences"]) {
+    if (isEmpty(field)) continue
+    if (![true, false, "true", "false"].includes(input[field])) {
+      return { error: `${field} must be true or false` }
+    }
+    value[field] = input[field] === true || input[field] === "true"
+  }
+
+  return { value }
+}
+
+/**
+ * Turn saved filters back into search query parameters
+ * @param {Object} filters - Saved search filters (see validateSearchFilters)
+ * @returns {Object} Query parameters for buildSearchQuery()
+ */
+export const toSearchParams = (filters = {}) => {
+  const params = {}
+  // Saved text is matched literally, not as a pattern
+  for (const field of ["nickname", "location"]) {
+    if (filters[field]) params[field] = escapeRegex(filters[field])
+  }
+  for (const field of ["gender", "radius"]) {
+    if (filters[field]) params[field] = filters[field]
+  }
+  for (const field of ["minAge", "maxAge"]) {
+    if (filters[field]) params[field] = String(filters[field])
+  }
+  if (filters.interests?.length) params.interests = filters.interests.join(",")
+  if (filters.online) params.online = "true"
+  if (filters.verified) params.verified = "true"
+  if (filters.preferences === false) params.preferences = "false"
+  return params
+}
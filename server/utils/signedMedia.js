@@ -0,0 +1,129 @@
+// utils/signedMedia.js - Short-lived signed URLs for private photos and message attachments
+//
+// uploads/images and uploads/messages are not served statically (see routes/mediaRoutes.js).
+// Private photos and attachments are only reachable through a URL signed for a viewer:
+// /uploads/...?viewer=<id>&expires=<ms>&signature=<HMAC of path, viewer and expiry>. URLs are
+// only signed for viewers who may see the file, and the media route checks that again.
+import crypto from "crypto"
+import config from "../config.js"
+
+const getSecret = () => config.MEDIA_URL_SECRET || config.JWT_SECRET
+
+const computeSignature = (pathname, viewer, expires) =>
+  crypto.createHmac("sha256", getSecret()).update(`${pathname}\n${viewer}\n${expires}`).digest("base64url")
+
+/**
+ * Folder of a conversation's attachments under uploads/messages: both user ids, sorted
+ * @param {ObjectId|string} userA
+ * @param {ObjectId|string} userB
+ * @returns {string}
+ */
+export const conversationFolder = (userA, userB) => [userA.toString(), userB.toString()].sort().join("-")
+
+/**
+ * Remove a signature from a media URL
+ * @param {string} url
+ * @returns {string}
+ */
+export const withoutSignature = (url) => (typeof url === "string" ? url.split("?")[0] : url)
+
+/**
+ * Sign an uploaded file's URL for a viewer (replacing any previous signature)
+ * @param {string} url - /uploads/... URL; anything else is returned as is
+ * @param {ObjectId|string} viewerId
+ * @returns {string}
+ */
+export const signMediaUrl = (url, viewerId) => {
+  if (typeof url !== "string" || !url.startsWith("/uploads/") || !viewerId) return url
+  const pathname = withoutSignature(url)
+  const viewer = viewerId.toString()
+  const expires = Date.now() + config.MEDIA_URL_TTL_MINUTES * 60 * 1000
+  return `${pathname}?viewer=${viewer}&expires=${expires}&signature=${computeSignature(pathname, viewer, expires)}`
+}
+
+/**
+ * Check the signature of a media request
+ * @param {string} pathname - Requested /uploads/... path
+ * @param {{viewer?: string, expires?: string, signature?: string}} query
+ * @returns {string|null} The viewer the URL was signed for, or null when it isn't validly signed or has expired
+ */
+export const verifyMediaUrl = (pathname, { viewer, expires, signature } = {}) => {
+  if (typeof viewer !== "string" || typeof signature !== "string" || !/^\d+$/.test(expires || "")) return null
+  if (Number(expires) < Date.now()) return null
+
+  const expected = Buffer.from(computeSignature(pathname, viewer, expires))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null
+  return viewer
+}
+
+/**
+ * Apply a function to every URL of an image's sized copies (utils/media.js variants)
+ * @param {Object} [variants] - { thumb, card, full } of { width, height, webp, avif }
+ * @param {Function} fn - url => url
+ * @returns {Object|undefined}
+ */
+export const mapVariantUrls = (variants, fn) =>
+  variants &&
+  Object.fromEntries(
+    Object.entries(variants)
+      .filter(([, variant]) => variant && typeof variant === "object")
+      .map(([size, variant]) => [size, { ...variant, webp: fn(variant.webp), avif: fn(variant.avif) }])
+  )
+
+/**
+ * A photo with its URL and sized copies signed for a viewer
+ * @param {Object} photo - Photo subdocument or plain object
+ * @param {ObjectId|string} viewerId
+ * @returns {Object}
+ */
+export const signPhoto = (photo, viewerId) => {
+  const data = typeof photo.toObject === "function" ? photo.toObject() : { ...photo }
+  const sign = (url) => signMediaUrl(url, viewerId)
+  data.url = sign(data.url)
+  if (data.metadata?.variants) {
+    data.metadata = { ...data.metadata, variants: mapVariantUrls(data.metadata.variants, sign) }
+  }
+  return data
+}
+
+/**
+ * Sign the private photos a viewer may see; public photos need no signature and the
+ * other private photos keep an unsigned URL, which the media route refuses
+ * @param {Array<Object>} photos
+ * @param {ObjectId|string} viewerId
+ * @param {Set<string>|true} allowed - Ids of the private photos the viewer may see, or true for all (their owner)
+ * @returns {Array<Object>}
+ */
+export const signPrivatePhotos = (photos = [], viewerId, allowed) =>
+  photos.map((photo) =>
+    photo.isPrivate && (allowed === true || allowed.has(photo._id.toString())) ? signPhoto(photo, viewerId) : photo
+  )
+
+/**
+ * Sign the attachment URLs of a message for one of its participants
+ * @param {Object} message - Plain message object (changed in place)
+ * @param {ObjectId|string} viewerId
+ * @returns {Object} The message
+ */
+export const signMessageMedia = (message, viewerId) => {
+  const sign = (url) => signMediaUrl(url, viewerId)
+  if (message.attachment?.url) {
+    const { metadata = {} } = message.attachment
+    message.attachment = {
+      ...message.attachment,
+      url: sign(message.attachment.url),
+      metadata: { ...metadata, thumbnail: sign(metadata.thumbnail), variants: mapVariantUrls(metadata.variants, sign) },
+    }
+  }
+  // File messages relayed over the socket carry the upload response in their metadata
+  if (message.metadata?.fileUrl) {
+    message.metadata = {
+      ...message.metadata,
+      fileUrl: sign(message.metadata.fileUrl),
+      thumbnail: sign(message.metadata.thumbnail),
+      variants: mapVariantUrls(message.metadata.variants, sign),
+    }
+  }
+  return message
+}